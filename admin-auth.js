@@ -0,0 +1,350 @@
+/**
+ * ========================================
+ * AIONUS ADMIN - LOGIN GATE
+ * ========================================
+ * Loaded in the <head> of every admin page:
+ *   <script src="admin-auth.js" data-min-role="viewer"></script>
+ *
+ * - Keeps the page hidden until the staff login is checked
+ * - Shows a login form when there is no session (same storage as script.js)
+ * - Adds the Bearer token to every /api/ call the page makes, refreshing
+ *   it (POST /api/auth/refresh) when it is about to expire
+ * - Roles: viewer < agent < manager < admin (lib/auth.js)
+ */
+
+(function () {
+    const ROLES = ['viewer', 'agent', 'manager', 'admin'];
+    const SESSION_KEY = 'aionus_session';
+    const USER_KEY = 'aionus_user';
+
+    const minRole = document.currentScript?.dataset.minRole || 'viewer';
+
+    // Hide the page until the login is checked
+    const style = document.createElement('style');
+    style.textContent = `
+        html.admin-auth-pending body { visibility: hidden; }
+        .admin-auth-overlay {
+            visibility: visible;
+            position: fixed;
+            inset: 0;
+            z-index: 9999;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: #F5F5F5;
+            font-family: 'Inter', sans-serif;
+        }
+        .admin-auth-card {
+            background: white;
+            border-radius: 16px;
+            box-shadow: 0 10px 40px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 360px;
+            max-width: calc(100% - 48px);
+        }
+        .admin-auth-card h2 {
+            font-family: 'Playfair Display', serif;
+            margin: 0 0 8px 0;
+        }
+        .admin-auth-card p {
+            color: #737373;
+            font-size: 0.9rem;
+            margin: 0 0 20px 0;
+        }
+        .admin-auth-card input {
+            width: 100%;
+            padding: 12px;
+            margin-bottom: 12px;
+            border: 1px solid #E5E5E5;
+            border-radius: 8px;
+            font-family: inherit;
+            box-sizing: border-box;
+        }
+        .admin-auth-card button {
+            width: 100%;
+            padding: 12px;
+            background: #C41E3A;
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        .admin-auth-error {
+            color: #991B1B;
+            font-size: 0.85rem;
+            margin-top: 12px;
+        }
+        .admin-auth-badge {
+            position: fixed;
+            bottom: 16px;
+            left: 16px;
+            z-index: 999;
+            background: white;
+            border: 1px solid #E5E5E5;
+            border-radius: 20px;
+            padding: 6px 14px;
+            font-size: 0.8rem;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);
+        }
+        .admin-auth-badge a {
+            color: #C41E3A;
+            cursor: pointer;
+            margin-left: 6px;
+        }
+    `;
+    document.head.appendChild(style);
+    document.documentElement.classList.add('admin-auth-pending');
+
+    function readSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function isApiRequest(url) {
+        const parsed = new URL(url, window.location.origin);
+        return parsed.origin === window.location.origin && parsed.pathname.startsWith('/api/');
+    }
+
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    // ========================================
+    // AUTHORIZED FETCH
+    // ========================================
+
+    const nativeFetch = window.fetch.bind(window);
+    let refreshing = null;
+
+    // Refresh this long before the access token expires
+    const REFRESH_MARGIN_MS = 60 * 1000;
+
+    function isExpiring(session) {
+        return !!session?.expires_at && session.expires_at * 1000 - Date.now() < REFRESH_MARGIN_MS;
+    }
+
+    // One refresh at a time, however many calls find the token expired
+    function refreshSession() {
+        if (!refreshing) {
+            refreshing = (async () => {
+                const session = readSession();
+                if (!session?.refresh_token) return false;
+
+                try {
+                    const response = await nativeFetch('/api/auth/refresh', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refresh_token: session.refresh_token })
+                    });
+                    const data = await response.json();
+                    if (!data.success) return false;
+
+                    localStorage.setItem(SESSION_KEY, JSON.stringify(data.session));
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            })().finally(() => {
+                refreshing = null;
+            });
+        }
+        return refreshing;
+    }
+
+    window.fetch = async (input, init = {}) => {
+        const url = typeof input === 'string' ? input : input.url;
+
+        if (!isApiRequest(url)) {
+            return nativeFetch(input, init);
+        }
+
+        const path = new URL(url, window.location.origin).pathname;
+        const send = () => {
+            const session = readSession();
+            const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+            if (session?.access_token) {
+                headers.set('Authorization', `Bearer ${session.access_token}`);
+            }
+            return nativeFetch(input, { ...init, headers });
+        };
+
+        if (path !== '/api/auth/refresh' && isExpiring(readSession())) {
+            await refreshSession();
+        }
+
+        let response = await send();
+
+        if (response.status === 401 && path !== '/api/auth/refresh' && path !== '/api/auth/login') {
+            const body = await response.clone().json().catch(() => ({}));
+            if (body.code === 'token_expired' && await refreshSession()) {
+                response = await send();
+            }
+            if (response.status === 401 && !path.startsWith('/api/auth/')) {
+                showLogin('Your session has expired. Please log in again.');
+            }
+        }
+
+        return response;
+    };
+
+    // ========================================
+    // LOGIN / ACCESS DENIED SCREENS
+    // ========================================
+
+    function showScreen(html) {
+        let overlay = document.getElementById('adminAuthOverlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'adminAuthOverlay';
+            overlay.className = 'admin-auth-overlay';
+            document.body.appendChild(overlay);
+        }
+        overlay.innerHTML = `<div class="admin-auth-card">${html}</div>`;
+        return overlay;
+    }
+
+    function showLogin(message = '') {
+        if (!document.body) {
+            document.addEventListener('DOMContentLoaded', () => showLogin(message));
+            return;
+        }
+
+        // Several calls can fail at once; keep what the user has typed
+        if (document.getElementById('adminAuthForm')) return;
+
+        document.documentElement.classList.add('admin-auth-pending');
+        const overlay = showScreen(`
+            <h2>🔐 Staff Login</h2>
+            <p>Sign in with your AIONUS staff account to continue.</p>
+            <form id="adminAuthForm">
+                <input type="email" id="adminAuthEmail" placeholder="Email" autocomplete="username" required>
+                <input type="password" id="adminAuthPassword" placeholder="Password" autocomplete="current-password" required>
+                <button type="submit" id="adminAuthSubmit">Login</button>
+                <div class="admin-auth-error" id="adminAuthError">${escapeText(message)}</div>
+            </form>
+        `);
+
+        overlay.querySelector('#adminAuthForm').addEventListener('submit', handleLogin);
+    }
+
+    function showDenied(user) {
+        showScreen(`
+            <h2>🚫 No Access</h2>
+            <p>
+                ${escapeText(user.email)} is signed in${user.role ? ` as <strong>${escapeText(user.role)}</strong>` : ' without a staff role'}.
+                This page needs <strong>${escapeText(minRole)}</strong> access. Ask an admin to update your role.
+            </p>
+            <button type="button" id="adminAuthSwitch">Log in as someone else</button>
+        `).querySelector('#adminAuthSwitch').addEventListener('click', () => logout());
+    }
+
+    async function handleLogin(e) {
+        e.preventDefault();
+        const button = document.getElementById('adminAuthSubmit');
+        const errorDiv = document.getElementById('adminAuthError');
+
+        button.disabled = true;
+        button.textContent = 'Logging in...';
+        errorDiv.textContent = '';
+
+        try {
+            const response = await nativeFetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('adminAuthEmail').value,
+                    password: document.getElementById('adminAuthPassword').value
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                errorDiv.textContent = data.error || 'Login failed';
+                return;
+            }
+
+            localStorage.setItem(SESSION_KEY, JSON.stringify(data.session));
+            localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+            // Reload so the page fetches its data with the new token
+            window.location.reload();
+
+        } catch (error) {
+            errorDiv.textContent = 'Connection error. Please try again.';
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Login';
+        }
+    }
+
+    async function logout(everywhere = false) {
+        const session = readSession();
+        if (session?.access_token) {
+            await window.fetch(everywhere === true ? '/api/auth/logout-all' : '/api/auth/logout', { method: 'POST' })
+                .catch(() => { });
+        }
+        localStorage.removeItem(SESSION_KEY);
+        localStorage.removeItem(USER_KEY);
+        window.location.reload();
+    }
+
+    function showBadge(user) {
+        const badge = document.createElement('div');
+        badge.className = 'admin-auth-badge';
+        badge.innerHTML = `👤 ${escapeText(user.name || user.email)} (${escapeText(user.role)})<a id="adminAuthLogout">Log out</a><a id="adminAuthLogoutAll" title="Log out on all devices">Everywhere</a>`;
+        document.body.appendChild(badge);
+        badge.querySelector('#adminAuthLogout').addEventListener('click', () => logout());
+        badge.querySelector('#adminAuthLogoutAll').addEventListener('click', () => {
+            if (confirm('Log out on all devices, including this one?')) logout(true);
+        });
+    }
+
+    // ========================================
+    // CHECK LOGIN
+    // ========================================
+
+    async function checkAccess() {
+        const session = readSession();
+
+        if (!session?.access_token) {
+            showLogin();
+            return;
+        }
+
+        try {
+            const response = await window.fetch('/api/auth/profile');
+            const data = await response.json();
+
+            if (!data.success) {
+                showLogin('Your session has expired. Please log in again.');
+                return;
+            }
+
+            const user = data.user;
+            if (ROLES.indexOf(user.role) < ROLES.indexOf(minRole)) {
+                showDenied(user);
+                return;
+            }
+
+            window.adminUser = user;
+            document.getElementById('adminAuthOverlay')?.remove();
+            document.documentElement.classList.remove('admin-auth-pending');
+            showBadge(user);
+
+        } catch (error) {
+            console.error('❌ Login check failed:', error);
+            showLogin('Could not check your login. Please try again.');
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', checkAccess);
+    } else {
+        checkAccess();
+    }
+})();
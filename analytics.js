@@ -10,10 +10,14 @@
 // ========================================
 let leadsData = [];
 let visitsData = [];
+let pipelineStages = [];
 let leadsChart = null;
 let visitsChart = null;
 let sourceChart = null;
 let stagesChart = null;
+let feedbackSummary = null;
+let priceFeedbackChart = null;
+let intentFeedbackChart = null;
 
 // Chart.js Configuration
 Chart.defaults.font.family = "'Inter', -apple-system, sans-serif";
@@ -37,6 +41,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Load data
     await loadAllData();
+    await loadFeedbackSummary();
 
     console.log('✅ Analytics Ready');
 });
@@ -46,16 +51,19 @@ document.addEventListener('DOMContentLoaded', async () => {
 // ========================================
 async function loadAllData() {
     try {
-        const [leadsRes, visitsRes] = await Promise.all([
+        const [leadsRes, visitsRes, pipelineRes] = await Promise.all([
             fetch('/api/crm/get-leads'),
-            fetch('/api/schedule-visit')
+            fetch('/api/schedule-visit'),
+            fetch('/api/crm/pipeline')
         ]);
 
         const leadsJson = await leadsRes.json();
         const visitsJson = await visitsRes.json();
+        const pipelineJson = await pipelineRes.json();
 
         leadsData = leadsJson.success ? (leadsJson.leads || []) : [];
         visitsData = visitsJson.success ? (visitsJson.data || []) : [];
+        pipelineStages = pipelineJson.success ? (pipelineJson.stages || []) : [];
 
         console.log(`📊 Loaded: ${leadsData.length} leads, ${visitsData.length} visits`);
 
@@ -80,9 +88,10 @@ async function loadAllData() {
 // HERO STATS
 // ========================================
 function updateHeroStats() {
-    // Calculate estimated total value (mock calculation based on leads)
-    const totalValue = leadsData.length * 250000; // Average property value
-    const hotValue = leadsData.filter(l => l.stage === 'hot').length * 350000;
+    // Pipeline value from the buyers' parsed budgets (lost leads excluded)
+    const openLeads = leadsData.filter(l => !isLostLead(l));
+    const totalValue = sumBudgets(openLeads);
+    const hotValue = sumBudgets(openLeads.filter(l => l.stage === 'hot'));
 
     animateCounter('heroValue', 0, totalValue, 2000, true);
     animateCounter('sideValue', 0, hotValue, 2000, true);
@@ -92,8 +101,8 @@ function updateHeroStats() {
     const todayLeads = leadsData.filter(l => l.created_at?.split('T')[0] === today).length;
     document.getElementById('todayLeadsCount').textContent = todayLeads;
 
-    // Conversion rate
-    const closedLeads = leadsData.filter(l => l.stage === 'closed').length;
+    // Conversion rate (any won stage counts)
+    const closedLeads = leadsData.filter(isWonLead).length;
     const rate = leadsData.length > 0 ? Math.round((closedLeads / leadsData.length) * 100) : 0;
     document.getElementById('conversionRateValue').textContent = rate + '%';
 }
@@ -105,7 +114,29 @@ function updateStatCards() {
     animateCounter('totalLeads', 0, leadsData.length, 1500);
     animateCounter('totalVisits', 0, visitsData.length, 1500);
     animateCounter('hotLeads', 0, leadsData.filter(l => l.stage === 'hot').length, 1500);
-    animateCounter('closedLeads', 0, leadsData.filter(l => l.stage === 'closed').length, 1500);
+    animateCounter('closedLeads', 0, leadsData.filter(isWonLead).length, 1500);
+}
+
+function isWonLead(lead) {
+    const stage = pipelineStages.find(s => s.key === lead.stage);
+    return stage ? !!stage.is_won : lead.stage === 'closed';
+}
+
+function isLostLead(lead) {
+    const stage = pipelineStages.find(s => s.key === lead.stage);
+    return stage ? !!stage.is_lost : lead.stage === 'lost';
+}
+
+// Top of each buyer's budget range, in rupees (leads without a parsed budget add nothing)
+function sumBudgets(leads) {
+    return leads.reduce((sum, lead) => sum + (Number(lead.budget_max_inr ?? lead.budget_min_inr) || 0), 0);
+}
+
+// ₹ in lakh / crore: 4.25 Cr, 85 L, 45,000
+function formatINR(amount) {
+    if (amount >= 1e7) return '₹' + (amount / 1e7).toLocaleString('en-IN', { maximumFractionDigits: 2 }) + ' Cr';
+    if (amount >= 1e5) return '₹' + (amount / 1e5).toLocaleString('en-IN', { maximumFractionDigits: 2 }) + ' L';
+    return '₹' + amount.toLocaleString('en-IN');
 }
 
 // ========================================
@@ -140,7 +171,7 @@ function animateCounter(elementId, start, end, duration, isCurrency = false) {
         const current = Math.floor(start + (range * easeOut));
 
         if (isCurrency) {
-            element.textContent = '$' + current.toLocaleString();
+            element.textContent = formatINR(current);
         } else {
             element.textContent = current.toLocaleString();
         }
@@ -314,7 +345,16 @@ function renderStagesChart() {
     const ctx = document.getElementById('stagesChart')?.getContext('2d');
     if (!ctx) return;
 
-    const stages = { new: 0, contacted: 0, interested: 0, hot: 0, closed: 0 };
+    // Bars follow the pipeline order and colours
+    const stageList = pipelineStages.length ? pipelineStages : [
+        { key: 'new', label: 'New', color: '#8b95a7' },
+        { key: 'contacted', label: 'Contacted', color: '#4f7df3' },
+        { key: 'interested', label: 'Interested', color: '#9945ff' },
+        { key: 'hot', label: 'Hot', color: '#f93a8b' },
+        { key: 'closed', label: 'Closed', color: '#00d984' }
+    ];
+
+    const stages = Object.fromEntries(stageList.map(s => [s.key, 0]));
     leadsData.forEach(lead => {
         if (stages.hasOwnProperty(lead.stage)) {
             stages[lead.stage]++;
@@ -330,17 +370,11 @@ function renderStagesChart() {
     stagesChart = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: ['New', 'Contacted', 'Interested', 'Hot', 'Closed'],
+            labels: stageList.map(s => s.label),
             datasets: [{
                 label: 'Leads',
-                data: Object.values(stages),
-                backgroundColor: [
-                    'rgba(139, 149, 167, 0.8)',
-                    'rgba(79, 125, 243, 0.8)',
-                    'rgba(153, 69, 255, 0.8)',
-                    'rgba(249, 58, 139, 0.8)',
-                    'rgba(0, 217, 132, 0.8)'
-                ],
+                data: stageList.map(s => stages[s.key]),
+                backgroundColor: stageList.map(s => (s.color || '#8b95a7') + 'cc'),
                 borderRadius: 6
             }]
         },
@@ -393,10 +427,12 @@ function renderUpcomingVisitsTable() {
     const tbody = document.getElementById('upcomingVisitsBody');
     if (!tbody) return;
 
-    const today = new Date().toISOString().split('T')[0];
+    // visit_at is the slot as a timestamp; cancelled / finished visits drop out
+    const now = Date.now();
     const upcoming = visitsData
-        .filter(v => v.visit_date >= today)
-        .sort((a, b) => a.visit_date.localeCompare(b.visit_date))
+        .filter(v => v.visit_at && new Date(v.visit_at).getTime() >= now)
+        .filter(v => ['pending', 'confirmed', 'rescheduled'].includes(v.status))
+        .sort((a, b) => new Date(a.visit_at) - new Date(b.visit_at))
         .slice(0, 6);
 
     if (upcoming.length === 0) {
@@ -408,12 +444,132 @@ function renderUpcomingVisitsTable() {
         <tr>
             <td class="td-name">${escapeHtml(visit.name)}</td>
             <td class="td-phone">${escapeHtml(visit.phone)}</td>
-            <td class="td-date">${formatDate(visit.visit_date)}</td>
-            <td>${escapeHtml(visit.visit_time)}</td>
+            <td class="td-date">${formatVisitDate(visit.visit_at)}</td>
+            <td>${formatVisitTime(visit.visit_at)}</td>
         </tr>
     `).join('');
 }
 
+// ========================================
+// VISIT FEEDBACK
+// ========================================
+async function loadFeedbackSummary() {
+    try {
+        const response = await fetch('/api/visit-feedback/summary?days=90');
+        const json = await response.json();
+        if (!json.success) throw new Error(json.error || 'Failed to load feedback');
+
+        feedbackSummary = json.summary;
+        renderFeedbackStats();
+        renderFeedbackCharts();
+        renderFeedbackTables();
+
+    } catch (error) {
+        console.error('❌ Feedback error:', error);
+        ['feedbackProjectsBody', 'feedbackCommentsBody'].forEach(id => {
+            const tbody = document.getElementById(id);
+            if (tbody) tbody.innerHTML = `<tr><td colspan="4" class="empty-state">Feedback unavailable</td></tr>`;
+        });
+    }
+}
+
+function renderFeedbackStats() {
+    const summary = feedbackSummary;
+    document.getElementById('feedbackResponses').textContent = summary.responses;
+    document.getElementById('feedbackResponseRate').textContent = summary.response_rate !== null
+        ? `${summary.response_rate}% of ${summary.requested} surveys answered`
+        : 'No surveys sent yet';
+    document.getElementById('feedbackRating').textContent = summary.average_rating ?? '-';
+    document.getElementById('feedbackNps').textContent = summary.nps !== null
+        ? (summary.nps > 0 ? `+${summary.nps}` : summary.nps)
+        : '-';
+    document.getElementById('feedbackNpsCount').textContent = `${summary.nps_responses} scores · promoters minus detractors`;
+    document.getElementById('feedbackReady').textContent = summary.purchase_intent.ready || 0;
+}
+
+function renderFeedbackCharts() {
+    if (!feedbackSummary) return;
+
+    const isLight = document.body.classList.contains('light-mode');
+    const textColor = isLight ? '#64748b' : '#8b95a7';
+    const gridColor = isLight ? 'rgba(0, 0, 0, 0.06)' : 'rgba(255, 255, 255, 0.06)';
+
+    const barChart = (canvasId, field, colors) => {
+        const ctx = document.getElementById(canvasId)?.getContext('2d');
+        if (!ctx) return null;
+
+        const labels = feedbackSummary.labels[field];
+        const keys = Object.keys(labels);
+
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: keys.map(key => labels[key]),
+                datasets: [{
+                    label: 'Buyers',
+                    data: keys.map(key => feedbackSummary[field][key] || 0),
+                    backgroundColor: colors.map(c => c + 'cc'),
+                    borderRadius: 6
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                indexAxis: 'y',
+                animation: { duration: 1500, easing: 'easeOutQuart' },
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        ticks: { stepSize: 1, color: textColor },
+                        grid: { color: gridColor }
+                    },
+                    y: {
+                        ticks: { color: textColor },
+                        grid: { display: false }
+                    }
+                }
+            }
+        });
+    };
+
+    if (priceFeedbackChart) priceFeedbackChart.destroy();
+    if (intentFeedbackChart) intentFeedbackChart.destroy();
+
+    priceFeedbackChart = barChart('priceFeedbackChart', 'price_perception', ['#f93a8b', '#ff9f43', '#4f7df3', '#00d984']);
+    intentFeedbackChart = barChart('intentFeedbackChart', 'purchase_intent', ['#00d984', '#4f7df3', '#9945ff', '#8b95a7']);
+}
+
+function renderFeedbackTables() {
+    const projectsBody = document.getElementById('feedbackProjectsBody');
+    const commentsBody = document.getElementById('feedbackCommentsBody');
+
+    if (projectsBody) {
+        projectsBody.innerHTML = feedbackSummary.by_project.length === 0
+            ? '<tr><td colspan="4" class="empty-state">No feedback yet</td></tr>'
+            : feedbackSummary.by_project.map(row => `
+                <tr>
+                    <td class="td-name">${escapeHtml(row.project)}</td>
+                    <td>${row.responses}</td>
+                    <td>⭐ ${row.average_rating ?? '-'}</td>
+                    <td>${row.nps ?? '-'}</td>
+                </tr>
+            `).join('');
+    }
+
+    if (commentsBody) {
+        commentsBody.innerHTML = feedbackSummary.recent_comments.length === 0
+            ? '<tr><td colspan="3" class="empty-state">No comments yet</td></tr>'
+            : feedbackSummary.recent_comments.map(row => `
+                <tr>
+                    <td class="td-name">${escapeHtml(row.name || '-')}${row.project ? `<div class="td-date">${escapeHtml(row.project)}</div>` : ''}</td>
+                    <td>⭐ ${row.rating}</td>
+                    <td>${row.liked ? `👍 ${escapeHtml(row.liked)}` : ''}${row.liked && row.disliked ? '<br>' : ''}${row.disliked ? `👎 ${escapeHtml(row.disliked)}` : ''}</td>
+                </tr>
+            `).join('');
+    }
+}
+
 // ========================================
 // THEME TOGGLE
 // ========================================
@@ -429,6 +585,7 @@ function toggleDarkMode() {
         renderVisitsChart();
         renderSourceChart();
         renderStagesChart();
+        renderFeedbackCharts();
     }, 100);
 }
 
@@ -474,6 +631,15 @@ function formatDate(dateStr) {
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+// Visit slots are shown in IST, wherever the admin is
+function formatVisitDate(visitAt) {
+    return new Date(visitAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function formatVisitTime(visitAt) {
+    return new Date(visitAt).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', minute: '2-digit' });
+}
+
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
@@ -0,0 +1,130 @@
+/**
+ * ========================================
+ * AIONUS - CREATE CRM LEAD FLOW
+ * ========================================
+ * Server-side flow for inserting a lead into leads_crm.
+ * Shared by POST /api/crm/create-lead and the Telegram bot
+ * so both paths behave the same and write the timeline entry.
+ *
+ * Requirements:
+ * - name (string, required)
+ * - phone (string, required)
+ * - budget (string, optional)
+ * - lead_source (string, optional, default 'chatbot')
+ * - team (string, optional, default 'default') - picks the pipeline
+ * - city (string, optional) - used by city assignment rules
+ *
+ * New leads are routed to an agent by lib/assignment.js.
+ */
+
+require('dotenv').config();
+const { logLeadActivity } = require('../lib/leadActivities');
+const { DEFAULT_TEAM, getInitialStage } = require('../lib/pipeline');
+const { assignLead } = require('../lib/assignment');
+const { normalizePhone } = require('../lib/phone');
+const { budgetColumns } = require('../lib/budget');
+
+/**
+ * Create a new CRM lead
+ *
+ * @param {Object} payload - Lead data
+ * @param {string} payload.name - Lead's name (required)
+ * @param {string} payload.phone - Lead's phone number (required)
+ * @param {string} [payload.budget] - Budget as typed by the buyer
+ * @param {string} [payload.lead_source='chatbot'] - Where the lead came from
+ * @param {string} [payload.team='default'] - Team whose pipeline the lead enters
+ * @param {string} [payload.city] - City the buyer is looking in
+ *
+ * @returns {Promise<Object>} { success, lead_id?, lead?, agent?, error?, status? }
+ */
+async function createCRMLead(payload) {
+    try {
+        const { name, phone, budget, lead_source = 'chatbot', team = DEFAULT_TEAM, city } = payload || {};
+
+        // Validation
+        if (!name || !phone) {
+            return { success: false, status: 400, error: 'Name and phone are required' };
+        }
+
+        // Store E.164 so the same buyer always has the same phone value
+        const normalizedPhone = normalizePhone(phone);
+        if (!normalizedPhone) {
+            return { success: false, status: 400, error: 'Invalid phone number' };
+        }
+
+        const SUPABASE_URL = process.env.SUPABASE_URL;
+        const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+        if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+            console.error('❌ Supabase credentials missing');
+            return { success: false, status: 500, error: 'CRM database not configured' };
+        }
+
+        // New leads start in the first stage of their team's pipeline
+        const stage = await getInitialStage(team);
+
+        // Insert lead into Supabase
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm`, {
+            method: 'POST',
+            headers: {
+                'apikey': SUPABASE_ANON_KEY,
+                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+                'Content-Type': 'application/json',
+                'Prefer': 'return=representation'
+            },
+            body: JSON.stringify({
+                name,
+                phone: normalizedPhone,
+                budget: budget || null,
+                ...budgetColumns(budget),
+                lead_source,
+                team,
+                city: city || null,
+                stage
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            console.error('❌ Supabase error:', errorData);
+            return { success: false, status: 500, error: 'Failed to create lead' };
+        }
+
+        const data = await response.json();
+        let lead = data[0];
+        console.log('✅ CRM Lead created:', lead?.id);
+
+        if (lead?.id) {
+            await logLeadActivity({
+                lead_id: lead.id,
+                type: 'lead_created',
+                content: `Lead created via ${lead_source}`,
+                metadata: { budget: budget || null, lead_source }
+            });
+        }
+
+        // Route to an agent; a failed assignment never blocks lead capture
+        let agent = null;
+        if (lead?.id) {
+            const assignment = await assignLead(lead);
+            if (assignment.success && assignment.agent) {
+                agent = assignment.agent;
+                lead = assignment.lead || { ...lead, assigned_to: agent.id };
+            }
+        }
+
+        return { success: true, lead_id: lead?.id, lead, agent };
+
+    } catch (error) {
+        console.error('❌ Create CRM lead flow error:', error);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    createCRMLead
+};
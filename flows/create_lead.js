@@ -16,6 +16,8 @@
 
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { normalizePhone } = require('../lib/phone');
+const { budgetColumns } = require('../lib/budget');
 
 // ========================================
 // ENVIRONMENT VALIDATION
@@ -85,6 +87,10 @@ function validatePayload(payload) {
         return { valid: false, error: 'Phone is required and must be a non-empty string' };
     }
 
+    if (!normalizePhone(payload.phone)) {
+        return { valid: false, error: 'Phone must be a valid Indian or international (+country code) number' };
+    }
+
     // Optional field validations
     if (payload.budget !== undefined && payload.budget !== null && typeof payload.budget !== 'string') {
         return { valid: false, error: 'Budget must be a string if provided' };
@@ -156,8 +162,9 @@ async function createLead(payload) {
         // Step 3: Prepare lead data
         const leadData = {
             name: payload.name.trim(),
-            phone: payload.phone.trim(),
+            phone: normalizePhone(payload.phone),
             budget: payload.budget?.trim() || null,
+            ...budgetColumns(payload.budget?.trim()),
             requirement: payload.requirement?.trim() || null,
             source: 'website_chat',
             site_visit_requested: payload.site_visit_requested ?? false,
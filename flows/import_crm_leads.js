@@ -0,0 +1,211 @@
+/**
+ * ========================================
+ * AIONUS - IMPORT CRM LEADS FLOW
+ * ========================================
+ * Bulk-creates CRM leads from a parsed spreadsheet (portal
+ * exports, expo sign-up sheets).
+ *
+ * Each row is validated on its own and reported back with its
+ * spreadsheet row number, so one bad phone doesn't sink the file.
+ * Rows whose phone is already in leads_crm (or earlier in the
+ * same file) are skipped as duplicates.
+ */
+
+require('dotenv').config();
+const { createCRMLead } = require('./create_crm_lead');
+const { DEFAULT_TEAM } = require('../lib/pipeline');
+const { normalizePhone } = require('../lib/phone');
+const { IMPORT_FIELDS, guessColumnMapping } = require('../lib/leadSpreadsheet');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Phones per duplicate lookup (keeps the URL short)
+const LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Find which phones already belong to a CRM lead
+ *
+ * @param {Array<string>} phones - E.164 phones
+ * @returns {Promise<Map>} phone -> { id, name }
+ */
+async function findExistingLeads(phones) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const existing = new Map();
+
+    for (let i = 0; i < phones.length; i += LOOKUP_BATCH_SIZE) {
+        const batch = phones.slice(i, i + LOOKUP_BATCH_SIZE);
+        const list = batch.map(p => encodeURIComponent(`"${p}"`)).join(',');
+
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm?select=id,name,phone&phone=in.(${list})`, {
+            headers: {
+                'apikey': SUPABASE_ANON_KEY,
+                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+            }
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            console.error('❌ Supabase error:', errorData);
+            throw new Error('Failed to check for existing leads');
+        }
+
+        const leads = await response.json();
+        leads.forEach(lead => existing.set(lead.phone, { id: lead.id, name: lead.name }));
+    }
+
+    return existing;
+}
+
+/**
+ * Import leads from spreadsheet rows
+ *
+ * @param {Object} sheet - Output of parseSpreadsheet: { headers, rows }
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - { field: header }; guessed from the headers when omitted
+ * @param {string} [options.team='default'] - Team the leads join
+ * @param {string} [options.lead_source='import'] - Source for rows without one
+ * @param {boolean} [options.dry_run=false] - Validate and report without creating leads
+ *
+ * @returns {Promise<Object>} { success, dry_run, mapping, total_rows, imported,
+ *   duplicates, failed, errors: [{ row, field?, value?, error }], leads: [{ row, lead_id }] }
+ */
+async function importCRMLeads(sheet, { mapping, team = DEFAULT_TEAM, lead_source = 'import', dry_run = false } = {}) {
+    try {
+        const { headers, rows } = sheet;
+
+        if (rows.length === 0) {
+            return { success: false, status: 400, error: 'The file has no data rows' };
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return { success: false, status: 400, error: `Too many rows (${rows.length}). Import at most ${MAX_IMPORT_ROWS} at a time.` };
+        }
+
+        const columnMapping = mapping && Object.keys(mapping).length > 0 ? mapping : guessColumnMapping(headers);
+
+        // Mapping sanity: known fields, real headers, and the two we can't do without
+        const unknownFields = Object.keys(columnMapping).filter(field => !IMPORT_FIELDS[field]);
+        if (unknownFields.length > 0) {
+            return { success: false, status: 400, error: `Unknown fields in mapping: ${unknownFields.join(', ')}. Use: ${Object.keys(IMPORT_FIELDS).join(', ')}` };
+        }
+        const missingHeaders = Object.values(columnMapping).filter(header => header && !headers.includes(header));
+        if (missingHeaders.length > 0) {
+            return { success: false, status: 400, error: `Columns not found in file: ${missingHeaders.join(', ')}` };
+        }
+        if (!columnMapping.name || !columnMapping.phone) {
+            return {
+                success: false,
+                status: 400,
+                error: 'Could not find the name and phone columns. Map them explicitly.',
+                headers,
+                mapping: columnMapping
+            };
+        }
+
+        const errors = [];
+        const candidates = [];
+        const seenInFile = new Map();
+
+        // Validate every row before touching the database
+        rows.forEach(({ row_number, values }) => {
+            const field = key => (columnMapping[key] ? values[columnMapping[key]] || '' : '');
+            const name = field('name');
+            const rawPhone = field('phone');
+
+            if (!name) {
+                errors.push({ row: row_number, field: 'name', error: 'Name is required' });
+                return;
+            }
+            if (!rawPhone) {
+                errors.push({ row: row_number, field: 'phone', error: 'Phone is required' });
+                return;
+            }
+
+            const phone = normalizePhone(rawPhone);
+            if (!phone) {
+                errors.push({ row: row_number, field: 'phone', value: rawPhone, error: 'Invalid phone number' });
+                return;
+            }
+
+            if (seenInFile.has(phone)) {
+                errors.push({ row: row_number, field: 'phone', value: rawPhone, error: `Duplicate of row ${seenInFile.get(phone)} in this file`, duplicate: true });
+                return;
+            }
+            seenInFile.set(phone, row_number);
+
+            candidates.push({
+                row: row_number,
+                name,
+                phone,
+                budget: field('budget') || null,
+                city: field('city') || null,
+                lead_source: field('lead_source') || lead_source
+            });
+        });
+
+        // De-duplicate against leads already in the CRM
+        const existing = await findExistingLeads(candidates.map(c => c.phone));
+        const toCreate = candidates.filter(candidate => {
+            const match = existing.get(candidate.phone);
+            if (!match) return true;
+            errors.push({
+                row: candidate.row,
+                field: 'phone',
+                value: candidate.phone,
+                error: `Already in CRM as ${match.name}`,
+                duplicate: true,
+                existing_lead_id: match.id
+            });
+            return false;
+        });
+
+        const created = [];
+        if (!dry_run) {
+            // One at a time so each lead gets its stage, timeline entry and owner
+            for (const candidate of toCreate) {
+                const result = await createCRMLead({ ...candidate, team });
+                if (result.success) {
+                    created.push({ row: candidate.row, lead_id: result.lead_id });
+                } else {
+                    errors.push({ row: candidate.row, error: result.error });
+                }
+            }
+        }
+
+        errors.sort((a, b) => a.row - b.row);
+        const duplicates = errors.filter(e => e.duplicate).length;
+
+        console.log(`📥 CRM import${dry_run ? ' (dry run)' : ''}: ${rows.length} rows, ${dry_run ? toCreate.length : created.length} ${dry_run ? 'ready' : 'imported'}, ${duplicates} duplicates, ${errors.length - duplicates} errors`);
+
+        return {
+            success: true,
+            dry_run,
+            mapping: columnMapping,
+            total_rows: rows.length,
+            // For a dry run: how many would be created
+            imported: dry_run ? toCreate.length : created.length,
+            duplicates,
+            failed: errors.length - duplicates,
+            errors,
+            leads: created
+        };
+
+    } catch (error) {
+        console.error('❌ Import CRM leads flow error:', error);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    importCRMLeads
+};
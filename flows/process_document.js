@@ -173,7 +173,7 @@ async function generateEmbeddings(chunks) {
  * @param {string[]} chunks - Text chunks
  * @param {number[][]} embeddings - Embedding vectors
  * @param {string} documentId - UUID of parent document
- * @param {string} documentType - Type of document (brochure, faq, pricing)
+ * @param {string} documentType - Type of document (brochure, faq, pricing, buyer_upload)
  * @returns {Promise<number>} Number of chunks saved
  */
 async function saveChunksToSupabase(chunks, embeddings, documentId, documentType = 'brochure') {
@@ -222,7 +222,7 @@ async function saveChunksToSupabase(chunks, embeddings, documentId, documentType
  * @param {Buffer} buffer - File buffer
  * @param {string} documentId - UUID of document record
  * @param {string} mimeType - File MIME type
- * @param {string} documentType - Type of document (brochure, faq, pricing)
+ * @param {string} documentType - Type of document (brochure, faq, pricing, buyer_upload)
  * @returns {Promise<Object>} Processing result
  */
 async function processDocument(buffer, documentId, mimeType, documentType = 'brochure') {
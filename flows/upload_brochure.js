@@ -129,6 +129,9 @@ function validateFile(file) {
  * @param {string} file.type - MIME type (application/pdf or application/vnd.openxmlformats-officedocument.wordprocessingml.document)
  * @param {Buffer|Uint8Array} file.buffer - File content as buffer
  * @param {string|null} projectId - Optional project ID (UUID)
+ * @param {string} documentType - brochure, faq, pricing or buyer_upload
+ * @param {Object} [options]
+ * @param {string|number} [options.telegramChatId] - Chat a buyer_upload belongs to
  * 
  * @returns {Promise<Object>} Result object
  * @returns {boolean} result.success - Whether the operation succeeded
@@ -143,7 +146,7 @@ function validateFile(file) {
  *   buffer: fileBuffer
  * }, 'optional-project-uuid', 'brochure');
  */
-async function uploadBrochure(file, projectId = null, documentType = 'brochure') {
+async function uploadBrochure(file, projectId = null, documentType = 'brochure', options = {}) {
     try {
         // Step 1: Validate file input
         const validation = validateFile(file);
@@ -190,15 +193,20 @@ async function uploadBrochure(file, projectId = null, documentType = 'brochure')
         console.log('✅ Public URL generated:', publicUrl);
 
         // Step 6: Insert document metadata into database
+        const documentRow = {
+            project_id: projectId || null,
+            file_name: sanitizedFileName,
+            file_type: file.type,
+            file_url: publicUrl,
+            document_type: documentType
+        };
+        if (options.telegramChatId) {
+            documentRow.telegram_chat_id = String(options.telegramChatId);
+        }
+
         const { data: docData, error: docError } = await supabase
             .from('documents')
-            .insert({
-                project_id: projectId || null,
-                file_name: sanitizedFileName,
-                file_type: file.type,
-                file_url: publicUrl,
-                document_type: documentType
-            })
+            .insert(documentRow)
             .select('id')
             .single();
 
@@ -0,0 +1,284 @@
+/**
+ * ========================================
+ * AIONUS - LEAD ASSIGNMENT
+ * ========================================
+ * Routes CRM leads to sales agents.
+ * Rules from assignment_rules are checked in priority order
+ * (city, budget band); the lead goes to the least recently
+ * assigned agent in the first matching pool, or round-robin
+ * across the whole team when nothing matches.
+ */
+
+require('dotenv').config();
+const { DEFAULT_TEAM } = require('./pipeline');
+const { parseBudgetINR } = require('./budget');
+const { logLeadActivity } = require('./leadActivities');
+const { sendTelegramMessage } = require('./telegramApi');
+
+const RULE_TYPES = ['city', 'budget_band', 'round_robin'];
+
+/**
+ * Supabase REST request (anon key, same as routes/crm.js)
+ * @returns {Promise<Array>} Parsed JSON rows
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Assignment database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+/**
+ * Active agents for a team, least recently assigned first
+ * @param {string} [team='default'] - Team name
+ * @returns {Promise<Array>} Agents
+ */
+async function getActiveAgents(team = DEFAULT_TEAM) {
+    return supabaseRequest(
+        `agents?select=*&team=eq.${encodeURIComponent(team || DEFAULT_TEAM)}&is_active=eq.true&order=last_assigned_at.asc.nullsfirst`
+    );
+}
+
+/**
+ * Active routing rules for a team, in priority order
+ * @param {string} [team='default'] - Team name
+ * @returns {Promise<Array>} Rules
+ */
+async function getAssignmentRules(team = DEFAULT_TEAM) {
+    return supabaseRequest(
+        `assignment_rules?select=*&team=eq.${encodeURIComponent(team || DEFAULT_TEAM)}&is_active=eq.true&order=priority.asc`
+    );
+}
+
+/**
+ * Does a rule match this lead?
+ * Budget bands compare against the top of the buyer's range
+ */
+function ruleMatches(rule, lead) {
+    switch (rule.rule_type) {
+        case 'city':
+            return !!lead.city && lead.city.trim().toLowerCase() === String(rule.city).trim().toLowerCase();
+
+        case 'budget_band': {
+            const range = parseBudgetINR(lead.budget);
+            if (!range) return false;
+            const aboveMin = rule.budget_min_inr === null || range.max_inr >= rule.budget_min_inr;
+            const belowMax = rule.budget_max_inr === null || range.max_inr <= rule.budget_max_inr;
+            return aboveMin && belowMax;
+        }
+
+        case 'round_robin':
+            return true;
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Pick the agent for a lead without saving anything
+ * @param {Object} lead - leads_crm row (team, city, budget)
+ * @param {Object} [options]
+ * @param {string} [options.excludeAgentId] - Skip this agent (e.g. current owner)
+ * @returns {Promise<Object>} { agent, rule } - agent is null if the team has none
+ */
+async function chooseAgent(lead, { excludeAgentId = null } = {}) {
+    const team = lead.team || DEFAULT_TEAM;
+    const agents = (await getActiveAgents(team)).filter(a => a.id !== excludeAgentId);
+
+    if (agents.length === 0) {
+        return { agent: null, rule: null };
+    }
+
+    const rules = await getAssignmentRules(team);
+
+    for (const rule of rules) {
+        if (!ruleMatches(rule, lead)) continue;
+
+        // Empty pool means "any agent in the team"
+        const pool = rule.agent_ids?.length
+            ? agents.filter(a => rule.agent_ids.includes(a.id))
+            : agents;
+
+        if (pool.length > 0) {
+            return { agent: pool[0], rule };
+        }
+    }
+
+    return { agent: agents[0], rule: null };
+}
+
+/**
+ * Tell the agent about their new lead on Telegram (if linked)
+ */
+async function notifyAgent(agent, lead) {
+    if (!process.env.TELEGRAM_BOT_TOKEN || !agent.telegram_chat_id) return;
+
+    const text = `🆕 <b>New lead assigned to you</b>
+
+👤 ${lead.name || 'Unknown'}
+📱 ${lead.phone || '-'}
+💰 ${lead.budget || 'Budget not given'}${lead.city ? `\n📍 ${lead.city}` : ''}
+📣 Source: ${lead.lead_source || '-'}`;
+
+    const sent = await sendTelegramMessage(agent.telegram_chat_id, text);
+    if (!sent) console.error('❌ Agent notification failed:', agent.id);
+}
+
+/**
+ * Save an owner on a lead, log it on the timeline and notify the agent
+ */
+async function saveAssignment(lead, agent, { rule = null, assigned_by = 'system', note = null } = {}) {
+    const now = new Date().toISOString();
+
+    const updated = await supabaseRequest(`leads_crm?id=eq.${lead.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ assigned_to: agent ? agent.id : null, assigned_at: agent ? now : null })
+    });
+
+    if (agent) {
+        await supabaseRequest(`agents?id=eq.${agent.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ last_assigned_at: now })
+        });
+    }
+
+    const how = rule ? `rule "${rule.name}"` : (assigned_by === 'system' ? 'round-robin' : assigned_by);
+    await logLeadActivity({
+        lead_id: lead.id,
+        type: 'assignment',
+        content: note || (agent ? `Assigned to ${agent.name} (${how})` : 'Unassigned'),
+        metadata: {
+            from: lead.assigned_to || null,
+            to: agent ? agent.id : null,
+            agent_name: agent ? agent.name : null,
+            rule_id: rule ? rule.id : null
+        },
+        created_by: assigned_by
+    });
+
+    if (agent) {
+        console.log('👤 Lead assigned:', lead.id, '→', agent.name, `(${how})`);
+        await notifyAgent(agent, lead);
+    }
+
+    return updated[0] || null;
+}
+
+/**
+ * Auto-assign a freshly created lead
+ * Leads that already have an owner are left alone.
+ *
+ * @param {Object} lead - leads_crm row
+ * @returns {Promise<Object>} { success, agent?, rule?, lead?, error? }
+ */
+async function assignLead(lead) {
+    try {
+        if (!lead?.id) {
+            return { success: false, error: 'Lead is required' };
+        }
+
+        if (lead.assigned_to) {
+            return { success: true, agent: null, lead };
+        }
+
+        const { agent, rule } = await chooseAgent(lead);
+        if (!agent) {
+            console.log('⚠️ No active agents for team', lead.team || DEFAULT_TEAM, '- lead left unassigned');
+            return { success: true, agent: null, lead };
+        }
+
+        const updated = await saveAssignment(lead, agent, { rule });
+        return { success: true, agent, rule, lead: updated };
+
+    } catch (error) {
+        console.error('❌ assignLead error:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Manually reassign a lead
+ *
+ * @param {string} leadId - leads_crm id
+ * @param {string|null} agentId - Agent id, 'auto' to re-run the rules, or null to unassign
+ * @param {Object} [options]
+ * @param {string} [options.assigned_by='admin'] - Who made the change
+ * @param {string} [options.note] - Timeline text
+ * @returns {Promise<Object>} { success, agent?, lead?, error?, status? }
+ */
+async function reassignLead(leadId, agentId, { assigned_by = 'admin', note = null } = {}) {
+    try {
+        const leads = await supabaseRequest(`leads_crm?select=*&id=eq.${leadId}`);
+        const lead = leads[0];
+
+        if (!lead) {
+            return { success: false, status: 404, error: 'Lead not found' };
+        }
+
+        let agent = null;
+        let rule = null;
+
+        if (agentId === 'auto') {
+            ({ agent, rule } = await chooseAgent(lead, { excludeAgentId: lead.assigned_to }));
+            if (!agent) {
+                return { success: false, status: 409, error: 'No other active agent is available' };
+            }
+        } else if (agentId) {
+            const agents = await supabaseRequest(`agents?select=*&id=eq.${agentId}`);
+            agent = agents[0];
+
+            if (!agent) {
+                return { success: false, status: 404, error: 'Agent not found' };
+            }
+            if (!agent.is_active) {
+                return { success: false, status: 400, error: `${agent.name} is inactive` };
+            }
+        }
+
+        if ((agent?.id || null) === (lead.assigned_to || null)) {
+            return { success: true, agent, lead };
+        }
+
+        const updated = await saveAssignment(lead, agent, { rule, assigned_by, note });
+        return { success: true, agent, lead: updated };
+
+    } catch (error) {
+        console.error('❌ reassignLead error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    RULE_TYPES,
+    getActiveAgents,
+    getAssignmentRules,
+    chooseAgent,
+    assignLead,
+    reassignLead
+};
@@ -0,0 +1,334 @@
+/**
+ * ========================================
+ * AIONUS - ROLE-BASED ACCESS CONTROL
+ * ========================================
+ * Staff roles on top of Supabase Auth logins (routes/auth.js).
+ * Each role includes everything the roles before it can do:
+ *
+ *   viewer  - read leads, visits, documents and analytics
+ *   agent   - + work leads, tasks and site visits
+ *   manager - + agents, pipeline, calendars, import/export, brochures
+ *   admin   - + grant and revoke roles
+ *
+ * Routes opt in per endpoint:
+ *   router.get('/get-leads', requireRole('viewer'), async (req, res) => { ... })
+ *
+ * Website users (no user_roles row) get 403 on admin routes.
+ */
+
+require('dotenv').config();
+const { decodeAccessToken, isTokenExpired, isSessionRevoked } = require('./authSessions');
+
+const ROLES = ['viewer', 'agent', 'manager', 'admin'];
+
+// Verified tokens are trusted this long before asking Supabase again
+const TOKEN_CACHE_MS = 60 * 1000;
+const TOKEN_CACHE_MAX = 500;
+
+const tokenCache = new Map();
+
+/**
+ * Supabase REST request with the service key (user_roles writes bypass RLS)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'User roles database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// ROLES
+// ========================================
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ * Whether `role` includes everything `minRole` may do
+ */
+function hasRole(role, minRole) {
+    return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Signed-in user and their staff role for an access token
+ * Reads user_roles with the user's own token (RLS: own row only).
+ *
+ * @param {string} accessToken - Supabase access token
+ * @returns {Promise<Object|null>} { id, email, role, session_id } - null when the token
+ *          is invalid, expired or its session was signed out
+ */
+async function getUserFromToken(accessToken) {
+    if (!accessToken || isTokenExpired(accessToken)) return null;
+
+    const cached = tokenCache.get(accessToken);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.user;
+    }
+
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        throw new Error('Auth not configured');
+    }
+
+    const userResponse = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
+        headers: {
+            'apikey': SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${accessToken}`
+        }
+    });
+    if (!userResponse.ok) {
+        tokenCache.delete(accessToken);
+        return null;
+    }
+
+    const authUser = await userResponse.json();
+    if (!authUser?.id) return null;
+
+    const sessionId = decodeAccessToken(accessToken)?.session_id || null;
+    if (await isSessionRevoked(sessionId)) return null;
+
+    const roleResponse = await fetch(`${SUPABASE_URL}/rest/v1/user_roles?select=role&user_id=eq.${authUser.id}`, {
+        headers: {
+            'apikey': SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${accessToken}`
+        }
+    });
+    const roles = roleResponse.ok ? await roleResponse.json() : [];
+
+    const user = {
+        id: authUser.id,
+        email: authUser.email,
+        role: roles[0]?.role || null,
+        session_id: sessionId
+    };
+
+    if (tokenCache.size >= TOKEN_CACHE_MAX) {
+        const now = Date.now();
+        tokenCache.forEach((entry, token) => {
+            if (entry.expiresAt <= now) tokenCache.delete(token);
+        });
+        if (tokenCache.size >= TOKEN_CACHE_MAX) tokenCache.clear();
+    }
+    tokenCache.set(accessToken, { user, expiresAt: Date.now() + TOKEN_CACHE_MS });
+
+    return user;
+}
+
+/**
+ * Forget a token (logout)
+ */
+function forgetToken(accessToken) {
+    if (accessToken) tokenCache.delete(accessToken);
+}
+
+/**
+ * Forget every cached token of a user (role change, log out everywhere)
+ */
+function forgetUser(userId) {
+    tokenCache.forEach((entry, token) => {
+        if (entry.user.id === userId) tokenCache.delete(token);
+    });
+}
+
+// ========================================
+// MIDDLEWARE
+// ========================================
+
+/**
+ * Check the Bearer token; answers 401 itself when there is no valid login
+ * An expired token gets code 'token_expired' so the client can refresh and retry.
+ *
+ * @returns {Promise<Object|null>} The user, or null once a response was sent
+ */
+async function authenticate(req, res) {
+    const accessToken = getBearerToken(req);
+    if (accessToken && isTokenExpired(accessToken)) {
+        res.status(401).json({
+            success: false,
+            error: 'Session expired',
+            code: 'token_expired'
+        });
+        return null;
+    }
+
+    const user = await getUserFromToken(accessToken);
+    if (!user) {
+        res.status(401).json({
+            success: false,
+            error: 'Not authenticated'
+        });
+        return null;
+    }
+
+    return user;
+}
+
+/**
+ * Express middleware: signed in with at least `minRole`
+ * Sets req.user = { id, email, role, session_id }
+ *
+ * @param {string|null} minRole - viewer | agent | manager | admin; null for any login
+ */
+function requireRole(minRole) {
+    if (minRole !== null && !isValidRole(minRole)) {
+        throw new Error(`Unknown role: ${minRole}`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            const user = await authenticate(req, res);
+            if (!user) return;
+
+            if (minRole && !hasRole(user.role, minRole)) {
+                console.log(`🚫 ${user.email} (${user.role || 'no role'}) denied ${req.method} ${req.originalUrl}`);
+                return res.status(403).json({
+                    success: false,
+                    error: 'You do not have access to this'
+                });
+            }
+
+            req.user = user;
+            next();
+
+        } catch (error) {
+            console.error('❌ Auth check error:', error.message);
+            res.status(500).json({
+                success: false,
+                error: 'Could not verify login'
+            });
+        }
+    };
+}
+
+/**
+ * Express middleware: any signed-in user, staff or not
+ */
+function requireLogin() {
+    return requireRole(null);
+}
+
+// ========================================
+// ROLE MANAGEMENT (admin)
+// ========================================
+
+/**
+ * Staff with a role, newest first
+ * @returns {Promise<Object>} { success, users?, error? }
+ */
+async function listUserRoles() {
+    try {
+        const rows = await supabaseRequest('user_roles?select=user_id,role,granted_by,created_at,updated_at&order=created_at.desc');
+
+        // Names and emails from user_profiles
+        const ids = rows.map(row => row.user_id);
+        const profiles = ids.length
+            ? await supabaseRequest(`user_profiles?select=id,name,email&id=in.(${ids.join(',')})`)
+            : [];
+        const byId = new Map(profiles.map(profile => [profile.id, profile]));
+
+        const users = rows.map(row => ({
+            ...row,
+            name: byId.get(row.user_id)?.name || null,
+            email: byId.get(row.user_id)?.email || null
+        }));
+
+        return { success: true, users };
+
+    } catch (error) {
+        console.error('❌ listUserRoles error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Grant, change or revoke (role = null) a user's role
+ *
+ * @param {string} userId - auth.users id
+ * @param {string|null} role - viewer | agent | manager | admin, or null to revoke
+ * @param {string} grantedBy - Admin making the change
+ * @returns {Promise<Object>} { success, user?, status?, error? }
+ */
+async function setUserRole(userId, role, grantedBy) {
+    try {
+        if (!/^[0-9a-f-]{36}$/i.test(String(userId || ''))) {
+            return { success: false, status: 400, error: 'Invalid user id' };
+        }
+        if (role !== null && !isValidRole(role)) {
+            return { success: false, status: 400, error: `role must be one of: ${ROLES.join(', ')} (or null to revoke)` };
+        }
+        if (userId === grantedBy && role !== 'admin') {
+            return { success: false, status: 400, error: 'You cannot remove your own admin role' };
+        }
+
+        if (role === null) {
+            await supabaseRequest(`user_roles?user_id=eq.${userId}`, { method: 'DELETE' });
+            console.log('🔒 Role revoked:', userId);
+        } else {
+            await supabaseRequest('user_roles?on_conflict=user_id', {
+                method: 'POST',
+                headers: { 'Prefer': 'resolution=merge-duplicates,return=representation' },
+                body: JSON.stringify({ user_id: userId, role, granted_by: grantedBy })
+            });
+            console.log(`🔑 Role set: ${userId} → ${role}`);
+        }
+
+        // Cached tokens would keep the old role for up to a minute
+        forgetUser(userId);
+
+        return { success: true, user: { user_id: userId, role } };
+
+    } catch (error) {
+        console.error('❌ setUserRole error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    ROLES,
+    hasRole,
+    getBearerToken,
+    getUserFromToken,
+    forgetToken,
+    forgetUser,
+    requireRole,
+    requireLogin,
+    listUserRoles,
+    setUserRole
+};
@@ -0,0 +1,244 @@
+/**
+ * ========================================
+ * AIONUS - LOGIN SESSIONS
+ * ========================================
+ * Tracks the devices each user is signed in on (user_sessions).
+ * Rows are keyed by the Supabase session_id claim in the access
+ * token, which stays the same across refreshes.
+ *
+ * - Login / refresh      → recordSession()
+ * - "Your devices"       → listSessions()
+ * - Sign out one device  → revokeSession() (its next refresh fails)
+ * - Log out everywhere   → revokeAllSessions()
+ */
+
+require('dotenv').config();
+
+// Sessions idle this long drop off the list (Supabase refresh tokens expire too)
+const SESSION_IDLE_DAYS = 30;
+
+/**
+ * Supabase REST request with the service key (user_sessions has no user policies)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Sessions database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// ACCESS TOKENS
+// ========================================
+
+/**
+ * Claims of a Supabase access token (JWT)
+ * Not a signature check - Supabase verifies the token on /auth/v1/user.
+ *
+ * @returns {Object|null} { sub, session_id, exp, ... }
+ */
+function decodeAccessToken(accessToken) {
+    try {
+        const payload = String(accessToken || '').split('.')[1];
+        if (!payload) return null;
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Whether the token's exp has passed
+ */
+function isTokenExpired(accessToken) {
+    const claims = decodeAccessToken(accessToken);
+    return !!claims?.exp && claims.exp * 1000 <= Date.now();
+}
+
+// ========================================
+// SESSIONS
+// ========================================
+
+/**
+ * Short device label from a User-Agent, e.g. "Chrome on Android"
+ */
+function describeDevice(userAgent = '') {
+    const browser = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const os = [
+        ['Android', /Android/], ['iPhone', /iPhone/], ['iPad', /iPad/],
+        ['Windows', /Windows/], ['Mac', /Mac OS X/], ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+}
+
+/**
+ * Save a login or refresh
+ *
+ * @param {string} accessToken - Fresh Supabase access token
+ * @param {Object} client - { userAgent, ip }
+ * @returns {Promise<string|null>} Session id
+ */
+async function recordSession(accessToken, { userAgent = null, ip = null } = {}) {
+    const claims = decodeAccessToken(accessToken);
+    if (!claims?.session_id || !claims.sub) return null;
+
+    try {
+        await supabaseRequest('user_sessions?on_conflict=id', {
+            method: 'POST',
+            headers: { 'Prefer': 'resolution=merge-duplicates,return=minimal' },
+            body: JSON.stringify({
+                id: claims.session_id,
+                user_id: claims.sub,
+                user_agent: userAgent ? String(userAgent).slice(0, 300) : null,
+                ip_address: ip,
+                last_active_at: new Date().toISOString()
+            })
+        });
+    } catch (error) {
+        // Sign-in still works without session tracking
+        console.error('❌ recordSession error:', error.message);
+    }
+
+    return claims.session_id;
+}
+
+/**
+ * Whether a session was signed out from another device
+ */
+async function isSessionRevoked(sessionId) {
+    if (!sessionId) return false;
+
+    try {
+        const rows = await supabaseRequest(`user_sessions?select=revoked_at&id=eq.${sessionId}`);
+        return !!rows[0]?.revoked_at;
+    } catch (error) {
+        console.error('❌ isSessionRevoked error:', error.message);
+        return false;
+    }
+}
+
+/**
+ * A user's active sessions, most recent first
+ *
+ * @param {string} userId - auth.users id
+ * @param {string} [currentSessionId] - Flags the caller's own session
+ * @returns {Promise<Object>} { success, sessions?, error? }
+ */
+async function listSessions(userId, currentSessionId = null) {
+    try {
+        const since = new Date(Date.now() - SESSION_IDLE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const rows = await supabaseRequest(
+            `user_sessions?select=id,user_agent,ip_address,created_at,last_active_at`
+            + `&user_id=eq.${userId}&revoked_at=is.null&last_active_at=gte.${since}`
+            + `&order=last_active_at.desc`
+        );
+
+        const sessions = rows.map(row => ({
+            id: row.id,
+            device: describeDevice(row.user_agent || ''),
+            ip_address: row.ip_address,
+            created_at: row.created_at,
+            last_active_at: row.last_active_at,
+            current: row.id === currentSessionId
+        }));
+
+        return { success: true, sessions };
+
+    } catch (error) {
+        console.error('❌ listSessions error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Sign out one session
+ *
+ * @returns {Promise<Object>} { success, status?, error? }
+ */
+async function revokeSession(userId, sessionId) {
+    try {
+        if (!/^[0-9a-f-]{36}$/i.test(String(sessionId || ''))) {
+            return { success: false, status: 400, error: 'Invalid session id' };
+        }
+
+        const rows = await supabaseRequest(
+            `user_sessions?id=eq.${sessionId}&user_id=eq.${userId}&revoked_at=is.null`,
+            {
+                method: 'PATCH',
+                body: JSON.stringify({ revoked_at: new Date().toISOString() })
+            }
+        );
+
+        if (!rows.length) {
+            return { success: false, status: 404, error: 'Session not found' };
+        }
+
+        console.log('🔒 Session revoked:', sessionId);
+        return { success: true };
+
+    } catch (error) {
+        console.error('❌ revokeSession error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Sign out every session of a user
+ *
+ * @returns {Promise<Object>} { success, revoked?, error? }
+ */
+async function revokeAllSessions(userId) {
+    try {
+        const rows = await supabaseRequest(`user_sessions?user_id=eq.${userId}&revoked_at=is.null`, {
+            method: 'PATCH',
+            body: JSON.stringify({ revoked_at: new Date().toISOString() })
+        });
+
+        console.log(`🔒 All sessions revoked for ${userId}:`, rows.length);
+        return { success: true, revoked: rows.length };
+
+    } catch (error) {
+        console.error('❌ revokeAllSessions error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    decodeAccessToken,
+    isTokenExpired,
+    recordSession,
+    isSessionRevoked,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,248 @@
+/**
+ * ========================================
+ * AIONUS - BUDGET PARSER
+ * ========================================
+ * Turns free-text budgets ("50 Lakh", "1-2 Cr", "₹75,00,000",
+ * "dedh crore tak", "do se teen cr") into a rupee range for
+ * routing, filtering and analytics.
+ *
+ * leads_crm keeps the text as typed in `budget`; every write path
+ * also stores the parsed range in budget_min_inr / budget_max_inr
+ * (see budgetColumns). Rows written before that are filled in by
+ * lib/budgetBackfill.js.
+ */
+
+const UNIT_MULTIPLIERS = {
+    k: 1e3,
+    thousand: 1e3,
+    hazar: 1e3,
+    hazaar: 1e3,
+    l: 1e5,
+    lk: 1e5,
+    lac: 1e5,
+    lacs: 1e5,
+    lakh: 1e5,
+    lakhs: 1e5,
+    cr: 1e7,
+    crs: 1e7,
+    crore: 1e7,
+    crores: 1e7,
+    karod: 1e7,
+    karor: 1e7,
+    karore: 1e7,
+    m: 1e6,
+    mn: 1e6,
+    million: 1e6
+};
+
+// Hinglish / English number words buyers type instead of digits
+const NUMBER_WORDS = {
+    ek: 1, one: 1,
+    do: 2, two: 2,
+    teen: 3, three: 3,
+    char: 4, chaar: 4, four: 4,
+    paanch: 5, panch: 5, five: 5,
+    chhe: 6, six: 6,
+    saat: 7, seven: 7,
+    aath: 8, eight: 8,
+    nau: 9, nine: 9,
+    das: 10, ten: 10,
+    bees: 20, twenty: 20,
+    pachas: 50, pachaas: 50, fifty: 50,
+    dedh: 1.5, dhai: 2.5, dhaai: 2.5, adhai: 2.5, dhaay: 2.5
+};
+
+// "sawa do" = 2.25, "saade teen" = 3.5, "paune do" = 1.75
+const FRACTION_PREFIXES = {
+    sawa: 0.25,
+    saade: 0.5,
+    sade: 0.5,
+    saadhe: 0.5,
+    sadhe: 0.5,
+    paune: -0.25
+};
+
+// Only an upper limit was given ("under 1 Cr", "50 lakh tak")
+const UPPER_BOUND_PATTERN = /\b(under|upto|up to|below|within|max|maximum|less than|tak|andar|se kam|se neeche)\b/;
+
+// Numbers followed by these are sizes, not money ("3 BHK under 1 Cr")
+const NON_MONEY_UNITS = ['bhk', 'bk', 'rk', 'sqft', 'sq', 'sft', 'sqyd', 'gaj', 'acre', 'acres', 'floor', 'floors',
+    'yr', 'yrs', 'year', 'years', 'saal', 'km', 'kms', 'min', 'mins', 'bed', 'beds', 'bath', 'baths', 'bedroom', 'bedrooms'];
+
+// Other currencies can't be turned into rupees honestly
+const FOREIGN_CURRENCY_PATTERN = /\$|usd|aed|dirham|dollar|€|£/;
+
+// Plain numbers below this are not a property budget in rupees ("50", "2")
+const MIN_PLAIN_AMOUNT = 10000;
+
+// What may sit between the parts of one amount ("1 crore 20 lakh", "2 cr aur 50 lakh")
+const COMPOUND_JOINER = /^\s*(?:,|\+|and|aur)?\s*$/;
+
+const wordAlternation = Object.keys(NUMBER_WORDS).join('|');
+const prefixAlternation = Object.keys(FRACTION_PREFIXES).join('|');
+const unitAlternation = Object.keys(UNIT_MULTIPLIERS).sort((a, b) => b.length - a.length).join('|');
+
+/**
+ * Lowercase, drop currency symbols and digit grouping, and turn
+ * Hinglish number words into digits ("dedh crore" → "1.5 crore")
+ */
+function normaliseBudgetText(text) {
+    let normalised = String(text).toLowerCase()
+        .replace(/₹|\brs\.?|\binr\b|\brupees?\b|\brupaye\b/g, ' ')
+        .replace(/(\d),(?=\d)/g, '$1');
+
+    // "sawa do" / "saade 3"
+    normalised = normalised.replace(
+        new RegExp(`\\b(${prefixAlternation})\\s+(\\d+(?:\\.\\d+)?|${wordAlternation})\\b`, 'g'),
+        (match, prefix, amount) => {
+            const base = NUMBER_WORDS[amount] ?? parseFloat(amount);
+            return String(base + FRACTION_PREFIXES[prefix]);
+        }
+    );
+
+    // Number words count only next to a unit or in a range ("do se teen crore"),
+    // so "do you have..." stays text
+    normalised = normalised.replace(
+        new RegExp(`\\b(${wordAlternation})\\b(?=\\s*(?:(?:${unitAlternation})\\b|(?:-|to|se|or|ya)\\s*(?:\\d|(?:${wordAlternation})\\b)))`, 'g'),
+        word => String(NUMBER_WORDS[word])
+    );
+    normalised = normalised.replace(
+        new RegExp(`((?:\\d|\\b(?:${unitAlternation}))\\s*(?:-|to|se|or|ya)\\s*)\\b(${wordAlternation})\\b`, 'g'),
+        (match, lead, word) => lead + NUMBER_WORDS[word]
+    );
+
+    return normalised;
+}
+
+/**
+ * Numbers with their units, with compound amounts joined:
+ * "1 crore 20 lakh" is one amount (₹1.2 Cr), not a range, because
+ * each unit is smaller than the one before it
+ *
+ * @returns {Array} [{ value, unit, extra }] - extra is rupees from the smaller parts
+ */
+function budgetParts(text, matches) {
+    const parts = [];
+
+    matches.forEach(match => {
+        const unit = match[2] && UNIT_MULTIPLIERS[match[2]] ? match[2] : null;
+        const start = match.index;
+        const end = match.index + match[0].length;
+        const previous = parts[parts.length - 1];
+
+        if (previous && unit && previous.smallestUnit
+            && UNIT_MULTIPLIERS[unit] < UNIT_MULTIPLIERS[previous.smallestUnit]
+            && COMPOUND_JOINER.test(text.slice(previous.end, start))) {
+            previous.extra += parseFloat(match[1]) * UNIT_MULTIPLIERS[unit];
+            previous.smallestUnit = unit;
+            previous.end = end;
+            return;
+        }
+
+        parts.push({ value: parseFloat(match[1]), unit, extra: 0, smallestUnit: unit, end });
+    });
+
+    return parts;
+}
+
+/**
+ * Parse a budget string into an INR range
+ * A single amount gives min === max; a unit on the upper bound
+ * carries over to the lower one ("1-2 Cr" → 1 Cr to 2 Cr), and an
+ * upper limit alone ("under 1 Cr", "50 lakh tak") gives min 0.
+ * Compound amounts ("1 crore 20 lakh") count as one amount.
+ *
+ * @param {string|number} budget - Budget as typed by the buyer
+ * @returns {Object|null} { min_inr, max_inr } or null if unparseable
+ */
+function parseBudgetINR(budget) {
+    if (budget === null || budget === undefined || budget === '') return null;
+
+    if (typeof budget === 'number') {
+        return budget > 0 ? { min_inr: Math.round(budget), max_inr: Math.round(budget) } : null;
+    }
+
+    if (FOREIGN_CURRENCY_PATTERN.test(String(budget).toLowerCase())) return null;
+
+    const text = normaliseBudgetText(budget);
+    const matches = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)?/g)]
+        .filter(match => !NON_MONEY_UNITS.includes(match[2]));
+    if (matches.length === 0) return null;
+
+    const parts = budgetParts(text, matches);
+    const amounts = [];
+    let lastUnit = null;
+
+    // Walk right to left so "1-2 Cr" borrows the unit from "2 Cr"
+    for (let i = parts.length - 1; i >= 0; i--) {
+        const { value, unit, extra } = parts[i];
+        if (unit) lastUnit = unit;
+
+        const multiplier = unit ? UNIT_MULTIPLIERS[unit] : (lastUnit ? UNIT_MULTIPLIERS[lastUnit] : 1);
+        const amount = Math.round(value * multiplier + extra);
+        if (!unit && !lastUnit && amount < MIN_PLAIN_AMOUNT) continue;
+
+        amounts.unshift(amount);
+    }
+
+    const valid = amounts.filter(a => a > 0).slice(0, 2);
+    if (valid.length === 0) return null;
+
+    const max = Math.max(...valid);
+    const upperOnly = valid.length === 1 && UPPER_BOUND_PATTERN.test(text);
+
+    return {
+        min_inr: upperOnly ? 0 : Math.min(...valid),
+        max_inr: max
+    };
+}
+
+/**
+ * Pick the budget phrase out of a chat message
+ * ("Rahul, 9876543210, budget 1.5 - 2 cr hai" → "1.5 - 2 cr")
+ * Needs a unit, so phone numbers and BHK counts are ignored.
+ *
+ * @param {string} text - Free text from the buyer
+ * @returns {string|null} The phrase as typed, or null
+ */
+function extractBudget(text) {
+    if (!text) return null;
+
+    const amount = `(?:(?:${prefixAlternation})\\s+)?(?:₹\\s*)?(?:\\d+(?:[.,]\\d+)*|${wordAlternation})`;
+    const unit = `(?:${unitAlternation})\\b`;
+    // "1 crore 20 lakh"
+    const smallerPart = `(?:\\s*(?:,|\\+|and|aur)?\\s*${amount}\\s*${unit})*`;
+    const phrase = new RegExp(
+        `(?:\\b(?:under|upto|up to|below|within)\\s+)?${amount}\\s*(?:${unit})?(?:\\s*(?:-|to|se)\\s*${amount})?\\s*${unit}${smallerPart}(?:\\s+(?:tak|se kam))?`,
+        'i'
+    );
+
+    const match = String(text).match(phrase);
+    if (!match || !parseBudgetINR(match[0])) return null;
+
+    return match[0].trim();
+}
+
+/**
+ * Columns to write next to the raw budget text
+ *
+ * @param {string|number|null} budget - Budget as typed
+ * @returns {Object} { budget_min_inr, budget_max_inr } (null when unparseable)
+ */
+function budgetColumns(budget) {
+    const range = parseBudgetINR(budget);
+    return {
+        budget_min_inr: range?.min_inr ?? null,
+        budget_max_inr: range?.max_inr ?? null
+    };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    parseBudgetINR,
+    extractBudget,
+    budgetColumns
+};
@@ -0,0 +1,146 @@
+/**
+ * ========================================
+ * AIONUS - BUDGET BACKFILL
+ * ========================================
+ * Fills budget_min_inr / budget_max_inr on leads written before
+ * the parser existed (or re-parses everything after the parser
+ * learns new phrasing).
+ *
+ * Tables: leads_crm, and the website chat `leads` table when it
+ * has the columns (migration 013).
+ *
+ * Run: POST /api/crm/budgets/backfill  or  node lib/budgetBackfill.js [--all]
+ */
+
+require('dotenv').config();
+const { budgetColumns } = require('./budget');
+
+const BACKFILL_TABLES = ['leads_crm', 'leads'];
+
+// Rows per page
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (`leads` is written with it),
+ * otherwise the anon key
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=minimal',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Budget backfill database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+/**
+ * Parse and store the budget range for one table
+ *
+ * @returns {Promise<Object>} { scanned, updated, unparseable }
+ */
+async function backfillTable(table, { all }) {
+    const stats = { scanned: 0, updated: 0, unparseable: 0 };
+
+    let filter = 'budget=not.is.null';
+    if (!all) filter += '&budget_max_inr=is.null';
+
+    // Without `all`, updated rows drop out of the filter, so only
+    // unparseable ones need skipping; with `all`, walk by offset
+    let offset = 0;
+
+    while (true) {
+        const rows = await supabaseRequest(
+            `${table}?select=id,budget,budget_min_inr,budget_max_inr&${filter}&order=id.asc&limit=${BACKFILL_BATCH_SIZE}&offset=${offset}`
+        );
+
+        for (const row of rows) {
+            stats.scanned++;
+            const columns = budgetColumns(row.budget);
+
+            if (columns.budget_max_inr === null) {
+                stats.unparseable++;
+                if (!all) offset++;
+                continue;
+            }
+            if (columns.budget_min_inr === row.budget_min_inr && columns.budget_max_inr === row.budget_max_inr) {
+                continue;
+            }
+
+            await supabaseRequest(`${table}?id=eq.${row.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(columns)
+            });
+            stats.updated++;
+        }
+
+        if (rows.length < BACKFILL_BATCH_SIZE) break;
+        if (all) offset += BACKFILL_BATCH_SIZE;
+    }
+
+    return stats;
+}
+
+/**
+ * Backfill parsed budget ranges
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Re-parse every row, not just ones without a range
+ * @returns {Promise<Object>} { success, tables: { [table]: { scanned, updated, unparseable } | { skipped } }, error? }
+ */
+async function backfillBudgetRanges({ all = false } = {}) {
+    const tables = {};
+
+    try {
+        for (const table of BACKFILL_TABLES) {
+            try {
+                tables[table] = await backfillTable(table, { all });
+            } catch (error) {
+                // `leads` may not exist, or not have the columns yet
+                if (table === 'leads_crm') throw error;
+                console.error(`⚠️ Skipping ${table}:`, error.message);
+                tables[table] = { skipped: error.message };
+            }
+        }
+
+        console.log('💰 Budget ranges backfilled:', tables);
+        return { success: true, tables };
+
+    } catch (error) {
+        console.error('❌ backfillBudgetRanges error:', error.message);
+        return { success: false, tables, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    backfillBudgetRanges
+};
+
+// Run directly: node lib/budgetBackfill.js [--all]
+if (require.main === module) {
+    backfillBudgetRanges({ all: process.argv.includes('--all') })
+        .then(result => process.exit(result.success ? 0 : 1));
+}
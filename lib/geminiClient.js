@@ -229,9 +229,11 @@ async function textToSpeech(text) {
 /**
  * Speech to Text using Gemini
  * @param {Blob} audioBlob - Audio data
+ * @param {Object} [options]
+ * @param {string} [options.prompt] - Transcription instructions (e.g. script to write in)
  * @returns {Object} Transcribed text
  */
-async function speechToText(audioBlob) {
+async function speechToText(audioBlob, options = {}) {
     if (!isConfigured('gemini')) {
         console.warn('⚠️ Gemini API not configured for STT');
         return { text: '', error: 'API key not configured' };
@@ -257,7 +259,7 @@ async function speechToText(audioBlob) {
                                 data: base64Audio
                             }
                         }, {
-                            text: 'Transcribe this audio to text.'
+                            text: options.prompt || 'Transcribe this audio to text.'
                         }]
                     }]
                 })
@@ -283,6 +285,11 @@ async function speechToText(audioBlob) {
  * Helper: Convert Blob to Base64
  */
 function blobToBase64(blob) {
+    // Node (Telegram voice notes) has no FileReader
+    if (typeof FileReader === 'undefined') {
+        return blob.arrayBuffer().then(buffer => Buffer.from(buffer).toString('base64'));
+    }
+
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onloadend = () => {
@@ -0,0 +1,171 @@
+/**
+ * ========================================
+ * AIONUS - LEAD ACTIVITY TIMELINE
+ * ========================================
+ * Reads and writes the per-lead timeline in lead_activities
+ * (notes, calls, stage changes, assignments, merges, site visits, chat messages,
+ * properties viewed, follow-up tasks). Every new entry re-scores the lead (lib/leadScoring.js).
+ */
+
+require('dotenv').config();
+const { normalizePhoneOrRaw } = require('./phone');
+const { recomputeLeadScore } = require('./leadScoring');
+
+const ACTIVITY_TYPES = [
+    'lead_created',
+    'note',
+    'call',
+    'stage_change',
+    'assignment',
+    'merge',
+    'site_visit',
+    'chatbot_message',
+    'telegram_message',
+    'property_view',
+    'task'
+];
+
+/**
+ * Build Supabase REST headers
+ */
+function supabaseHeaders() {
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+    return {
+        'apikey': SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+    };
+}
+
+/**
+ * Add an entry to a lead's timeline
+ * @param {Object} activity - Activity data
+ * @param {string} activity.lead_id - UUID of the leads_crm row
+ * @param {string} activity.type - One of ACTIVITY_TYPES
+ * @param {string} [activity.content] - Human readable text
+ * @param {Object} [activity.metadata] - Extra structured data
+ * @param {string} [activity.created_by] - Who created the entry
+ * @returns {Promise<Object>} { success, activity?, error? }
+ */
+async function logLeadActivity({ lead_id, type, content = null, metadata = {}, created_by = 'system' }) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+
+    if (!SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+        return { success: false, error: 'CRM database not configured' };
+    }
+
+    if (!lead_id || !ACTIVITY_TYPES.includes(type)) {
+        return { success: false, error: `Invalid activity. Type must be one of: ${ACTIVITY_TYPES.join(', ')}` };
+    }
+
+    try {
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/lead_activities`, {
+            method: 'POST',
+            headers: supabaseHeaders(),
+            body: JSON.stringify({
+                lead_id,
+                type,
+                content: content ? String(content).substring(0, 5000) : null,
+                metadata,
+                created_by
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            console.error('❌ Activity insert failed:', errorData);
+            return { success: false, error: 'Failed to log activity' };
+        }
+
+        const data = await response.json();
+
+        // Any event can move the score; a failed recompute never blocks the write
+        await recomputeLeadScore(lead_id);
+
+        return { success: true, activity: data[0] };
+    } catch (error) {
+        console.error('❌ logLeadActivity error:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Add the same timeline entry to every lead with this phone number
+ * Used by flows that only know the buyer's phone (site visits)
+ * @param {string} phone - Lead phone number
+ * @param {Object} activity - { type, content, metadata, created_by }
+ * @returns {Promise<number>} Number of leads the activity was logged for
+ */
+async function logLeadActivityByPhone(phone, activity) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+
+    if (!SUPABASE_URL || !process.env.SUPABASE_ANON_KEY || !phone) {
+        return 0;
+    }
+
+    try {
+        const response = await fetch(
+            `${SUPABASE_URL}/rest/v1/leads_crm?select=id&phone=eq.${encodeURIComponent(normalizePhoneOrRaw(phone))}`,
+            { headers: supabaseHeaders() }
+        );
+
+        if (!response.ok) return 0;
+
+        const leads = await response.json();
+        for (const lead of leads) {
+            await logLeadActivity({ ...activity, lead_id: lead.id });
+        }
+        return leads.length;
+    } catch (error) {
+        console.error('❌ logLeadActivityByPhone error:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Get a lead's timeline, newest first
+ * @param {string} leadId - UUID of the leads_crm row
+ * @param {Object} options - { type, limit }
+ * @returns {Promise<Object>} { data, error }
+ */
+async function getLeadActivities(leadId, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+
+    if (!SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+        return { data: null, error: 'CRM database not configured' };
+    }
+
+    const limit = Math.min(parseInt(options.limit) || 100, 500);
+    let url = `${SUPABASE_URL}/rest/v1/lead_activities?select=*&lead_id=eq.${leadId}&order=created_at.desc&limit=${limit}`;
+
+    if (options.type && ACTIVITY_TYPES.includes(options.type)) {
+        url += `&type=eq.${options.type}`;
+    }
+
+    try {
+        const response = await fetch(url, { headers: supabaseHeaders() });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            console.error('❌ Activity fetch failed:', errorData);
+            return { data: null, error: 'Failed to fetch activities' };
+        }
+
+        return { data: await response.json(), error: null };
+    } catch (error) {
+        console.error('❌ getLeadActivities error:', error.message);
+        return { data: null, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    ACTIVITY_TYPES,
+    logLeadActivity,
+    logLeadActivityByPhone,
+    getLeadActivities
+};
@@ -0,0 +1,162 @@
+/**
+ * ========================================
+ * AIONUS - CRM LEAD FILTERS
+ * ========================================
+ * Turns get-leads style query params into PostgREST filters,
+ * shared by the paginated lead list and the export endpoint
+ * so both always return the same leads.
+ */
+
+const { parseBudgetINR } = require('./budget');
+
+// Columns leads can be sorted by
+const SORTABLE_COLUMNS = [
+    'name', 'phone', 'budget', 'budget_min_inr', 'budget_max_inr', 'lead_source', 'stage',
+    'team', 'city', 'assigned_to', 'assigned_at', 'score', 'last_contacted_at', 'created_at', 'updated_at'
+];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * PostgREST filters for get-leads query params
+ *
+ * @param {Object} query - Request query
+ * @param {Object} [options]
+ * @param {boolean} [options.includeStage=true] - Apply the stage filter
+ * @returns {Array<string>} Filters, with an .error message if a param is invalid
+ */
+function buildLeadFilters(query, { includeStage = true } = {}) {
+    const { stage, team, assigned_to, search, source, created_from, created_to } = query;
+    const filters = [];
+
+    // Filter by stage
+    if (includeStage && stage && stage !== 'all') {
+        filters.push(`stage=eq.${encodeURIComponent(stage)}`);
+    }
+
+    // Filter by team
+    if (team && team !== 'all') {
+        filters.push(`team=eq.${encodeURIComponent(team)}`);
+    }
+
+    // Filter by owner ("unassigned" for leads without one)
+    if (assigned_to === 'unassigned') {
+        filters.push('assigned_to=is.null');
+    } else if (assigned_to && assigned_to !== 'all') {
+        filters.push(`assigned_to=eq.${encodeURIComponent(assigned_to)}`);
+    }
+
+    // Filter by lead source (one or more, comma-separated)
+    if (source && source !== 'all') {
+        const sources = String(source).split(',').map(s => s.trim()).filter(Boolean);
+        if (sources.length > 0) {
+            filters.push(`lead_source=in.(${sources.map(s => encodeURIComponent(`"${s}"`)).join(',')})`);
+        }
+    }
+
+    // Created date range
+    if (created_from) {
+        const from = parseDateBound(created_from, false);
+        if (!from) return Object.assign(filters, { error: 'Invalid created_from date' });
+        filters.push(`created_at=gte.${encodeURIComponent(from)}`);
+    }
+    if (created_to) {
+        const to = parseDateBound(created_to, true);
+        if (!to) return Object.assign(filters, { error: 'Invalid created_to date' });
+        filters.push(`created_at=lt.${encodeURIComponent(to)}`);
+    }
+
+    // Budget band: leads whose parsed range overlaps the band
+    const band = parseBudgetBand(query);
+    if (band.error) return Object.assign(filters, { error: band.error });
+    if (band.min != null) filters.push(`budget_max_inr=gte.${band.min}`);
+    if (band.max != null) filters.push(`budget_min_inr=lte.${band.max}`);
+
+    // Search by name or phone (phones are stored as +91XXXXXXXXXX, so match on digits)
+    if (search) {
+        const term = String(search).replace(/[,()*]/g, ' ').trim();
+        if (term) {
+            const phoneSearch = term.replace(/\D/g, '') || term;
+            filters.push(`or=(name.ilike.${encodeURIComponent(`*${term}*`)},phone.ilike.${encodeURIComponent(`*${phoneSearch}*`)})`);
+        }
+    }
+
+    return filters;
+}
+
+/**
+ * Date filter bound in IST. Plain dates cover the whole day:
+ * created_to=2024-05-31 includes everything on the 31st.
+ *
+ * @returns {string|null} ISO timestamp, or null if unparseable
+ */
+function parseDateBound(value, isEnd) {
+    const text = String(value).trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const start = new Date(`${text}T00:00:00+05:30`);
+        if (isNaN(start)) return null;
+        if (isEnd) start.setUTCDate(start.getUTCDate() + 1);
+        return start.toISOString();
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Budget band from budget_min / budget_max (rupees) or budget_band text
+ * @returns {Object} { min, max } (either may be null), or { error }
+ */
+function parseBudgetBand({ budget_min, budget_max, budget_band }) {
+    let min = null;
+    let max = null;
+
+    if (budget_band && budget_band !== 'all') {
+        const text = String(budget_band).trim();
+        const openEnded = text.endsWith('+');
+        const upTo = text.startsWith('<');
+        const range = parseBudgetINR(text.replace(/^</, '').replace(/\+$/, ''));
+        if (!range) return { error: 'Invalid budget_band' };
+
+        if (upTo) {
+            max = range.max_inr;
+        } else if (openEnded) {
+            min = range.min_inr;
+        } else {
+            min = range.min_inr;
+            max = range.max_inr;
+        }
+    }
+
+    if (budget_min !== undefined && budget_min !== '') {
+        min = Number(budget_min);
+        if (!Number.isFinite(min)) return { error: 'budget_min must be a number of rupees' };
+    }
+    if (budget_max !== undefined && budget_max !== '') {
+        max = Number(budget_max);
+        if (!Number.isFinite(max)) return { error: 'budget_max must be a number of rupees' };
+    }
+
+    return { min, max };
+}
+
+/**
+ * Total from a PostgREST Content-Range header ("0-49/1234")
+ */
+function parseContentRangeTotal(header) {
+    const match = /\/(\d+)$/.exec(header || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    SORTABLE_COLUMNS,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    buildLeadFilters,
+    parseContentRangeTotal
+};
@@ -0,0 +1,226 @@
+/**
+ * ========================================
+ * AIONUS - DUPLICATE LEADS & MERGING
+ * ========================================
+ * Finds CRM leads that share a phone number and folds
+ * duplicates into one canonical lead: timeline entries,
+ * follow-up tasks, Telegram conversations, site visits and contact messages
+ * all move to the surviving lead before the copies are deleted.
+ */
+
+require('dotenv').config();
+const { normalizePhone, normalizePhoneOrRaw } = require('./phone');
+const { logLeadActivity } = require('./leadActivities');
+const { budgetColumns } = require('./budget');
+
+// Lead fields copied from a duplicate when the primary has none
+const FILLABLE_FIELDS = ['budget', 'city', 'assigned_to', 'assigned_at', 'lost_reason'];
+
+// "Table does not exist" from Postgres and from PostgREST's schema cache
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+
+/**
+ * Supabase REST request
+ * Service key only: merging deletes leads and rewrites their
+ * timelines, which the public anon key must never be able to do
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('Lead merging needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        console.error('❌ Supabase error:', errorData);
+        const error = new Error(errorData.message || 'Merge database error');
+        error.code = errorData.code;
+        throw error;
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+/**
+ * PostgREST in.() list with quoted, URL-encoded values
+ */
+function inList(values) {
+    return `in.(${values.map(v => encodeURIComponent(`"${v}"`)).join(',')})`;
+}
+
+/**
+ * Move rows to the primary lead; a table this database doesn't have is skipped
+ * @returns {Promise<number>} Rows moved
+ * @throws {Error} Any other failure - the merge must stop before the
+ *   duplicates (and, by cascade, their unmoved rows) are deleted
+ */
+async function moveRows(table, filter, updates) {
+    try {
+        const rows = await supabaseRequest(`${table}?${filter}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+        return rows.length;
+    } catch (error) {
+        if (MISSING_TABLE_CODES.includes(error.code)) {
+            console.log(`⚠️ No ${table} table, nothing to move`);
+            return 0;
+        }
+        throw new Error(`Could not move ${table} rows (${error.message}); no leads were deleted`);
+    }
+}
+
+/**
+ * Group CRM leads that share a phone number
+ *
+ * @param {Object} [options]
+ * @param {string} [options.team] - Only look inside one team
+ * @returns {Promise<Array>} [{ phone, leads, suggested_primary_id }]
+ */
+async function findDuplicateGroups({ team } = {}) {
+    let query = 'leads_crm?select=id,name,phone,budget,city,stage,team,lead_source,assigned_to,created_at&order=created_at.asc';
+    if (team && team !== 'all') {
+        query += `&team=eq.${encodeURIComponent(team)}`;
+    }
+
+    const leads = await supabaseRequest(query);
+    const groups = new Map();
+
+    leads.forEach(lead => {
+        const key = normalizePhoneOrRaw(lead.phone);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(lead);
+    });
+
+    return [...groups.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([phone, group]) => ({
+            phone,
+            leads: group,
+            // Oldest lead keeps the longest history
+            suggested_primary_id: group[0].id
+        }));
+}
+
+/**
+ * Fold duplicate leads into a primary lead
+ *
+ * @param {string} primaryId - Lead that survives
+ * @param {Array<string>} duplicateIds - Leads folded in and deleted
+ * @param {Object} [options]
+ * @param {string} [options.merged_by='admin'] - Who ran the merge
+ * @returns {Promise<Object>} { success, lead?, merged?, moved?, error?, status? }
+ */
+async function mergeLeads(primaryId, duplicateIds, { merged_by = 'admin' } = {}) {
+    try {
+        if (!primaryId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+            return { success: false, status: 400, error: 'primary_id and a non-empty duplicate_ids array are required' };
+        }
+
+        const dupIds = [...new Set(duplicateIds)].filter(id => id !== primaryId);
+        if (dupIds.length === 0) {
+            return { success: false, status: 400, error: 'duplicate_ids must contain leads other than the primary' };
+        }
+
+        const leads = await supabaseRequest(`leads_crm?select=*&id=${inList([primaryId, ...dupIds])}`);
+        const primary = leads.find(l => l.id === primaryId);
+        const duplicates = leads.filter(l => dupIds.includes(l.id));
+
+        if (!primary) {
+            return { success: false, status: 404, error: 'Primary lead not found' };
+        }
+        if (duplicates.length !== dupIds.length) {
+            const missing = dupIds.filter(id => !duplicates.some(d => d.id === id));
+            return { success: false, status: 404, error: `Leads not found: ${missing.join(', ')}` };
+        }
+
+        const primaryPhone = normalizePhone(primary.phone) || primary.phone;
+
+        // Fill gaps on the primary from the newest duplicate that has a value
+        const updates = {};
+        const newestFirst = [...duplicates].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        FILLABLE_FIELDS.forEach(field => {
+            if (primary[field]) return;
+            const source = newestFirst.find(d => d[field]);
+            if (source) updates[field] = source[field];
+        });
+        // Keep the parsed range in step with the budget text
+        if (updates.budget || (primary.budget && primary.budget_max_inr == null)) {
+            Object.assign(updates, budgetColumns(updates.budget || primary.budget));
+        }
+        if (primaryPhone !== primary.phone) {
+            updates.phone = primaryPhone;
+        }
+
+        // Every phone spelling used by the duplicates (and a legacy primary), raw and normalised
+        const otherPhones = [...new Set([primary, ...duplicates].flatMap(l => [l.phone, normalizePhone(l.phone)]))]
+            .filter(p => p && p !== primaryPhone);
+
+        const moved = {
+            activities: await moveRows('lead_activities', `lead_id=${inList(dupIds)}`, { lead_id: primaryId }),
+            tasks: await moveRows('lead_tasks', `lead_id=${inList(dupIds)}`, { lead_id: primaryId }),
+            conversations: await moveRows('conversations', `lead_id=${inList(dupIds)}`, { lead_id: primaryId }),
+            site_visits: otherPhones.length
+                ? await moveRows('site_visits', `phone=${inList(otherPhones)}`, { phone: primaryPhone })
+                : 0,
+            contact_messages: otherPhones.length
+                ? await moveRows('contact_messages', `phone=${inList(otherPhones)}`, { phone: primaryPhone })
+                : 0
+        };
+
+        let lead = primary;
+        if (Object.keys(updates).length > 0) {
+            const updated = await supabaseRequest(`leads_crm?id=eq.${primaryId}`, {
+                method: 'PATCH',
+                body: JSON.stringify(updates)
+            });
+            lead = updated[0] || { ...primary, ...updates };
+        }
+
+        await supabaseRequest(`leads_crm?id=${inList(dupIds)}`, { method: 'DELETE' });
+
+        await logLeadActivity({
+            lead_id: primaryId,
+            type: 'merge',
+            content: `Merged ${duplicates.length} duplicate lead${duplicates.length > 1 ? 's' : ''}: ${duplicates.map(d => `${d.name} (${d.phone})`).join(', ')}`,
+            metadata: {
+                merged_ids: dupIds,
+                merged_leads: duplicates.map(d => ({ id: d.id, name: d.name, phone: d.phone, stage: d.stage, lead_source: d.lead_source })),
+                filled_fields: Object.keys(updates),
+                moved
+            },
+            created_by: merged_by
+        });
+
+        console.log(`🔗 Merged ${duplicates.length} leads into ${primaryId}`, moved);
+
+        return { success: true, lead, merged: duplicates.length, moved };
+
+    } catch (error) {
+        console.error('❌ mergeLeads error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    findDuplicateGroups,
+    mergeLeads
+};
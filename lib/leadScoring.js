@@ -0,0 +1,261 @@
+/**
+ * ========================================
+ * AIONUS - LEAD SCORING
+ * ========================================
+ * Computes a 0-100 score per CRM lead from signals we already
+ * collect and stores it on leads_crm (score, score_breakdown).
+ *
+ * Signals (points):
+ * - Budget            up to 25  (parsed budget_max_inr)
+ * - Site visit booked       25  (site_visits with the lead's phone, not cancelled)
+ * - Chat messages     up to 20  (messages the buyer sent: conversations + website chatbot)
+ * - Properties opened up to 15  (property_view timeline entries)
+ * - Recency           up to 15  (time since last contact)
+ *
+ * Every timeline write (lib/leadActivities.js) triggers a recompute,
+ * so the score follows chats, visits, calls and stage changes.
+ * Recency decays without events; POST /api/crm/scores/recompute
+ * refreshes every lead and can be run on a schedule.
+ */
+
+require('dotenv').config();
+const { normalizePhoneOrRaw } = require('./phone');
+
+// Budget bands, highest first: [min rupees, points]
+const BUDGET_POINTS = [
+    [50000000, 25], // 5 Cr+
+    [20000000, 20], // 2 Cr+
+    [10000000, 15], // 1 Cr+
+    [5000000, 10],  // 50 L+
+    [0, 5]          // any stated budget
+];
+
+const SITE_VISIT_POINTS = 25;
+
+const MESSAGE_POINTS_EACH = 2;
+const MESSAGE_POINTS_MAX = 20;
+
+const PROPERTY_POINTS_EACH = 5;
+const PROPERTY_POINTS_MAX = 15;
+
+// Days since last contact: [max days, points]
+const RECENCY_POINTS = [
+    [1, 15],
+    [3, 12],
+    [7, 8],
+    [14, 4],
+    [30, 2]
+];
+
+// Timeline entries that count as contact with the buyer
+const CONTACT_TYPES = ['lead_created', 'call', 'site_visit', 'chatbot_message', 'telegram_message', 'property_view'];
+
+// Leads per batch when recomputing everything
+const RECOMPUTE_BATCH_SIZE = 200;
+
+/**
+ * Supabase REST request (returns the raw response so counts can be read)
+ * Uses the service key when set (site_visits / conversations are
+ * written with it), otherwise the anon key
+ */
+async function supabaseFetch(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Scoring database error');
+    }
+
+    return response;
+}
+
+/**
+ * Row count for a query, without fetching rows.
+ * Optional tables (site_visits, conversations) count as 0 if unreachable.
+ */
+async function countRows(path) {
+    try {
+        const response = await supabaseFetch(path, {
+            method: 'HEAD',
+            headers: { 'Prefer': 'count=exact' }
+        });
+        const match = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+        return match ? parseInt(match[1], 10) : 0;
+    } catch (error) {
+        console.error(`⚠️ Could not count ${path.split('?')[0]}:`, error.message);
+        return 0;
+    }
+}
+
+/**
+ * Score a lead from its signals (pure; no database access)
+ *
+ * @param {Object} signals
+ * @param {number|null} signals.budget_inr - Upper end of the stated budget
+ * @param {number} signals.site_visits - Site visits booked
+ * @param {number} signals.messages - Messages the buyer sent
+ * @param {number} signals.properties_viewed - Distinct properties opened
+ * @param {string|Date|null} signals.last_contacted_at - Most recent contact
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { score, breakdown: { budget, site_visit, messages, properties, recency } }
+ */
+function computeScore(signals, now = new Date()) {
+    const budgetBand = signals.budget_inr > 0 && BUDGET_POINTS.find(([min]) => signals.budget_inr >= min);
+
+    let recency = 0;
+    if (signals.last_contacted_at) {
+        const days = (now - new Date(signals.last_contacted_at)) / 86400000;
+        const band = RECENCY_POINTS.find(([maxDays]) => days <= maxDays);
+        recency = band ? band[1] : 0;
+    }
+
+    const breakdown = {
+        budget: budgetBand ? budgetBand[1] : 0,
+        site_visit: signals.site_visits > 0 ? SITE_VISIT_POINTS : 0,
+        messages: Math.min(signals.messages * MESSAGE_POINTS_EACH, MESSAGE_POINTS_MAX),
+        properties: Math.min(signals.properties_viewed * PROPERTY_POINTS_EACH, PROPERTY_POINTS_MAX),
+        recency
+    };
+
+    const score = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+
+    return { score: Math.max(0, Math.min(100, score)), breakdown };
+}
+
+/**
+ * Gather a lead's signals from leads_crm, lead_activities,
+ * site_visits and conversations
+ */
+async function getLeadSignals(lead) {
+    const activitiesResponse = await supabaseFetch(
+        `lead_activities?select=type,created_by,created_at,property_id:metadata->>property_id&lead_id=eq.${lead.id}&order=created_at.desc`
+    );
+    const activities = await activitiesResponse.json();
+
+    const phone = normalizePhoneOrRaw(lead.phone);
+    const [siteVisits, telegramMessages] = await Promise.all([
+        phone ? countRows(`site_visits?select=id&phone=eq.${encodeURIComponent(phone)}&status=neq.cancelled`) : 0,
+        countRows(`conversations?select=id&lead_id=eq.${lead.id}&role=eq.user`)
+    ]);
+
+    // Website chatbot messages only exist on the timeline
+    const chatbotMessages = activities.filter(a => a.type === 'chatbot_message' && a.created_by === 'lead').length;
+
+    const propertyIds = new Set(activities
+        .filter(a => a.type === 'property_view' && a.property_id)
+        .map(a => a.property_id));
+
+    const lastContact = activities.find(a => CONTACT_TYPES.includes(a.type));
+
+    return {
+        budget_inr: lead.budget_max_inr ?? lead.budget_min_inr ?? null,
+        site_visits: siteVisits,
+        messages: telegramMessages + chatbotMessages,
+        properties_viewed: propertyIds.size,
+        last_contacted_at: lastContact?.created_at || lead.created_at || null
+    };
+}
+
+/**
+ * Recompute and store one lead's score
+ *
+ * @param {string|Object} leadOrId - leads_crm id, or the row itself
+ * @returns {Promise<Object>} { success, score?, breakdown?, error? }
+ */
+async function recomputeLeadScore(leadOrId) {
+    try {
+        let lead = leadOrId;
+        if (typeof leadOrId !== 'object') {
+            const response = await supabaseFetch(
+                `leads_crm?select=id,phone,budget_min_inr,budget_max_inr,created_at&id=eq.${leadOrId}`
+            );
+            lead = (await response.json())[0];
+            if (!lead) return { success: false, error: 'Lead not found' };
+        }
+
+        const signals = await getLeadSignals(lead);
+        const { score, breakdown } = computeScore(signals);
+
+        await supabaseFetch(`leads_crm?id=eq.${lead.id}`, {
+            method: 'PATCH',
+            headers: { 'Prefer': 'return=minimal' },
+            body: JSON.stringify({
+                score,
+                score_breakdown: { ...breakdown, signals },
+                score_updated_at: new Date().toISOString(),
+                last_contacted_at: signals.last_contacted_at
+            })
+        });
+
+        return { success: true, score, breakdown };
+
+    } catch (error) {
+        console.error('❌ recomputeLeadScore error:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Recompute every lead's score (recency decays between events)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.team] - Only one team's leads
+ * @returns {Promise<Object>} { success, updated, failed, error? }
+ */
+async function recomputeAllScores({ team } = {}) {
+    let updated = 0;
+    let failed = 0;
+
+    try {
+        for (let offset = 0; ; offset += RECOMPUTE_BATCH_SIZE) {
+            let query = `leads_crm?select=id,phone,budget_min_inr,budget_max_inr,created_at&order=created_at.asc&limit=${RECOMPUTE_BATCH_SIZE}&offset=${offset}`;
+            if (team && team !== 'all') {
+                query += `&team=eq.${encodeURIComponent(team)}`;
+            }
+
+            const response = await supabaseFetch(query);
+            const leads = await response.json();
+
+            for (const lead of leads) {
+                const result = await recomputeLeadScore(lead);
+                if (result.success) updated++;
+                else failed++;
+            }
+
+            if (leads.length < RECOMPUTE_BATCH_SIZE) break;
+        }
+
+        console.log(`🎯 Lead scores recomputed: ${updated} updated, ${failed} failed`);
+        return { success: true, updated, failed };
+
+    } catch (error) {
+        console.error('❌ recomputeAllScores error:', error.message);
+        return { success: false, updated, failed, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    computeScore,
+    recomputeLeadScore,
+    recomputeAllScores
+};
@@ -0,0 +1,250 @@
+/**
+ * ========================================
+ * AIONUS - LEAD SPREADSHEETS
+ * ========================================
+ * CSV / XLSX reading and writing for CRM lead export and import.
+ * Portal and expo lists arrive with all sorts of headers
+ * ("Mobile No", "Customer Name"), so import columns are
+ * matched against a list of aliases unless mapped explicitly.
+ */
+
+const ExcelJS = require('exceljs');
+
+// Columns written by the export, in order
+const EXPORT_COLUMNS = [
+    { header: 'Name', key: 'name', width: 24 },
+    { header: 'Phone', key: 'phone', width: 18 },
+    { header: 'Budget', key: 'budget', width: 16 },
+    { header: 'Budget Min (INR)', key: 'budget_min_inr', width: 16 },
+    { header: 'Budget Max (INR)', key: 'budget_max_inr', width: 16 },
+    { header: 'City', key: 'city', width: 14 },
+    { header: 'Source', key: 'lead_source', width: 16 },
+    { header: 'Stage', key: 'stage', width: 14 },
+    { header: 'Team', key: 'team', width: 12 },
+    { header: 'Owner', key: 'owner', width: 20 },
+    { header: 'Score', key: 'score', width: 8 },
+    { header: 'Lost Reason', key: 'lost_reason', width: 24 },
+    { header: 'Created At', key: 'created_at', width: 22 }
+];
+
+// Lead fields an import can fill, with the headers we recognise for each
+const IMPORT_FIELDS = {
+    name: ['name', 'full name', 'customer name', 'client name', 'lead name', 'contact name'],
+    phone: ['phone', 'mobile', 'mobile no', 'mobile number', 'phone number', 'contact', 'contact number', 'whatsapp', 'whatsapp number'],
+    budget: ['budget', 'price range', 'budget range', 'investment'],
+    city: ['city', 'location', 'preferred city', 'preferred location'],
+    lead_source: ['source', 'lead source', 'portal', 'campaign']
+};
+
+/**
+ * Flatten a lead row into export column values
+ */
+function toExportRow(lead) {
+    return {
+        ...lead,
+        owner: lead.agent?.name || ''
+    };
+}
+
+/**
+ * Quote a CSV cell; cells that a spreadsheet would run as a
+ * formula are prefixed with ' (phones like +91... are left alone)
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=@\t\r]/.test(text) || /^[+-][^\d\s]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build a CSV of leads (with a BOM so Excel reads ₹ and names correctly)
+ *
+ * @param {Array<Object>} leads - leads_crm rows (optionally with agent embedded)
+ * @returns {string} CSV text
+ */
+function leadsToCSV(leads) {
+    const lines = [EXPORT_COLUMNS.map(c => csvCell(c.header)).join(',')];
+
+    leads.forEach(lead => {
+        const row = toExportRow(lead);
+        lines.push(EXPORT_COLUMNS.map(c => csvCell(row[c.key])).join(','));
+    });
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an XLSX workbook of leads
+ *
+ * @param {Array<Object>} leads - leads_crm rows (optionally with agent embedded)
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+async function leadsToXLSX(leads) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'AIONUS CRM';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Leads', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: 'A1', to: { row: 1, column: EXPORT_COLUMNS.length } };
+
+    leads.forEach(lead => {
+        const row = toExportRow(lead);
+        sheet.addRow({
+            ...row,
+            created_at: row.created_at ? new Date(row.created_at) : null
+        });
+    });
+
+    sheet.getColumn('budget_min_inr').numFmt = '#,##0';
+    sheet.getColumn('budget_max_inr').numFmt = '#,##0';
+    sheet.getColumn('created_at').numFmt = 'dd-mmm-yyyy hh:mm';
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells,
+ * doubled quotes, newlines inside quotes, CRLF or LF)
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Plain text for an ExcelJS cell value (rich text, links, formulas, dates)
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * Read the first sheet of an uploaded CSV or XLSX file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name (picks the parser)
+ * @returns {Promise<Object>} { headers, rows } where rows are
+ *   { row_number, values: { header: text } }; blank lines are dropped
+ */
+async function parseSpreadsheet(buffer, filename = '') {
+    let table;
+
+    if (/\.xlsx$/i.test(filename)) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+        const sheet = workbook.worksheets[0];
+        if (!sheet) throw new Error('The workbook has no sheets');
+
+        table = [];
+        sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+            // row.values is 1-based
+            table[rowNumber - 1] = row.values.slice(1).map(cellText);
+        });
+        table = Array.from(table, r => r || []);
+    } else {
+        table = parseCSV(buffer.toString('utf8'));
+    }
+
+    const headers = (table[0] || []).map(h => String(h).trim());
+    if (headers.filter(Boolean).length === 0) {
+        throw new Error('The first row must contain column headers');
+    }
+
+    const rows = [];
+    table.slice(1).forEach((cells, index) => {
+        if (!cells.some(c => String(c).trim() !== '')) return;
+
+        const values = {};
+        headers.forEach((header, col) => {
+            if (header) values[header] = String(cells[col] ?? '').trim();
+        });
+        // Spreadsheet row number (header is row 1)
+        rows.push({ row_number: index + 2, values });
+    });
+
+    return { headers, rows };
+}
+
+/**
+ * Match file headers to lead fields by alias
+ *
+ * @param {Array<string>} headers - Headers from the file
+ * @returns {Object} { field: header } for every field that was found
+ */
+function guessColumnMapping(headers) {
+    const simplify = h => String(h).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const mapping = {};
+
+    Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+        const header = headers.find(h => aliases.includes(simplify(h)));
+        if (header) mapping[field] = header;
+    });
+
+    return mapping;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    EXPORT_COLUMNS,
+    IMPORT_FIELDS,
+    leadsToCSV,
+    leadsToXLSX,
+    parseSpreadsheet,
+    guessColumnMapping
+};
@@ -0,0 +1,85 @@
+/**
+ * ========================================
+ * AIONUS - PHONE NORMALISATION
+ * ========================================
+ * Stores every phone number in E.164 so the same buyer typed
+ * as "+91 98765 43210", "9876543210" or "919876543210"
+ * becomes one value: "+919876543210"
+ */
+
+const INDIA_CODE = '91';
+
+/**
+ * Normalise a phone number to E.164
+ * Numbers without a country code are treated as Indian.
+ *
+ * @param {string|number} raw - Phone as typed
+ * @returns {string|null} E.164 number, or null if it can't be a valid number
+ */
+function normalizePhone(raw) {
+    if (raw === null || raw === undefined) return null;
+
+    const text = String(raw).trim();
+    if (!text) return null;
+
+    const hasPlus = text.startsWith('+');
+    let digits = text.replace(/\D/g, '');
+
+    // International dialling prefix: 0091..., 00971...
+    if (!hasPlus && digits.startsWith('00')) {
+        digits = digits.slice(2);
+        return isValidInternational(digits) ? `+${digits}` : null;
+    }
+
+    if (hasPlus) {
+        if (digits.startsWith(INDIA_CODE)) {
+            const national = digits.slice(INDIA_CODE.length).replace(/^0/, '');
+            return isValidIndian(national) ? `+${INDIA_CODE}${national}` : null;
+        }
+        return isValidInternational(digits) ? `+${digits}` : null;
+    }
+
+    // Trunk prefix: 09876543210, 022 2345 6789
+    digits = digits.replace(/^0+/, '');
+
+    if (digits.length === 12 && digits.startsWith(INDIA_CODE)) {
+        digits = digits.slice(INDIA_CODE.length);
+    }
+
+    return isValidIndian(digits) ? `+${INDIA_CODE}${digits}` : null;
+}
+
+/**
+ * Indian numbers are 10 digits: mobiles start 6-9,
+ * landlines (with STD code) start 2-5
+ */
+function isValidIndian(national) {
+    return /^[2-9]\d{9}$/.test(national);
+}
+
+/**
+ * E.164 allows up to 15 digits including the country code
+ */
+function isValidInternational(digits) {
+    return /^[1-9]\d{7,14}$/.test(digits);
+}
+
+/**
+ * Normalise, falling back to the trimmed input when it can't be parsed
+ * (for lookups where a miss is better than throwing the value away)
+ *
+ * @param {string} raw - Phone as typed
+ * @returns {string} E.164 number or trimmed original
+ */
+function normalizePhoneOrRaw(raw) {
+    return normalizePhone(raw) || String(raw ?? '').trim();
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    normalizePhone,
+    normalizePhoneOrRaw
+};
@@ -0,0 +1,150 @@
+/**
+ * ========================================
+ * AIONUS - SALES PIPELINE
+ * ========================================
+ * Loads each team's ordered stage list from pipeline_stages
+ * and validates stage changes against it
+ */
+
+require('dotenv').config();
+
+const DEFAULT_TEAM = 'default';
+
+// Used when the pipeline_stages table is empty or unreachable.
+// Matches the original leads_crm CHECK constraint from 003_leads_crm.sql
+const DEFAULT_STAGES = [
+    { key: 'new', label: 'New', emoji: '🆕', color: '#8b95a7', position: 1, is_won: false, is_lost: false },
+    { key: 'contacted', label: 'Contacted', emoji: '📞', color: '#4f7df3', position: 2, is_won: false, is_lost: false },
+    { key: 'interested', label: 'Interested', emoji: '⭐', color: '#9945ff', position: 3, is_won: false, is_lost: false },
+    { key: 'hot', label: 'Hot', emoji: '🔥', color: '#f93a8b', position: 4, is_won: false, is_lost: false },
+    { key: 'closed', label: 'Closed', emoji: '✅', color: '#00d984', position: 5, is_won: true, is_lost: false }
+];
+
+const CACHE_TTL_MS = 30 * 1000;
+const stageCache = new Map();
+
+/**
+ * Build Supabase REST headers
+ */
+function supabaseHeaders() {
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+    return {
+        'apikey': SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+/**
+ * Fetch active stages for one team, ordered by position
+ * @param {string} team - Team name
+ * @returns {Promise<Array>} Stages (may be empty)
+ */
+async function fetchTeamStages(team) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+
+    if (!SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+        return [];
+    }
+
+    const response = await fetch(
+        `${SUPABASE_URL}/rest/v1/pipeline_stages?select=*&team=eq.${encodeURIComponent(team)}&is_active=eq.true&order=position.asc`,
+        { headers: supabaseHeaders() }
+    );
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        console.error('❌ Pipeline fetch failed:', errorData);
+        return [];
+    }
+
+    return response.json();
+}
+
+/**
+ * Get the ordered stage list for a team
+ * Falls back to the default team, then to DEFAULT_STAGES
+ * @param {string} [team='default'] - Team name
+ * @returns {Promise<Array>} Ordered stages
+ */
+async function getPipelineStages(team = DEFAULT_TEAM) {
+    const teamName = team || DEFAULT_TEAM;
+    const cached = stageCache.get(teamName);
+
+    if (cached && cached.expires > Date.now()) {
+        return cached.stages;
+    }
+
+    let stages = [];
+    try {
+        stages = await fetchTeamStages(teamName);
+        if (stages.length === 0 && teamName !== DEFAULT_TEAM) {
+            stages = await getPipelineStages(DEFAULT_TEAM);
+        }
+    } catch (error) {
+        console.error('❌ getPipelineStages error:', error.message);
+    }
+
+    if (stages.length === 0) {
+        stages = DEFAULT_STAGES;
+    }
+
+    stageCache.set(teamName, { stages, expires: Date.now() + CACHE_TTL_MS });
+    return stages;
+}
+
+/**
+ * Forget cached stages (call after editing the pipeline)
+ * @param {string} [team] - Team to clear, or all teams
+ */
+function clearPipelineCache(team) {
+    if (team) {
+        stageCache.delete(team);
+    } else {
+        stageCache.clear();
+    }
+}
+
+/**
+ * Check that a stage exists in a team's pipeline
+ * @param {string} stageKey - Stage key (e.g. 'hot')
+ * @param {string} [team='default'] - Team name
+ * @returns {Promise<Object>} { valid, stage?, stages, error? }
+ */
+async function validateStage(stageKey, team = DEFAULT_TEAM) {
+    const stages = await getPipelineStages(team);
+    const stage = stages.find(s => s.key === stageKey);
+
+    if (!stage) {
+        return {
+            valid: false,
+            stages,
+            error: `Invalid stage. Must be one of: ${stages.map(s => s.key).join(', ')}`
+        };
+    }
+
+    return { valid: true, stage, stages };
+}
+
+/**
+ * Get the first stage of a team's pipeline (used for new leads)
+ * @param {string} [team='default'] - Team name
+ * @returns {Promise<string>} Stage key
+ */
+async function getInitialStage(team = DEFAULT_TEAM) {
+    const stages = await getPipelineStages(team);
+    return stages[0]?.key || 'new';
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    DEFAULT_TEAM,
+    DEFAULT_STAGES,
+    getPipelineStages,
+    clearPipelineCache,
+    validateStage,
+    getInitialStage
+};
@@ -0,0 +1,128 @@
+/**
+ * ========================================
+ * AIONUS - PROPERTY CATALOGUE
+ * ========================================
+ * The website's property cards (the `properties` array in
+ * script.js) on the server, so the Telegram bot can show buyers
+ * the same listings - photo, price, beds, amenities.
+ *
+ * script.js stays the only copy: the array literal is read from
+ * it once and evaluated in an empty sandbox. A property's `id`
+ * is projects.property_id (lib/visitCalendar.js findProject).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseBudgetINR } = require('./budget');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'script.js');
+
+// Typed words for each property type (keys match lib/telegramKeyboards.js PROPERTY_TYPES)
+const TYPE_KEYWORDS = {
+    villa: ['villa', 'bungalow', 'kothi'],
+    apartment: ['apartment', 'flat', 'bhk'],
+    penthouse: ['penthouse'],
+    offplan: ['off-plan', 'offplan', 'off plan', 'under construction', 'new launch']
+};
+
+// How far outside the stated budget a property may be
+const BUDGET_STRETCH = 1.15;
+const BUDGET_FLOOR = 0.85;
+
+let catalogue = null;
+
+/**
+ * All properties on the website
+ * @returns {Array<Object>} [] when script.js can't be read
+ */
+function getCatalogue() {
+    if (catalogue) return catalogue;
+
+    try {
+        const source = fs.readFileSync(SCRIPT_PATH, 'utf8');
+        const start = source.indexOf('const properties = [');
+        const end = source.indexOf('\n];', start);
+        if (start === -1 || end === -1) {
+            throw new Error('properties array not found in script.js');
+        }
+
+        const literal = source.slice(source.indexOf('[', start), end + 2);
+        catalogue = vm.runInNewContext(`(${literal})`, {}, { timeout: 1000 });
+        console.log(`🏠 Property catalogue loaded: ${catalogue.length} properties`);
+    } catch (error) {
+        console.error('❌ Property catalogue error:', error.message);
+        catalogue = [];
+    }
+
+    return catalogue;
+}
+
+/**
+ * One property by its website id
+ */
+function getProperty(propertyId) {
+    return getCatalogue().find(property => property.id === Number(propertyId)) || null;
+}
+
+/**
+ * Property type named in free text ("2 BHK flat chahiye" → apartment)
+ */
+function detectPropertyType(text) {
+    const lower = String(text || '').toLowerCase();
+    return Object.keys(TYPE_KEYWORDS).find(type => TYPE_KEYWORDS[type].some(word => lower.includes(word))) || null;
+}
+
+function matchesType(property, type) {
+    return type === 'offplan' ? property.status === 'offplan' : property.type === type;
+}
+
+function matchesBudget(property, budget) {
+    const range = budget ? parseBudgetINR(budget) : null;
+    if (!range?.max_inr) return true;
+
+    // A single figure ("1 Crore") is an upper limit
+    const floor = range.min_inr && range.min_inr < range.max_inr ? range.min_inr * BUDGET_FLOOR : range.max_inr * 0.5;
+    return property.price <= range.max_inr * BUDGET_STRETCH && property.price >= floor;
+}
+
+/**
+ * Properties for a buyer, best first
+ * Properties named in `text` win; otherwise city, type and budget
+ * narrow the list and featured ones come first.
+ *
+ * @param {Object} criteria
+ * @param {string} [criteria.city] - e.g. "Mumbai"
+ * @param {string} [criteria.type] - villa | apartment | penthouse | offplan
+ * @param {string} [criteria.budget] - Budget as typed ("1-2 Cr")
+ * @param {string} [criteria.text] - The buyer's message
+ * @param {number} [criteria.limit=3]
+ * @returns {Array<Object>}
+ */
+function findProperties({ city = null, type = null, budget = null, text = '', limit = 3 } = {}) {
+    const properties = getCatalogue();
+    const lower = String(text || '').toLowerCase();
+
+    const named = properties.filter(property => lower.includes(property.title.toLowerCase()));
+    if (named.length > 0) return named.slice(0, limit);
+
+    const wantedType = type || detectPropertyType(text);
+
+    return properties
+        .filter(property => !city || property.city === city.toLowerCase())
+        .filter(property => !wantedType || matchesType(property, wantedType))
+        .filter(property => matchesBudget(property, budget))
+        .sort((a, b) => (b.featured ? 1 : 0) - (a.featured ? 1 : 0) || a.price - b.price)
+        .slice(0, limit);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    getCatalogue,
+    getProperty,
+    detectPropertyType,
+    findProperties
+};
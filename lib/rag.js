@@ -13,6 +13,9 @@ const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const EMBEDDING_MODEL = 'text-embedding-004';
 const TOP_K = 5;
 
+// Files buyers send the Telegram bot - only ever read back to that chat
+const BUYER_UPLOAD_TYPE = 'buyer_upload';
+
 /**
  * Create Supabase client
  */
@@ -88,6 +91,7 @@ async function retrieveContext(query, topK = TOP_K) {
             const { data: fallbackData, error: fallbackError } = await supabase
                 .from('document_chunks')
                 .select('content, document_id')
+                .neq('document_type', BUYER_UPLOAD_TYPE)
                 .limit(topK);
 
             if (fallbackError) {
@@ -123,6 +127,48 @@ async function retrieveContext(query, topK = TOP_K) {
     }
 }
 
+/**
+ * Retrieve context from the documents one Telegram chat uploaded
+ * (match_chat_documents, 027_buyer_uploads.sql)
+ * @param {string} query - User query
+ * @param {string|number} chatId - Telegram chat ID
+ * @param {number} topK - Number of results to return
+ * @returns {Promise<Object>} Context and metadata
+ */
+async function retrieveChatContext(query, chatId, topK = TOP_K) {
+    try {
+        const queryEmbedding = await generateQueryEmbedding(query);
+        const supabase = createServiceClient();
+
+        const { data, error } = await supabase.rpc('match_chat_documents', {
+            query_embedding: queryEmbedding,
+            chat_id: String(chatId),
+            match_threshold: 0.5,
+            match_count: topK
+        });
+
+        // No fallback: an unfiltered query could return other chats' files
+        if (error) {
+            throw error;
+        }
+
+        const context = data?.map(d => d.content).join('\n\n---\n\n') || '';
+        return {
+            context,
+            chunks: data?.length || 0,
+            source: 'chat_uploads'
+        };
+
+    } catch (error) {
+        console.error('❌ RAG chat retrieval error:', error.message);
+        return {
+            context: '',
+            chunks: 0,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Get simple context without embeddings (fallback)
  * @param {string} query - Search query
@@ -136,6 +182,7 @@ async function getSimpleContext(query) {
         const { data, error } = await supabase
             .from('document_chunks')
             .select('content')
+            .neq('document_type', BUYER_UPLOAD_TYPE)
             .textSearch('content', query.split(' ').slice(0, 3).join(' | '))
             .limit(5);
 
@@ -144,6 +191,7 @@ async function getSimpleContext(query) {
             const { data: latestData } = await supabase
                 .from('document_chunks')
                 .select('content')
+                .neq('document_type', BUYER_UPLOAD_TYPE)
                 .order('created_at', { ascending: false })
                 .limit(5);
 
@@ -165,7 +213,9 @@ async function getSimpleContext(query) {
 // ========================================
 
 module.exports = {
+    BUYER_UPLOAD_TYPE,
     retrieveContext,
+    retrieveChatContext,
     getSimpleContext,
     generateQueryEmbedding
 };
@@ -0,0 +1,593 @@
+/**
+ * ========================================
+ * AIONUS - SITE VISIT LIFECYCLE
+ * ========================================
+ * Moves a site visit through its statuses:
+ *
+ *   pending ─┬─ confirmed ─┬─ completed
+ *            │             ├─ no_show ── (rescheduled)
+ *            └─ rescheduled┴─ cancelled
+ *
+ * Every change is kept in site_visit_history (a reschedule keeps
+ * the old and new slot) and written to the timeline of the CRM
+ * lead with the visitor's phone. Completing a visit moves that
+ * lead forward in its pipeline (to "Site Visit Done" when the
+ * team has that stage) and asks the buyer for feedback
+ * (lib/visitFeedback.js).
+ *
+ * The slot is site_visits.visit_at (timestamptz). Buyers pick an
+ * Indian wall-clock time, so date + time input is read as
+ * Asia/Kolkata; visit_date / visit_time keep the same slot as
+ * IST text (YYYY-MM-DD, HH:MM) for display and CSV exports.
+ * New and rescheduled slots must be free in the project's visit
+ * calendar (lib/visitCalendar.js).
+ *
+ * Each visit is linked to the project the buyer wants to see
+ * (project_id) and their CRM lead (lead_id - the one the booking
+ * came from if it has the visitor's phone, else the newest lead with
+ * that phone). Completing a visit moves that lead on, no other.
+ *
+ * A visit is handled by the agent who owns the buyer's CRM lead
+ * and shows up in their calendar feed (lib/visitInvites.js); every
+ * change bumps ics_sequence so calendar apps pick it up, and the
+ * updated .ics goes to the buyer and agent on Telegram.
+ *
+ * Buyers who booked through Telegram get reminders 24h and 2h
+ * before the slot (lib/visitReminders.js), moved on reschedule
+ * and dropped once the visit is cancelled or closed out.
+ */
+
+require('dotenv').config();
+const { logLeadActivity, logLeadActivityByPhone } = require('./leadActivities');
+const { DEFAULT_TEAM, getPipelineStages } = require('./pipeline');
+const { normalizePhone, normalizePhoneOrRaw } = require('./phone');
+const { ACTIVE_VISIT_STATUSES, VISIT_TIMEZONE, findProject, checkVisitSlot, formatVisitSlot } = require('./visitCalendar');
+const { scheduleVisitReminders, cancelVisitReminders } = require('./visitReminders');
+const { requestVisitFeedback } = require('./visitFeedback');
+const { sendVisitInvite } = require('./visitInvites');
+
+const VISIT_STATUSES = ['pending', 'confirmed', 'rescheduled', 'cancelled', 'completed', 'no_show'];
+
+// action → { to: status, from: statuses it may start from }
+const VISIT_TRANSITIONS = {
+    confirm: { to: 'confirmed', from: ['pending', 'rescheduled'] },
+    reschedule: { to: 'rescheduled', from: ['pending', 'confirmed', 'rescheduled', 'no_show'] },
+    cancel: { to: 'cancelled', from: ['pending', 'confirmed', 'rescheduled'] },
+    complete: { to: 'completed', from: ['pending', 'confirmed', 'rescheduled'] },
+    no_show: { to: 'no_show', from: ['pending', 'confirmed', 'rescheduled'] }
+};
+
+// History / timeline wording per action
+const ACTION_LABELS = {
+    confirm: { history: 'confirmed', text: 'Site visit confirmed' },
+    reschedule: { history: 'rescheduled', text: 'Site visit rescheduled' },
+    cancel: { history: 'cancelled', text: 'Site visit cancelled' },
+    complete: { history: 'completed', text: 'Site visit completed' },
+    no_show: { history: 'no_show', text: 'Buyer did not turn up for the site visit' }
+};
+
+// Pipeline stage a completed visit moves the lead to, when the team has it
+const VISIT_DONE_STAGE = 'site_visit_done';
+// ...and the one booking a visit moves it to (the website used to do this itself)
+const VISIT_BOOKED_STAGE = 'interested';
+
+const IST_OFFSET = '+05:30';
+
+// Time used when only a date is given (Telegram "2024-12-15")
+const DEFAULT_VISIT_TIME = '10:00';
+
+// Raised by the site_visits capacity trigger (migration 016)
+const SLOT_FULL_CODE = '23P01';
+const SLOT_FULL_ERROR = 'That visit slot was just taken. Please pick another time.';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (site_visits is written with it),
+ * otherwise the anon key
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        const error = new Error(errorData.message || 'Site visits database error');
+        error.code = errorData.code;
+        throw error;
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+/**
+ * Parse and validate a visit slot
+ * Accepts a date (YYYY-MM-DD) and a time ("14:30", "2:30 PM") read as
+ * IST, or an ISO visit_at with an explicit offset. Past slots are rejected.
+ *
+ * @param {Object} slot - { date, time } or { visit_at }
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { visit_at, visit_date, visit_time } or { error }
+ */
+function parseVisitSlot({ date, time, visit_at } = {}, now = new Date()) {
+    let visitAt;
+
+    if (visit_at) {
+        const text = String(visit_at).trim();
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(text) || isNaN(new Date(text))) {
+            return { error: 'visit_at must be an ISO timestamp with a timezone (e.g. 2024-12-15T10:00:00+05:30)' };
+        }
+        visitAt = new Date(text);
+    } else {
+        const dateText = String(date || '').trim();
+        const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateText);
+        if (!dateMatch) {
+            return { error: 'Date must be in YYYY-MM-DD format' };
+        }
+        const [, year, month, day] = dateMatch.map(Number);
+        const calendarDate = new Date(Date.UTC(year, month - 1, day));
+        if (calendarDate.getUTCFullYear() !== year || calendarDate.getUTCMonth() !== month - 1 || calendarDate.getUTCDate() !== day) {
+            return { error: `${dateText} is not a valid date` };
+        }
+
+        const timeText = String(time || DEFAULT_VISIT_TIME).trim();
+        const timeMatch = /^(\d{1,2}):(\d{2})\s*(am|pm)?$/i.exec(timeText);
+        if (!timeMatch) {
+            return { error: 'Time must be HH:MM (e.g. 14:30 or 2:30 PM)' };
+        }
+        let hours = Number(timeMatch[1]);
+        const minutes = Number(timeMatch[2]);
+        const meridiem = timeMatch[3]?.toLowerCase();
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return { error: `${timeText} is not a valid time` };
+            hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) {
+            return { error: `${timeText} is not a valid time` };
+        }
+
+        const pad = n => String(n).padStart(2, '0');
+        visitAt = new Date(`${dateText}T${pad(hours)}:${pad(minutes)}:00${IST_OFFSET}`);
+    }
+
+    if (visitAt < now) {
+        return { error: 'The visit slot is in the past. Please pick a future date and time.' };
+    }
+
+    // Same slot as IST text
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: VISIT_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(visitAt).map(p => [p.type, p.value]));
+
+    return {
+        visit_at: visitAt.toISOString(),
+        visit_date: `${parts.year}-${parts.month}-${parts.day}`,
+        visit_time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+/**
+ * Record a lifecycle change (never blocks the change itself)
+ */
+async function logVisitHistory(entry) {
+    try {
+        await supabaseRequest('site_visit_history', {
+            method: 'POST',
+            headers: { 'Prefer': 'return=minimal' },
+            body: JSON.stringify(entry)
+        });
+    } catch (error) {
+        console.error('⚠️ Could not record visit history:', error.message);
+    }
+}
+
+/**
+ * Fetch one visit
+ * @returns {Promise<Object|null>}
+ */
+async function getVisit(visitId) {
+    const visits = await supabaseRequest(`site_visits?select=*&id=eq.${visitId}`);
+    return visits[0] || null;
+}
+
+/**
+ * A visit's lifecycle, oldest first
+ * @returns {Promise<Array>}
+ */
+async function getVisitHistory(visitId) {
+    return supabaseRequest(`site_visit_history?select=*&visit_id=eq.${visitId}&order=created_at.asc`);
+}
+
+/**
+ * Agent who owns the newest CRM lead with this phone
+ * @returns {Promise<string|null>} agents.id
+ */
+async function findLeadOwner(phone) {
+    const leads = await supabaseRequest(
+        `leads_crm?select=assigned_to&phone=eq.${encodeURIComponent(phone)}&assigned_to=not.is.null&order=created_at.desc&limit=1`
+    );
+    return leads[0]?.assigned_to || null;
+}
+
+/**
+ * CRM lead a new visit belongs to
+ * The lead_id a booking sends is only trusted when that lead has
+ * the visitor's phone - public bookings could name any lead.
+ *
+ * @param {string} phone - Normalized phone
+ * @param {string} [leadId] - Lead the booking came from
+ * @returns {Promise<Object|null>} { id, assigned_to, stage, team }
+ */
+async function findVisitLead(phone, leadId) {
+    if (leadId && UUID_PATTERN.test(String(leadId))) {
+        const leads = await supabaseRequest(`leads_crm?select=id,phone,assigned_to,stage,team&id=eq.${leadId}`);
+        if (leads[0] && normalizePhoneOrRaw(leads[0].phone) === phone) {
+            return leads[0];
+        }
+    }
+
+    const leads = await supabaseRequest(
+        `leads_crm?select=id,assigned_to,stage,team&phone=eq.${encodeURIComponent(phone)}&order=created_at.desc&limit=1`
+    );
+    return leads[0] || null;
+}
+
+/**
+ * Book a site visit (website form, chatbot, Telegram)
+ *
+ * @param {Object} payload
+ * @param {string} payload.name - Visitor's name (required)
+ * @param {string} payload.phone - Visitor's phone (required)
+ * @param {string} [payload.date] - YYYY-MM-DD (IST)
+ * @param {string} [payload.time] - HH:MM or h:mm AM/PM (IST)
+ * @param {string} [payload.visit_at] - ISO timestamp with offset, instead of date + time
+ * @param {string} [payload.project] - Project UUID, slug or website property id
+ * @param {string} [payload.message] - Notes from the visitor
+ * @param {string} [payload.lead_id] - CRM lead the booking came from
+ * @param {string} [payload.source='website'] - Who booked it (history changed_by)
+ * @param {string|number} [payload.telegram_chat_id] - Bot chat to send reminders to
+ * @returns {Promise<Object>} { success, visit?, error?, status?, field? } - field is 'phone' or,
+ *   for a slot someone else holds (409), 'visit_at'
+ */
+async function createSiteVisit({ name, phone, date, time, visit_at, project, message, lead_id, source = 'website', telegram_chat_id } = {}) {
+    try {
+        if (!name || String(name).trim() === '') {
+            return { success: false, status: 400, error: 'Name is required' };
+        }
+        if (!phone || String(phone).trim() === '') {
+            return { success: false, status: 400, field: 'phone', error: 'Phone is required' };
+        }
+
+        const normalizedPhone = normalizePhone(phone);
+        if (!normalizedPhone) {
+            return { success: false, status: 400, field: 'phone', error: 'Invalid phone number' };
+        }
+
+        if (!visit_at && (!date || String(date).trim() === '')) {
+            return { success: false, status: 400, error: 'Preferred date is required' };
+        }
+
+        const slot = parseVisitSlot({ date, time, visit_at });
+        if (slot.error) {
+            return { success: false, status: 400, error: slot.error };
+        }
+
+        let projectRow = null;
+        if (project) {
+            projectRow = await findProject(project);
+            if (!projectRow || projectRow.is_active === false) {
+                return { success: false, status: 400, error: 'Unknown project' };
+            }
+        }
+
+        const availability = await checkVisitSlot(projectRow, slot);
+        if (!availability.success) {
+            return availability;
+        }
+
+        const lead = await findVisitLead(normalizedPhone, lead_id);
+
+        const data = await supabaseRequest('site_visits', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: String(name).trim(),
+                phone: normalizedPhone,
+                project_id: projectRow?.id || null,
+                lead_id: lead?.id || null,
+                agent_id: lead?.assigned_to || await findLeadOwner(normalizedPhone),
+                visit_at: slot.visit_at,
+                visit_date: slot.visit_date,
+                visit_time: slot.visit_time,
+                message: message ? String(message).trim() || null : null,
+                telegram_chat_id: telegram_chat_id ? String(telegram_chat_id) : null
+            })
+        });
+        const visit = data[0];
+
+        console.log('✅ Site visit scheduled:', visit.id, slot.visit_at);
+
+        await logVisitHistory({
+            visit_id: visit.id,
+            action: 'created',
+            to_status: visit.status || 'pending',
+            new_date: slot.visit_date,
+            new_time: slot.visit_time,
+            changed_by: source
+        });
+
+        // Add to the CRM timeline of any lead with this phone
+        await logLeadActivityByPhone(normalizedPhone, {
+            type: 'site_visit',
+            content: `Site visit requested for ${formatVisitSlot(slot.visit_at)}`,
+            metadata: { action: 'created', visit_id: visit.id, visit_at: slot.visit_at, message: visit.message }
+        });
+
+        await scheduleVisitReminders(visit);
+        await sendVisitInvite(visit, 'created');
+
+        if (lead) {
+            await advanceLead(lead, VISIT_BOOKED_STAGE, { visit, changedBy: source, reason: 'site visit booked' })
+                .catch(error => console.error('⚠️ Could not move lead after booking:', error.message));
+        }
+
+        return { success: true, visit };
+
+    } catch (error) {
+        if (error.code === SLOT_FULL_CODE) {
+            return { success: false, status: 409, field: 'visit_at', error: SLOT_FULL_ERROR };
+        }
+        console.error('❌ createSiteVisit error:', error.message);
+        return { success: false, status: 500, error: 'Failed to schedule visit' };
+    }
+}
+
+/**
+ * Move a CRM lead forward to a stage of its team's pipeline
+ * Never backwards and never into or out of a won/lost stage.
+ *
+ * @param {Object} lead - { id, stage, team }
+ * @param {string} stageKey - Stage to move to; the next stage when the team doesn't have it
+ * @param {Object} context - { visit, changedBy, reason } for the timeline entry
+ * @returns {Promise<Object|null>} { lead_id, from, to } if the lead moved
+ */
+async function advanceLead(lead, stageKey, { visit, changedBy, reason }) {
+    const team = lead.team || DEFAULT_TEAM;
+    const stages = await getPipelineStages(team);
+    const currentIndex = stages.findIndex(s => s.key === lead.stage);
+    const current = stages[currentIndex];
+
+    if (current && (current.is_won || current.is_lost)) return null;
+
+    const stageIndex = stages.findIndex(s => s.key === stageKey);
+    const targetIndex = stageIndex !== -1 ? stageIndex : currentIndex + 1;
+    const target = stages[targetIndex];
+
+    if (!target || targetIndex <= currentIndex || target.is_won || target.is_lost) return null;
+
+    await supabaseRequest(`leads_crm?id=eq.${lead.id}`, {
+        method: 'PATCH',
+        headers: { 'Prefer': 'return=minimal' },
+        body: JSON.stringify({ stage: target.key })
+    });
+
+    await logLeadActivity({
+        lead_id: lead.id,
+        type: 'stage_change',
+        content: `Stage changed from ${lead.stage || 'none'} to ${target.key} (${reason})`,
+        metadata: { from: lead.stage, to: target.key, team, visit_id: visit.id },
+        created_by: changedBy
+    });
+
+    console.log(`✅ CRM Lead stage updated (${reason}):`, lead.id, '→', target.key);
+    return { lead_id: lead.id, from: lead.stage, to: target.key };
+}
+
+/**
+ * Move the visit's CRM lead forward after a completed visit.
+ * Goes to "Site Visit Done" if the team's pipeline has it, otherwise
+ * one stage on.
+ * Visits without a lead_id (older rows) use the newest lead with
+ * the visitor's phone.
+ *
+ * @returns {Promise<Array>} [{ lead_id, from, to }] for leads that moved
+ */
+async function advanceLeadsForVisit(visit, changedBy) {
+    let leads;
+    if (visit.lead_id) {
+        leads = await supabaseRequest(`leads_crm?select=id,stage,team&id=eq.${visit.lead_id}`);
+    } else {
+        const phone = normalizePhoneOrRaw(visit.phone);
+        if (!phone) return [];
+        leads = await supabaseRequest(
+            `leads_crm?select=id,stage,team&phone=eq.${encodeURIComponent(phone)}&order=created_at.desc&limit=1`
+        );
+    }
+
+    const moved = [];
+    for (const lead of leads) {
+        const result = await advanceLead(lead, VISIT_DONE_STAGE, { visit, changedBy, reason: 'site visit completed' });
+        if (result) moved.push(result);
+    }
+    return moved;
+}
+
+/**
+ * Apply a lifecycle action to a visit
+ *
+ * @param {string} visitId - site_visits id
+ * @param {string} action - confirm | reschedule | cancel | complete | no_show
+ * @param {Object} [options]
+ * @param {string} [options.date] - New date (YYYY-MM-DD, IST), reschedule only
+ * @param {string} [options.time] - New time (HH:MM, IST), reschedule only
+ * @param {string} [options.visit_at] - New slot as ISO timestamp, instead of date + time
+ * @param {string} [options.reason] - Required to cancel; optional otherwise
+ * @param {string} [options.notes] - Outcome notes when completing
+ * @param {string} [options.changed_by='admin'] - Who made the change
+ * @returns {Promise<Object>} { success, visit?, leads_advanced?, error?, status?, field? } - field 'visit_at' when the new slot is taken
+ */
+async function transitionVisit(visitId, action, { date, time, visit_at, reason, notes, changed_by = 'admin' } = {}) {
+    try {
+        const transition = VISIT_TRANSITIONS[action];
+        if (!transition) {
+            return { success: false, status: 400, error: `Unknown action. Must be one of: ${Object.keys(VISIT_TRANSITIONS).join(', ')}` };
+        }
+
+        const visit = await getVisit(visitId);
+        if (!visit) {
+            return { success: false, status: 404, error: 'Site visit not found' };
+        }
+
+        const fromStatus = visit.status || 'pending';
+        if (!transition.from.includes(fromStatus)) {
+            return { success: false, status: 409, error: `Cannot ${action.replace('_', '-')} a visit that is ${fromStatus.replace('_', '-')}` };
+        }
+
+        const cleanReason = reason ? String(reason).trim() : '';
+        const now = new Date().toISOString();
+        // Any change is a new revision of the calendar event
+        const updates = { status: transition.to, ics_sequence: (visit.ics_sequence || 0) + 1 };
+        const history = {
+            visit_id: visitId,
+            action: ACTION_LABELS[action].history,
+            from_status: fromStatus,
+            to_status: transition.to,
+            reason: cleanReason || null,
+            changed_by
+        };
+
+        if (action === 'confirm') {
+            updates.confirmed_at = now;
+        } else if (action === 'reschedule') {
+            if (!visit_at && !date) {
+                return { success: false, status: 400, error: 'A new date (YYYY-MM-DD) and time are required' };
+            }
+            const slot = parseVisitSlot({ date, time, visit_at });
+            if (slot.error) {
+                return { success: false, status: 400, error: slot.error };
+            }
+            if (visit.visit_at && new Date(visit.visit_at).getTime() === new Date(slot.visit_at).getTime()) {
+                return { success: false, status: 400, error: 'The new slot is the same as the current one' };
+            }
+
+            const project = visit.project_id ? await findProject(visit.project_id) : null;
+            const availability = await checkVisitSlot(project, slot, { excludeVisitId: visitId });
+            if (!availability.success) {
+                return availability;
+            }
+
+            Object.assign(updates, {
+                visit_at: slot.visit_at,
+                visit_date: slot.visit_date,
+                visit_time: slot.visit_time,
+                reschedule_count: (visit.reschedule_count || 0) + 1,
+                confirmed_at: null
+            });
+            Object.assign(history, {
+                previous_date: visit.visit_date,
+                previous_time: visit.visit_time,
+                new_date: slot.visit_date,
+                new_time: slot.visit_time
+            });
+        } else if (action === 'cancel') {
+            if (!cleanReason) {
+                return { success: false, status: 400, error: 'A reason is required to cancel a visit' };
+            }
+            Object.assign(updates, { cancelled_at: now, cancel_reason: cleanReason });
+        } else if (action === 'complete') {
+            updates.completed_at = now;
+            if (notes) updates.outcome_notes = String(notes).trim();
+        } else if (action === 'no_show') {
+            updates.no_show_at = now;
+        }
+
+        // Only update if the status hasn't moved underneath us
+        const updated = await supabaseRequest(`site_visits?id=eq.${visitId}&status=eq.${fromStatus}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+        if (updated.length === 0) {
+            return { success: false, status: 409, error: 'The visit was changed by someone else. Reload and try again.' };
+        }
+
+        await logVisitHistory(history);
+
+        const previousSlot = visit.visit_at ? formatVisitSlot(visit.visit_at) : `${visit.visit_date} ${visit.visit_time}`;
+        let content = ACTION_LABELS[action].text;
+        if (action === 'reschedule') {
+            content += ` from ${previousSlot} to ${formatVisitSlot(updates.visit_at)}`;
+        } else {
+            content += ` (${previousSlot})`;
+        }
+        if (cleanReason) content += ` - ${cleanReason}`;
+
+        await logLeadActivityByPhone(visit.phone, {
+            type: 'site_visit',
+            content,
+            metadata: { action: history.action, visit_id: visitId, from: fromStatus, to: transition.to, reason: cleanReason || null },
+            created_by: changed_by
+        });
+
+        if (action === 'reschedule') {
+            await scheduleVisitReminders(updated[0]);
+        } else if (!ACTIVE_VISIT_STATUSES.includes(transition.to)) {
+            await cancelVisitReminders(visitId);
+        }
+
+        await sendVisitInvite(updated[0], action);
+
+        const leadsAdvanced = action === 'complete' ? await advanceLeadsForVisit(updated[0], changed_by) : [];
+        if (action === 'complete') {
+            await requestVisitFeedback(updated[0]);
+        }
+
+        console.log(`📅 Site visit ${visitId}: ${fromStatus} → ${transition.to}`);
+        return { success: true, visit: updated[0], leads_advanced: leadsAdvanced };
+
+    } catch (error) {
+        if (error.code === SLOT_FULL_CODE) {
+            return { success: false, status: 409, field: 'visit_at', error: SLOT_FULL_ERROR };
+        }
+        console.error('❌ transitionVisit error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    VISIT_STATUSES,
+    VISIT_TRANSITIONS,
+    VISIT_TIMEZONE,
+    parseVisitSlot,
+    formatVisitSlot,
+    createSiteVisit,
+    getVisit,
+    getVisitHistory,
+    logVisitHistory,
+    transitionVisit
+};
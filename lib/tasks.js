@@ -0,0 +1,412 @@
+/**
+ * ========================================
+ * AIONUS - LEAD FOLLOW-UP TASKS
+ * ========================================
+ * "Call back Friday 4pm" reminders linked to a CRM lead.
+ * Tasks have a due time and an assignee (the lead's owner
+ * unless given), and are completed or snoozed. Every change
+ * is written to the lead's timeline as a 'task' activity.
+ *
+ * Days are Indian business days: "today" runs midnight to
+ * midnight IST, and due times without a UTC offset are IST.
+ */
+
+require('dotenv').config();
+const { logLeadActivity } = require('./leadActivities');
+
+const TASK_STATUSES = ['open', 'done'];
+const DUE_FILTERS = ['overdue', 'today', 'due', 'upcoming'];
+const TASK_FIELDS = ['title', 'notes', 'due_at', 'assigned_to'];
+
+const IST_OFFSET = '+05:30';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const TASK_SELECT = '*,lead:leads_crm(id,name,phone,stage,team),agent:agents(id,name)';
+
+/**
+ * Supabase REST request (anon key, same as routes/crm.js)
+ * @returns {Promise<Array>} Parsed JSON rows
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Tasks database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+/**
+ * Parse a due time; "2024-05-31T16:00" (no offset) is read as IST
+ * @returns {string|null} ISO timestamp, or null if unparseable
+ */
+function parseDueAt(value) {
+    if (!value) return null;
+    let text = String(value).trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        // Date only: start of the working day
+        text += 'T10:00';
+    }
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+        text += IST_OFFSET;
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Start and end of the IST day containing `now`
+ * @returns {Object} { start, end } as Date
+ */
+function istDayBounds(now = new Date()) {
+    const istNow = new Date(now.getTime() + IST_OFFSET_MS);
+    const start = new Date(Date.UTC(istNow.getUTCFullYear(), istNow.getUTCMonth(), istNow.getUTCDate()) - IST_OFFSET_MS);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    return { start, end };
+}
+
+/**
+ * Short IST time for timeline text ("Fri, 31 May, 4:00 pm")
+ */
+function formatDue(iso) {
+    return new Date(iso).toLocaleString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * List tasks
+ *
+ * @param {Object} [options]
+ * @param {string} [options.lead_id] - One lead's tasks
+ * @param {string} [options.assigned_to] - Agent id, or 'unassigned'
+ * @param {string} [options.status='open'] - 'open', 'done' or 'all'
+ * @param {string} [options.due] - 'overdue' (before now), 'today' (now to end of today),
+ *   'due' (anything up to end of today) or 'upcoming' (after today)
+ * @param {string} [options.team] - Only leads in this team
+ * @param {number} [options.limit=100]
+ * @returns {Promise<Array>} Tasks (with lead and agent), soonest first
+ */
+async function listTasks({ lead_id, assigned_to, status = 'open', due, team, limit = 100 } = {}) {
+    let select = TASK_SELECT;
+    let query = '';
+
+    if (team && team !== 'all') {
+        // Inner join so the team filter drops other teams' tasks
+        select = select.replace('lead:leads_crm(', 'lead:leads_crm!inner(');
+        query += `&lead.team=eq.${encodeURIComponent(team)}`;
+    }
+    if (lead_id) {
+        query += `&lead_id=eq.${lead_id}`;
+    }
+    if (assigned_to === 'unassigned') {
+        query += '&assigned_to=is.null';
+    } else if (assigned_to) {
+        query += `&assigned_to=eq.${assigned_to}`;
+    }
+    if (status && status !== 'all') {
+        query += `&status=eq.${status}`;
+    }
+
+    const now = new Date();
+    const { end } = istDayBounds(now);
+    if (due === 'overdue') {
+        query += `&due_at=lt.${now.toISOString()}`;
+    } else if (due === 'today') {
+        query += `&due_at=gte.${now.toISOString()}&due_at=lt.${end.toISOString()}`;
+    } else if (due === 'due') {
+        query += `&due_at=lt.${end.toISOString()}`;
+    } else if (due === 'upcoming') {
+        query += `&due_at=gte.${end.toISOString()}`;
+    }
+
+    const max = Math.min(parseInt(limit, 10) || 100, 500);
+    return supabaseRequest(`lead_tasks?select=${select}${query}&order=due_at.asc&limit=${max}`);
+}
+
+/**
+ * Open tasks that need attention, split into overdue and later today
+ *
+ * @param {Object} [options] - { assigned_to, team }
+ * @returns {Promise<Object>} { overdue, today }
+ */
+async function getDueTasks({ assigned_to, team } = {}) {
+    const tasks = await listTasks({ assigned_to, team, due: 'due' });
+    const now = Date.now();
+
+    return {
+        overdue: tasks.filter(t => new Date(t.due_at).getTime() < now),
+        today: tasks.filter(t => new Date(t.due_at).getTime() >= now)
+    };
+}
+
+/**
+ * Fetch one task
+ * @returns {Promise<Object|null>}
+ */
+async function getTask(taskId) {
+    const tasks = await supabaseRequest(`lead_tasks?select=${TASK_SELECT}&id=eq.${taskId}`);
+    return tasks[0] || null;
+}
+
+/**
+ * Create a follow-up task on a lead
+ *
+ * @param {Object} task
+ * @param {string} task.lead_id - leads_crm id (required)
+ * @param {string} task.title - What to do (required)
+ * @param {string} task.due_at - When (ISO; no offset means IST) (required)
+ * @param {string} [task.assigned_to] - Agent id; defaults to the lead's owner
+ * @param {string} [task.notes]
+ * @param {string} [task.created_by='admin']
+ * @returns {Promise<Object>} { success, task?, error?, status? }
+ */
+async function createTask({ lead_id, title, due_at, assigned_to, notes = null, created_by = 'admin' } = {}) {
+    try {
+        if (!lead_id || !title || String(title).trim() === '') {
+            return { success: false, status: 400, error: 'lead_id and title are required' };
+        }
+
+        const dueAt = parseDueAt(due_at);
+        if (!dueAt) {
+            return { success: false, status: 400, error: 'A valid due_at is required' };
+        }
+
+        const leads = await supabaseRequest(`leads_crm?select=id,assigned_to&id=eq.${lead_id}`);
+        if (leads.length === 0) {
+            return { success: false, status: 404, error: 'Lead not found' };
+        }
+
+        const data = await supabaseRequest('lead_tasks', {
+            method: 'POST',
+            body: JSON.stringify({
+                lead_id,
+                title: String(title).trim(),
+                notes: notes ? String(notes).trim() : null,
+                due_at: dueAt,
+                assigned_to: assigned_to === undefined ? leads[0].assigned_to : assigned_to || null,
+                created_by
+            })
+        });
+        const task = data[0];
+
+        await logLeadActivity({
+            lead_id,
+            type: 'task',
+            content: `Follow-up added: ${task.title} (due ${formatDue(task.due_at)})`,
+            metadata: { action: 'created', task_id: task.id, due_at: task.due_at, assigned_to: task.assigned_to },
+            created_by
+        });
+
+        console.log('📌 Task created:', task.id, task.title);
+        return { success: true, task: await getTask(task.id) || task };
+
+    } catch (error) {
+        console.error('❌ createTask error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Edit a task's title, notes, due time or assignee
+ * @returns {Promise<Object>} { success, task?, error?, status? }
+ */
+async function updateTask(taskId, updates = {}) {
+    try {
+        const changes = {};
+        TASK_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) changes[field] = updates[field];
+        });
+
+        if (Object.keys(changes).length === 0) {
+            return { success: false, status: 400, error: `Nothing to update. Editable fields: ${TASK_FIELDS.join(', ')}` };
+        }
+        if (changes.title !== undefined && String(changes.title).trim() === '') {
+            return { success: false, status: 400, error: 'Title cannot be empty' };
+        }
+        if (changes.due_at !== undefined) {
+            changes.due_at = parseDueAt(changes.due_at);
+            if (!changes.due_at) {
+                return { success: false, status: 400, error: 'Invalid due_at' };
+            }
+        }
+
+        const data = await supabaseRequest(`lead_tasks?id=eq.${taskId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+
+        if (data.length === 0) {
+            return { success: false, status: 404, error: 'Task not found' };
+        }
+
+        return { success: true, task: await getTask(taskId) || data[0] };
+
+    } catch (error) {
+        console.error('❌ updateTask error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Mark a task done
+ *
+ * @param {string} taskId
+ * @param {Object} [options] - { completed_by, note }
+ * @returns {Promise<Object>} { success, task?, error?, status? }
+ */
+async function completeTask(taskId, { completed_by = 'admin', note = null } = {}) {
+    try {
+        const task = await getTask(taskId);
+        if (!task) {
+            return { success: false, status: 404, error: 'Task not found' };
+        }
+        if (task.status === 'done') {
+            return { success: false, status: 409, error: 'Task is already completed' };
+        }
+
+        const data = await supabaseRequest(`lead_tasks?id=eq.${taskId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                status: 'done',
+                completed_at: new Date().toISOString(),
+                completed_by
+            })
+        });
+
+        await logLeadActivity({
+            lead_id: task.lead_id,
+            type: 'task',
+            content: `Follow-up done: ${task.title}${note ? `\n${note}` : ''}`,
+            metadata: { action: 'completed', task_id: taskId, due_at: task.due_at },
+            created_by: completed_by
+        });
+
+        console.log('✅ Task completed:', taskId);
+        return { success: true, task: { ...task, ...data[0] } };
+
+    } catch (error) {
+        console.error('❌ completeTask error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Push a task's due time back
+ *
+ * @param {string} taskId
+ * @param {Object} options - { until } (due time) or { minutes } (from now), plus snoozed_by
+ * @returns {Promise<Object>} { success, task?, error?, status? }
+ */
+async function snoozeTask(taskId, { until, minutes, snoozed_by = 'admin' } = {}) {
+    try {
+        let dueAt;
+        if (until) {
+            dueAt = parseDueAt(until);
+        } else if (Number(minutes) > 0) {
+            dueAt = new Date(Date.now() + Number(minutes) * 60 * 1000).toISOString();
+        }
+
+        if (!dueAt) {
+            return { success: false, status: 400, error: 'Give a snooze time: until (date/time) or minutes' };
+        }
+        if (new Date(dueAt) <= new Date()) {
+            return { success: false, status: 400, error: 'Snooze time must be in the future' };
+        }
+
+        const task = await getTask(taskId);
+        if (!task) {
+            return { success: false, status: 404, error: 'Task not found' };
+        }
+        if (task.status === 'done') {
+            return { success: false, status: 409, error: 'Completed tasks cannot be snoozed' };
+        }
+
+        const data = await supabaseRequest(`lead_tasks?id=eq.${taskId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                due_at: dueAt,
+                original_due_at: task.original_due_at || task.due_at,
+                snooze_count: (task.snooze_count || 0) + 1
+            })
+        });
+
+        await logLeadActivity({
+            lead_id: task.lead_id,
+            type: 'task',
+            content: `Follow-up snoozed: ${task.title} (now due ${formatDue(dueAt)})`,
+            metadata: { action: 'snoozed', task_id: taskId, from: task.due_at, to: dueAt },
+            created_by: snoozed_by
+        });
+
+        console.log('💤 Task snoozed:', taskId, '→', dueAt);
+        return { success: true, task: { ...task, ...data[0] } };
+
+    } catch (error) {
+        console.error('❌ snoozeTask error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Delete a task (mistakes; finished work should be completed instead)
+ * @returns {Promise<Object>} { success, error?, status? }
+ */
+async function deleteTask(taskId) {
+    try {
+        const data = await supabaseRequest(`lead_tasks?id=eq.${taskId}`, { method: 'DELETE' });
+        if (data.length === 0) {
+            return { success: false, status: 404, error: 'Task not found' };
+        }
+        return { success: true };
+    } catch (error) {
+        console.error('❌ deleteTask error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    TASK_STATUSES,
+    DUE_FILTERS,
+    parseDueAt,
+    istDayBounds,
+    formatDue,
+    listTasks,
+    getDueTasks,
+    getTask,
+    createTask,
+    updateTask,
+    completeTask,
+    snoozeTask,
+    deleteTask
+};
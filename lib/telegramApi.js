@@ -0,0 +1,277 @@
+/**
+ * ========================================
+ * AIONUS - TELEGRAM BOT API
+ * ========================================
+ * Thin wrapper over the Bot API methods the bot and the
+ * background jobs use (routes/telegram.js, visit reminders,
+ * agent notifications), plus file downloads for the voice notes,
+ * photos and documents users send. Every call returns false /
+ * null on failure instead of throwing.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+/**
+ * Call a Bot API method
+ * @param {string} method - e.g. 'sendMessage'
+ * @param {Object|FormData} payload - JSON body, or multipart for file uploads
+ * @returns {Promise<Object|null>} Telegram's `result`, or null on failure
+ */
+async function callTelegram(method, payload) {
+    const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+    if (!TELEGRAM_BOT_TOKEN) {
+        console.error('❌ TELEGRAM_BOT_TOKEN not configured');
+        return null;
+    }
+
+    try {
+        const isUpload = payload instanceof FormData;
+        const response = await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`, {
+            method: 'POST',
+            headers: isUpload ? {} : { 'Content-Type': 'application/json' },
+            body: isUpload ? payload : JSON.stringify(payload)
+        });
+
+        const data = await response.json();
+
+        if (!data.ok) {
+            console.error(`❌ Telegram ${method} error:`, JSON.stringify(data));
+            return null;
+        }
+
+        return data.result;
+    } catch (error) {
+        console.error(`❌ Telegram ${method} error:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Send a text message, or rewrite one the bot sent before
+ * @param {string|number} chatId
+ * @param {string} text
+ * @param {string} [parseMode='HTML']
+ * @param {Object} [extra] - More sendMessage fields, e.g. reply_markup (inline keyboard)
+ * @param {number} [extra.editMessageId] - Edit this message in place instead of sending a new one
+ * @returns {Promise<boolean>}
+ */
+async function sendTelegramMessage(chatId, text, parseMode = 'HTML', extra = {}) {
+    const { editMessageId, ...fields } = extra;
+
+    if (editMessageId) {
+        return editMessageText(chatId, editMessageId, text, parseMode, fields);
+    }
+
+    console.log(`📤 Sending to Telegram [${chatId}]: ${text.substring(0, 50)}...`);
+
+    const result = await callTelegram('sendMessage', {
+        chat_id: chatId,
+        text,
+        parse_mode: parseMode,
+        ...fields
+    });
+
+    if (!result) return false;
+
+    console.log(`✅ Message sent successfully to ${chatId}`);
+    return true;
+}
+
+/**
+ * Replace the text (and keyboard) of a sent message
+ * Without reply_markup in `extra` the buttons are removed.
+ */
+async function editMessageText(chatId, messageId, text, parseMode = 'HTML', extra = {}) {
+    console.log(`✏️ Editing Telegram message [${chatId}/${messageId}]: ${text.substring(0, 50)}...`);
+
+    return !!(await callTelegram('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text,
+        parse_mode: parseMode,
+        ...extra
+    }));
+}
+
+/**
+ * Send a photo (URL or file_id) with an optional caption and buttons
+ * @param {Object} [extra] - caption, parse_mode, reply_markup...
+ * @returns {Promise<boolean>}
+ */
+async function sendTelegramPhoto(chatId, photo, extra = {}) {
+    console.log(`🖼️ Sending photo to Telegram [${chatId}]`);
+    return !!(await callTelegram('sendPhoto', { chat_id: chatId, photo, ...extra }));
+}
+
+/**
+ * Send 2-10 photos as one album
+ * Albums can't carry inline buttons - send those in a message after it.
+ * @param {Array<Object>} media - [{ type: 'photo', media, caption?, parse_mode? }]
+ * @returns {Promise<boolean>}
+ */
+async function sendTelegramMediaGroup(chatId, media) {
+    console.log(`🖼️ Sending album of ${media.length} to Telegram [${chatId}]`);
+    return !!(await callTelegram('sendMediaGroup', { chat_id: chatId, media }));
+}
+
+/**
+ * Send a file (URL or file_id), e.g. a brochure PDF
+ * @param {Object} [extra] - caption, parse_mode, reply_markup...
+ * @returns {Promise<boolean>}
+ */
+async function sendTelegramDocument(chatId, document, extra = {}) {
+    console.log(`📎 Sending document to Telegram [${chatId}]`);
+    return !!(await callTelegram('sendDocument', { chat_id: chatId, document, ...extra }));
+}
+
+/**
+ * Upload a file made on the server (e.g. a visit's .ics invite)
+ * Telegram only fetches PDF / ZIP / GIF by URL, so anything else
+ * goes up as multipart.
+ * @param {Object} file - { filename, content, contentType }
+ * @param {Object} [extra] - caption, parse_mode, reply_markup...
+ * @returns {Promise<boolean>}
+ */
+async function sendTelegramFile(chatId, { filename, content, contentType = 'application/octet-stream' }, extra = {}) {
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('document', new Blob([content], { type: contentType }), filename);
+    Object.entries(extra).forEach(([field, value]) => {
+        form.append(field, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+
+    console.log(`📎 Uploading ${filename} to Telegram [${chatId}]`);
+    return !!(await callTelegram('sendDocument', form));
+}
+
+/**
+ * Stop the loading spinner on an inline button, optionally with a toast
+ */
+async function answerCallbackQuery(callbackQueryId, text = null) {
+    return !!(await callTelegram('answerCallbackQuery', {
+        callback_query_id: callbackQueryId,
+        ...(text ? { text } : {})
+    }));
+}
+
+/**
+ * Remove (or replace) the inline keyboard under a sent message
+ */
+async function editMessageReplyMarkup(chatId, messageId, replyMarkup = { inline_keyboard: [] }) {
+    return !!(await callTelegram('editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: replyMarkup
+    }));
+}
+
+// ========================================
+// FILES
+// ========================================
+
+// Bots can't download anything bigger through getFile
+const MAX_BOT_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Download a file a user sent (voice note, photo, document)
+ * @param {string} fileId - file_id from the message
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Refuse anything larger
+ * @returns {Promise<Object|null>} { buffer, filePath, size } or null when too big / failed
+ */
+async function downloadTelegramFile(fileId, { maxBytes = MAX_BOT_DOWNLOAD_BYTES } = {}) {
+    const file = await callTelegram('getFile', { file_id: fileId });
+    if (!file?.file_path) return null;
+
+    if (file.file_size && file.file_size > maxBytes) {
+        console.log(`⚠️ Telegram file too large: ${file.file_size} bytes`);
+        return null;
+    }
+
+    try {
+        const response = await fetch(`https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`);
+        if (!response.ok) {
+            console.error('❌ Telegram file download error:', response.status);
+            return null;
+        }
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (buffer.length > maxBytes) return null;
+
+        console.log(`📥 Downloaded Telegram file ${file.file_path} (${buffer.length} bytes)`);
+        return { buffer, filePath: file.file_path, size: buffer.length };
+    } catch (error) {
+        console.error('❌ Telegram file download error:', error.message);
+        return null;
+    }
+}
+
+// ========================================
+// WEBHOOK
+// ========================================
+
+/**
+ * Secret Telegram sends back in X-Telegram-Bot-Api-Secret-Token
+ * TELEGRAM_WEBHOOK_SECRET when set, otherwise derived from the bot
+ * token so every instance agrees without extra config.
+ *
+ * @returns {string|null} null when the bot is not configured
+ */
+function getWebhookSecret() {
+    const configured = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (configured) return configured;
+
+    const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+    if (!TELEGRAM_BOT_TOKEN) return null;
+
+    // Telegram allows 1-256 characters: A-Z, a-z, 0-9, _ and -
+    return crypto.createHmac('sha256', TELEGRAM_BOT_TOKEN)
+        .update('aionus-telegram-webhook')
+        .digest('hex');
+}
+
+/**
+ * Whether a webhook request carries our secret
+ * @param {string|undefined} headerValue - X-Telegram-Bot-Api-Secret-Token
+ */
+function isValidWebhookSecret(headerValue) {
+    const secret = getWebhookSecret();
+    if (!secret || typeof headerValue !== 'string') return false;
+
+    const expected = Buffer.from(secret);
+    const received = Buffer.from(headerValue);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Point Telegram at our webhook, registering the secret it must send
+ */
+async function setWebhook(url) {
+    const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+    const response = await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/setWebhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url, secret_token: getWebhookSecret() })
+    });
+    return response.json();
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    callTelegram,
+    sendTelegramMessage,
+    editMessageText,
+    sendTelegramPhoto,
+    sendTelegramMediaGroup,
+    sendTelegramDocument,
+    sendTelegramFile,
+    answerCallbackQuery,
+    editMessageReplyMarkup,
+    downloadTelegramFile,
+    isValidWebhookSecret,
+    setWebhook
+};
@@ -0,0 +1,178 @@
+/**
+ * ========================================
+ * AIONUS - TELEGRAM BOT KEYBOARDS
+ * ========================================
+ * Inline buttons for the buyer conversation, so nobody has to type
+ * "Haan" or a YYYY-MM-DD HH:MM string:
+ *
+ * - Property type   (Villa / Apartment / Penthouse / Off-plan)
+ * - Budget bands    (₹30-70 Lakh ... ₹5 Crore+)
+ * - Visit date      (next 7 days) → free slots on that day
+ * - Lead details    (Haan, sahi hai / Nahi)
+ * - Property cards  (Book visit / Brochure, per website property id)
+ *
+ * callback_data is "pick:<kind>:<value>" (routes/telegram.js);
+ * slot values keep their colon ("pick:slot:2024-12-15 10:00").
+ * Visit reminder and feedback buttons have their own prefixes
+ * (lib/visitReminders.js, lib/visitFeedback.js).
+ */
+
+const { VISIT_TIMEZONE } = require('./visitCalendar');
+
+const PICK_CALLBACK_PREFIX = 'pick';
+const PICK_KINDS = ['type', 'budget', 'date', 'slot', 'lead', 'visit', 'brochure'];
+
+const IST_OFFSET = '+05:30';
+const DATE_PICKER_DAYS = 7;
+const SLOTS_PER_ROW = 3;
+
+const PROPERTY_TYPES = {
+    villa: '🏠 Villa',
+    apartment: '🏢 Apartment',
+    penthouse: '🌟 Penthouse',
+    offplan: '📋 Off-plan project'
+};
+
+// Bands from the bot's budget categories; `budget` is saved as typed text (lib/budget.js parses it)
+const BUDGET_BANDS = {
+    '30-70L': '₹30-70 Lakh',
+    '70L-1.5Cr': '₹70 Lakh - 1.5 Crore',
+    '1.5-5Cr': '₹1.5-5 Crore',
+    '5Cr+': '₹5 Crore+'
+};
+
+function button(label, kind, value) {
+    return { text: label, callback_data: `${PICK_CALLBACK_PREFIX}:${kind}:${value}` };
+}
+
+function rowsOf(buttons, size) {
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += size) {
+        rows.push(buttons.slice(i, i + size));
+    }
+    return rows;
+}
+
+// ========================================
+// KEYBOARDS
+// ========================================
+
+function propertyTypeKeyboard() {
+    const buttons = Object.entries(PROPERTY_TYPES).map(([value, label]) => button(label, 'type', value));
+    return { inline_keyboard: rowsOf(buttons, 2) };
+}
+
+function budgetKeyboard() {
+    const buttons = Object.entries(BUDGET_BANDS).map(([value, label]) => button(label, 'budget', value));
+    return { inline_keyboard: rowsOf(buttons, 2) };
+}
+
+/**
+ * Today and the next six days (IST)
+ * @param {Date} [now]
+ */
+function visitDateKeyboard(now = new Date()) {
+    const today = new Date(now.toLocaleDateString('en-CA', { timeZone: VISIT_TIMEZONE }) + `T12:00:00${IST_OFFSET}`);
+
+    const buttons = [];
+    for (let offset = 0; offset < DATE_PICKER_DAYS; offset++) {
+        const day = new Date(today.getTime() + offset * 24 * 60 * 60 * 1000);
+        const date = day.toLocaleDateString('en-CA', { timeZone: VISIT_TIMEZONE });
+        const label = offset === 0 ? 'Aaj'
+            : offset === 1 ? 'Kal'
+                : day.toLocaleDateString('en-IN', { timeZone: VISIT_TIMEZONE, weekday: 'short', day: 'numeric', month: 'short' });
+        buttons.push(button(label, 'date', date));
+    }
+
+    return { inline_keyboard: rowsOf(buttons, 4) };
+}
+
+/**
+ * Free slots on one day, with a way back to the dates
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array} slots - [{ time }] from lib/visitCalendar.js getAvailability
+ */
+function visitSlotKeyboard(date, slots) {
+    const buttons = slots.map(slot => button(slot.time, 'slot', `${date} ${slot.time}`));
+    return {
+        inline_keyboard: [
+            ...rowsOf(buttons, SLOTS_PER_ROW),
+            [button('⬅️ Doosri date', 'date', 'back')]
+        ]
+    };
+}
+
+function leadConfirmKeyboard() {
+    return {
+        inline_keyboard: [[
+            button('✅ Haan, sahi hai', 'lead', 'yes'),
+            button('✏️ Nahi, badalna hai', 'lead', 'no')
+        ]]
+    };
+}
+
+/**
+ * Under a single property card
+ */
+function propertyCardKeyboard(property) {
+    return {
+        inline_keyboard: [[
+            button('📅 Book visit', 'visit', property.id),
+            button('📄 Brochure', 'brochure', property.id)
+        ]]
+    };
+}
+
+/**
+ * After an album of cards (albums can't have buttons): one row per property
+ */
+function propertyChoiceKeyboard(properties) {
+    return {
+        inline_keyboard: properties.map(property => [
+            button(`📅 ${property.title}`, 'visit', property.id),
+            button('📄 Brochure', 'brochure', property.id)
+        ])
+    };
+}
+
+// ========================================
+// CALLBACKS
+// ========================================
+
+/**
+ * Parse "pick:<kind>:<value>" from a button press
+ * @returns {Object|null} { kind, value }
+ */
+function parsePickCallback(data) {
+    const [prefix, kind, ...rest] = String(data || '').split(':');
+    const value = rest.join(':');
+    if (prefix !== PICK_CALLBACK_PREFIX || !PICK_KINDS.includes(kind) || !value) return null;
+
+    const valid = {
+        type: () => !!PROPERTY_TYPES[value],
+        budget: () => !!BUDGET_BANDS[value],
+        date: () => value === 'back' || /^\d{4}-\d{2}-\d{2}$/.test(value),
+        slot: () => /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(value),
+        lead: () => value === 'yes' || value === 'no',
+        visit: () => /^\d+$/.test(value),
+        brochure: () => /^\d+$/.test(value)
+    };
+    return valid[kind]() ? { kind, value } : null;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    PROPERTY_TYPES,
+    BUDGET_BANDS,
+    propertyTypeKeyboard,
+    budgetKeyboard,
+    visitDateKeyboard,
+    visitSlotKeyboard,
+    leadConfirmKeyboard,
+    propertyCardKeyboard,
+    propertyChoiceKeyboard,
+    parsePickCallback
+};
@@ -0,0 +1,186 @@
+/**
+ * ========================================
+ * AIONUS - TELEGRAM PROPERTY CARDS
+ * ========================================
+ * Website listings (lib/propertyCatalog.js) as Telegram cards:
+ * photo, price, beds, amenities and Book visit / Brochure buttons.
+ *
+ * - One property   → sendPhoto with the buttons under it
+ * - Two or more    → sendMediaGroup album, then one message with
+ *                    a row of buttons per property (albums can't
+ *                    carry buttons)
+ *
+ * Brochures are the newest PDF brochure in `documents` for the
+ * property's project (uploaded from admin.html with a project id).
+ */
+
+require('dotenv').config();
+const { sendTelegramMessage, sendTelegramPhoto, sendTelegramMediaGroup, sendTelegramDocument } = require('./telegramApi');
+const { propertyCardKeyboard, propertyChoiceKeyboard } = require('./telegramKeyboards');
+
+// Telegram's caption limit
+const MAX_CAPTION_LENGTH = 1024;
+const MAX_ALBUM_SIZE = 10;
+const CARD_AMENITIES = 4;
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (same as lib/siteVisits.js)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Documents database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function capitalise(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
+
+// ========================================
+// CARDS
+// ========================================
+
+/**
+ * Card caption (HTML)
+ */
+function formatPropertyCaption(property) {
+    const facts = [
+        `💰 ${property.priceDisplay}`,
+        property.beds ? `🛏 ${property.beds} Beds` : null,
+        property.baths ? `🛁 ${property.baths} Baths` : null,
+        property.area ? `📐 ${property.area.toLocaleString('en-IN')} sq ft` : null
+    ].filter(Boolean);
+
+    const lines = [
+        `<b>${escapeHtml(property.title)}</b>${property.newLaunch ? ' 🆕' : ''}`,
+        `📍 ${escapeHtml(property.community)}, ${escapeHtml(capitalise(property.city))} · ${escapeHtml(property.developer)}`,
+        facts.join(' · '),
+        property.status === 'offplan' ? '🏗️ Off-plan / under construction' : '✅ Ready to move',
+        property.amenities?.length ? `✨ ${escapeHtml(property.amenities.slice(0, CARD_AMENITIES).join(', '))}` : null,
+        property.description ? `\n<i>${escapeHtml(property.description)}</i>` : null
+    ].filter(Boolean);
+
+    const caption = lines.join('\n');
+    // Drop the description rather than cut a tag in half
+    return caption.length <= MAX_CAPTION_LENGTH ? caption : lines.slice(0, -1).join('\n');
+}
+
+/**
+ * Send property cards to a chat
+ * @param {string|number} chatId
+ * @param {Array<Object>} properties - From lib/propertyCatalog.js
+ * @returns {Promise<boolean>} Whether the cards went out
+ */
+async function sendPropertyCards(chatId, properties) {
+    const cards = properties.slice(0, MAX_ALBUM_SIZE);
+    if (cards.length === 0) return false;
+
+    if (cards.length === 1) {
+        const [property] = cards;
+        const extra = { caption: formatPropertyCaption(property), parse_mode: 'HTML', reply_markup: propertyCardKeyboard(property) };
+        if (await sendTelegramPhoto(chatId, property.image, extra)) return true;
+
+        // Image URL refused - the details still help
+        return sendTelegramMessage(chatId, extra.caption, 'HTML', { reply_markup: extra.reply_markup });
+    }
+
+    const sent = await sendTelegramMediaGroup(chatId, cards.map(property => ({
+        type: 'photo',
+        media: property.image,
+        caption: formatPropertyCaption(property),
+        parse_mode: 'HTML'
+    })));
+
+    const intro = sent
+        ? `👆 Inme se koi pasand aayi? Visit book karein ya brochure mangaiye:`
+        : cards.map(formatPropertyCaption).join('\n\n');
+
+    return sendTelegramMessage(chatId, intro, 'HTML', { reply_markup: propertyChoiceKeyboard(cards) });
+}
+
+// ========================================
+// BROCHURES
+// ========================================
+
+/**
+ * Newest PDF brochure uploaded for a project
+ * @param {string} projectId - projects.id
+ * @returns {Promise<Object|null>} { id, file_name, file_url }
+ */
+async function findProjectBrochure(projectId) {
+    if (!projectId) return null;
+
+    const rows = await supabaseRequest(
+        `documents?select=id,file_name,file_url&project_id=eq.${encodeURIComponent(projectId)}`
+        + `&document_type=eq.brochure&file_type=eq.application/pdf&order=created_at.desc&limit=1`
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Send a project's brochure PDF
+ * @param {string|number} chatId
+ * @param {Object} project - projects row ({ id, name })
+ * @returns {Promise<Object>} { success, status?, error? } - 404 when there is no brochure
+ */
+async function sendProjectBrochure(chatId, project) {
+    try {
+        const brochure = await findProjectBrochure(project?.id);
+        if (!brochure) {
+            return { success: false, status: 404, error: 'No brochure for this project' };
+        }
+
+        const sent = await sendTelegramDocument(chatId, brochure.file_url, {
+            caption: `📄 <b>${escapeHtml(project.name)}</b> - brochure`,
+            parse_mode: 'HTML'
+        });
+        if (!sent) {
+            return { success: false, status: 502, error: 'Telegram did not accept the brochure' };
+        }
+
+        console.log(`📄 Brochure sent to ${chatId}: ${brochure.file_name}`);
+        return { success: true };
+
+    } catch (error) {
+        console.error('❌ sendProjectBrochure error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    formatPropertyCaption,
+    sendPropertyCards,
+    findProjectBrochure,
+    sendProjectBrochure
+};
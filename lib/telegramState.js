@@ -0,0 +1,340 @@
+/**
+ * ========================================
+ * AIONUS - TELEGRAM CONVERSATION STATE
+ * ========================================
+ * Where the bot keeps each chat's funnel progress (name, phone,
+ * budget, pending lead, visit date prompt, feedback step...).
+ *
+ * Two stores with the same interface:
+ * - Supabase (telegram_user_states) - survives restarts, shared
+ *   by every server instance. Default when SUPABASE_URL and
+ *   SUPABASE_SERVICE_ROLE_KEY are set (the table is service_role only).
+ * - Memory - one process only; for tests and local runs
+ *   (TELEGRAM_STATE_STORE=memory).
+ *
+ * Store interface (all async):
+ *   get(chatId)          → state | null (null when missing or expired)
+ *   set(chatId, state)   → saves and pushes the expiry out by the TTL
+ *   delete(chatId)
+ *   count()              → chats with unexpired state
+ *   claimUpdate(updateId) → true the first time an update_id is seen,
+ *                          false for Telegram's retries
+ *
+ * States expire after TELEGRAM_STATE_TTL_HOURS (default 168 = 7 days)
+ * without a message; the next message then starts a new conversation.
+ */
+
+require('dotenv').config();
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Expired Supabase rows are cleared at most this often
+const PURGE_INTERVAL_MS = HOUR_MS;
+
+// Processed update_ids are remembered this long (Telegram retries for far less)
+const UPDATE_RETENTION_MS = 24 * HOUR_MS;
+
+function getTtlMs() {
+    const hours = parseFloat(process.env.TELEGRAM_STATE_TTL_HOURS);
+    return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * HOUR_MS;
+}
+
+/**
+ * A new conversation
+ */
+function createUserState() {
+    return {
+        name: null,
+        phone: null,
+        budget: null,
+        waitingForVisitPhone: false,
+        waitingForVisitDate: false,
+        rescheduleVisitId: null,
+        project: null,
+        propertyType: null,
+        feedbackId: null,
+        feedbackStep: null,
+        waitingForLeadConfirm: false,
+        pendingLead: null,
+        city: null,
+        leadId: null
+    };
+}
+
+// ========================================
+// MEMORY STORE
+// ========================================
+
+/**
+ * In-process store (tests, local runs)
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Expiry after the last save
+ */
+function createMemoryStateStore({ ttlMs = getTtlMs() } = {}) {
+    const entries = new Map();
+    const updates = new Map();
+
+    const isLive = entry => entry && entry.expiresAt > Date.now();
+
+    return {
+        name: 'memory',
+
+        async get(chatId) {
+            const entry = entries.get(String(chatId));
+            if (!isLive(entry)) {
+                entries.delete(String(chatId));
+                return null;
+            }
+            // A copy, like a database read
+            return JSON.parse(entry.json);
+        },
+
+        async set(chatId, state) {
+            entries.set(String(chatId), {
+                json: JSON.stringify(state),
+                expiresAt: Date.now() + ttlMs
+            });
+        },
+
+        async delete(chatId) {
+            entries.delete(String(chatId));
+        },
+
+        async count() {
+            let live = 0;
+            entries.forEach((entry, chatId) => {
+                if (isLive(entry)) live++;
+                else entries.delete(chatId);
+            });
+            return live;
+        },
+
+        async claimUpdate(updateId) {
+            const now = Date.now();
+            updates.forEach((seenAt, id) => {
+                if (now - seenAt > UPDATE_RETENTION_MS) updates.delete(id);
+            });
+
+            if (updates.has(updateId)) return false;
+            updates.set(updateId, now);
+            return true;
+        }
+    };
+}
+
+// ========================================
+// SUPABASE STORE
+// ========================================
+
+/**
+ * Supabase REST request
+ * Service key only: 024_telegram_user_states.sql grants the tables to service_role
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('Telegram state store needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Telegram state database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+/**
+ * telegram_user_states table
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Expiry after the last save
+ */
+function createSupabaseStateStore({ ttlMs = getTtlMs() } = {}) {
+    let lastPurgeAt = 0;
+
+    const chatFilter = chatId => `chat_id=eq.${encodeURIComponent(String(chatId))}`;
+
+    async function purgeExpired() {
+        lastPurgeAt = Date.now();
+        try {
+            const rows = await supabaseRequest(`telegram_user_states?expires_at=lt.${new Date().toISOString()}`, {
+                method: 'DELETE'
+            });
+            if (rows.length) {
+                console.log(`🧹 Expired Telegram states cleared: ${rows.length}`);
+            }
+
+            const updatesBefore = new Date(Date.now() - UPDATE_RETENTION_MS).toISOString();
+            await supabaseRequest(`telegram_processed_updates?processed_at=lt.${updatesBefore}`, {
+                method: 'DELETE',
+                headers: { 'Prefer': 'return=minimal' }
+            });
+        } catch (error) {
+            console.error('❌ Telegram state purge error:', error.message);
+        }
+    }
+
+    return {
+        name: 'supabase',
+
+        async get(chatId) {
+            const rows = await supabaseRequest(
+                `telegram_user_states?select=state&${chatFilter(chatId)}&expires_at=gt.${new Date().toISOString()}`
+            );
+            return rows[0]?.state || null;
+        },
+
+        async set(chatId, state) {
+            await supabaseRequest('telegram_user_states?on_conflict=chat_id', {
+                method: 'POST',
+                headers: { 'Prefer': 'resolution=merge-duplicates,return=minimal' },
+                body: JSON.stringify({
+                    chat_id: String(chatId),
+                    state,
+                    expires_at: new Date(Date.now() + ttlMs).toISOString()
+                })
+            });
+
+            if (Date.now() - lastPurgeAt > PURGE_INTERVAL_MS) {
+                purgeExpired();
+            }
+        },
+
+        async delete(chatId) {
+            await supabaseRequest(`telegram_user_states?${chatFilter(chatId)}`, { method: 'DELETE' });
+        },
+
+        async count() {
+            const rows = await supabaseRequest(
+                `telegram_user_states?select=chat_id&expires_at=gt.${new Date().toISOString()}`
+            );
+            return rows.length;
+        },
+
+        async claimUpdate(updateId) {
+            // The primary key decides; a retry's insert is ignored and returns no row
+            const rows = await supabaseRequest('telegram_processed_updates?on_conflict=update_id', {
+                method: 'POST',
+                headers: { 'Prefer': 'resolution=ignore-duplicates,return=representation' },
+                body: JSON.stringify({ update_id: updateId })
+            });
+            return rows.length > 0;
+        }
+    };
+}
+
+// ========================================
+// ACTIVE STORE
+// ========================================
+
+let activeStore = null;
+
+/**
+ * The store the bot uses: TELEGRAM_STATE_STORE=memory|supabase,
+ * otherwise Supabase when the service key is set
+ */
+function getStateStore() {
+    if (!activeStore) {
+        const configured = (process.env.TELEGRAM_STATE_STORE || '').toLowerCase();
+        const useSupabase = configured
+            ? configured === 'supabase'
+            : !!(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+        activeStore = useSupabase ? createSupabaseStateStore() : createMemoryStateStore();
+        console.log(`💾 Telegram state store: ${activeStore.name}`);
+    }
+    return activeStore;
+}
+
+/**
+ * Swap the store (tests)
+ */
+function setStateStore(store) {
+    activeStore = store;
+}
+
+/**
+ * Top-level fields the handler changed (compared as JSON)
+ */
+function changedFields(before, after) {
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            changes[key] = after[key];
+        }
+    });
+    return changes;
+}
+
+/**
+ * Load a chat's state (or a new one), run `handler`, save what it changed
+ * A store outage never blocks a reply - the chat just starts afresh.
+ *
+ * Updates for one chat can overlap (a slow Gemini reply and a button
+ * tap), so only the fields this handler changed are written, on top of
+ * whatever the store holds by then - never the whole loaded copy.
+ *
+ * @param {string|number} chatId
+ * @param {Function} handler - async (state) => result
+ * @returns {Promise<*>} The handler's result
+ */
+async function withUserState(chatId, handler) {
+    if (chatId === undefined || chatId === null) {
+        return handler(null);
+    }
+
+    const store = getStateStore();
+
+    const loadState = async () => {
+        try {
+            return await store.get(chatId);
+        } catch (error) {
+            console.error('❌ Telegram state load error:', error.message);
+            return null;
+        }
+    };
+
+    // Rehydrated states from older versions get any new fields
+    const state = { ...createUserState(), ...(await loadState() || {}) };
+    const loaded = JSON.parse(JSON.stringify(state));
+
+    try {
+        return await handler(state);
+    } finally {
+        // Saved even when nothing changed: every save pushes the expiry out
+        try {
+            const latest = await loadState();
+            await store.set(chatId, { ...createUserState(), ...(latest || loaded), ...changedFields(loaded, state) });
+        } catch (error) {
+            console.error('❌ Telegram state save error:', error.message);
+        }
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    createUserState,
+    createMemoryStateStore,
+    createSupabaseStateStore,
+    getStateStore,
+    setStateStore,
+    withUserState
+};
@@ -0,0 +1,478 @@
+/**
+ * ========================================
+ * AIONUS - PROJECT VISIT CALENDARS
+ * ========================================
+ * Each project (projects table, one per catalogue property) has
+ * a visit calendar: working days, working hours, slot length,
+ * buyers per slot and blackout dates. All times are IST.
+ *
+ * Visits must start on a free slot. Visits without a project
+ * (general enquiries) only have to fall inside DEFAULT_CALENDAR
+ * hours. The site_visits capacity trigger (migration 016) catches
+ * two bookings racing for the last place in a slot.
+ */
+
+require('dotenv').config();
+
+// Visits that still hold their slot
+const ACTIVE_VISIT_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+// Used for visits without a project and for projects without a calendar row
+const DEFAULT_CALENDAR = {
+    working_days: [1, 2, 3, 4, 5, 6],
+    day_start: '10:00',
+    day_end: '18:00',
+    slot_minutes: 60,
+    capacity: 2
+};
+
+const CALENDAR_FIELDS = ['working_days', 'day_start', 'day_end', 'slot_minutes', 'capacity'];
+
+const VISIT_TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET = '+05:30';
+const WEEKDAY_NAMES = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (same as lib/siteVisits.js)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Visit calendar database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// TIME HELPERS
+// ========================================
+
+// "10:00:00" (Postgres TIME) or "10:00" → minutes after midnight
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function toHHMM(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// ISO weekday (1 = Monday ... 7 = Sunday) of an IST date
+function istWeekday(date) {
+    return new Date(`${date}T12:00:00${IST_OFFSET}`).getUTCDay() || 7;
+}
+
+function isValidDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+/**
+ * Visit slot for messages ("Sun, 15 Dec 2024, 10:00 am")
+ */
+function formatVisitSlot(visitAt) {
+    if (!visitAt) return 'N/A';
+    return new Date(visitAt).toLocaleString('en-IN', {
+        timeZone: VISIT_TIMEZONE,
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Calendar row with defaults filled in and times as HH:MM
+ */
+function normaliseCalendar(row = {}) {
+    const calendar = { ...DEFAULT_CALENDAR };
+    CALENDAR_FIELDS.forEach(field => {
+        if (row[field] !== undefined && row[field] !== null) calendar[field] = row[field];
+    });
+    calendar.day_start = toHHMM(toMinutes(calendar.day_start));
+    calendar.day_end = toHHMM(toMinutes(calendar.day_end));
+    return calendar;
+}
+
+/**
+ * Slot start times for a day ("10:00", "11:00", ...)
+ * The last slot has to finish by day_end.
+ */
+function generateSlots(calendar) {
+    const slots = [];
+    const end = toMinutes(calendar.day_end);
+    for (let start = toMinutes(calendar.day_start); start + calendar.slot_minutes <= end; start += calendar.slot_minutes) {
+        slots.push(toHHMM(start));
+    }
+    return slots;
+}
+
+// ========================================
+// PROJECTS
+// ========================================
+
+/**
+ * Find a project by UUID, slug or website property id
+ * @param {string|number} ref
+ * @returns {Promise<Object|null>}
+ */
+async function findProject(ref) {
+    if (ref === undefined || ref === null || String(ref).trim() === '') return null;
+
+    const value = String(ref).trim();
+    let filter;
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+        filter = `id=eq.${value}`;
+    } else if (/^\d+$/.test(value)) {
+        filter = `property_id=eq.${value}`;
+    } else {
+        filter = `slug=eq.${encodeURIComponent(value.toLowerCase())}`;
+    }
+
+    const projects = await supabaseRequest(`projects?select=*&${filter}`);
+    return projects[0] || null;
+}
+
+/**
+ * A project's calendar (defaults when it has no row yet)
+ */
+async function getCalendar(projectId) {
+    const rows = await supabaseRequest(`visit_calendars?select=*&project_id=eq.${projectId}`);
+    return normaliseCalendar(rows[0]);
+}
+
+/**
+ * Active projects with their calendars, for the booking form
+ * @returns {Promise<Array>}
+ */
+async function listProjects() {
+    const [projects, calendars] = await Promise.all([
+        supabaseRequest('projects?select=id,slug,name,city,community,developer,property_id&is_active=eq.true&order=name.asc'),
+        supabaseRequest('visit_calendars?select=*')
+    ]);
+
+    const calendarByProject = new Map(calendars.map(c => [c.project_id, c]));
+    return projects.map(project => ({
+        ...project,
+        calendar: normaliseCalendar(calendarByProject.get(project.id))
+    }));
+}
+
+/**
+ * Upcoming blackout dates for a project
+ */
+async function getBlackoutDates(projectId, fromDate) {
+    let path = `visit_blackout_dates?select=blackout_date,reason&project_id=eq.${projectId}&order=blackout_date.asc`;
+    if (fromDate) path += `&blackout_date=gte.${fromDate}`;
+    return supabaseRequest(path);
+}
+
+// ========================================
+// AVAILABILITY
+// ========================================
+
+/**
+ * Free slots for a project on one day
+ * Slots already started, full or on a closed day are left out.
+ *
+ * @param {Object|null} project - projects row (null = general enquiry)
+ * @param {string} date - YYYY-MM-DD (IST)
+ * @param {Object} [options]
+ * @param {string} [options.excludeVisitId] - Visit being rescheduled (doesn't count against its own slot)
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { date, calendar, closed?, slots: [{ time, visit_at, remaining }] }
+ *   remaining is null for general enquiries
+ */
+async function getDayAvailability(project, date, { excludeVisitId, now = new Date() } = {}) {
+    const calendar = project ? await getCalendar(project.id) : normaliseCalendar();
+    const weekday = istWeekday(date);
+    const result = { date, calendar, slots: [] };
+
+    if (!calendar.working_days.includes(weekday)) {
+        result.closed = `No site visits on ${WEEKDAY_NAMES[weekday]}s`;
+        return result;
+    }
+
+    const bookedBySlot = new Map();
+
+    if (project) {
+        const blackout = await supabaseRequest(
+            `visit_blackout_dates?select=reason&project_id=eq.${project.id}&blackout_date=eq.${date}`
+        );
+        if (blackout.length > 0) {
+            result.closed = `${project.name} is closed for visits on ${date}${blackout[0].reason ? ` (${blackout[0].reason})` : ''}`;
+            return result;
+        }
+
+        const dayStart = new Date(`${date}T00:00:00${IST_OFFSET}`);
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+        let path = `site_visits?select=visit_at&project_id=eq.${project.id}`
+            + `&status=in.(${ACTIVE_VISIT_STATUSES.join(',')})`
+            + `&visit_at=gte.${dayStart.toISOString()}&visit_at=lt.${dayEnd.toISOString()}`;
+        if (excludeVisitId) path += `&id=neq.${excludeVisitId}`;
+
+        const booked = await supabaseRequest(path);
+        booked.forEach(visit => {
+            const key = new Date(visit.visit_at).getTime();
+            bookedBySlot.set(key, (bookedBySlot.get(key) || 0) + 1);
+        });
+    }
+
+    result.slots = generateSlots(calendar)
+        .map(time => {
+            const visitAt = new Date(`${date}T${time}:00${IST_OFFSET}`);
+            return {
+                time,
+                visit_at: visitAt.toISOString(),
+                // General enquiries have no per-slot limit
+                remaining: project ? calendar.capacity - (bookedBySlot.get(visitAt.getTime()) || 0) : null
+            };
+        })
+        .filter(slot => new Date(slot.visit_at) > now && (slot.remaining === null || slot.remaining > 0));
+
+    return result;
+}
+
+/**
+ * Free slots for GET /api/schedule-visit/availability
+ *
+ * @param {string} [projectRef] - Project UUID, slug or property id
+ * @param {string} date - YYYY-MM-DD (IST)
+ * @returns {Promise<Object>} { success, project?, date, closed?, slots, error?, status? }
+ */
+async function getAvailability(projectRef, date) {
+    try {
+        if (!isValidDate(date)) {
+            return { success: false, status: 400, error: 'date must be a valid YYYY-MM-DD' };
+        }
+
+        let project = null;
+        if (projectRef) {
+            project = await findProject(projectRef);
+            if (!project || project.is_active === false) {
+                return { success: false, status: 404, error: 'Project not found' };
+            }
+        }
+
+        const day = await getDayAvailability(project, date);
+
+        return {
+            success: true,
+            project: project ? { id: project.id, slug: project.slug, name: project.name } : null,
+            date,
+            slot_minutes: day.calendar.slot_minutes,
+            closed: day.closed || null,
+            slots: day.slots
+        };
+
+    } catch (error) {
+        console.error('❌ getAvailability error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Check a parsed slot (lib/siteVisits.js parseVisitSlot) against the calendar
+ *
+ * @param {Object|null} project - projects row (null = general enquiry)
+ * @param {Object} slot - { visit_at, visit_date, visit_time }
+ * @param {Object} [options] - { excludeVisitId }
+ * @returns {Promise<Object>} { success } or { success: false, status, error, field? } - field 'visit_at' when the slot is taken
+ */
+async function checkVisitSlot(project, slot, options = {}) {
+    const day = await getDayAvailability(project, slot.visit_date, options);
+
+    if (day.closed) {
+        return { success: false, status: 400, error: `${day.closed}. Please pick another date.` };
+    }
+
+    const slotTimes = generateSlots(day.calendar);
+    if (!slotTimes.includes(slot.visit_time)) {
+        return {
+            success: false,
+            status: 400,
+            error: `Visits start every ${day.calendar.slot_minutes} minutes between ${day.calendar.day_start} and ${day.calendar.day_end} (e.g. ${slotTimes.slice(0, 3).join(', ')})`
+        };
+    }
+
+    if (!day.slots.some(s => s.time === slot.visit_time)) {
+        const free = day.slots.map(s => s.time);
+        return {
+            success: false,
+            status: 409,
+            field: 'visit_at',
+            error: free.length > 0
+                ? `The ${slot.visit_time} slot on ${slot.visit_date} is fully booked. Free slots: ${free.join(', ')}`
+                : `All slots on ${slot.visit_date} are fully booked. Please pick another date.`
+        };
+    }
+
+    return { success: true };
+}
+
+// ========================================
+// CALENDAR ADMIN
+// ========================================
+
+/**
+ * Update a project's calendar
+ *
+ * @param {string} projectRef - Project UUID, slug or property id
+ * @param {Object} fields - Any of CALENDAR_FIELDS
+ * @returns {Promise<Object>} { success, calendar?, error?, status? }
+ */
+async function updateCalendar(projectRef, fields = {}) {
+    try {
+        const project = await findProject(projectRef);
+        if (!project) {
+            return { success: false, status: 404, error: 'Project not found' };
+        }
+
+        const updates = {};
+        CALENDAR_FIELDS.forEach(field => {
+            if (fields[field] !== undefined) updates[field] = fields[field];
+        });
+        if (Object.keys(updates).length === 0) {
+            return { success: false, status: 400, error: `Nothing to update. Allowed fields: ${CALENDAR_FIELDS.join(', ')}` };
+        }
+
+        if (updates.working_days !== undefined) {
+            const days = Array.isArray(updates.working_days) ? updates.working_days.map(Number) : [];
+            if (days.length === 0 || days.some(d => !Number.isInteger(d) || d < 1 || d > 7)) {
+                return { success: false, status: 400, error: 'working_days must be a list of ISO weekdays (1 = Monday ... 7 = Sunday)' };
+            }
+            updates.working_days = [...new Set(days)].sort();
+        }
+        for (const field of ['day_start', 'day_end']) {
+            if (updates[field] !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(updates[field]))) {
+                return { success: false, status: 400, error: `${field} must be HH:MM (24h, IST)` };
+            }
+        }
+        for (const [field, min, max] of [['slot_minutes', 15, 240], ['capacity', 1, 50]]) {
+            if (updates[field] !== undefined) {
+                const value = Number(updates[field]);
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    return { success: false, status: 400, error: `${field} must be a whole number from ${min} to ${max}` };
+                }
+                updates[field] = value;
+            }
+        }
+
+        const merged = normaliseCalendar({ ...(await getCalendar(project.id)), ...updates });
+        if (toMinutes(merged.day_end) <= toMinutes(merged.day_start)) {
+            return { success: false, status: 400, error: 'day_end must be after day_start' };
+        }
+
+        const data = await supabaseRequest('visit_calendars?on_conflict=project_id', {
+            method: 'POST',
+            headers: { 'Prefer': 'return=representation,resolution=merge-duplicates' },
+            body: JSON.stringify({ project_id: project.id, ...updates })
+        });
+
+        console.log('✅ Visit calendar updated:', project.slug);
+        return { success: true, calendar: normaliseCalendar(data[0]) };
+
+    } catch (error) {
+        console.error('❌ updateCalendar error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Close a project for visits on a date
+ */
+async function addBlackoutDate(projectRef, date, reason) {
+    try {
+        const project = await findProject(projectRef);
+        if (!project) {
+            return { success: false, status: 404, error: 'Project not found' };
+        }
+        if (!isValidDate(date)) {
+            return { success: false, status: 400, error: 'date must be a valid YYYY-MM-DD' };
+        }
+
+        const data = await supabaseRequest('visit_blackout_dates?on_conflict=project_id,blackout_date', {
+            method: 'POST',
+            headers: { 'Prefer': 'return=representation,resolution=merge-duplicates' },
+            body: JSON.stringify({ project_id: project.id, blackout_date: date, reason: reason ? String(reason).trim() : null })
+        });
+
+        console.log('🚫 Visit blackout added:', project.slug, date);
+        return { success: true, blackout: data[0] };
+
+    } catch (error) {
+        console.error('❌ addBlackoutDate error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Re-open a blacked-out date
+ */
+async function removeBlackoutDate(projectRef, date) {
+    try {
+        const project = await findProject(projectRef);
+        if (!project) {
+            return { success: false, status: 404, error: 'Project not found' };
+        }
+        if (!isValidDate(date)) {
+            return { success: false, status: 400, error: 'date must be a valid YYYY-MM-DD' };
+        }
+
+        await supabaseRequest(`visit_blackout_dates?project_id=eq.${project.id}&blackout_date=eq.${date}`, {
+            method: 'DELETE',
+            headers: { 'Prefer': 'return=minimal' }
+        });
+
+        return { success: true };
+
+    } catch (error) {
+        console.error('❌ removeBlackoutDate error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    ACTIVE_VISIT_STATUSES,
+    DEFAULT_CALENDAR,
+    VISIT_TIMEZONE,
+    formatVisitSlot,
+    generateSlots,
+    findProject,
+    getCalendar,
+    listProjects,
+    getBlackoutDates,
+    getAvailability,
+    checkVisitSlot,
+    updateCalendar,
+    addBlackoutDate,
+    removeBlackoutDate
+};
@@ -0,0 +1,542 @@
+/**
+ * ========================================
+ * AIONUS - POST-VISIT FEEDBACK & NPS
+ * ========================================
+ * When a site visit is marked complete the buyer is asked:
+ *
+ *   rating (1-5) → NPS (0-10) → price perception →
+ *   purchase intent → what they liked → what they didn't
+ *
+ * Buyers who booked through Telegram answer in the chat with
+ * buttons (callback_data "fb:<feedback id>:<field>:<value>") and
+ * two text replies; everyone else gets a survey link
+ * (/feedback.html?token=...) that the agent sends them.
+ *
+ * Answers are kept in visit_feedback against the visit, its project
+ * and CRM lead, and summarised for admin-analytics.html.
+ */
+
+require('dotenv').config();
+const { logLeadActivity, logLeadActivityByPhone } = require('./leadActivities');
+const { sendTelegramMessage } = require('./telegramApi');
+
+const PRICE_PERCEPTIONS = {
+    too_high: 'Too high',
+    slightly_high: 'A bit high',
+    fair: 'Fair',
+    good_value: 'Good value'
+};
+
+const PURCHASE_INTENTS = {
+    ready: 'Ready to book',
+    within_3_months: 'Within 3 months',
+    exploring: 'Still exploring',
+    not_interested: 'Not interested'
+};
+
+// Telegram asks one question at a time, in this order
+const FEEDBACK_STEPS = ['rating', 'nps', 'price_perception', 'purchase_intent', 'liked', 'disliked'];
+const TEXT_STEPS = ['liked', 'disliked'];
+
+const FEEDBACK_CALLBACK_PREFIX = 'fb';
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (same as lib/siteVisits.js)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Visit feedback database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Check and clean answers; only the fields given are returned
+ * @returns {Object} { answers } or { error }
+ */
+function parseAnswers(input = {}) {
+    const answers = {};
+
+    if (input.rating !== undefined && input.rating !== null && input.rating !== '') {
+        const rating = Number(input.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return { error: 'Rating must be a whole number from 1 to 5' };
+        }
+        answers.rating = rating;
+    }
+
+    if (input.nps !== undefined && input.nps !== null && input.nps !== '') {
+        const nps = Number(input.nps);
+        if (!Number.isInteger(nps) || nps < 0 || nps > 10) {
+            return { error: 'Recommendation score must be a whole number from 0 to 10' };
+        }
+        answers.nps = nps;
+    }
+
+    if (input.price_perception) {
+        if (!PRICE_PERCEPTIONS[input.price_perception]) {
+            return { error: `Price perception must be one of: ${Object.keys(PRICE_PERCEPTIONS).join(', ')}` };
+        }
+        answers.price_perception = input.price_perception;
+    }
+
+    if (input.purchase_intent) {
+        if (!PURCHASE_INTENTS[input.purchase_intent]) {
+            return { error: `Purchase intent must be one of: ${Object.keys(PURCHASE_INTENTS).join(', ')}` };
+        }
+        answers.purchase_intent = input.purchase_intent;
+    }
+
+    for (const field of TEXT_STEPS) {
+        if (input[field] !== undefined) {
+            answers[field] = String(input[field] || '').trim().slice(0, MAX_TEXT_LENGTH) || null;
+        }
+    }
+
+    return { answers };
+}
+
+// One line for the CRM timeline
+function describeAnswers(feedback) {
+    return [
+        feedback.rating ? `${feedback.rating}/5` : null,
+        feedback.nps !== null && feedback.nps !== undefined ? `NPS ${feedback.nps}` : null,
+        feedback.price_perception ? `price: ${PRICE_PERCEPTIONS[feedback.price_perception]}` : null,
+        feedback.purchase_intent ? `intent: ${PURCHASE_INTENTS[feedback.purchase_intent]}` : null
+    ].filter(Boolean).join(', ');
+}
+
+async function logFeedbackActivity(feedback, visit, content, metadata) {
+    const activity = {
+        type: 'site_visit',
+        content,
+        metadata: { action: 'feedback', visit_id: visit.id, feedback_id: feedback.id, ...metadata }
+    };
+
+    if (feedback.lead_id) {
+        await logLeadActivity({ lead_id: feedback.lead_id, ...activity });
+    } else {
+        await logLeadActivityByPhone(visit.phone, activity);
+    }
+}
+
+// ========================================
+// TELEGRAM CONVERSATION
+// ========================================
+
+/**
+ * First unanswered question
+ * @returns {string|null} Field name, or null when all are answered
+ */
+function nextStep(feedback) {
+    return FEEDBACK_STEPS.find(step => feedback[step] === null || feedback[step] === undefined) || null;
+}
+
+/**
+ * Message and buttons for one question
+ */
+function buildQuestion(feedback, step, projectName) {
+    const button = (text, value) => ({
+        text,
+        callback_data: `${FEEDBACK_CALLBACK_PREFIX}:${feedback.id}:${step}:${value}`
+    });
+    const options = (labels) => Object.entries(labels).map(([value, label]) => button(label, value));
+    const pairs = (buttons) => [buttons.slice(0, 2), buttons.slice(2)];
+
+    switch (step) {
+        case 'rating':
+            return {
+                text: `🏠 <b>${projectName ? `${projectName} ki site visit` : 'Aapki site visit'} kaisi rahi?</b>
+
+1 = bilkul achhi nahi, 5 = bahut badhiya`,
+                reply_markup: { inline_keyboard: [[1, 2, 3, 4, 5].map(n => button(`${n} ⭐`, n))] }
+            };
+        case 'nps':
+            return {
+                text: '🤝 Aap AIONUS ko kisi dost ya family ko recommend karenge? (0 = bilkul nahi, 10 = zaroor)',
+                reply_markup: {
+                    inline_keyboard: [
+                        [0, 1, 2, 3, 4, 5].map(n => button(String(n), n)),
+                        [6, 7, 8, 9, 10].map(n => button(String(n), n))
+                    ]
+                }
+            };
+        case 'price_perception':
+            return {
+                text: '💰 Property ki price ke baare mein aapki kya raay hai?',
+                reply_markup: { inline_keyboard: pairs(options(PRICE_PERCEPTIONS)) }
+            };
+        case 'purchase_intent':
+            return {
+                text: '📝 Kharidne ka plan kya hai?',
+                reply_markup: { inline_keyboard: pairs(options(PURCHASE_INTENTS)) }
+            };
+        case 'liked':
+            return { text: '👍 Visit mein kya pasand aaya? Ek message mein likhiye (ya /skip)' };
+        case 'disliked':
+            return { text: '👎 Aur kya pasand nahi aaya ya behtar ho sakta tha? (ya /skip)' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Ask the next question in the chat, or thank them when done
+ * @returns {Promise<string|null>} The step asked, null when finished
+ */
+async function sendNextQuestion(feedback, chatId, projectName = null) {
+    const step = nextStep(feedback);
+
+    if (!step) {
+        await sendTelegramMessage(chatId, '🙏 Shukriya! Aapka feedback hamari team tak pahunch gaya hai.');
+        return null;
+    }
+
+    const { text, reply_markup } = buildQuestion(feedback, step, projectName);
+    await sendTelegramMessage(chatId, text, 'HTML', reply_markup ? { reply_markup } : {});
+    return step;
+}
+
+/**
+ * Parse "fb:<id>:<field>:<value>" from a button press
+ * @returns {Object|null} { feedbackId, field, value }
+ */
+function parseFeedbackCallback(data) {
+    const [prefix, feedbackId, field, value] = String(data || '').split(':');
+    if (prefix !== FEEDBACK_CALLBACK_PREFIX || !feedbackId || !FEEDBACK_STEPS.includes(field) || value === undefined) {
+        return null;
+    }
+    return { feedbackId, field, value };
+}
+
+// ========================================
+// FEEDBACK REQUESTS & ANSWERS
+// ========================================
+
+async function getFeedback(filter) {
+    const rows = await supabaseRequest(
+        `visit_feedback?select=*,visit:site_visits(id,name,phone,visit_at,telegram_chat_id),project:projects(name,city)&${filter}`
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Ask the buyer for feedback on a completed visit
+ * Never throws - a survey problem must not fail the completion.
+ *
+ * @param {Object} visit - site_visits row
+ * @returns {Promise<Object|null>} visit_feedback row
+ */
+async function requestVisitFeedback(visit) {
+    try {
+        const existing = await supabaseRequest(`visit_feedback?select=*&visit_id=eq.${visit.id}`);
+        if (existing[0]) return existing[0];
+
+        const channel = visit.telegram_chat_id ? 'telegram' : 'web';
+        const rows = await supabaseRequest('visit_feedback', {
+            method: 'POST',
+            body: JSON.stringify({
+                visit_id: visit.id,
+                lead_id: visit.lead_id || null,
+                project_id: visit.project_id || null,
+                channel
+            })
+        });
+        const feedback = rows[0];
+
+        let projectName = null;
+        if (visit.project_id) {
+            const projects = await supabaseRequest(`projects?select=name&id=eq.${visit.project_id}`);
+            projectName = projects[0]?.name || null;
+        }
+
+        if (channel === 'telegram') {
+            await sendNextQuestion(feedback, visit.telegram_chat_id, projectName);
+        }
+
+        await logFeedbackActivity(feedback, visit, channel === 'telegram'
+            ? 'Visit feedback requested on Telegram'
+            : 'Visit feedback survey ready to send', { survey_url: `/feedback.html?token=${feedback.token}` });
+
+        console.log(`📝 Feedback requested for visit ${visit.id} (${channel})`);
+        return feedback;
+
+    } catch (error) {
+        console.error('⚠️ Could not request visit feedback:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Save answers; marks the feedback completed once every
+ * question has been answered (text ones may be blank)
+ */
+async function saveAnswers(feedback, answers, { complete = false } = {}) {
+    const merged = { ...feedback, ...answers };
+    const finished = complete || (merged.rating && nextStep(merged) === null);
+    const updates = { ...answers };
+
+    if (finished && feedback.status !== 'completed') {
+        updates.status = 'completed';
+        updates.submitted_at = new Date().toISOString();
+    }
+
+    const rows = await supabaseRequest(`visit_feedback?id=eq.${feedback.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+    });
+    const saved = { ...feedback, ...rows[0] };
+
+    if (updates.status === 'completed') {
+        await logFeedbackActivity(saved, feedback.visit, `Visit feedback: ${describeAnswers(saved)}`, {
+            rating: saved.rating,
+            nps: saved.nps,
+            price_perception: saved.price_perception,
+            purchase_intent: saved.purchase_intent,
+            liked: saved.liked,
+            disliked: saved.disliked
+        });
+        console.log(`⭐ Feedback received for visit ${feedback.visit_id}: ${describeAnswers(saved)}`);
+    }
+
+    return saved;
+}
+
+/**
+ * Survey page: who it's for and whether it's already answered
+ * @returns {Promise<Object>} { success, survey?, status?, error? }
+ */
+async function getSurvey(token) {
+    try {
+        if (!/^[A-Za-z0-9]{16,}$/.test(String(token || ''))) {
+            return { success: false, status: 404, error: 'Survey not found' };
+        }
+
+        const feedback = await getFeedback(`token=eq.${token}`);
+        if (!feedback) {
+            return { success: false, status: 404, error: 'Survey not found' };
+        }
+
+        return {
+            success: true,
+            survey: {
+                name: feedback.visit?.name || null,
+                visit_at: feedback.visit?.visit_at || null,
+                project: feedback.project?.name || null,
+                completed: feedback.status === 'completed'
+            },
+            options: { price_perception: PRICE_PERCEPTIONS, purchase_intent: PURCHASE_INTENTS }
+        };
+
+    } catch (error) {
+        console.error('❌ getSurvey error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Survey page submission (all answers at once)
+ *
+ * @param {string} token - visit_feedback.token
+ * @param {Object} input - { rating, nps?, price_perception?, purchase_intent?, liked?, disliked? }
+ * @returns {Promise<Object>} { success, status?, error? }
+ */
+async function submitSurvey(token, input) {
+    try {
+        const feedback = /^[A-Za-z0-9]{16,}$/.test(String(token || ''))
+            ? await getFeedback(`token=eq.${token}`)
+            : null;
+        if (!feedback) {
+            return { success: false, status: 404, error: 'Survey not found' };
+        }
+        if (feedback.status === 'completed') {
+            return { success: false, status: 409, error: 'Thanks - we already have your feedback for this visit' };
+        }
+
+        const { answers, error } = parseAnswers(input);
+        if (error) {
+            return { success: false, status: 400, error };
+        }
+        if (!answers.rating) {
+            return { success: false, status: 400, error: 'Please rate your visit' };
+        }
+
+        await saveAnswers(feedback, answers, { complete: true });
+        return { success: true };
+
+    } catch (error) {
+        console.error('❌ submitSurvey error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * One Telegram answer (button or text); asks the next question
+ *
+ * @param {string} feedbackId
+ * @param {string|number} chatId - Must be the chat the visit was booked from
+ * @param {string} field - One of FEEDBACK_STEPS
+ * @param {string|number|null} value - null skips a text question
+ * @returns {Promise<Object>} { success, next?, status?, error? }
+ */
+async function answerTelegramFeedback(feedbackId, chatId, field, value) {
+    try {
+        const feedback = await getFeedback(`id=eq.${feedbackId}`);
+        if (!feedback || String(feedback.visit?.telegram_chat_id) !== String(chatId)) {
+            return { success: false, status: 404, error: 'Feedback not found' };
+        }
+        if (feedback.status === 'completed') {
+            return { success: false, status: 409, error: 'Feedback already received' };
+        }
+
+        // Skipped text answers are stored as '' so the question isn't asked again
+        const { answers, error } = value === null && TEXT_STEPS.includes(field)
+            ? { answers: { [field]: '' } }
+            : parseAnswers({ [field]: value });
+        if (error) {
+            return { success: false, status: 400, error };
+        }
+        if (TEXT_STEPS.includes(field) && answers[field] === null) {
+            answers[field] = '';
+        }
+
+        const saved = await saveAnswers(feedback, answers);
+        const next = await sendNextQuestion(saved, chatId, feedback.project?.name);
+
+        return { success: true, next };
+
+    } catch (error) {
+        console.error('❌ answerTelegramFeedback error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// SUMMARY (admin-analytics.html)
+// ========================================
+
+// Promoters (9-10) minus detractors (0-6), as a percentage
+function npsScore(scores) {
+    if (scores.length === 0) return null;
+    const promoters = scores.filter(s => s >= 9).length;
+    const detractors = scores.filter(s => s <= 6).length;
+    return Math.round(((promoters - detractors) / scores.length) * 100);
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+}
+
+function countBy(rows, field, labels) {
+    return Object.fromEntries(Object.keys(labels).map(key => [key, rows.filter(r => r[field] === key).length]));
+}
+
+/**
+ * Feedback over the last N days
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days=90]
+ * @returns {Promise<Object>} { success, summary?, error? }
+ */
+async function getFeedbackSummary({ days = 90 } = {}) {
+    try {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const rows = await supabaseRequest(
+            `visit_feedback?select=*,project:projects(name),visit:site_visits(name)&created_at=gte.${since}&order=created_at.desc`
+        );
+
+        const answered = rows.filter(r => r.rating);
+        const npsValues = answered.map(r => r.nps).filter(n => n !== null && n !== undefined);
+
+        const byProject = new Map();
+        answered.forEach(row => {
+            const name = row.project?.name || 'General enquiry';
+            if (!byProject.has(name)) byProject.set(name, []);
+            byProject.get(name).push(row);
+        });
+
+        const summary = {
+            days,
+            requested: rows.length,
+            responses: answered.length,
+            response_rate: rows.length ? Math.round((answered.length / rows.length) * 100) : null,
+            average_rating: average(answered.map(r => r.rating)),
+            nps: npsScore(npsValues),
+            nps_responses: npsValues.length,
+            price_perception: countBy(answered, 'price_perception', PRICE_PERCEPTIONS),
+            purchase_intent: countBy(answered, 'purchase_intent', PURCHASE_INTENTS),
+            by_project: [...byProject.entries()]
+                .map(([name, projectRows]) => ({
+                    project: name,
+                    responses: projectRows.length,
+                    average_rating: average(projectRows.map(r => r.rating)),
+                    nps: npsScore(projectRows.map(r => r.nps).filter(n => n !== null && n !== undefined))
+                }))
+                .sort((a, b) => b.responses - a.responses),
+            recent_comments: answered
+                .filter(r => r.liked || r.disliked)
+                .slice(0, 10)
+                .map(r => ({
+                    name: r.visit?.name || null,
+                    project: r.project?.name || null,
+                    rating: r.rating,
+                    liked: r.liked || null,
+                    disliked: r.disliked || null,
+                    submitted_at: r.submitted_at || r.updated_at
+                })),
+            labels: { price_perception: PRICE_PERCEPTIONS, purchase_intent: PURCHASE_INTENTS }
+        };
+
+        return { success: true, summary };
+
+    } catch (error) {
+        console.error('❌ getFeedbackSummary error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    PRICE_PERCEPTIONS,
+    PURCHASE_INTENTS,
+    FEEDBACK_STEPS,
+    TEXT_STEPS,
+    parseAnswers,
+    parseFeedbackCallback,
+    requestVisitFeedback,
+    getSurvey,
+    submitSurvey,
+    answerTelegramFeedback,
+    getFeedbackSummary
+};
@@ -0,0 +1,385 @@
+/**
+ * ========================================
+ * AIONUS - SITE VISIT CALENDAR INVITES
+ * ========================================
+ * RFC 5545 iCalendar for site visits:
+ *
+ * - One .ics per visit (METHOD:REQUEST, or METHOD:CANCEL once
+ *   cancelled) for the buyer to add to their calendar
+ * - A subscribable feed per agent with the visits of the buyers
+ *   they own, so Google / Outlook Calendar stay in sync
+ *
+ * Every visit keeps the UID site-visit-<id>@aionus; ics_sequence
+ * is raised on each lifecycle change (lib/siteVisits.js) so
+ * calendar apps replace the earlier copy instead of duplicating it.
+ * The new copy is sent on Telegram to the buyer (if they booked
+ * there) and the agent on each booking, confirmation, reschedule
+ * and cancellation (sendVisitInvite).
+ */
+
+require('dotenv').config();
+const { getCalendar } = require('./visitCalendar');
+const { sendTelegramFile } = require('./telegramApi');
+
+const PRODUCT_ID = '-//AIONUS//Site Visits//EN';
+const UID_DOMAIN = 'aionus';
+
+// Calendar apps ignore REQUEST / CANCEL updates without an ORGANIZER;
+// used when the visit's agent has no email
+const DEFAULT_ORGANIZER_EMAIL = `site-visits@${UID_DOMAIN}.invalid`;
+
+// Lifecycle changes whose invite is sent out, with the Telegram captions
+const INVITE_CAPTIONS = {
+    created: {
+        buyer: '📅 Aapki site visit ka calendar invite - calendar mein add kar lijiye.',
+        agent: '📅 New site visit booked'
+    },
+    confirm: {
+        buyer: '✅ Site visit confirm ho gayi - updated calendar invite.',
+        agent: '✅ Site visit confirmed'
+    },
+    reschedule: {
+        buyer: '🔁 Site visit ka naya time - yeh invite purane wale ki jagah le lega.',
+        agent: '🔁 Site visit rescheduled'
+    },
+    cancel: {
+        buyer: '✖️ Site visit cancel ho gayi - yeh file calendar se visit hata degi.',
+        agent: '✖️ Site visit cancelled'
+    }
+};
+
+// Past visits kept in agent feeds
+const FEED_HISTORY_DAYS = 30;
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (same as lib/siteVisits.js)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Site visits database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// ICALENDAR FORMATTING
+// ========================================
+
+// TEXT values escape backslash, semicolon, comma and newlines
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values with : ; , must be quoted (and can't contain quotes)
+function quoteParam(value) {
+    const clean = String(value ?? '').replace(/"/g, "'");
+    return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+// 20241215T043000Z
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * Never splits a multi-byte character.
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function visitUid(visit) {
+    return `site-visit-${visit.id}@${UID_DOMAIN}`;
+}
+
+// Visit status → VEVENT STATUS
+function eventStatus(visit) {
+    if (visit.status === 'cancelled') return 'CANCELLED';
+    if (['confirmed', 'completed'].includes(visit.status)) return 'CONFIRMED';
+    return 'TENTATIVE';
+}
+
+/**
+ * VEVENT lines for one visit
+ *
+ * @param {Object} visit - site_visits row (needs visit_at)
+ * @param {Object} [context]
+ * @param {Object} [context.project] - projects row
+ * @param {Object} [context.agent] - agents row (organizer)
+ * @param {number} [context.durationMinutes=60] - Slot length
+ * @returns {Array<string>}
+ */
+function buildVisitEvent(visit, { project = null, agent = null, durationMinutes = 60 } = {}) {
+    const start = new Date(visit.visit_at);
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    const place = project ? project.name : 'AIONUS property';
+
+    const description = [
+        `Buyer: ${visit.name}`,
+        `Phone: ${visit.phone}`,
+        project ? `Project: ${project.name}` : null,
+        agent ? `Agent: ${agent.name}` : null,
+        visit.message ? `Notes: ${visit.message}` : null,
+        visit.status === 'cancelled' && visit.cancel_reason ? `Cancelled: ${visit.cancel_reason}` : null
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${visitUid(visit)}`,
+        `SEQUENCE:${visit.ics_sequence || 0}`,
+        `DTSTAMP:${formatUtc(visit.updated_at || visit.created_at || new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(`Site visit: ${place} - ${visit.name}`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${eventStatus(visit)}`
+    ];
+
+    if (project) {
+        const location = [project.name, project.community, project.city].filter(Boolean).join(', ');
+        lines.push(`LOCATION:${escapeText(location)}`);
+    }
+
+    const organizerEmail = agent?.email || process.env.VISIT_ORGANIZER_EMAIL || DEFAULT_ORGANIZER_EMAIL;
+    lines.push(`ORGANIZER;CN=${quoteParam(agent?.email ? agent.name : 'AIONUS')}:mailto:${organizerEmail}`);
+    if (visit.phone) {
+        lines.push(`ATTENDEE;CN=${quoteParam(visit.name)};ROLE=REQ-PARTICIPANT:tel:${visit.phone}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Wrap events in a VCALENDAR
+ *
+ * @param {Array<Array<string>>} events - From buildVisitEvent
+ * @param {Object} [options]
+ * @param {string} [options.method] - REQUEST / CANCEL for invites; none for feeds
+ * @param {string} [options.name] - Calendar name shown when subscribing
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(events, { method = null, name = null } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+    if (method) lines.push(`METHOD:${method}`);
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+        lines.push('X-WR-TIMEZONE:Asia/Kolkata');
+    }
+    events.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ========================================
+// INVITES & FEEDS
+// ========================================
+
+/**
+ * Projects, slot lengths and agents for a set of visits
+ */
+async function loadVisitContext(visits) {
+    const projectIds = [...new Set(visits.map(v => v.project_id).filter(Boolean))];
+    const agentIds = [...new Set(visits.map(v => v.agent_id).filter(Boolean))];
+
+    const projects = projectIds.length > 0
+        ? await supabaseRequest(`projects?select=id,name,community,city&id=in.(${projectIds.join(',')})`)
+        : [];
+    const agents = agentIds.length > 0
+        ? await supabaseRequest(`agents?select=id,name,email,telegram_chat_id&id=in.(${agentIds.join(',')})`)
+        : [];
+
+    const projectById = new Map(projects.map(p => [p.id, p]));
+    const agentById = new Map(agents.map(a => [a.id, a]));
+    const durationByProject = new Map();
+    for (const id of projectIds) {
+        durationByProject.set(id, (await getCalendar(id)).slot_minutes);
+    }
+
+    return visit => ({
+        project: projectById.get(visit.project_id) || null,
+        agent: agentById.get(visit.agent_id) || null,
+        durationMinutes: durationByProject.get(visit.project_id) || 60
+    });
+}
+
+/**
+ * .ics for a visit row, with the project and agent it needs
+ * @returns {Promise<Object>} { method, filename, ics, agent }
+ */
+async function buildVisitInvite(visit) {
+    const method = visit.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    const contextFor = await loadVisitContext([visit]);
+    const context = contextFor(visit);
+    const ics = buildCalendar([buildVisitEvent(visit, context)], { method });
+
+    return { method, filename: `site-visit-${visit.visit_date || visit.id}.ics`, ics, agent: context.agent };
+}
+
+/**
+ * .ics for one visit in its current state
+ *
+ * @param {string} visitId
+ * @returns {Promise<Object>} { success, method?, filename?, ics?, status?, error? }
+ */
+async function getVisitInvite(visitId) {
+    try {
+        const visits = await supabaseRequest(`site_visits?select=*&id=eq.${visitId}`);
+        const visit = visits[0];
+        if (!visit) {
+            return { success: false, status: 404, error: 'Visit not found' };
+        }
+        if (!visit.visit_at) {
+            return { success: false, status: 409, error: 'This visit has no valid slot' };
+        }
+
+        const { method, filename, ics } = await buildVisitInvite(visit);
+        return { success: true, method, filename, ics };
+
+    } catch (error) {
+        console.error('❌ getVisitInvite error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Send a visit's current .ics to the buyer (Telegram bookings) and
+ * the agent handling it (if linked to Telegram), after a change
+ * Never throws - the change itself has already been saved.
+ *
+ * @param {Object} visit - site_visits row after the change
+ * @param {string} action - created | confirm | reschedule | cancel (others are ignored)
+ * @returns {Promise<Object>} { success, sent?, error? } - sent = invites delivered
+ */
+async function sendVisitInvite(visit, action) {
+    const captions = INVITE_CAPTIONS[action];
+    if (!captions || !visit?.visit_at || !process.env.TELEGRAM_BOT_TOKEN) {
+        return { success: true, sent: 0 };
+    }
+
+    try {
+        const { filename, ics, agent } = await buildVisitInvite(visit);
+        const file = { filename, content: ics, contentType: 'text/calendar; charset=utf-8' };
+
+        const recipients = [
+            visit.telegram_chat_id ? { chatId: visit.telegram_chat_id, caption: captions.buyer } : null,
+            agent?.telegram_chat_id ? { chatId: agent.telegram_chat_id, caption: `${captions.agent}: ${visit.name}` } : null
+        ].filter(Boolean);
+
+        let sent = 0;
+        for (const { chatId, caption } of recipients) {
+            if (await sendTelegramFile(chatId, file, { caption })) sent++;
+        }
+
+        if (sent < recipients.length) {
+            console.error(`⚠️ Visit invite ${visit.id} (${action}): ${sent}/${recipients.length} delivered`);
+        }
+        return { success: true, sent };
+
+    } catch (error) {
+        console.error('❌ sendVisitInvite error:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Subscribable feed of an agent's visits (last 30 days onwards)
+ * Cancelled visits stay in with STATUS:CANCELLED so subscribed
+ * calendars drop them.
+ *
+ * @param {string} token - agents.calendar_token
+ * @returns {Promise<Object>} { success, ics?, agent?, status?, error? }
+ */
+async function getAgentFeed(token) {
+    try {
+        if (!/^[A-Za-z0-9_-]{16,}$/.test(String(token || ''))) {
+            return { success: false, status: 404, error: 'Calendar not found' };
+        }
+
+        const agents = await supabaseRequest(
+            `agents?select=id,name,email&calendar_token=eq.${token}&is_active=eq.true`
+        );
+        const agent = agents[0];
+        if (!agent) {
+            return { success: false, status: 404, error: 'Calendar not found' };
+        }
+
+        const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const visits = await supabaseRequest(
+            `site_visits?select=*&agent_id=eq.${agent.id}&visit_at=gte.${since}&order=visit_at.asc`
+        );
+
+        const contextFor = await loadVisitContext(visits);
+        const ics = buildCalendar(
+            visits.map(visit => buildVisitEvent(visit, contextFor(visit))),
+            { name: `AIONUS site visits - ${agent.name}` }
+        );
+
+        return { success: true, agent, ics };
+
+    } catch (error) {
+        console.error('❌ getAgentFeed error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    buildVisitEvent,
+    buildCalendar,
+    getVisitInvite,
+    sendVisitInvite,
+    getAgentFeed
+};
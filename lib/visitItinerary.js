@@ -0,0 +1,350 @@
+/**
+ * ========================================
+ * AIONUS - DAILY VISIT PLAN
+ * ========================================
+ * Orders an agent's confirmed visits for one day so they can get
+ * from site to site: each visit must start within its slot
+ * (visit_at + LATE_GRACE_MINUTES), and among the orders that keep
+ * to the slots the one with the least travel wins.
+ *
+ * Travel is estimated locally - haversine distance between project
+ * coordinates, stretched for roads, at city driving speed. No live
+ * traffic. Projects without coordinates are listed in
+ * missing_locations; admin-visits.html geocodes them
+ * (lib/mapsClient.js geocodeAddress) and saves them with
+ * updateProjectLocation().
+ */
+
+require('dotenv').config();
+const { findProject, formatVisitSlot } = require('./visitCalendar');
+
+const IST_OFFSET = '+05:30';
+const EARTH_RADIUS_KM = 6371;
+
+// Straight line → road distance, and average city speed
+const ROAD_FACTOR = 1.4;
+const CITY_SPEED_KMH = 22;
+
+// Time at each site, and how late an agent may turn up
+const DEFAULT_VISIT_MINUTES = 45;
+const LATE_GRACE_MINUTES = 15;
+
+// Every order is tried up to this many visits; beyond, slot order
+const EXACT_SEARCH_LIMIT = 8;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (same as lib/siteVisits.js)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Site visits database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// DISTANCE & TRAVEL TIME
+// ========================================
+
+function hasLocation(point) {
+    return Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+}
+
+/**
+ * Great-circle distance in km
+ */
+function haversineKm(a, b) {
+    const toRad = deg => (deg * Math.PI) / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLng = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Estimated drive between two points
+ * @returns {Object|null} { km, minutes } - null when either location is unknown
+ */
+function estimateTravel(from, to) {
+    if (!hasLocation(from) || !hasLocation(to)) return null;
+
+    const km = haversineKm(from, to) * ROAD_FACTOR;
+    // Round up to 5 minutes; a different tower in the same project still takes a few
+    const minutes = km < 0.5 ? 5 : Math.ceil(((km / CITY_SPEED_KMH) * 60) / 5) * 5;
+    return { km: Math.round(km * 10) / 10, minutes };
+}
+
+// ========================================
+// ORDERING
+// ========================================
+
+/**
+ * Walk the stops in order and time each one
+ * @returns {Object} { legs, late, lateMinutes, km }
+ */
+function simulate(order, { start = null, visitMinutes }) {
+    let clock = null;
+    let position = start;
+    let late = 0;
+    let lateMinutes = 0;
+    let km = 0;
+
+    const legs = order.map(stop => {
+        const travel = position ? estimateTravel(position, stop.location) : null;
+        // The day starts with the agent arriving on time for the first visit
+        const arriveAt = clock === null ? stop.windowStart : clock + (travel?.minutes || 0) * MINUTE_MS;
+        const startAt = Math.max(arriveAt, stop.windowStart);
+        const endAt = startAt + visitMinutes * MINUTE_MS;
+        const lateBy = Math.max(0, Math.round((arriveAt - stop.windowStart) / MINUTE_MS));
+
+        if (arriveAt > stop.windowEnd) {
+            late++;
+            lateMinutes += lateBy;
+        }
+        km += travel?.km || 0;
+
+        const leg = {
+            stop,
+            travel,
+            arriveAt,
+            startAt,
+            endAt,
+            // Free time between finishing the last visit (plus travel) and this one
+            gapMinutes: clock === null ? null : Math.max(0, Math.round((stop.windowStart - arriveAt) / MINUTE_MS)),
+            lateMinutes: lateBy
+        };
+
+        clock = endAt;
+        position = hasLocation(stop.location) ? stop.location : null;
+        return leg;
+    });
+
+    return { legs, late, lateMinutes, km };
+}
+
+// Fewer missed slots, then less lateness, then less driving
+function isBetter(a, b) {
+    if (!b) return true;
+    if (a.late !== b.late) return a.late < b.late;
+    if (a.lateMinutes !== b.lateMinutes) return a.lateMinutes < b.lateMinutes;
+    return a.km < b.km - 0.05;
+}
+
+/**
+ * Best order of stops
+ * Tries every order for a normal day; big days keep slot order.
+ */
+function planRoute(stops, options) {
+    const bySlot = [...stops].sort((a, b) => a.windowStart - b.windowStart);
+    if (stops.length > EXACT_SEARCH_LIMIT) {
+        return simulate(bySlot, options);
+    }
+
+    // Slot order first so ties keep the booked sequence
+    let best = simulate(bySlot, options);
+    const used = new Array(bySlot.length).fill(false);
+    const order = [];
+
+    const search = () => {
+        if (order.length === bySlot.length) {
+            const result = simulate(order, options);
+            if (isBetter(result, best)) best = result;
+            return;
+        }
+        for (let i = 0; i < bySlot.length; i++) {
+            if (used[i]) continue;
+            used[i] = true;
+            order.push(bySlot[i]);
+
+            // Prune once this prefix already misses more slots than the best plan
+            const partial = simulate(order, options);
+            if (partial.late <= best.late) search();
+
+            order.pop();
+            used[i] = false;
+        }
+    };
+    search();
+
+    return best;
+}
+
+// ========================================
+// DAILY ITINERARY
+// ========================================
+
+/**
+ * An agent's day, ordered for travel
+ *
+ * @param {Object} params
+ * @param {string} params.agentId - agents.id
+ * @param {string} params.date - YYYY-MM-DD (IST)
+ * @param {Object} [params.start] - { latitude, longitude } where the agent sets off
+ * @param {number} [params.visitMinutes=45] - Time spent at each site
+ * @returns {Promise<Object>} { success, itinerary?, status?, error? }
+ */
+async function getDailyItinerary({ agentId, date, start = null, visitMinutes = DEFAULT_VISIT_MINUTES } = {}) {
+    try {
+        if (!agentId) {
+            return { success: false, status: 400, error: 'agent is required' };
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) {
+            return { success: false, status: 400, error: 'date must be YYYY-MM-DD' };
+        }
+        if (start && !hasLocation(start)) {
+            return { success: false, status: 400, error: 'from must be "latitude,longitude"' };
+        }
+
+        const agents = await supabaseRequest(`agents?select=id,name,phone,email&id=eq.${encodeURIComponent(agentId)}`);
+        const agent = agents[0];
+        if (!agent) {
+            return { success: false, status: 404, error: 'Agent not found' };
+        }
+
+        const dayStart = new Date(`${date}T00:00:00${IST_OFFSET}`);
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * MINUTE_MS);
+        const visits = await supabaseRequest(
+            `site_visits?select=*,project:projects(id,name,community,city,latitude,longitude)`
+            + `&agent_id=eq.${agent.id}&status=eq.confirmed`
+            + `&visit_at=gte.${dayStart.toISOString()}&visit_at=lt.${dayEnd.toISOString()}`
+            + `&order=visit_at.asc`
+        );
+
+        const stops = visits.map(visit => {
+            const windowStart = new Date(visit.visit_at).getTime();
+            return {
+                visit,
+                location: visit.project && hasLocation(visit.project) ? visit.project : null,
+                windowStart,
+                windowEnd: windowStart + LATE_GRACE_MINUTES * MINUTE_MS
+            };
+        });
+
+        const plan = planRoute(stops, { start, visitMinutes });
+
+        const missing = new Map();
+        visits.forEach(visit => {
+            if (visit.project && !hasLocation(visit.project)) {
+                missing.set(visit.project.id, {
+                    project_id: visit.project.id,
+                    name: visit.project.name,
+                    address: [visit.project.name, visit.project.community, visit.project.city, 'India'].filter(Boolean).join(', ')
+                });
+            }
+        });
+
+        const iso = ms => new Date(ms).toISOString();
+        const itinerary = {
+            agent,
+            date,
+            visit_minutes: visitMinutes,
+            stops: plan.legs.map((leg, index) => ({
+                order: index + 1,
+                visit_id: leg.stop.visit.id,
+                name: leg.stop.visit.name,
+                phone: leg.stop.visit.phone,
+                project: leg.stop.visit.project
+                    ? { id: leg.stop.visit.project.id, name: leg.stop.visit.project.name, community: leg.stop.visit.project.community, city: leg.stop.visit.project.city }
+                    : null,
+                slot: formatVisitSlot(leg.stop.visit.visit_at),
+                visit_at: leg.stop.visit.visit_at,
+                travel_km: leg.travel?.km ?? null,
+                travel_minutes: leg.travel?.minutes ?? null,
+                arrive_at: iso(leg.arriveAt),
+                start_at: iso(leg.startAt),
+                end_at: iso(leg.endAt),
+                gap_minutes: leg.gapMinutes,
+                late_minutes: leg.lateMinutes,
+                on_time: leg.arriveAt <= leg.stop.windowEnd,
+                location_known: !!leg.stop.location
+            })),
+            totals: {
+                visits: plan.legs.length,
+                travel_km: Math.round(plan.km * 10) / 10,
+                travel_minutes: plan.legs.reduce((sum, leg) => sum + (leg.travel?.minutes || 0), 0),
+                free_minutes: plan.legs.reduce((sum, leg) => sum + (leg.gapMinutes || 0), 0),
+                late_visits: plan.late
+            },
+            missing_locations: [...missing.values()]
+        };
+
+        return { success: true, itinerary };
+
+    } catch (error) {
+        console.error('❌ getDailyItinerary error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+/**
+ * Save a project's coordinates (geocoded in admin-visits.html)
+ *
+ * @param {string|number} projectRef - UUID, slug or website property id
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Promise<Object>} { success, project?, status?, error? }
+ */
+async function updateProjectLocation(projectRef, { latitude, longitude } = {}) {
+    try {
+        const lat = Number(latitude);
+        const lng = Number(longitude);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return { success: false, status: 400, error: 'latitude and longitude are required' };
+        }
+
+        const project = await findProject(projectRef);
+        if (!project) {
+            return { success: false, status: 404, error: 'Project not found' };
+        }
+
+        const rows = await supabaseRequest(`projects?id=eq.${project.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ latitude: lat, longitude: lng })
+        });
+
+        console.log('📍 Project location saved:', project.slug);
+        return { success: true, project: rows[0] };
+
+    } catch (error) {
+        console.error('❌ updateProjectLocation error:', error.message);
+        return { success: false, status: 500, error: error.message };
+    }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    DEFAULT_VISIT_MINUTES,
+    LATE_GRACE_MINUTES,
+    haversineKm,
+    estimateTravel,
+    planRoute,
+    getDailyItinerary,
+    updateProjectLocation
+};
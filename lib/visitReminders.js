@@ -0,0 +1,318 @@
+/**
+ * ========================================
+ * AIONUS - SITE VISIT REMINDERS
+ * ========================================
+ * Telegram reminders 24 hours and 2 hours before a visit, for
+ * buyers who booked through the bot (site_visits.telegram_chat_id).
+ *
+ * Reminders are rows in visit_reminders, (re)written when a visit
+ * is booked or rescheduled and skipped when it is cancelled or
+ * closed out. startReminderScheduler() polls for due rows every
+ * minute; a row is claimed (pending → sending) before it is sent,
+ * so a restart or a second server never sends it twice.
+ *
+ * Each reminder has Confirm / Reschedule / Cancel buttons; their
+ * callback_data is "visit:<action>:<visit id>" (routes/telegram.js).
+ */
+
+require('dotenv').config();
+const { sendTelegramMessage } = require('./telegramApi');
+const { ACTIVE_VISIT_STATUSES, formatVisitSlot } = require('./visitCalendar');
+
+// kind → minutes before the slot
+const REMINDER_OFFSETS = {
+    '24h': 24 * 60,
+    '2h': 2 * 60
+};
+
+const VISIT_CALLBACK_PREFIX = 'visit';
+const VISIT_CALLBACK_ACTIONS = ['confirm', 'reschedule', 'cancel'];
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+// A claim older than this belongs to a server that died mid-send
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+/**
+ * Supabase REST request
+ * Uses the service key when set (same as lib/siteVisits.js)
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': `Bearer ${SUPABASE_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Visit reminders database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// SCHEDULING
+// ========================================
+
+/**
+ * (Re)write a visit's reminders after it is booked or rescheduled
+ * Reminders whose time has already passed are stored as skipped.
+ * Never throws - a reminder problem must not fail the booking.
+ *
+ * @param {Object} visit - site_visits row
+ * @returns {Promise<number>} Reminders left to send
+ */
+async function scheduleVisitReminders(visit) {
+    if (!visit?.telegram_chat_id || !visit.visit_at || !ACTIVE_VISIT_STATUSES.includes(visit.status)) {
+        return 0;
+    }
+
+    try {
+        const now = Date.now();
+        const rows = Object.entries(REMINDER_OFFSETS).map(([kind, minutes]) => {
+            const sendAt = new Date(new Date(visit.visit_at).getTime() - minutes * 60 * 1000);
+            return {
+                visit_id: visit.id,
+                kind,
+                send_at: sendAt.toISOString(),
+                status: sendAt.getTime() > now ? 'pending' : 'skipped',
+                attempts: 0,
+                next_attempt_at: null,
+                claimed_at: null,
+                sent_at: null,
+                last_error: null
+            };
+        });
+
+        await supabaseRequest('visit_reminders?on_conflict=visit_id,kind', {
+            method: 'POST',
+            headers: { 'Prefer': 'return=minimal,resolution=merge-duplicates' },
+            body: JSON.stringify(rows)
+        });
+
+        const pending = rows.filter(r => r.status === 'pending').length;
+        console.log(`⏰ ${pending} reminder(s) scheduled for visit ${visit.id}`);
+        return pending;
+
+    } catch (error) {
+        console.error('⚠️ Could not schedule visit reminders:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Drop a visit's unsent reminders (cancelled, completed, no-show)
+ */
+async function cancelVisitReminders(visitId) {
+    try {
+        await supabaseRequest(`visit_reminders?visit_id=eq.${visitId}&status=in.(pending,sending)`, {
+            method: 'PATCH',
+            headers: { 'Prefer': 'return=minimal' },
+            body: JSON.stringify({ status: 'skipped' })
+        });
+    } catch (error) {
+        console.error('⚠️ Could not cancel visit reminders:', error.message);
+    }
+}
+
+// ========================================
+// SENDING
+// ========================================
+
+/**
+ * Reminder text and buttons
+ */
+function buildReminderMessage(visit, kind) {
+    const when = kind === '24h' ? 'kal' : '2 ghante mein';
+    const project = visit.project;
+    const place = project ? [project.name, project.community, project.city].filter(Boolean).join(', ') : null;
+
+    const text = `⏰ <b>Reminder: Aapki site visit ${when} hai!</b>
+
+📅 ${formatVisitSlot(visit.visit_at)}${place ? `\n🏠 ${place}` : ''}
+👤 ${visit.name}${visit.status === 'confirmed' ? '\n\n✅ Aapne visit confirm kar di hai.' : '\n\nKripya neeche se confirm karein 👇'}`;
+
+    const button = (label, action) => ({ text: label, callback_data: `${VISIT_CALLBACK_PREFIX}:${action}:${visit.id}` });
+    const row = visit.status === 'confirmed'
+        ? [button('🔁 Reschedule', 'reschedule'), button('✖️ Cancel', 'cancel')]
+        : [button('✅ Confirm', 'confirm'), button('🔁 Reschedule', 'reschedule'), button('✖️ Cancel', 'cancel')];
+
+    return { text, reply_markup: { inline_keyboard: [row] } };
+}
+
+/**
+ * Parse "visit:<action>:<id>" from a button press
+ * @returns {Object|null} { action, visitId }
+ */
+function parseVisitCallback(data) {
+    const [prefix, action, visitId] = String(data || '').split(':');
+    if (prefix !== VISIT_CALLBACK_PREFIX || !VISIT_CALLBACK_ACTIONS.includes(action) || !visitId) return null;
+    return { action, visitId };
+}
+
+/**
+ * Send one claimed reminder
+ */
+async function sendReminder(reminder) {
+    const visit = reminder.visit;
+    const expectedSendAt = visit?.visit_at
+        ? new Date(visit.visit_at).getTime() - REMINDER_OFFSETS[reminder.kind] * 60 * 1000
+        : null;
+
+    // Visit cancelled, moved or already started since this row was written
+    if (!visit || !ACTIVE_VISIT_STATUSES.includes(visit.status) || !visit.telegram_chat_id
+        || expectedSendAt !== new Date(reminder.send_at).getTime()
+        || new Date(visit.visit_at).getTime() <= Date.now()) {
+        await supabaseRequest(`visit_reminders?id=eq.${reminder.id}`, {
+            method: 'PATCH',
+            headers: { 'Prefer': 'return=minimal' },
+            body: JSON.stringify({ status: 'skipped' })
+        });
+        return 'skipped';
+    }
+
+    const { text, reply_markup } = buildReminderMessage(visit, reminder.kind);
+    const sent = await sendTelegramMessage(visit.telegram_chat_id, text, 'HTML', { reply_markup });
+
+    const attempts = (reminder.attempts || 0) + 1;
+    const update = sent
+        ? { status: 'sent', sent_at: new Date().toISOString(), attempts }
+        : attempts >= MAX_ATTEMPTS
+            ? { status: 'failed', attempts, last_error: 'Telegram sendMessage failed' }
+            : {
+                status: 'pending',
+                attempts,
+                claimed_at: null,
+                last_error: 'Telegram sendMessage failed',
+                next_attempt_at: new Date(Date.now() + RETRY_DELAY_MS).toISOString()
+            };
+
+    await supabaseRequest(`visit_reminders?id=eq.${reminder.id}`, {
+        method: 'PATCH',
+        headers: { 'Prefer': 'return=minimal' },
+        body: JSON.stringify(update)
+    });
+
+    return update.status;
+}
+
+/**
+ * Send every due reminder once
+ * @returns {Promise<Object>} Counts by outcome
+ */
+async function processDueReminders() {
+    const counts = { sent: 0, skipped: 0, failed: 0, pending: 0 };
+    const now = new Date();
+
+    // Release claims left by a server that stopped mid-send
+    await supabaseRequest(
+        `visit_reminders?status=eq.sending&claimed_at=lt.${new Date(now.getTime() - STALE_CLAIM_MS).toISOString()}`,
+        {
+            method: 'PATCH',
+            headers: { 'Prefer': 'return=minimal' },
+            body: JSON.stringify({ status: 'pending', claimed_at: null })
+        }
+    );
+
+    const due = await supabaseRequest(
+        `visit_reminders?select=*&status=eq.pending&send_at=lte.${now.toISOString()}`
+        + `&or=(next_attempt_at.is.null,next_attempt_at.lte.${now.toISOString()})`
+        + `&order=send_at.asc&limit=${BATCH_SIZE}`
+    );
+
+    for (const reminder of due) {
+        // Claim it; another server may have got there first
+        const claimed = await supabaseRequest(`visit_reminders?id=eq.${reminder.id}&status=eq.pending`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status: 'sending', claimed_at: now.toISOString() })
+        });
+        if (claimed.length === 0) continue;
+
+        const visits = await supabaseRequest(
+            `site_visits?select=*,project:projects(name,community,city)&id=eq.${reminder.visit_id}`
+        );
+
+        try {
+            const outcome = await sendReminder({ ...claimed[0], visit: visits[0] || null });
+            counts[outcome] = (counts[outcome] || 0) + 1;
+        } catch (error) {
+            console.error('❌ Reminder send error:', error.message);
+        }
+    }
+
+    if (counts.sent || counts.failed) {
+        console.log(`⏰ Visit reminders: ${counts.sent} sent, ${counts.skipped} skipped, ${counts.failed} failed`);
+    }
+    return counts;
+}
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Poll for due reminders every minute (called from server.js)
+ * Does nothing without a bot token or database.
+ */
+function startReminderScheduler({ intervalMs = POLL_INTERVAL_MS } = {}) {
+    if (schedulerTimer) return;
+
+    if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.SUPABASE_URL) {
+        console.log('⏰ Visit reminders off (TELEGRAM_BOT_TOKEN / SUPABASE_URL not set)');
+        return;
+    }
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueReminders();
+        } catch (error) {
+            console.error('❌ Visit reminder scheduler error:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    schedulerTimer = setInterval(tick, intervalMs);
+    // Don't keep the process alive just for reminders
+    schedulerTimer.unref?.();
+    tick();
+
+    console.log(`⏰ Visit reminder scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+}
+
+function stopReminderScheduler() {
+    if (schedulerTimer) clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    REMINDER_OFFSETS,
+    scheduleVisitReminders,
+    cancelVisitReminders,
+    parseVisitCallback,
+    processDueReminders,
+    startReminderScheduler,
+    stopReminderScheduler
+};
@@ -0,0 +1,465 @@
+/**
+ * ========================================
+ * SALES AGENTS - EXPRESS ROUTE
+ * ========================================
+ * Agents who own CRM leads and the rules that route leads to them
+ *
+ * Endpoints:
+ * GET    /api/crm/agents?team=          - List agents
+ * POST   /api/crm/agents                - Add an agent
+ * PUT    /api/crm/agents/:id            - Edit an agent
+ * DELETE /api/crm/agents/:id            - Deactivate an agent
+ * GET    /api/crm/agents/:id/calendar-token - Agent's site visit feed URL
+ * POST   /api/crm/agents/:id/calendar-token - New site visit feed URL (old one stops working)
+ * GET    /api/crm/agents/rules?team=    - List assignment rules
+ * POST   /api/crm/agents/rules          - Add a rule
+ * PUT    /api/crm/agents/rules/:id      - Edit a rule
+ * DELETE /api/crm/agents/rules/:id      - Remove a rule
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../lib/auth');
+const { DEFAULT_TEAM } = require('../lib/pipeline');
+const { RULE_TYPES } = require('../lib/assignment');
+
+const AGENT_FIELDS = ['name', 'email', 'phone', 'telegram_chat_id', 'team', 'is_active'];
+const RULE_FIELDS = ['name', 'team', 'rule_type', 'city', 'budget_min_inr', 'budget_max_inr', 'agent_ids', 'priority', 'is_active'];
+
+// Everything but calendar_token: the feed URL is handed out by the
+// manager-only calendar-token routes, never with the agent list
+const AGENT_COLUMNS = 'id,name,email,phone,telegram_chat_id,team,is_active,last_assigned_at,created_at,updated_at';
+
+/**
+ * Supabase REST request against agents / assignment_rules
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Agents database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+/**
+ * Copy allowed fields from the request body
+ */
+function pickFields(body, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) {
+            picked[field] = body[field];
+        }
+    });
+    return picked;
+}
+
+/**
+ * Check a rule has what its type needs
+ * @returns {string|null} Error message
+ */
+function validateRule(rule) {
+    if (rule.rule_type !== undefined && !RULE_TYPES.includes(rule.rule_type)) {
+        return `Invalid rule_type. Must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+    if (rule.rule_type === 'city' && !rule.city) {
+        return 'City rules need a city';
+    }
+    if (rule.rule_type === 'budget_band' && rule.budget_min_inr == null && rule.budget_max_inr == null) {
+        return 'Budget band rules need budget_min_inr and/or budget_max_inr';
+    }
+    if (rule.agent_ids !== undefined && !Array.isArray(rule.agent_ids)) {
+        return 'agent_ids must be an array of agent IDs';
+    }
+    return null;
+}
+
+// ========================================
+// GET /api/crm/agents/rules
+// Assignment rules in priority order
+// ========================================
+router.get('/rules', requireRole('viewer'), async (req, res) => {
+    try {
+        const team = req.query.team || DEFAULT_TEAM;
+        const rules = await supabaseRequest(
+            `assignment_rules?select=*&team=eq.${encodeURIComponent(team)}&order=priority.asc`
+        );
+
+        res.json({
+            success: true,
+            rules,
+            count: rules.length
+        });
+
+    } catch (error) {
+        console.error('❌ Rules get error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/agents/rules
+// Add a routing rule
+// ========================================
+router.post('/rules', requireRole('manager'), async (req, res) => {
+    try {
+        const rule = pickFields(req.body, RULE_FIELDS);
+
+        if (!rule.name || !rule.rule_type) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name and rule_type are required'
+            });
+        }
+
+        const validationError = validateRule(rule);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const data = await supabaseRequest('assignment_rules', {
+            method: 'POST',
+            body: JSON.stringify(rule)
+        });
+
+        console.log('✅ Assignment rule added:', rule.name);
+
+        res.json({
+            success: true,
+            rule: data[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Rules add error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// PUT /api/crm/agents/rules/:id
+// Edit a routing rule
+// ========================================
+router.put('/rules/:id', requireRole('manager'), async (req, res) => {
+    try {
+        const updates = pickFields(req.body, RULE_FIELDS);
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Nothing to update. Editable fields: ${RULE_FIELDS.join(', ')}`
+            });
+        }
+
+        const validationError = validateRule(updates);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const data = await supabaseRequest(`assignment_rules?id=eq.${req.params.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            rule: data[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Rules update error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// DELETE /api/crm/agents/rules/:id
+// Remove a routing rule
+// ========================================
+router.delete('/rules/:id', requireRole('manager'), async (req, res) => {
+    try {
+        const data = await supabaseRequest(`assignment_rules?id=eq.${req.params.id}`, {
+            method: 'DELETE'
+        });
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Rule removed'
+        });
+
+    } catch (error) {
+        console.error('❌ Rules delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// GET /api/crm/agents
+// List agents (active only unless ?include_inactive=true)
+// ========================================
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const { team, include_inactive } = req.query;
+
+        let query = `agents?select=${AGENT_COLUMNS}&order=name.asc`;
+        if (team && team !== 'all') {
+            query += `&team=eq.${encodeURIComponent(team)}`;
+        }
+        if (include_inactive !== 'true') {
+            query += '&is_active=eq.true';
+        }
+
+        const agents = await supabaseRequest(query);
+
+        res.json({
+            success: true,
+            agents,
+            count: agents.length
+        });
+
+    } catch (error) {
+        console.error('❌ Agents get error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/agents
+// Add an agent
+// ========================================
+router.post('/', requireRole('manager'), async (req, res) => {
+    try {
+        const agent = pickFields(req.body, AGENT_FIELDS);
+
+        if (!agent.name || String(agent.name).trim() === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Name is required'
+            });
+        }
+
+        agent.name = String(agent.name).trim();
+        if (agent.email) agent.email = String(agent.email).trim().toLowerCase();
+
+        const data = await supabaseRequest(`agents?select=${AGENT_COLUMNS}`, {
+            method: 'POST',
+            body: JSON.stringify(agent)
+        });
+
+        console.log('✅ Agent added:', agent.name);
+
+        res.json({
+            success: true,
+            agent: data[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Agents add error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// PUT /api/crm/agents/:id
+// Edit an agent
+// ========================================
+router.put('/:id', requireRole('manager'), async (req, res) => {
+    try {
+        const updates = pickFields(req.body, AGENT_FIELDS);
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Nothing to update. Editable fields: ${AGENT_FIELDS.join(', ')}`
+            });
+        }
+
+        if (updates.email) updates.email = String(updates.email).trim().toLowerCase();
+
+        const data = await supabaseRequest(`agents?id=eq.${req.params.id}&select=${AGENT_COLUMNS}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Agent not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            agent: data[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Agents update error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// DELETE /api/crm/agents/:id
+// Deactivate (leads keep their owner; use
+// POST /api/crm/reassign to move them)
+// ========================================
+router.delete('/:id', requireRole('manager'), async (req, res) => {
+    try {
+        const data = await supabaseRequest(`agents?id=eq.${req.params.id}&select=${AGENT_COLUMNS}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ is_active: false })
+        });
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Agent not found'
+            });
+        }
+
+        console.log('🚫 Agent deactivated:', data[0].name);
+
+        res.json({
+            success: true,
+            agent: data[0],
+            message: 'Agent deactivated'
+        });
+
+    } catch (error) {
+        console.error('❌ Agents delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// GET /api/crm/agents/:id/calendar-token
+// The agent's site visit feed URL
+// ========================================
+router.get('/:id/calendar-token', requireRole('manager'), async (req, res) => {
+    try {
+        const data = await supabaseRequest(`agents?select=id,name,calendar_token&id=eq.${req.params.id}`);
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Agent not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            agent: data[0],
+            feed_path: data[0].calendar_token ? `/api/schedule-visit/calendar/${data[0].calendar_token}.ics` : null
+        });
+
+    } catch (error) {
+        console.error('❌ Agents calendar token error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/agents/:id/calendar-token
+// Replace the secret in the agent's calendar feed URL
+// (e.g. after the link was shared by mistake)
+// ========================================
+router.post('/:id/calendar-token', requireRole('manager'), async (req, res) => {
+    try {
+        const data = await supabaseRequest(`agents?id=eq.${req.params.id}&select=id,name,calendar_token`, {
+            method: 'PATCH',
+            body: JSON.stringify({ calendar_token: crypto.randomBytes(16).toString('hex') })
+        });
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Agent not found'
+            });
+        }
+
+        console.log('📅 Calendar feed token rotated:', data[0].name);
+
+        res.json({
+            success: true,
+            agent: data[0],
+            feed_path: `/api/schedule-visit/calendar/${data[0].calendar_token}.ics`
+        });
+
+    } catch (error) {
+        console.error('❌ Agents calendar token error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
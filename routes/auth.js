@@ -8,13 +8,33 @@
  * POST /api/auth/register - Register new user
  * POST /api/auth/login - Login user
  * POST /api/auth/logout - Logout user
+ * POST /api/auth/refresh - { refresh_token } → new session
  * GET /api/auth/profile - Get user profile
  * PUT /api/auth/profile - Update user profile
+ *
+ * Sessions (lib/authSessions.js):
+ * GET /api/auth/sessions - Devices the user is signed in on
+ * DELETE /api/auth/sessions/:id - Sign out one device
+ * POST /api/auth/logout-all - Log out everywhere
+ *
+ * Staff roles (lib/auth.js, admin only):
+ * GET /api/auth/users - Staff and their roles
+ * PUT /api/auth/users/:id/role - { role: viewer|agent|manager|admin|null }
  */
 
 require('dotenv').config();
 const express = require('express');
 const router = express.Router();
+const { getUserFromToken, forgetToken, forgetUser, requireRole, requireLogin, listUserRoles, setUserRole } = require('../lib/auth');
+const {
+    decodeAccessToken,
+    isTokenExpired,
+    recordSession,
+    isSessionRevoked,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} = require('../lib/authSessions');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
@@ -68,6 +88,40 @@ async function supabaseQuery(table, method, body = null, accessToken = null, fil
     return response.json();
 }
 
+// Device details saved with each session
+function clientInfo(req) {
+    return {
+        userAgent: req.headers['user-agent'] || null,
+        ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip || null
+    };
+}
+
+/**
+ * Supabase user for a token, or null when it is invalid or expired
+ * (Supabase answers an expired token with a non-2xx body that has no `error` key)
+ */
+async function getAuthUser(accessToken) {
+    const userResponse = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
+        headers: {
+            'apikey': SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${accessToken}`
+        }
+    });
+
+    const userData = await userResponse.json().catch(() => ({}));
+    return userResponse.ok && userData.id ? userData : null;
+}
+
+// 401 the frontend can act on: refresh and retry when expired
+function sendTokenError(res, accessToken) {
+    const expired = isTokenExpired(accessToken);
+    return res.status(401).json({
+        success: false,
+        error: expired ? 'Session expired' : 'Invalid or expired token',
+        code: expired ? 'token_expired' : 'invalid_token'
+    });
+}
+
 // ========================================
 // REGISTER
 // ========================================
@@ -185,6 +239,16 @@ router.post('/login', async (req, res) => {
             console.log('No profile found, will create on update');
         }
 
+        // Staff role for the admin pages (null for website users)
+        let role = null;
+        try {
+            role = (await getUserFromToken(authData.access_token))?.role || null;
+        } catch (e) {
+            console.log('Role lookup failed:', e.message);
+        }
+
+        await recordSession(authData.access_token, clientInfo(req));
+
         console.log('✅ User logged in:', email);
 
         res.json({
@@ -195,7 +259,8 @@ router.post('/login', async (req, res) => {
                 email: authData.user.email,
                 name: profile?.name || authData.user.user_metadata?.name || email.split('@')[0],
                 phone: profile?.phone || authData.user.user_metadata?.phone || null,
-                budget: profile?.budget || null
+                budget: profile?.budget || null,
+                role
             },
             session: {
                 access_token: authData.access_token,
@@ -222,7 +287,9 @@ router.post('/logout', async (req, res) => {
         const accessToken = authHeader?.replace('Bearer ', '');
 
         if (accessToken) {
-            await fetch(`${SUPABASE_URL}/auth/v1/logout`, {
+            forgetToken(accessToken);
+
+            const logoutResponse = await fetch(`${SUPABASE_URL}/auth/v1/logout`, {
                 method: 'POST',
                 headers: {
                     'apikey': SUPABASE_ANON_KEY,
@@ -230,6 +297,12 @@ router.post('/logout', async (req, res) => {
                     'Content-Type': 'application/json'
                 }
             });
+
+            // Only a token Supabase accepted may close its session row
+            const claims = decodeAccessToken(accessToken);
+            if (logoutResponse.ok && claims?.session_id) {
+                await revokeSession(claims.sub, claims.session_id);
+            }
         }
 
         res.json({ success: true, message: 'Logged out successfully' });
@@ -241,37 +314,98 @@ router.post('/logout', async (req, res) => {
 });
 
 // ========================================
-// GET PROFILE
+// REFRESH SESSION
 // ========================================
-router.get('/profile', async (req, res) => {
+router.post('/refresh', async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        const accessToken = authHeader?.replace('Bearer ', '');
+        const { refresh_token } = req.body || {};
 
-        if (!accessToken) {
-            return res.status(401).json({
+        if (!refresh_token) {
+            return res.status(400).json({
                 success: false,
-                error: 'Not authenticated'
+                error: 'refresh_token is required'
             });
         }
 
-        // Get user from token
-        const userResponse = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
+        const authResponse = await fetch(`${SUPABASE_URL}/auth/v1/token?grant_type=refresh_token`, {
+            method: 'POST',
             headers: {
                 'apikey': SUPABASE_ANON_KEY,
-                'Authorization': `Bearer ${accessToken}`
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refresh_token })
+        });
+
+        const authData = await authResponse.json().catch(() => ({}));
+
+        if (!authResponse.ok || !authData.access_token) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session expired. Please log in again.',
+                code: 'refresh_failed'
+            });
+        }
+
+        // Signed out from another device: end it at Supabase too
+        const sessionId = decodeAccessToken(authData.access_token)?.session_id;
+        if (await isSessionRevoked(sessionId)) {
+            await fetch(`${SUPABASE_URL}/auth/v1/logout?scope=local`, {
+                method: 'POST',
+                headers: {
+                    'apikey': SUPABASE_ANON_KEY,
+                    'Authorization': `Bearer ${authData.access_token}`
+                }
+            }).catch(() => { });
+
+            return res.status(401).json({
+                success: false,
+                error: 'This session was signed out. Please log in again.',
+                code: 'session_revoked'
+            });
+        }
+
+        await recordSession(authData.access_token, clientInfo(req));
+
+        res.json({
+            success: true,
+            session: {
+                access_token: authData.access_token,
+                refresh_token: authData.refresh_token,
+                expires_at: authData.expires_at
             }
         });
 
-        const userData = await userResponse.json();
+    } catch (error) {
+        console.error('❌ Refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Could not refresh session'
+        });
+    }
+});
+
+// ========================================
+// GET PROFILE
+// ========================================
+router.get('/profile', async (req, res) => {
+    try {
+        const authHeader = req.headers.authorization;
+        const accessToken = authHeader?.replace('Bearer ', '');
 
-        if (userData.error) {
+        if (!accessToken) {
             return res.status(401).json({
                 success: false,
-                error: 'Invalid or expired token'
+                error: 'Not authenticated'
             });
         }
 
+        // Get user from token
+        const userData = isTokenExpired(accessToken) ? null : await getAuthUser(accessToken);
+
+        if (!userData) {
+            return sendTokenError(res, accessToken);
+        }
+
         // Get profile data
         let profile = null;
         try {
@@ -284,6 +418,13 @@ router.get('/profile', async (req, res) => {
             profile = null;
         }
 
+        let role = null;
+        try {
+            role = (await getUserFromToken(accessToken))?.role || null;
+        } catch (e) {
+            role = null;
+        }
+
         res.json({
             success: true,
             user: {
@@ -292,7 +433,8 @@ router.get('/profile', async (req, res) => {
                 name: profile?.name || userData.user_metadata?.name || userData.email.split('@')[0],
                 phone: profile?.phone || userData.user_metadata?.phone || null,
                 budget: profile?.budget || null,
-                preferred_city: profile?.preferred_city || null
+                preferred_city: profile?.preferred_city || null,
+                role
             }
         });
 
@@ -321,20 +463,10 @@ router.put('/profile', async (req, res) => {
         }
 
         // Get user from token
-        const userResponse = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
-            headers: {
-                'apikey': SUPABASE_ANON_KEY,
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
+        const userData = isTokenExpired(accessToken) ? null : await getAuthUser(accessToken);
 
-        const userData = await userResponse.json();
-
-        if (userData.error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid or expired token'
-            });
+        if (!userData) {
+            return sendTokenError(res, accessToken);
         }
 
         const { name, phone, budget, preferred_city } = req.body;
@@ -385,4 +517,96 @@ router.put('/profile', async (req, res) => {
     }
 });
 
+// ========================================
+// SESSIONS
+// ========================================
+router.get('/sessions', requireLogin(), async (req, res) => {
+    const result = await listSessions(req.user.id, req.user.session_id);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+router.delete('/sessions/:id', requireLogin(), async (req, res) => {
+    const result = await revokeSession(req.user.id, req.params.id);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    // The signed-out device's cached tokens stop working straight away
+    forgetUser(req.user.id);
+    res.json(result);
+});
+
+router.post('/logout-all', requireLogin(), async (req, res) => {
+    try {
+        // Revokes every refresh token of the user at Supabase
+        await fetch(`${SUPABASE_URL}/auth/v1/logout?scope=global`, {
+            method: 'POST',
+            headers: {
+                'apikey': SUPABASE_ANON_KEY,
+                'Authorization': req.headers.authorization
+            }
+        });
+
+        const result = await revokeAllSessions(req.user.id);
+        forgetUser(req.user.id);
+
+        console.log('✅ Logged out everywhere:', req.user.email);
+        res.json({
+            success: true,
+            message: 'Logged out on all devices',
+            revoked: result.revoked || 0
+        });
+
+    } catch (error) {
+        console.error('❌ Logout-all error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Could not log out everywhere'
+        });
+    }
+});
+
+// ========================================
+// STAFF ROLES
+// ========================================
+router.get('/users', requireRole('admin'), async (req, res) => {
+    const result = await listUserRoles();
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+router.put('/users/:id/role', requireRole('admin'), async (req, res) => {
+    const role = req.body?.role ?? null;
+    const result = await setUserRole(req.params.id, role, req.user.id);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    console.log(`✅ ${req.user.email} set role for ${req.params.id}:`, role || 'none');
+    res.json(result);
+});
+
 module.exports = router;
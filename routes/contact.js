@@ -9,6 +9,7 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
+const { normalizePhone } = require('../lib/phone');
 
 /**
  * Create Supabase client with service role
@@ -56,6 +57,14 @@ router.post('/', async (req, res) => {
             });
         }
 
+        const normalizedPhone = normalizePhone(phone);
+        if (!normalizedPhone) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid phone number'
+            });
+        }
+
         if (!message || message.trim() === '') {
             return res.status(400).json({
                 success: false,
@@ -82,7 +91,7 @@ router.post('/', async (req, res) => {
             .insert({
                 name: name.trim(),
                 email: email.trim(),
-                phone: phone.trim(),
+                phone: normalizedPhone,
                 interest: interest?.trim() || null,
                 message: message.trim()
             })
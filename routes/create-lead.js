@@ -9,6 +9,7 @@
 const express = require('express');
 const router = express.Router();
 const { createLead } = require('../flows/create_lead');
+const { createCRMLead } = require('../flows/create_crm_lead');
 
 /**
  * POST /api/create-lead
@@ -20,8 +21,12 @@ const { createLead } = require('../flows/create_lead');
  *   budget: string (optional),
  *   requirement: string (optional),
  *   site_visit_requested: boolean (optional),
- *   site_visit_datetime: string (optional, ISO format)
+ *   site_visit_datetime: string (optional, ISO format),
+ *   lead_source: string (optional, default 'website'),
+ *   city: string (optional)
  * }
+ *
+ * The enquiry is also added to the CRM so it gets an owner.
  */
 router.post('/', async (req, res) => {
     try {
@@ -31,7 +36,9 @@ router.post('/', async (req, res) => {
             budget,
             requirement,
             site_visit_requested,
-            site_visit_datetime
+            site_visit_datetime,
+            lead_source = 'website',
+            city
         } = req.body;
 
         console.log('📞 Creating lead:', name, phone);
@@ -49,9 +56,16 @@ router.post('/', async (req, res) => {
         // Return result
         if (result.success) {
             console.log('✅ Lead created:', result.lead_id);
+
+            const crmResult = await createCRMLead({ name, phone, budget, lead_source, city });
+            if (!crmResult.success) {
+                console.error('⚠️ CRM copy of website lead failed:', crmResult.error);
+            }
+
             res.status(200).json({
                 success: true,
-                lead_id: result.lead_id
+                lead_id: result.lead_id,
+                crm_lead_id: crmResult.lead_id || null
             });
         } else {
             console.error('❌ Lead creation failed:', result.error);
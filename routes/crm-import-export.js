@@ -0,0 +1,230 @@
+/**
+ * ========================================
+ * CRM IMPORT / EXPORT - EXPRESS ROUTE
+ * ========================================
+ * Spreadsheet export of filtered leads (for call-centre vendors)
+ * and bulk import of portal / expo lead lists
+ *
+ * Endpoints:
+ * GET  /api/crm/export?format=csv|xlsx&...  - Download leads (same filters as get-leads)
+ * POST /api/crm/import                      - Upload a CSV/XLSX of leads
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../lib/auth');
+const multer = require('multer');
+const { SORTABLE_COLUMNS, buildLeadFilters } = require('../lib/leadFilters');
+const { leadsToCSV, leadsToXLSX, parseSpreadsheet } = require('../lib/leadSpreadsheet');
+const { importCRMLeads } = require('../flows/import_crm_leads');
+
+// Rows per Supabase request (PostgREST's default max-rows)
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_EXPORT_ROWS = 50000;
+
+// Configure multer for spreadsheet uploads
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only CSV and XLSX are allowed.'));
+        }
+    }
+});
+
+// ========================================
+// GET /api/crm/export
+// Download every lead matching the filters
+//
+// Query: format=csv|xlsx (default csv), sort, order, and any
+//   get-leads filter (stage, team, assigned_to, search, source,
+//   created_from, created_to, budget_min, budget_max, budget_band)
+// ========================================
+router.get('/export', requireRole('manager'), async (req, res) => {
+    try {
+        const format = (req.query.format || 'csv').toLowerCase();
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid format. Must be csv or xlsx'
+            });
+        }
+
+        const SUPABASE_URL = process.env.SUPABASE_URL;
+        const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+        if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+            return res.status(500).json({
+                success: false,
+                error: 'CRM database not configured'
+            });
+        }
+
+        const filters = buildLeadFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({
+                success: false,
+                error: filters.error
+            });
+        }
+
+        const sort = req.query.sort || 'created_at';
+        if (!SORTABLE_COLUMNS.includes(sort)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid sort. Must be one of: ${SORTABLE_COLUMNS.join(', ')}`
+            });
+        }
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+
+        let queryUrl = `${SUPABASE_URL}/rest/v1/leads_crm?select=*,agent:agents(name)&order=${sort}.${order}.nullslast,id.${order}`;
+        if (filters.length > 0) {
+            queryUrl += `&${filters.join('&')}`;
+        }
+
+        // Page through the matching leads
+        let leads = [];
+        for (let offset = 0; offset < MAX_EXPORT_ROWS; offset += EXPORT_BATCH_SIZE) {
+            const response = await fetch(`${queryUrl}&limit=${EXPORT_BATCH_SIZE}&offset=${offset}`, {
+                headers: {
+                    'apikey': SUPABASE_ANON_KEY,
+                    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+                }
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                console.error('❌ Supabase error:', errorData);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to fetch leads'
+                });
+            }
+
+            const batch = await response.json();
+            leads = leads.concat(batch);
+            if (batch.length < EXPORT_BATCH_SIZE) break;
+        }
+
+        console.log(`📤 CRM: Exporting ${leads.length} leads as ${format.toUpperCase()}`);
+
+        const filename = `crm-leads-${new Date().toISOString().split('T')[0]}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return res.send(await leadsToXLSX(leads));
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.send(leadsToCSV(leads));
+
+    } catch (error) {
+        console.error('❌ CRM export error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/import
+// Bulk-create leads from a spreadsheet
+//
+// Body (multipart/form-data):
+//   file: CSV or XLSX (required) - first row is headers
+//   mapping: JSON { name, phone, budget, city, lead_source } -> header (optional, guessed)
+//   team: string (optional)
+//   lead_source: string (optional, default 'import') - for rows without a source column
+//   dry_run: 'true' to validate and preview without creating leads
+// ========================================
+router.post('/import', requireRole('manager'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No file uploaded'
+            });
+        }
+
+        let mapping;
+        if (req.body.mapping) {
+            try {
+                mapping = JSON.parse(req.body.mapping);
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'mapping must be a JSON object of field -> column header'
+                });
+            }
+        }
+
+        let sheet;
+        try {
+            sheet = await parseSpreadsheet(req.file.buffer, req.file.originalname);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: `Could not read ${req.file.originalname}: ${parseError.message}`
+            });
+        }
+
+        const result = await importCRMLeads(sheet, {
+            mapping,
+            team: req.body.team || undefined,
+            lead_source: req.body.lead_source || undefined,
+            dry_run: req.body.dry_run === 'true'
+        });
+
+        if (!result.success) {
+            const { status, ...body } = result;
+            return res.status(status || 500).json({
+                ...body,
+                headers: body.headers || sheet.headers
+            });
+        }
+
+        res.json({
+            ...result,
+            headers: sheet.headers
+        });
+
+    } catch (error) {
+        console.error('❌ CRM import error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Handle multer errors
+router.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                error: 'File too large. Maximum size is 5MB.'
+            });
+        }
+        return res.status(400).json({
+            success: false,
+            error: err.message
+        });
+    }
+    if (err) {
+        return res.status(400).json({
+            success: false,
+            error: err.message
+        });
+    }
+    next();
+});
+
+module.exports = router;
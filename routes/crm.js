@@ -1,10 +1,30 @@
 /**
  * CRM API Routes
  * Advanced CRM System for AIONUS
+ *
+ * The website's calls (create-lead, and chat messages / property views
+ * on its own lead's timeline) are public; everything else needs a
+ * staff role (lib/auth.js).
  */
 
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../lib/auth');
+const { createCRMLead } = require('../flows/create_crm_lead');
+const { ACTIVITY_TYPES, logLeadActivity, getLeadActivities } = require('../lib/leadActivities');
+const { DEFAULT_TEAM, validateStage, getPipelineStages } = require('../lib/pipeline');
+const { reassignLead } = require('../lib/assignment');
+const { normalizePhoneOrRaw } = require('../lib/phone');
+const { findDuplicateGroups, mergeLeads } = require('../lib/leadMerge');
+const { recomputeLeadScore, recomputeAllScores } = require('../lib/leadScoring');
+const { backfillBudgetRanges } = require('../lib/budgetBackfill');
+const {
+    SORTABLE_COLUMNS,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    buildLeadFilters,
+    parseContentRangeTotal
+} = require('../lib/leadFilters');
 
 // ========================================
 // POST /api/crm/create-lead
@@ -12,60 +32,21 @@ const router = express.Router();
 // ========================================
 router.post('/create-lead', async (req, res) => {
     try {
-        const { name, phone, budget, lead_source = 'chatbot' } = req.body;
+        const { name, phone, budget, lead_source = 'chatbot', team, city } = req.body;
 
-        // Validation
-        if (!name || !phone) {
-            return res.status(400).json({
-                success: false,
-                error: 'Name and phone are required'
-            });
-        }
-
-        const SUPABASE_URL = process.env.SUPABASE_URL;
-        const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
-
-        if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-            console.error('❌ Supabase credentials missing');
-            return res.status(500).json({
-                success: false,
-                error: 'CRM database not configured'
-            });
-        }
-
-        // Insert lead into Supabase
-        const response = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm`, {
-            method: 'POST',
-            headers: {
-                'apikey': SUPABASE_ANON_KEY,
-                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-                'Content-Type': 'application/json',
-                'Prefer': 'return=representation'
-            },
-            body: JSON.stringify({
-                name,
-                phone,
-                budget: budget || null,
-                lead_source,
-                stage: 'new'
-            })
-        });
+        const result = await createCRMLead({ name, phone, budget, lead_source, team, city });
 
-        if (!response.ok) {
-            const errorData = await response.json();
-            console.error('❌ Supabase error:', errorData);
-            return res.status(500).json({
+        if (!result.success) {
+            return res.status(result.status || 500).json({
                 success: false,
-                error: 'Failed to create lead'
+                error: result.error
             });
         }
 
-        const data = await response.json();
-        console.log('✅ CRM Lead created:', data[0]?.id);
-
         res.json({
             success: true,
-            lead_id: data[0]?.id,
+            lead_id: result.lead_id,
+            assigned_to: result.agent ? { id: result.agent.id, name: result.agent.name } : null,
             message: 'Lead created successfully'
         });
 
@@ -82,9 +63,9 @@ router.post('/create-lead', async (req, res) => {
 // POST /api/crm/update-stage
 // Update lead stage
 // ========================================
-router.post('/update-stage', async (req, res) => {
+router.post('/update-stage', requireRole('agent'), async (req, res) => {
     try {
-        const { id, new_stage } = req.body;
+        const { id, new_stage, note, lost_reason, changed_by = 'admin' } = req.body;
 
         // Validation
         if (!id || !new_stage) {
@@ -94,14 +75,6 @@ router.post('/update-stage', async (req, res) => {
             });
         }
 
-        const validStages = ['new', 'contacted', 'interested', 'hot', 'closed'];
-        if (!validStages.includes(new_stage)) {
-            return res.status(400).json({
-                success: false,
-                error: `Invalid stage. Must be one of: ${validStages.join(', ')}`
-            });
-        }
-
         const SUPABASE_URL = process.env.SUPABASE_URL;
         const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 
@@ -112,6 +85,37 @@ router.post('/update-stage', async (req, res) => {
             });
         }
 
+        // Read current stage and team (team picks the pipeline to validate against)
+        const currentResponse = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm?select=stage,team&id=eq.${id}`, {
+            headers: {
+                'apikey': SUPABASE_ANON_KEY,
+                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+            }
+        });
+        const currentData = currentResponse.ok ? await currentResponse.json() : [];
+        const previousStage = currentData[0]?.stage || null;
+        const team = currentData[0]?.team || DEFAULT_TEAM;
+
+        const { valid, stage, error: stageError } = await validateStage(new_stage, team);
+        if (!valid) {
+            return res.status(400).json({
+                success: false,
+                error: stageError
+            });
+        }
+
+        if (stage.is_lost && (!lost_reason || String(lost_reason).trim() === '')) {
+            return res.status(400).json({
+                success: false,
+                error: `A lost reason is required when moving a lead to "${stage.label}"`
+            });
+        }
+
+        const updates = { stage: new_stage };
+        if (stage.is_lost) {
+            updates.lost_reason = String(lost_reason).trim();
+        }
+
         // Update lead in Supabase
         const response = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm?id=eq.${id}`, {
             method: 'PATCH',
@@ -121,9 +125,7 @@ router.post('/update-stage', async (req, res) => {
                 'Content-Type': 'application/json',
                 'Prefer': 'return=representation'
             },
-            body: JSON.stringify({
-                stage: new_stage
-            })
+            body: JSON.stringify(updates)
         });
 
         if (!response.ok) {
@@ -138,6 +140,17 @@ router.post('/update-stage', async (req, res) => {
         const data = await response.json();
         console.log('✅ CRM Lead stage updated:', id, '→', new_stage);
 
+        if (data[0] && previousStage !== new_stage) {
+            await logLeadActivity({
+                lead_id: id,
+                type: 'stage_change',
+                content: note || `Stage changed from ${previousStage || 'none'} to ${new_stage}`
+                    + (updates.lost_reason ? ` (reason: ${updates.lost_reason})` : ''),
+                metadata: { from: previousStage, to: new_stage, team, lost_reason: updates.lost_reason || null },
+                created_by: changed_by
+            });
+        }
+
         res.json({
             success: true,
             lead: data[0],
@@ -155,11 +168,19 @@ router.post('/update-stage', async (req, res) => {
 
 // ========================================
 // GET /api/crm/get-leads
-// Get leads with optional filters
+// Get leads with filters, sorting and pagination
+//
+// Filters: stage, team, assigned_to (agent id | "unassigned"),
+//   search, source (comma-separated), created_from / created_to
+//   (YYYY-MM-DD, IST days, inclusive), budget_min / budget_max (INR)
+//   or budget_band ("50L-1Cr", "<50L", "10Cr+")
+// Sorting: sort=<column>&order=asc|desc (default created_at desc)
+// Paging: page (1-based) & page_size (max 200). Without either,
+//   every matching row is returned as before.
 // ========================================
-router.get('/get-leads', async (req, res) => {
+router.get('/get-leads', requireRole('viewer'), async (req, res) => {
     try {
-        const { stage, search } = req.query;
+        const { team, with_last_activity } = req.query;
 
         const SUPABASE_URL = process.env.SUPABASE_URL;
         const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
@@ -171,24 +192,57 @@ router.get('/get-leads', async (req, res) => {
             });
         }
 
+        const filters = buildLeadFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({
+                success: false,
+                error: filters.error
+            });
+        }
+
+        // Sorting (id breaks ties so pages don't overlap)
+        const sort = req.query.sort || 'created_at';
+        if (!SORTABLE_COLUMNS.includes(sort)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid sort. Must be one of: ${SORTABLE_COLUMNS.join(', ')}`
+            });
+        }
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+
+        // Pagination
+        const paginated = req.query.page !== undefined || req.query.page_size !== undefined;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
         // Build query URL
-        let queryUrl = `${SUPABASE_URL}/rest/v1/leads_crm?select=*&order=created_at.desc`;
+        let select = '*,agent:agents(id,name)';
+
+        // Newest timeline entry per lead (Kanban cards)
+        if (with_last_activity === 'true') {
+            select += ',last_activity:lead_activities(type,content,created_at)';
+        }
+
+        let queryUrl = `${SUPABASE_URL}/rest/v1/leads_crm?select=${select}&order=${sort}.${order}.nullslast,id.${order}`;
 
-        // Filter by stage
-        if (stage && stage !== 'all') {
-            queryUrl += `&stage=eq.${stage}`;
+        if (with_last_activity === 'true') {
+            queryUrl += '&last_activity.order=created_at.desc&last_activity.limit=1';
         }
 
-        // Search by name or phone
-        if (search) {
-            queryUrl += `&or=(name.ilike.*${search}*,phone.ilike.*${search}*)`;
+        if (filters.length > 0) {
+            queryUrl += `&${filters.join('&')}`;
+        }
+
+        if (paginated) {
+            queryUrl += `&limit=${pageSize}&offset=${(page - 1) * pageSize}`;
         }
 
         const response = await fetch(queryUrl, {
             method: 'GET',
             headers: {
                 'apikey': SUPABASE_ANON_KEY,
-                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+                'Prefer': 'count=exact'
             }
         });
 
@@ -202,12 +256,33 @@ router.get('/get-leads', async (req, res) => {
         }
 
         const data = await response.json();
-        console.log(`📋 CRM: Fetched ${data.length} leads`);
+        const total = parseContentRangeTotal(response.headers.get('content-range')) ?? data.length;
+        console.log(`📋 CRM: Fetched ${data.length} of ${total} leads`);
+
+        if (!paginated) {
+            return res.json({
+                success: true,
+                leads: data,
+                count: data.length,
+                total
+            });
+        }
+
+        // Per-stage totals for the same filters (stats bar / board columns)
+        const stageCounts = await countLeadsByStage(team, req.query);
 
         res.json({
             success: true,
             leads: data,
-            count: data.length
+            count: data.length,
+            total,
+            page,
+            page_size: pageSize,
+            total_pages: Math.max(Math.ceil(total / pageSize), 1),
+            has_more: page * pageSize < total,
+            sort,
+            order,
+            stage_counts: stageCounts
         });
 
     } catch (error) {
@@ -219,21 +294,58 @@ router.get('/get-leads', async (req, res) => {
     }
 });
 
+/**
+ * Count leads in each pipeline stage, ignoring the stage filter
+ * @returns {Promise<Object>} { stage_key: count }
+ */
+async function countLeadsByStage(team, query) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+    const filters = buildLeadFilters(query, { includeStage: false });
+    const stages = await getPipelineStages(team && team !== 'all' ? team : DEFAULT_TEAM);
+
+    const counts = await Promise.all(stages.map(async stage => {
+        const url = `${SUPABASE_URL}/rest/v1/leads_crm?select=id&stage=eq.${encodeURIComponent(stage.key)}` +
+            (filters.length > 0 ? `&${filters.join('&')}` : '');
+
+        try {
+            const response = await fetch(url, {
+                method: 'HEAD',
+                headers: {
+                    'apikey': SUPABASE_ANON_KEY,
+                    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+                    'Prefer': 'count=exact'
+                }
+            });
+            return [stage.key, parseContentRangeTotal(response.headers.get('content-range')) || 0];
+        } catch (error) {
+            console.error(`⚠️ Could not count stage ${stage.key}:`, error.message);
+            return [stage.key, 0];
+        }
+    }));
+
+    return Object.fromEntries(counts);
+}
+
 // ========================================
 // POST /api/crm/update-stage-by-phone
-// Update lead stage by phone number (for site visit integration)
+// Update the stage of every lead with a phone number (staff only)
 // ========================================
-router.post('/update-stage-by-phone', async (req, res) => {
+router.post('/update-stage-by-phone', requireRole('agent'), async (req, res) => {
     try {
-        const { phone, new_stage } = req.body;
+        const { new_stage, note, changed_by = 'system' } = req.body;
 
-        if (!phone || !new_stage) {
+        if (!req.body.phone || !new_stage) {
             return res.status(400).json({
                 success: false,
                 error: 'Phone and new_stage are required'
             });
         }
 
+        // Match on the stored E.164 form whatever format the caller sent
+        const phone = normalizePhoneOrRaw(req.body.phone);
+
         const SUPABASE_URL = process.env.SUPABASE_URL;
         const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 
@@ -244,8 +356,36 @@ router.post('/update-stage-by-phone', async (req, res) => {
             });
         }
 
+        // Read current stages for the timeline entries
+        const currentResponse = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm?select=id,stage,team&phone=eq.${encodeURIComponent(phone)}`, {
+            headers: {
+                'apikey': SUPABASE_ANON_KEY,
+                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+            }
+        });
+        const currentLeads = currentResponse.ok ? await currentResponse.json() : [];
+        const previousStages = Object.fromEntries(currentLeads.map(l => [l.id, l.stage]));
+
+        // The stage must exist in the pipeline of every matched lead's team
+        const teams = [...new Set(currentLeads.map(l => l.team || DEFAULT_TEAM))];
+        for (const team of teams) {
+            const { valid, stage, error: stageError } = await validateStage(new_stage, team);
+            if (!valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${stageError} (team: ${team})`
+                });
+            }
+            if (stage.is_lost) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Use /api/crm/update-stage with a lost_reason to mark a lead as lost'
+                });
+            }
+        }
+
         // Update lead by phone
-        const response = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm?phone=eq.${phone}`, {
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm?phone=eq.${encodeURIComponent(phone)}`, {
             method: 'PATCH',
             headers: {
                 'apikey': SUPABASE_ANON_KEY,
@@ -270,6 +410,19 @@ router.post('/update-stage-by-phone', async (req, res) => {
         const data = await response.json();
         console.log('✅ CRM Lead stage updated by phone:', phone, '→', new_stage);
 
+        for (const lead of data) {
+            const previousStage = previousStages[lead.id] || null;
+            if (previousStage === new_stage) continue;
+
+            await logLeadActivity({
+                lead_id: lead.id,
+                type: 'stage_change',
+                content: note || `Stage changed from ${previousStage || 'none'} to ${new_stage}`,
+                metadata: { from: previousStage, to: new_stage, matched_phone: phone },
+                created_by: changed_by
+            });
+        }
+
         res.json({
             success: true,
             updated: data.length,
@@ -285,4 +438,406 @@ router.post('/update-stage-by-phone', async (req, res) => {
     }
 });
 
+// ========================================
+// POST /api/crm/leads/:id/assign
+// Manually (re)assign a lead
+// Body: { agent_id: '<uuid>' | 'auto' | null }
+// ========================================
+router.post('/leads/:id/assign', requireRole('manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { agent_id, note, assigned_by = 'admin' } = req.body;
+
+        if (agent_id === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: "agent_id is required (an agent ID, 'auto', or null to unassign)"
+            });
+        }
+
+        const result = await reassignLead(id, agent_id, { assigned_by, note });
+
+        if (!result.success) {
+            return res.status(result.status || 500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            lead: result.lead,
+            agent: result.agent,
+            message: result.agent ? `Assigned to ${result.agent.name}` : 'Lead unassigned'
+        });
+
+    } catch (error) {
+        console.error('❌ CRM assign error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/reassign
+// Bulk move leads, e.g. when an agent leaves
+// Body: { from_agent_id?, lead_ids?, to_agent_id: '<uuid>' | 'auto', open_only? }
+// ========================================
+router.post('/reassign', requireRole('manager'), async (req, res) => {
+    try {
+        const { from_agent_id, lead_ids, to_agent_id, open_only = true, assigned_by = 'admin' } = req.body;
+
+        if (!to_agent_id) {
+            return res.status(400).json({
+                success: false,
+                error: "to_agent_id is required (an agent ID or 'auto')"
+            });
+        }
+
+        if (!from_agent_id && !(Array.isArray(lead_ids) && lead_ids.length > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide from_agent_id or a non-empty lead_ids array'
+            });
+        }
+
+        const SUPABASE_URL = process.env.SUPABASE_URL;
+        const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+        if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+            return res.status(500).json({
+                success: false,
+                error: 'CRM database not configured'
+            });
+        }
+
+        let ids = lead_ids;
+        if (!ids) {
+            const response = await fetch(`${SUPABASE_URL}/rest/v1/leads_crm?select=id,stage,team&assigned_to=eq.${from_agent_id}`, {
+                headers: {
+                    'apikey': SUPABASE_ANON_KEY,
+                    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+                }
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                console.error('❌ Supabase error:', errorData);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Failed to fetch agent leads'
+                });
+            }
+
+            let leads = await response.json();
+
+            // Won/lost leads stay with whoever worked them
+            if (open_only) {
+                const open = [];
+                for (const lead of leads) {
+                    const { stage } = await validateStage(lead.stage, lead.team || DEFAULT_TEAM);
+                    if (!stage || (!stage.is_won && !stage.is_lost)) open.push(lead);
+                }
+                leads = open;
+            }
+
+            ids = leads.map(l => l.id);
+        }
+
+        const results = [];
+        for (const leadId of ids) {
+            const result = await reassignLead(leadId, to_agent_id, { assigned_by });
+            results.push({ lead_id: leadId, success: result.success, agent: result.agent?.name || null, error: result.error });
+        }
+
+        const moved = results.filter(r => r.success).length;
+        console.log(`✅ CRM reassigned ${moved}/${results.length} leads`);
+
+        res.json({
+            success: true,
+            reassigned: moved,
+            failed: results.length - moved,
+            results
+        });
+
+    } catch (error) {
+        console.error('❌ CRM reassign error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// GET /api/crm/duplicates
+// Leads that share a phone number
+// ========================================
+router.get('/duplicates', requireRole('viewer'), async (req, res) => {
+    try {
+        const groups = await findDuplicateGroups({ team: req.query.team });
+
+        console.log(`🔍 CRM: Found ${groups.length} duplicate groups`);
+
+        res.json({
+            success: true,
+            groups,
+            count: groups.length
+        });
+
+    } catch (error) {
+        console.error('❌ CRM duplicates error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/merge
+// Fold duplicates into one canonical lead
+// Body: { primary_id, duplicate_ids: [...] }
+// ========================================
+router.post('/merge', requireRole('manager'), async (req, res) => {
+    try {
+        const { primary_id, duplicate_ids, merged_by = 'admin' } = req.body;
+
+        const result = await mergeLeads(primary_id, duplicate_ids, { merged_by });
+
+        if (!result.success) {
+            return res.status(result.status || 500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            lead: result.lead,
+            merged: result.merged,
+            moved: result.moved,
+            message: `Merged ${result.merged} lead(s)`
+        });
+
+    } catch (error) {
+        console.error('❌ CRM merge error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// GET /api/crm/leads/:id/activities
+// Get a lead's timeline (newest first)
+// ========================================
+router.get('/leads/:id/activities', requireRole('viewer'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type, limit } = req.query;
+
+        const { data, error } = await getLeadActivities(id, { type, limit });
+
+        if (error) {
+            return res.status(500).json({
+                success: false,
+                error
+            });
+        }
+
+        res.json({
+            success: true,
+            activities: data,
+            count: data.length
+        });
+
+    } catch (error) {
+        console.error('❌ CRM get-activities error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/leads/:id/activities
+// Add a note, call log or other timeline entry
+// ========================================
+router.post('/leads/:id/activities', requireRole('agent'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type = 'note', content, metadata = {}, created_by = 'admin' } = req.body;
+
+        // Stage changes, assignments and tasks are written by their own endpoints so the lead changes too
+        const systemTypes = ['stage_change', 'lead_created', 'assignment', 'merge', 'task'];
+        const manualTypes = ACTIVITY_TYPES.filter(t => !systemTypes.includes(t));
+        if (!manualTypes.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid activity type. Must be one of: ${manualTypes.join(', ')}`
+            });
+        }
+
+        if (!content || String(content).trim() === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Content is required'
+            });
+        }
+
+        const result = await logLeadActivity({
+            lead_id: id,
+            type,
+            content: String(content).trim(),
+            metadata,
+            created_by
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log('✅ CRM activity added:', id, type);
+
+        res.json({
+            success: true,
+            activity: result.activity
+        });
+
+    } catch (error) {
+        console.error('❌ CRM add-activity error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/leads/:id/website-activity
+// The website chatbot's entries on its visitor's timeline: chat
+// messages and property views only, attributed by the server
+// ========================================
+const WEBSITE_ACTIVITY_TYPES = ['chatbot_message', 'property_view'];
+const MAX_WEBSITE_ACTIVITY_LENGTH = 2000;
+
+router.post('/leads/:id/website-activity', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type, content, metadata = {} } = req.body;
+
+        if (!WEBSITE_ACTIVITY_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid activity type. Must be one of: ${WEBSITE_ACTIVITY_TYPES.join(', ')}`
+            });
+        }
+
+        if (!content || String(content).trim() === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Content is required'
+            });
+        }
+
+        const isBotMessage = type === 'chatbot_message' && metadata.role !== 'user';
+        const result = await logLeadActivity({
+            lead_id: id,
+            type,
+            content: String(content).trim().slice(0, MAX_WEBSITE_ACTIVITY_LENGTH),
+            metadata: type === 'property_view'
+                ? { property_id: String(metadata.property_id || ''), title: String(metadata.title || ''), viewed_at: metadata.viewed_at || null }
+                : { role: isBotMessage ? 'assistant' : 'user' },
+            created_by: isBotMessage ? 'bot' : 'lead'
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        console.error('❌ CRM website-activity error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/scores/recompute
+// Refresh lead scores (recency decays between events,
+// so run this on a schedule). Body: { lead_id } or { team }
+// ========================================
+router.post('/scores/recompute', requireRole('manager'), async (req, res) => {
+    try {
+        const { lead_id, team } = req.body || {};
+
+        if (lead_id) {
+            const result = await recomputeLeadScore(lead_id);
+            if (!result.success) {
+                return res.status(result.error === 'Lead not found' ? 404 : 500).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+            return res.json(result);
+        }
+
+        const result = await recomputeAllScores({ team });
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('❌ CRM recompute-scores error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/budgets/backfill
+// Parse budget text into budget_min_inr / budget_max_inr
+// for rows that don't have them. Body: { all: true } re-parses every row
+// ========================================
+router.post('/budgets/backfill', requireRole('admin'), async (req, res) => {
+    try {
+        const { all = false } = req.body || {};
+        const result = await backfillBudgetRanges({ all: all === true || all === 'true' });
+
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('❌ CRM budget backfill error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -7,6 +7,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../lib/auth');
 const { createClient } = require('@supabase/supabase-js');
 
 /**
@@ -31,7 +32,7 @@ function createServiceClient() {
  *   type: 'brochure' | 'faq' | 'pricing' (optional)
  *   limit: number (default 50)
  */
-router.get('/', async (req, res) => {
+router.get('/', requireRole('viewer'), async (req, res) => {
     try {
         const supabase = createServiceClient();
         const { type, limit = 50 } = req.query;
@@ -88,7 +89,7 @@ router.get('/', async (req, res) => {
  * GET /api/documents/stats
  * Get document counts by type
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireRole('viewer'), async (req, res) => {
     try {
         const supabase = createServiceClient();
 
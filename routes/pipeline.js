@@ -0,0 +1,326 @@
+/**
+ * ========================================
+ * PIPELINE STAGES - EXPRESS ROUTE
+ * ========================================
+ * Admin API for each team's sales pipeline
+ *
+ * Endpoints:
+ * GET    /api/crm/pipeline?team=       - Ordered stages for a team
+ * GET    /api/crm/pipeline/teams       - Teams that have a pipeline
+ * POST   /api/crm/pipeline/stages      - Add a stage
+ * PUT    /api/crm/pipeline/stages/:id  - Edit a stage
+ * DELETE /api/crm/pipeline/stages/:id  - Remove an unused stage
+ * POST   /api/crm/pipeline/reorder     - Set a team's stage order
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../lib/auth');
+const { DEFAULT_TEAM, getPipelineStages, clearPipelineCache } = require('../lib/pipeline');
+
+const EDITABLE_FIELDS = ['label', 'emoji', 'color', 'position', 'is_won', 'is_lost', 'is_active'];
+
+/**
+ * Supabase REST request against pipeline_stages / leads_crm
+ */
+async function supabaseRequest(path, options = {}) {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+        throw new Error('CRM database not configured');
+    }
+
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+        ...options,
+        headers: {
+            'apikey': SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+            'Content-Type': 'application/json',
+            'Prefer': 'return=representation',
+            ...options.headers
+        }
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        console.error('❌ Supabase error:', errorData);
+        throw new Error(errorData.message || 'Pipeline database error');
+    }
+
+    return response.status === 204 ? [] : response.json();
+}
+
+// ========================================
+// GET /api/crm/pipeline
+// Ordered stages for a team
+// ========================================
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const team = req.query.team || DEFAULT_TEAM;
+        const stages = await getPipelineStages(team);
+
+        res.json({
+            success: true,
+            team,
+            stages
+        });
+
+    } catch (error) {
+        console.error('❌ Pipeline get error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// GET /api/crm/pipeline/teams
+// Teams that have their own pipeline
+// ========================================
+router.get('/teams', requireRole('viewer'), async (req, res) => {
+    try {
+        const rows = await supabaseRequest('pipeline_stages?select=team&order=team.asc');
+        const teams = [...new Set([DEFAULT_TEAM, ...rows.map(r => r.team)])];
+
+        res.json({
+            success: true,
+            teams
+        });
+
+    } catch (error) {
+        console.error('❌ Pipeline teams error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/pipeline/stages
+// Add a stage to a team's pipeline
+// ========================================
+router.post('/stages', requireRole('manager'), async (req, res) => {
+    try {
+        const { team = DEFAULT_TEAM, key, label } = req.body;
+
+        if (!key || !label) {
+            return res.status(400).json({
+                success: false,
+                error: 'Key and label are required'
+            });
+        }
+
+        if (!/^[a-z0-9_]+$/.test(key)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Key must contain only lowercase letters, numbers and underscores'
+            });
+        }
+
+        if (req.body.is_won && req.body.is_lost) {
+            return res.status(400).json({
+                success: false,
+                error: 'A stage cannot be both won and lost'
+            });
+        }
+
+        // Append to the end unless a position is given
+        let position = req.body.position;
+        if (position === undefined) {
+            const existing = await supabaseRequest(
+                `pipeline_stages?select=position&team=eq.${encodeURIComponent(team)}&order=position.desc&limit=1`
+            );
+            position = (existing[0]?.position || 0) + 1;
+        }
+
+        const stage = { team, key, label, position };
+        EDITABLE_FIELDS.forEach(field => {
+            if (field !== 'position' && req.body[field] !== undefined) {
+                stage[field] = req.body[field];
+            }
+        });
+
+        const data = await supabaseRequest('pipeline_stages', {
+            method: 'POST',
+            body: JSON.stringify(stage)
+        });
+
+        clearPipelineCache(team);
+        console.log('✅ Pipeline stage added:', team, key);
+
+        res.json({
+            success: true,
+            stage: data[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Pipeline add-stage error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// PUT /api/crm/pipeline/stages/:id
+// Edit a stage (the key itself cannot change)
+// ========================================
+router.put('/stages/:id', requireRole('manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const updates = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`
+            });
+        }
+
+        if (updates.is_won && updates.is_lost) {
+            return res.status(400).json({
+                success: false,
+                error: 'A stage cannot be both won and lost'
+            });
+        }
+
+        const data = await supabaseRequest(`pipeline_stages?id=eq.${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+
+        if (data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Stage not found'
+            });
+        }
+
+        clearPipelineCache(data[0].team);
+        console.log('✅ Pipeline stage updated:', data[0].team, data[0].key);
+
+        res.json({
+            success: true,
+            stage: data[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Pipeline update-stage error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// DELETE /api/crm/pipeline/stages/:id
+// Remove a stage that no lead is in
+// ========================================
+router.delete('/stages/:id', requireRole('manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const stages = await supabaseRequest(`pipeline_stages?select=team,key&id=eq.${id}`);
+        if (stages.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Stage not found'
+            });
+        }
+
+        const { team, key } = stages[0];
+        const leads = await supabaseRequest(
+            `leads_crm?select=id&team=eq.${encodeURIComponent(team)}&stage=eq.${key}&limit=1`
+        );
+
+        if (leads.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Stage "${key}" still has leads. Move them first or set is_active to false.`
+            });
+        }
+
+        await supabaseRequest(`pipeline_stages?id=eq.${id}`, { method: 'DELETE' });
+
+        clearPipelineCache(team);
+        console.log('🗑️ Pipeline stage removed:', team, key);
+
+        res.json({
+            success: true,
+            message: 'Stage removed'
+        });
+
+    } catch (error) {
+        console.error('❌ Pipeline delete-stage error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/pipeline/reorder
+// Body: { team, order: ['new', 'contacted', ...] }
+// ========================================
+router.post('/reorder', requireRole('manager'), async (req, res) => {
+    try {
+        const { team = DEFAULT_TEAM, order } = req.body;
+
+        if (!Array.isArray(order) || order.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Order must be a non-empty array of stage keys'
+            });
+        }
+
+        const existing = await supabaseRequest(
+            `pipeline_stages?select=key&team=eq.${encodeURIComponent(team)}`
+        );
+        const existingKeys = existing.map(s => s.key);
+        const unknown = order.filter(key => !existingKeys.includes(key));
+
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown stages for team "${team}": ${unknown.join(', ')}`
+            });
+        }
+
+        for (let i = 0; i < order.length; i++) {
+            await supabaseRequest(
+                `pipeline_stages?team=eq.${encodeURIComponent(team)}&key=eq.${order[i]}`,
+                { method: 'PATCH', body: JSON.stringify({ position: i + 1 }) }
+            );
+        }
+
+        clearPipelineCache(team);
+        console.log('✅ Pipeline reordered:', team, order.join(' → '));
+
+        res.json({
+            success: true,
+            team,
+            stages: await getPipelineStages(team)
+        });
+
+    } catch (error) {
+        console.error('❌ Pipeline reorder error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
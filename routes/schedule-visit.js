@@ -3,12 +3,53 @@
  * SCHEDULE SITE VISIT - EXPRESS ROUTE
  * ========================================
  * POST /api/schedule-visit
- * Saves site visit requests to Supabase
+ * Saves site visit requests to Supabase (slot in visit_at, IST)
+ *
+ * Visit calendars (lib/visitCalendar.js):
+ * GET    /api/schedule-visit/projects                          - Projects with their calendars
+ * GET    /api/schedule-visit/availability?project=&date=       - Free slots on a day
+ * PUT    /api/schedule-visit/projects/:project/calendar        - { working_days, day_start, day_end, slot_minutes, capacity }
+ * GET    /api/schedule-visit/projects/:project/blackouts       - Blackout dates from today on
+ * POST   /api/schedule-visit/projects/:project/blackouts       - { date, reason? }
+ * DELETE /api/schedule-visit/projects/:project/blackouts/:date
+ *
+ * Daily plans (lib/visitItinerary.js):
+ * GET  /api/schedule-visit/itinerary?agent=&date=&from=lat,lng   - Agent's confirmed visits in travel order
+ * PUT  /api/schedule-visit/projects/:project/location             - { latitude, longitude }
+ *
+ * Calendar invites (lib/visitInvites.js):
+ * GET  /api/schedule-visit/:id/invite.ics          - The visit as an .ics (cancellation once cancelled)
+ * GET  /api/schedule-visit/calendar/:agent.ics     - Agent's subscribable feed (:agent = agents.calendar_token)
+ *
+ * Lifecycle (admin-visits.html):
+ * GET  /api/schedule-visit?status=           - List visits
+ * GET  /api/schedule-visit/:id/history       - Status changes, oldest first
+ * POST /api/schedule-visit/:id/confirm
+ * POST /api/schedule-visit/:id/reschedule    - { date, time, reason? } or { visit_at, reason? }
+ * POST /api/schedule-visit/:id/cancel        - { reason }
+ * POST /api/schedule-visit/:id/complete      - { notes? } - moves the CRM lead forward
+ * POST /api/schedule-visit/:id/no-show
+ *
+ * Booking, projects, availability and the .ics links are public;
+ * the rest needs a staff role (lib/auth.js).
  */
 
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../lib/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { VISIT_STATUSES, VISIT_TIMEZONE, createSiteVisit, getVisitHistory, transitionVisit } = require('../lib/siteVisits');
+const {
+    findProject,
+    listProjects,
+    getBlackoutDates,
+    getAvailability,
+    updateCalendar,
+    addBlackoutDate,
+    removeBlackoutDate
+} = require('../lib/visitCalendar');
+const { getVisitInvite, getAgentFeed } = require('../lib/visitInvites');
+const { getDailyItinerary, updateProjectLocation } = require('../lib/visitItinerary');
 
 /**
  * Create Supabase client with service role
@@ -28,35 +69,14 @@ function createServiceClient() {
  * POST /api/schedule-visit
  * Schedule a site visit
  * 
- * Body: { name, phone, date, time, message }
+ * Body: { name, phone, date, time, project?, lead_id?, message } - date YYYY-MM-DD and
+ * time (14:30 or 2:30 PM) in IST; past, closed and fully booked slots are rejected
  */
 router.post('/', async (req, res) => {
     try {
-        const { name, phone, date, time, message } = req.body;
+        const { name, phone, date, time, project, lead_id, message } = req.body;
 
-        // Validate required fields
-        if (!name || name.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Name is required'
-            });
-        }
-
-        if (!phone || phone.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Phone is required'
-            });
-        }
-
-        if (!date || date.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Preferred date is required'
-            });
-        }
-
-        if (!time || time.trim() === '') {
+        if (!time || String(time).trim() === '') {
             return res.status(400).json({
                 success: false,
                 error: 'Preferred time is required'
@@ -65,33 +85,20 @@ router.post('/', async (req, res) => {
 
         console.log('📅 Site visit request:', name, phone, date, time);
 
-        // Insert into Supabase
-        const supabase = createServiceClient();
-
-        const { data, error } = await supabase
-            .from('site_visits')
-            .insert({
-                name: name.trim(),
-                phone: phone.trim(),
-                visit_date: date.trim(),
-                visit_time: time.trim(),
-                message: message?.trim() || null
-            })
-            .select('id')
-            .single();
+        const result = await createSiteVisit({ name, phone, date, time, project, lead_id, message, source: 'website' });
 
-        if (error) {
-            console.error('❌ Database insert failed:', error);
-            return res.status(500).json({
+        if (!result.success) {
+            return res.status(result.status || 500).json({
                 success: false,
-                error: 'Failed to schedule visit'
+                error: result.error
             });
         }
 
-        console.log('✅ Site visit scheduled:', data.id);
+        const { visit } = result;
 
         // Format date for response
-        const formattedDate = new Date(date).toLocaleDateString('en-US', {
+        const formattedDate = new Date(visit.visit_at).toLocaleDateString('en-IN', {
+            timeZone: VISIT_TIMEZONE,
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -100,9 +107,13 @@ router.post('/', async (req, res) => {
 
         res.json({
             success: true,
-            visit_id: data.id,
+            visit_id: visit.id,
+            visit_at: visit.visit_at,
+            project_id: visit.project_id,
+            lead_id: visit.lead_id,
             formatted_date: formattedDate,
-            time: time
+            time: visit.visit_time,
+            ics_url: `/api/schedule-visit/${visit.id}/invite.ics`
         });
 
     } catch (error) {
@@ -116,16 +127,32 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/schedule-visit
- * Get all site visits for admin dashboard
+ * Get all site visits for admin dashboard, with their project, CRM lead and feedback
+ *
+ * Query: status (optional, comma-separated)
  */
-router.get('/', async (req, res) => {
+router.get('/', requireRole('viewer'), async (req, res) => {
     try {
+        const statuses = req.query.status ? String(req.query.status).split(',').map(s => s.trim()) : [];
+        const invalid = statuses.filter(s => !VISIT_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Must be one of: ${VISIT_STATUSES.join(', ')}`
+            });
+        }
+
         const supabase = createServiceClient();
 
-        const { data, error } = await supabase
+        let query = supabase
             .from('site_visits')
-            .select('*')
-            .order('visit_date', { ascending: true });
+            .select('*, project:projects(id, name, city, community, property_id), lead:leads_crm(id, name, stage), feedback:visit_feedback(token, status, rating, nps, price_perception, purchase_intent, liked, disliked)')
+            .order('visit_at', { ascending: true });
+        if (statuses.length > 0) {
+            query = query.in('status', statuses);
+        }
+
+        const { data, error } = await query;
 
         if (error) {
             console.error('❌ Failed to load visits:', error);
@@ -151,4 +178,288 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/schedule-visit/projects
+ * Active projects with their visit calendars (booking form)
+ */
+router.get('/projects', async (req, res) => {
+    try {
+        const projects = await listProjects();
+
+        res.json({
+            success: true,
+            projects
+        });
+
+    } catch (error) {
+        console.error('❌ Projects API Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/schedule-visit/availability
+ * Free slots for a project on one day
+ *
+ * Query: project (UUID, slug or property id; optional), date (YYYY-MM-DD, IST)
+ */
+router.get('/availability', async (req, res) => {
+    const result = await getAvailability(req.query.project, req.query.date);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * PUT /api/schedule-visit/projects/:project/calendar
+ * Change working days, hours, slot length or capacity
+ */
+router.put('/projects/:project/calendar', requireRole('manager'), async (req, res) => {
+    const result = await updateCalendar(req.params.project, req.body || {});
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /api/schedule-visit/projects/:project/blackouts
+ * Blackout dates from today on
+ */
+router.get('/projects/:project/blackouts', requireRole('viewer'), async (req, res) => {
+    try {
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: VISIT_TIMEZONE });
+        const project = await findProject(req.params.project);
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            blackouts: await getBlackoutDates(project.id, today)
+        });
+
+    } catch (error) {
+        console.error('❌ Blackouts API Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/schedule-visit/projects/:project/blackouts
+ * Close a project for visits on a date
+ *
+ * Body: { date, reason? }
+ */
+router.post('/projects/:project/blackouts', requireRole('manager'), async (req, res) => {
+    const { date, reason } = req.body || {};
+    const result = await addBlackoutDate(req.params.project, date, reason);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * DELETE /api/schedule-visit/projects/:project/blackouts/:date
+ * Re-open a date
+ */
+router.delete('/projects/:project/blackouts/:date', requireRole('manager'), async (req, res) => {
+    const result = await removeBlackoutDate(req.params.project, req.params.date);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /api/schedule-visit/itinerary
+ * An agent's confirmed visits for a day, ordered for travel (day sheet)
+ *
+ * Query: agent (agents.id), date (YYYY-MM-DD, IST; default today),
+ * from ("lat,lng" where the agent sets off; optional), visit_minutes (optional)
+ */
+router.get('/itinerary', requireRole('viewer'), async (req, res) => {
+    const { agent, from } = req.query;
+    const date = req.query.date || new Date().toLocaleDateString('en-CA', { timeZone: VISIT_TIMEZONE });
+    const visitMinutes = parseInt(req.query.visit_minutes, 10);
+
+    let start = null;
+    if (from) {
+        const [latitude, longitude] = String(from).split(',').map(Number);
+        start = { latitude, longitude };
+    }
+
+    const result = await getDailyItinerary({
+        agentId: agent,
+        date,
+        start,
+        visitMinutes: visitMinutes >= 10 && visitMinutes <= 240 ? visitMinutes : undefined
+    });
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * PUT /api/schedule-visit/projects/:project/location
+ * Save a project's coordinates
+ */
+router.put('/projects/:project/location', requireRole('agent'), async (req, res) => {
+    const result = await updateProjectLocation(req.params.project, req.body || {});
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /api/schedule-visit/calendar/:agent.ics
+ * Subscribable feed for Google / Outlook Calendar
+ */
+router.get('/calendar/:agent.ics', async (req, res) => {
+    const result = await getAgentFeed(req.params.agent);
+
+    if (!result.success) {
+        return res.status(result.status || 500).type('text/plain').send(result.error);
+    }
+
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="aionus-site-visits.ics"',
+        'Cache-Control': 'no-cache'
+    });
+    res.send(result.ics);
+});
+
+/**
+ * GET /api/schedule-visit/:id/invite.ics
+ * The visit as an invite (REQUEST), or a cancellation (CANCEL)
+ */
+router.get('/:id/invite.ics', async (req, res) => {
+    const result = await getVisitInvite(req.params.id);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.set({
+        'Content-Type': `text/calendar; charset=utf-8; method=${result.method}`,
+        'Content-Disposition': `attachment; filename="${result.filename}"`
+    });
+    res.send(result.ics);
+});
+
+/**
+ * GET /api/schedule-visit/:id/history
+ * Lifecycle of one visit, oldest first
+ */
+router.get('/:id/history', requireRole('viewer'), async (req, res) => {
+    try {
+        const history = await getVisitHistory(req.params.id);
+
+        res.json({
+            success: true,
+            history
+        });
+
+    } catch (error) {
+        console.error('❌ Visit history API Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/schedule-visit/:id/<action>
+ * confirm | reschedule | cancel | complete | no-show
+ *
+ * Body: { changed_by?, reason?, date?, time?, visit_at?, notes? }
+ */
+const ACTION_ROUTES = {
+    confirm: 'confirm',
+    reschedule: 'reschedule',
+    cancel: 'cancel',
+    complete: 'complete',
+    'no-show': 'no_show'
+};
+
+Object.entries(ACTION_ROUTES).forEach(([path, action]) => {
+    router.post(`/:id/${path}`, requireRole('agent'), async (req, res) => {
+        try {
+            const { date, time, visit_at, reason, notes, changed_by } = req.body || {};
+            const result = await transitionVisit(req.params.id, action, {
+                date, time, visit_at, reason, notes,
+                changed_by: changed_by || req.user.email
+            });
+
+            if (!result.success) {
+                return res.status(result.status || 500).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+
+            res.json({
+                success: true,
+                visit: result.visit,
+                leads_advanced: result.leads_advanced
+            });
+
+        } catch (error) {
+            console.error(`❌ Visit ${path} API Error:`, error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Internal server error'
+            });
+        }
+    });
+});
+
 module.exports = router;
@@ -0,0 +1,205 @@
+/**
+ * ========================================
+ * LEAD FOLLOW-UP TASKS - EXPRESS ROUTE
+ * ========================================
+ * Call-back reminders linked to CRM leads
+ *
+ * Endpoints:
+ * GET    /api/crm/tasks?lead_id=&assigned_to=&status=&due=&team=  - List tasks
+ * GET    /api/crm/tasks/due?assigned_to=&team=                    - Overdue + due today
+ * POST   /api/crm/tasks                                           - Create a task
+ * PUT    /api/crm/tasks/:id                                       - Edit a task
+ * POST   /api/crm/tasks/:id/complete                              - Mark done
+ * POST   /api/crm/tasks/:id/snooze                                - Push the due time back
+ * DELETE /api/crm/tasks/:id                                       - Remove a task
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../lib/auth');
+const {
+    TASK_STATUSES,
+    DUE_FILTERS,
+    listTasks,
+    getDueTasks,
+    createTask,
+    updateTask,
+    completeTask,
+    snoozeTask,
+    deleteTask
+} = require('../lib/tasks');
+
+/**
+ * Send a lib/tasks result ({ success, status?, ... })
+ */
+function sendResult(res, result) {
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+    const { status, ...body } = result;
+    res.json(body);
+}
+
+// ========================================
+// GET /api/crm/tasks/due
+// Overdue tasks and the rest of today's, for the
+// "Today's follow-ups" widget and Telegram /tasks
+// ========================================
+router.get('/due', requireRole('viewer'), async (req, res) => {
+    try {
+        const { assigned_to, team } = req.query;
+        const { overdue, today } = await getDueTasks({ assigned_to, team });
+
+        res.json({
+            success: true,
+            overdue,
+            today,
+            count: overdue.length + today.length
+        });
+
+    } catch (error) {
+        console.error('❌ Tasks due error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// GET /api/crm/tasks
+// List tasks (open by default, soonest first)
+// ========================================
+router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+        const { lead_id, assigned_to, status = 'open', due, team, limit } = req.query;
+
+        if (status !== 'all' && !TASK_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Must be one of: ${TASK_STATUSES.join(', ')}, all`
+            });
+        }
+        if (due && !DUE_FILTERS.includes(due)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid due filter. Must be one of: ${DUE_FILTERS.join(', ')}`
+            });
+        }
+
+        const tasks = await listTasks({ lead_id, assigned_to, status, due, team, limit });
+
+        res.json({
+            success: true,
+            tasks,
+            count: tasks.length
+        });
+
+    } catch (error) {
+        console.error('❌ Tasks get error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/tasks
+// Body: { lead_id, title, due_at, assigned_to?, notes?, created_by? }
+// ========================================
+router.post('/', requireRole('agent'), async (req, res) => {
+    try {
+        const { lead_id, title, due_at, assigned_to, notes, created_by } = req.body;
+        const result = await createTask({ lead_id, title, due_at, assigned_to, notes, created_by });
+        sendResult(res, result);
+
+    } catch (error) {
+        console.error('❌ Tasks create error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// PUT /api/crm/tasks/:id
+// Edit title, notes, due_at or assigned_to
+// ========================================
+router.put('/:id', requireRole('agent'), async (req, res) => {
+    try {
+        const result = await updateTask(req.params.id, req.body);
+        sendResult(res, result);
+
+    } catch (error) {
+        console.error('❌ Tasks update error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/tasks/:id/complete
+// Body: { completed_by?, note? }
+// ========================================
+router.post('/:id/complete', requireRole('agent'), async (req, res) => {
+    try {
+        const { completed_by, note } = req.body || {};
+        const result = await completeTask(req.params.id, { completed_by, note });
+        sendResult(res, result);
+
+    } catch (error) {
+        console.error('❌ Tasks complete error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// POST /api/crm/tasks/:id/snooze
+// Body: { until } (date/time, IST if no offset) or { minutes }
+// ========================================
+router.post('/:id/snooze', requireRole('agent'), async (req, res) => {
+    try {
+        const { until, minutes, snoozed_by } = req.body || {};
+        const result = await snoozeTask(req.params.id, { until, minutes, snoozed_by });
+        sendResult(res, result);
+
+    } catch (error) {
+        console.error('❌ Tasks snooze error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// DELETE /api/crm/tasks/:id
+// ========================================
+router.delete('/:id', requireRole('manager'), async (req, res) => {
+    try {
+        const result = await deleteTask(req.params.id);
+        if (result.success) {
+            result.message = 'Task removed';
+        }
+        sendResult(res, result);
+
+    } catch (error) {
+        console.error('❌ Tasks delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -4,24 +4,69 @@
  * ========================================
  * POST /telegram/webhook
  * 
+ * Only requests carrying the secret registered by /set-webhook
+ * (X-Telegram-Bot-Api-Secret-Token) are handled, and each update_id
+ * once - Telegram's retries are skipped.
+ *
  * Features:
  * - Lead capture funnel (name → phone → budget)
  * - RAG-powered AI responses using Gemini
  * - CRM lead creation
  * - Site visit scheduling
+ * - Inline buttons for property type, budget, visit date/slot and
+ *   lead confirmation (lib/telegramKeyboards.js) - typing still works
+ * - Property cards with photos (website catalogue) and brochure PDFs
+ * - Voice notes (transcribed, then answered like text), property
+ *   photos ("similar properties") and PDF/DOCX documents (RAG)
+ * - Visit reminder buttons (Confirm / Reschedule / Cancel)
+ * - Post-visit feedback questions (buttons + two text answers)
  * - Name sanitization
- * - ADMIN COMMANDS: /stats, /leads_today, /visits_upcoming, /lead <phone>
+ * - Conversation state kept across restarts (lib/telegramState.js)
+ * - ADMIN COMMANDS: /stats, /leads_today, /visits_upcoming, /lead <phone>, /tasks
  */
 
 require('dotenv').config();
 const express = require('express');
 const router = express.Router();
+const { createCRMLead: createCRMLeadFlow } = require('../flows/create_crm_lead');
+const { logLeadActivity } = require('../lib/leadActivities');
+const { normalizePhone } = require('../lib/phone');
+const { getDueTasks, formatDue } = require('../lib/tasks');
+const { extractBudget } = require('../lib/budget');
+const { createSiteVisit, formatVisitSlot, getVisit, transitionVisit } = require('../lib/siteVisits');
+const { ACTIVE_VISIT_STATUSES, listProjects, findProject, getAvailability } = require('../lib/visitCalendar');
+const { parseVisitCallback } = require('../lib/visitReminders');
+const { TEXT_STEPS, parseFeedbackCallback, answerTelegramFeedback } = require('../lib/visitFeedback');
+const {
+    sendTelegramMessage,
+    answerCallbackQuery,
+    editMessageReplyMarkup,
+    downloadTelegramFile,
+    isValidWebhookSecret,
+    setWebhook
+} = require('../lib/telegramApi');
+const { getProperty, detectPropertyType, findProperties } = require('../lib/propertyCatalog');
+const { sendPropertyCards, sendProjectBrochure } = require('../lib/telegramPropertyCards');
+const { uploadBrochure, ALLOWED_MIME_TYPES } = require('../flows/upload_brochure');
+const { processDocument } = require('../flows/process_document');
+const { BUYER_UPLOAD_TYPE, retrieveContext, retrieveChatContext } = require('../lib/rag');
+const {
+    PROPERTY_TYPES,
+    BUDGET_BANDS,
+    propertyTypeKeyboard,
+    budgetKeyboard,
+    visitDateKeyboard,
+    visitSlotKeyboard,
+    leadConfirmKeyboard,
+    parsePickCallback
+} = require('../lib/telegramKeyboards');
+const { requireRole } = require('../lib/auth');
+const { getStateStore, withUserState } = require('../lib/telegramState');
 
 // ========================================
 // CONFIGURATION
 // ========================================
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_API_URL = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}`;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL = 'gemini-2.5-flash';
 
@@ -50,25 +95,6 @@ function isAdmin(chatId) {
     return TELEGRAM_ADMIN_CHAT_IDS.includes(String(chatId));
 }
 
-// ========================================
-// IN-MEMORY USER STATE
-// ========================================
-const userStates = new Map();
-
-function getUserState(chatId) {
-    if (!userStates.has(chatId)) {
-        userStates.set(chatId, {
-            name: null,
-            phone: null,
-            budget: null,
-            waitingForVisitDate: false,
-            waitingForLeadConfirm: false,
-            pendingLead: null
-        });
-    }
-    return userStates.get(chatId);
-}
-
 // ========================================
 // NAME SANITIZATION
 // ========================================
@@ -142,6 +168,7 @@ async function supabaseQuery(table, options = {}) {
     }
 }
 
+
 /**
  * Get dashboard stats
  */
@@ -160,9 +187,9 @@ async function getStats() {
     // Total site visits
     const { count: totalVisits } = await supabaseQuery('site_visits', { select: 'id', limit: 1 });
 
-    // Upcoming visits
+    // Upcoming visits (still on)
     const { data: upcomingVisits } = await supabaseQuery('site_visits', {
-        filter: `visit_date=gte.${today}`,
+        filter: `visit_at=gte.${new Date().toISOString()}&status=in.(${ACTIVE_VISIT_STATUSES.join(',')})`,
         select: 'id'
     });
 
@@ -194,23 +221,47 @@ async function getLeadsToday() {
  * Get upcoming visits
  */
 async function getUpcomingVisits() {
-    const today = new Date().toISOString().split('T')[0];
-
     const { data } = await supabaseQuery('site_visits', {
-        filter: `visit_date=gte.${today}`,
-        select: 'name,phone,visit_date,visit_time,message',
-        order: 'visit_date.asc,visit_time.asc',
+        filter: `visit_at=gte.${new Date().toISOString()}&status=in.(${ACTIVE_VISIT_STATUSES.join(',')})`,
+        select: 'name,phone,visit_at,message,status',
+        order: 'visit_at.asc',
         limit: 20
     });
 
     return data || [];
 }
 
+/**
+ * Sales agent linked to this Telegram chat (agents.telegram_chat_id)
+ */
+async function findAgentByChatId(chatId) {
+    const { data } = await supabaseQuery('agents', {
+        filter: `telegram_chat_id=eq.${encodeURIComponent(String(chatId))}&is_active=eq.true`,
+        select: 'id,name',
+        limit: 1
+    });
+
+    return Array.isArray(data) ? data[0] || null : null;
+}
+
+/**
+ * Telegram lines for a list of follow-up tasks
+ */
+function formatTaskLines(tasks, startIndex, showAgent) {
+    return tasks.map((task, i) => {
+        let line = `${startIndex + i}. <b>${escapeHtml(task.title)}</b>\n`;
+        line += `   👤 ${escapeHtml(task.lead?.name || 'N/A')} - 📱 ${escapeHtml(task.lead?.phone || 'N/A')}\n`;
+        line += `   🕐 ${escapeHtml(formatDue(task.due_at))}`;
+        if (showAgent) line += ` · ${escapeHtml(task.agent?.name || 'Unassigned')}`;
+        return line + '\n';
+    }).join('\n');
+}
+
 /**
  * Find lead by phone
  */
 async function findLeadByPhone(phone) {
-    const cleanPhone = phone.replace(/[^0-9]/g, '');
+    const cleanPhone = (normalizePhone(phone) || phone).replace(/[^0-9]/g, '');
 
     const { data } = await supabaseQuery('leads_crm', {
         filter: `phone=ilike.*${cleanPhone}*`,
@@ -222,44 +273,6 @@ async function findLeadByPhone(phone) {
     return data || [];
 }
 
-// ========================================
-// TELEGRAM API HELPERS
-// ========================================
-
-async function sendTelegramMessage(chatId, text, parseMode = 'HTML') {
-    if (!TELEGRAM_BOT_TOKEN) {
-        console.error('❌ TELEGRAM_BOT_TOKEN not configured');
-        return false;
-    }
-
-    console.log(`📤 Sending to Telegram [${chatId}]: ${text.substring(0, 50)}...`);
-
-    try {
-        const response = await fetch(`${TELEGRAM_API_URL}/sendMessage`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chat_id: chatId,
-                text: text,
-                parse_mode: parseMode
-            })
-        });
-
-        const data = await response.json();
-
-        if (!data.ok) {
-            console.error('❌ Telegram API error:', JSON.stringify(data));
-            return false;
-        }
-
-        console.log(`✅ Message sent successfully to ${chatId}`);
-        return true;
-    } catch (error) {
-        console.error('❌ sendTelegramMessage error:', error.message);
-        return false;
-    }
-}
-
 // ========================================
 // ADMIN COMMAND HANDLERS
 // ========================================
@@ -276,6 +289,7 @@ async function handleAdminCommands(chatId, text) {
 👥 <code>/leads_today</code> - Aaj ke leads
 📅 <code>/visits_upcoming</code> - Upcoming site visits
 🔍 <code>/lead 9876543210</code> - Lead search by phone
+📌 <code>/tasks</code> - Aapke aaj ke follow-ups (<code>/tasks all</code> - sabke)
 
 Normal users ke liye main property search aur site visit booking mein help karta hoon.`;
         } else {
@@ -301,7 +315,7 @@ Simply apna naam bataiye aur shuru karte hain. 🏠`;
 📅 Total Site Visits: <b>${stats.totalVisits}</b>
 ⏰ Upcoming Visits: <b>${stats.upcomingVisits}</b>
 
-💬 Active Telegram Users: ${userStates.size}`;
+💬 Active Telegram Users: ${await getStateStore().count().catch(() => '-')}`;
         } catch (error) {
             return `❌ Stats fetch karne mein error: ${error.message}`;
         }
@@ -341,7 +355,7 @@ Simply apna naam bataiye aur shuru karte hain. 🏠`;
 
             let msg = `📅 <b>Upcoming Site Visits (${visits.length})</b>\n\n`;
             visits.forEach((visit, i) => {
-                msg += `${i + 1}. <b>${visit.visit_date}</b> ${visit.visit_time || ''}\n`;
+                msg += `${i + 1}. <b>${formatVisitSlot(visit.visit_at)}</b>${visit.status === 'confirmed' ? ' ✅' : ''}\n`;
                 msg += `   👤 ${visit.name || 'N/A'}\n`;
                 msg += `   📱 ${visit.phone || 'N/A'}\n`;
                 if (visit.message) msg += `   💬 "${visit.message}"\n`;
@@ -354,6 +368,40 @@ Simply apna naam bataiye aur shuru karte hain. 🏠`;
         }
     }
 
+    // /tasks command - overdue + due today for this admin's agent (or everyone)
+    if (command === '/tasks') {
+        try {
+            const wantsAll = text.split(' ')[1]?.toLowerCase() === 'all';
+            const agent = wantsAll ? null : await findAgentByChatId(chatId);
+            const { overdue, today } = await getDueTasks({ assigned_to: agent?.id });
+            const showAgent = !agent;
+
+            if (overdue.length === 0 && today.length === 0) {
+                return agent
+                    ? `✅ ${escapeHtml(agent.name)}, aaj ke liye koi follow-up pending nahi hai.`
+                    : `✅ Aaj ke liye koi follow-up pending nahi hai.`;
+            }
+
+            let msg = agent
+                ? `📌 <b>${escapeHtml(agent.name)} ke Follow-ups (${overdue.length + today.length})</b>\n\n`
+                : `📌 <b>Sabke Follow-ups (${overdue.length + today.length})</b>\n\n`;
+
+            if (overdue.length > 0) {
+                msg += `⏰ <b>Overdue</b>\n${formatTaskLines(overdue, 1, showAgent)}\n`;
+            }
+            if (today.length > 0) {
+                msg += `📅 <b>Aaj</b>\n${formatTaskLines(today, overdue.length + 1, showAgent)}\n`;
+            }
+            if (!agent && !wantsAll) {
+                msg += `💡 Sirf apne tasks dekhne ke liye apne agent profile mein Telegram chat ID (${chatId}) set karein.`;
+            }
+
+            return msg.trim();
+        } catch (error) {
+            return `❌ Tasks fetch karne mein error: ${error.message}`;
+        }
+    }
+
     // /lead <phone> command
     if (command === '/lead') {
         const phone = text.replace('/lead', '').trim();
@@ -403,17 +451,20 @@ Simply apna naam bataiye aur shuru karte hain. 🏠`;
 // RAG + GEMINI AI
 // ========================================
 
-async function getRagContext(query) {
-    try {
-        const response = await fetch(`/api/rag?query=${encodeURIComponent(query)}`);
-        if (response.ok) {
-            const data = await response.json();
-            return data.context || '';
-        }
-    } catch (error) {
+/**
+ * Shared knowledge base plus the documents this chat uploaded
+ * (never another buyer's)
+ */
+async function getRagContext(query, chatId) {
+    const [shared, own] = await Promise.all([
+        retrieveContext(query),
+        retrieveChatContext(query, chatId)
+    ]);
+
+    if (shared.error && own.error) {
         console.log('⚠️ RAG unavailable');
     }
-    return '';
+    return [shared.context, own.context].filter(Boolean).join('\n\n---\n\n');
 }
 
 async function getAIResponse(userMessage, userState, ragContext = '') {
@@ -516,7 +567,7 @@ Answer in friendly Hinglish:`;
 // CONVERSATION LOGGING
 // ========================================
 
-async function logConversation(chatId, platform, role, message) {
+async function logConversation(chatId, platform, role, message, leadId = null) {
     try {
         if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
             console.log('⚠️ Supabase not configured for conversation logging');
@@ -535,10 +586,22 @@ async function logConversation(chatId, platform, role, message) {
                 telegram_chat_id: chatId.toString(),
                 platform: platform,
                 role: role,
-                message: message.substring(0, 5000) // Limit message length
+                message: message.substring(0, 5000), // Limit message length
+                lead_id: leadId
             })
         });
         console.log(`📝 Logged ${role} message to conversations`);
+
+        // Mirror into the CRM timeline once we know who this chat belongs to
+        if (leadId) {
+            await logLeadActivity({
+                lead_id: leadId,
+                type: 'telegram_message',
+                content: message,
+                metadata: { role, telegram_chat_id: chatId.toString() },
+                created_by: role === 'user' ? 'lead' : 'bot'
+            });
+        }
     } catch (error) {
         console.error('❌ Conversation logging error:', error.message);
     }
@@ -563,6 +626,7 @@ async function getSmartAIResponse(userMessage, userState, ragContext, chatId) {
 - Name: ${userState.name || 'User'}
 - Phone: ${userState.phone || 'Not provided'}
 - Budget: ${userState.budget || 'Not specified'}
+- Looking for: ${PROPERTY_TYPES[userState.propertyType] || 'Not specified'}
 
 ## RULES:
 1. Be conversational and helpful
@@ -624,7 +688,7 @@ Respond naturally:`;
 📱 Phone: ${extractedLead.phone}
 💰 Budget: ${extractedLead.budget || 'Not mentioned'}
 
-Is this correct? (Reply: Yes/Haan)`;
+Is this correct? (Button dabayein ya Yes/Haan likhein)`;
             }
         }
 
@@ -635,10 +699,106 @@ Is this correct? (Reply: Yes/Haan)`;
     }
 }
 
+/**
+ * Answer free text with Gemini (RAG context, conversation logged)
+ * A lead confirmation question gets Haan / Nahi buttons; a property
+ * search gets matching cards from the website catalogue after the text.
+ */
+async function replyWithAI(chatId, text, state) {
+    await logConversation(chatId, 'telegram', 'user', text, state.leadId);
+
+    const ragContext = await getRagContext(text, chatId);
+    const reply = await getSmartAIResponse(text, state, ragContext, chatId);
+
+    await logConversation(chatId, 'telegram', 'assistant', reply, state.leadId);
+
+    if (state.waitingForLeadConfirm) {
+        await sendTelegramMessage(chatId, reply, 'HTML', { reply_markup: leadConfirmKeyboard() });
+        return;
+    }
+
+    await sendTelegramMessage(chatId, reply);
+
+    if (isPropertySearch(text)) {
+        const matches = findProperties({
+            city: state.city,
+            type: detectPropertyType(text) || state.propertyType,
+            budget: extractBudget(text) || state.budget,
+            text
+        });
+        await sendPropertyCards(chatId, matches);
+    }
+}
+
+function isPropertySearch(text) {
+    const keywords = ['property', 'properties', 'flat', 'villa', 'apartment', 'penthouse', 'bhk',
+        'off-plan', 'ghar', 'options', 'dikhao', 'show me', 'recommend', 'suggest'];
+    const lower = text.toLowerCase();
+    return keywords.some(kw => lower.includes(kw));
+}
+
+function isBrochureRequest(text) {
+    const lower = text.toLowerCase();
+    return ['brochure', 'broucher', 'brochur', 'catalogue pdf'].some(kw => lower.includes(kw));
+}
+
+/**
+ * Send the brochure of a project, or say why not
+ */
+async function sendBrochureReply(chatId, project) {
+    if (!project) {
+        await sendTelegramMessage(chatId, `📄 Kaunse project ka brochure chahiye? Project ka naam bhejein 😊`);
+        return;
+    }
+
+    const result = await sendProjectBrochure(chatId, project);
+    if (result.success) return;
+
+    await sendTelegramMessage(chatId, result.status === 404
+        ? `📄 ${project.name} ka brochure abhi available nahi hai. Hamari team aapko share kar degi! 📞`
+        : `❌ Brochure bhejne mein problem hui. Please dubara try karein.`);
+}
+
+// Cities we sell in (aliases map to the name used by assignment rules)
+const CITY_ALIASES = {
+    mumbai: 'Mumbai', bombay: 'Mumbai',
+    delhi: 'Delhi', 'new delhi': 'Delhi',
+    bangalore: 'Bangalore', bengaluru: 'Bangalore',
+    hyderabad: 'Hyderabad',
+    pune: 'Pune',
+    chennai: 'Chennai', madras: 'Chennai',
+    kolkata: 'Kolkata', calcutta: 'Kolkata'
+};
+
+// Detect a city mention in free text
+function detectCity(text) {
+    const lower = text.toLowerCase();
+    const match = Object.keys(CITY_ALIASES).find(alias => new RegExp(`\\b${alias}\\b`).test(lower));
+    return match ? CITY_ALIASES[match] : null;
+}
+
+// Project names, refreshed every 10 minutes so each message can be checked
+const PROJECT_CACHE_MS = 10 * 60 * 1000;
+let projectCache = { loadedAt: 0, projects: [] };
+
+// Detect a project mention ("Hi! I'm interested in Sobha Neopolis...")
+async function detectProject(text) {
+    if (Date.now() - projectCache.loadedAt > PROJECT_CACHE_MS) {
+        try {
+            projectCache = { loadedAt: Date.now(), projects: await listProjects() };
+        } catch (error) {
+            console.error('⚠️ Could not load projects:', error.message);
+            projectCache.loadedAt = Date.now();
+        }
+    }
+
+    const lower = text.toLowerCase();
+    return projectCache.projects.find(p => lower.includes(p.name.toLowerCase())) || null;
+}
+
 // Extract lead info from natural text
 function extractLeadInfo(text) {
     const phoneMatch = text.match(/(\+91|91)?[\s-]?[6-9]\d{9}/);
-    const budgetMatch = text.match(/(\d+[\s]*(lakh|lac|l|crore|cr|k))/i);
 
     // Simple name extraction (first capitalized word that's not a keyword)
     const words = text.split(/[\s,]+/);
@@ -653,8 +813,9 @@ function extractLeadInfo(text) {
 
     return {
         name: name,
-        phone: phoneMatch ? phoneMatch[0].replace(/[\s-]/g, '') : null,
-        budget: budgetMatch ? budgetMatch[0] : null
+        phone: phoneMatch ? normalizePhone(phoneMatch[0]) : null,
+        budget: extractBudget(text),
+        city: detectCity(text)
     };
 }
 
@@ -663,54 +824,409 @@ function extractLeadInfo(text) {
 // ========================================
 
 async function createCRMLead(leadData) {
-    try {
-        const response = await fetch('/api/crm/create-lead', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                name: leadData.name,
-                phone: leadData.phone,
-                budget: leadData.budget,
-                lead_source: 'telegram'
-            })
-        });
+    const result = await createCRMLeadFlow({
+        name: leadData.name,
+        phone: leadData.phone,
+        budget: leadData.budget,
+        city: leadData.city,
+        lead_source: 'telegram'
+    });
 
-        const data = await response.json();
-        if (data.success) {
-            console.log('✅ Telegram lead created:', data.lead_id);
-            return true;
-        }
-    } catch (error) {
-        console.error('❌ CRM lead creation failed:', error);
+    if (result.success) {
+        console.log('✅ Telegram lead created:', result.lead_id);
+        return result.lead_id;
     }
-    return false;
+
+    console.error('❌ CRM lead creation failed:', result.error);
+    return null;
 }
 
 // ========================================
 // SITE VISIT SCHEDULING
 // ========================================
 
-async function scheduleSiteVisit(name, phone, dateTime) {
-    try {
-        const [date, time] = dateTime.split(' ');
+/**
+ * Book a visit from "2024-12-15" or "2024-12-15 10:00" (IST)
+ * for the project the buyer asked about and their CRM lead
+ * @returns {Promise<Object>} { success, visit?, status?, error? }
+ */
+async function scheduleSiteVisit(name, phone, dateTime, chatId, { project = null, leadId = null } = {}) {
+    const [date, time] = dateTime.split(' ');
+
+    const result = await createSiteVisit({
+        name,
+        phone,
+        date,
+        time,
+        project: project?.id,
+        lead_id: leadId,
+        message: 'Booked via Telegram',
+        source: 'telegram',
+        telegram_chat_id: chatId
+    });
 
-        const response = await fetch('/api/schedule-visit', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                name: name,
-                phone: phone,
-                date: date,
-                time: time || '10:00',
-                message: 'Booked via Telegram'
-            })
+    if (!result.success) {
+        console.error('❌ Site visit scheduling failed:', result.error);
+    }
+    return result;
+}
+
+/**
+ * Move a visit to "2024-12-15 10:00" (IST) after the Reschedule button
+ */
+async function rescheduleSiteVisit(visitId, dateTime) {
+    const [date, time] = dateTime.split(' ');
+
+    const result = await transitionVisit(visitId, 'reschedule', {
+        date,
+        time,
+        reason: 'Rescheduled by buyer on Telegram',
+        changed_by: 'telegram'
+    });
+
+    if (!result.success) {
+        console.error('❌ Site visit reschedule failed:', result.error);
+    }
+    return result;
+}
+
+// Asks for a visit date: buttons, or typed for a time outside the slots
+const VISIT_DATE_PROMPT = `Neeche se date chunein 👇 ya date aur time likh kar bhejein:
+<code>YYYY-MM-DD HH:MM</code>
+
+Example: <code>2024-12-15 10:00</code>`;
+
+// Visits are booked against a phone, so it is asked for before any dates
+const VISIT_PHONE_PROMPT = `📱 Visit book karne ke liye apna WhatsApp number bhejein (10-digit):`;
+
+/**
+ * Start booking a visit: the phone first if we don't have one,
+ * then the date buttons
+ * @param {Object} state
+ * @param {string} intro - First line of the reply
+ * @returns {Object} { text, replyMarkup? }
+ */
+function startVisitBooking(state, intro) {
+    state.rescheduleVisitId = null;
+
+    if (!normalizePhone(state.phone)) {
+        state.waitingForVisitDate = false;
+        state.waitingForVisitPhone = true;
+        return { text: `${intro}\n\n${VISIT_PHONE_PROMPT}` };
+    }
+
+    state.waitingForVisitPhone = false;
+    state.waitingForVisitDate = true;
+    return { text: `${intro}\n\n${VISIT_DATE_PROMPT}`, replyMarkup: visitDateKeyboard() };
+}
+
+/**
+ * The phone typed after VISIT_PHONE_PROMPT
+ * @returns {Object} { text, replyMarkup? }
+ */
+function saveVisitPhone(state, text) {
+    const phone = normalizePhone(text);
+    if (!phone) {
+        return { text: `⚠️ Yeh phone number sahi nahi lag raha. Please 10-digit number bhejein 📱` };
+    }
+
+    state.phone = phone;
+    return startVisitBooking(state, `✅ Shukriya! ${state.project ? `${state.project.name} ki site visit ke liye` : 'Ab'} date chunein.`);
+}
+
+/**
+ * Reply for a booking or reschedule that failed: a taken slot gets
+ * the date buttons again, a rejected phone goes back to the phone
+ * prompt; anything else is reported and can be retried by typing
+ * @returns {Object} { text, replyMarkup? }
+ */
+function visitFailureReply(state, result, failedText) {
+    if (result.field === 'phone') {
+        state.phone = null;
+        state.waitingForVisitPhone = true;
+        return { text: `⚠️ ${result.error}\n\n${VISIT_PHONE_PROMPT}` };
+    }
+    if (result.status === 409 && result.field === 'visit_at') {
+        state.waitingForVisitDate = true;
+        return { text: `⚠️ ${result.error}\n\n${VISIT_DATE_PROMPT}`, replyMarkup: visitDateKeyboard() };
+    }
+    if (result.status === 400) {
+        // Past date or a time outside the calendar - a typed date can fix it
+        state.waitingForVisitDate = true;
+        return { text: `⚠️ ${result.error}\n\nDoosri date aur time likh kar bhejein: <code>YYYY-MM-DD HH:MM</code>` };
+    }
+
+    state.rescheduleVisitId = null;
+    return { text: failedText };
+}
+
+/**
+ * Book - or after the Reschedule button, move - a visit for a
+ * typed or picked "YYYY-MM-DD HH:MM"
+ * @returns {Promise<Object>} { text, replyMarkup? } - date buttons when another slot is needed
+ */
+async function bookVisitSlot(chatId, dateTime, state, userName) {
+    state.waitingForVisitDate = false;
+
+    if (state.rescheduleVisitId) {
+        const result = await rescheduleSiteVisit(state.rescheduleVisitId, dateTime);
+        if (result.success) {
+            state.rescheduleVisitId = null;
+            return {
+                text: `✅ Site visit reschedule ho gayi: ${formatVisitSlot(result.visit.visit_at)}!
+
+Hum aapko visit se pehle yaad dila denge. ⏰`
+            };
+        }
+        return visitFailureReply(state, result, `❌ Visit reschedule karne mein problem hui. Please dubara try karein.`);
+    }
+
+    if (!normalizePhone(state.phone)) {
+        return startVisitBooking(state, `📅 Bas ek cheez aur!`);
+    }
+
+    const result = await scheduleSiteVisit(state.name || userName, state.phone, dateTime, chatId, {
+        project: state.project,
+        leadId: state.leadId
+    });
+    if (result.success) {
+        return {
+            text: `✅ Site visit scheduled${state.project ? ` at ${state.project.name}` : ''} for ${formatVisitSlot(result.visit.visit_at)}!
+
+Hamari team aapse contact karegi. 📞`
+        };
+    }
+    return visitFailureReply(state, result, `❌ Visit schedule karne mein problem hui. Please dubara try karein.`);
+}
+
+/**
+ * Save or drop the lead details the bot asked the buyer to confirm
+ * @returns {Promise<string>} Reply for the buyer
+ */
+async function confirmPendingLead(state, confirmed) {
+    const pendingLead = state.pendingLead;
+    state.waitingForLeadConfirm = false;
+    state.pendingLead = null;
+
+    if (!confirmed) {
+        return `Koi baat nahi! Agar details galat hain toh dubara bataiye. 😊`;
+    }
+
+    state.phone = pendingLead.phone;
+
+    state.leadId = await createCRMLead({
+        ...pendingLead,
+        city: pendingLead.city || state.city
+    });
+    return `🎉 Congratulations! Aapki details save ho gayi hain!
+
+Hamari team jaldi aapse contact karegi. 📞`;
+}
+
+/**
+ * Confirm / Reschedule / Cancel buttons on visit reminders
+ * (callback_data "visit:<action>:<id>", lib/visitReminders.js)
+ */
+async function handleVisitCallback(callbackQuery, state) {
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const parsed = parseVisitCallback(callbackQuery.data);
+
+    if (!parsed || !chatId) {
+        await answerCallbackQuery(callbackQuery.id);
+        return;
+    }
+
+    const visit = await getVisit(parsed.visitId).catch(() => null);
+
+    // Only the buyer who booked it can act on it
+    if (!visit || String(visit.telegram_chat_id) !== String(chatId)) {
+        await answerCallbackQuery(callbackQuery.id, 'Visit nahi mili');
+        return;
+    }
+
+    if (!ACTIVE_VISIT_STATUSES.includes(visit.status)) {
+        await answerCallbackQuery(callbackQuery.id, 'Yeh visit ab active nahi hai');
+        await editMessageReplyMarkup(chatId, messageId);
+        return;
+    }
+
+    let reply;
+    if (parsed.action === 'reschedule') {
+        state.rescheduleVisitId = visit.id;
+        state.waitingForVisitDate = true;
+        reply = `🔁 Visit kab shift karni hai?\n\n${VISIT_DATE_PROMPT}`;
+    } else {
+        const result = await transitionVisit(visit.id, parsed.action, {
+            reason: parsed.action === 'cancel' ? 'Cancelled by buyer on Telegram' : undefined,
+            changed_by: 'telegram'
         });
 
-        const data = await response.json();
-        return data.success;
-    } catch (error) {
-        console.error('❌ Site visit scheduling failed:', error);
-        return false;
+        if (!result.success) {
+            await answerCallbackQuery(callbackQuery.id, result.status === 500 ? 'Problem hui, dubara try karein' : result.error);
+            return;
+        }
+
+        reply = parsed.action === 'confirm'
+            ? `✅ Shukriya! Aapki site visit confirm ho gayi - ${formatVisitSlot(visit.visit_at)}. Milte hain! 🏠`
+            : `✖️ Aapki site visit (${formatVisitSlot(visit.visit_at)}) cancel kar di gayi hai. Jab chahein dubara book kar sakte hain.`;
+    }
+
+    await answerCallbackQuery(callbackQuery.id);
+    await editMessageReplyMarkup(chatId, messageId);
+    await sendTelegramMessage(chatId, reply, 'HTML',
+        parsed.action === 'reschedule' ? { reply_markup: visitDateKeyboard() } : {});
+}
+
+/**
+ * Answer buttons on the post-visit feedback questions
+ * (callback_data "fb:<id>:<field>:<value>", lib/visitFeedback.js)
+ */
+async function handleFeedbackCallback(callbackQuery, state) {
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const parsed = parseFeedbackCallback(callbackQuery.data);
+
+    if (!parsed || !chatId) {
+        await answerCallbackQuery(callbackQuery.id);
+        return;
+    }
+
+    const result = await answerTelegramFeedback(parsed.feedbackId, chatId, parsed.field, parsed.value);
+    await answerCallbackQuery(callbackQuery.id, result.success ? 'Shukriya!' : result.status === 500 ? 'Problem hui, dubara try karein' : result.error);
+    if (result.status !== 500) {
+        await editMessageReplyMarkup(chatId, messageId);
+    }
+
+    // The last two questions are answered by typing
+    if (result.success && TEXT_STEPS.includes(result.next)) {
+        state.feedbackId = parsed.feedbackId;
+        state.feedbackStep = result.next;
+    }
+}
+
+/**
+ * Conversation buttons: property type, budget band, visit date/slot,
+ * lead confirmation (callback_data "pick:<kind>:<value>", lib/telegramKeyboards.js)
+ */
+async function handlePickCallback(callbackQuery, state) {
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const parsed = parsePickCallback(callbackQuery.data);
+    const userName = callbackQuery.from?.first_name || 'User';
+
+    if (!parsed || !chatId) {
+        await answerCallbackQuery(callbackQuery.id);
+        return;
+    }
+
+    // Buttons from an earlier question the conversation has moved past
+    const expired = async () => {
+        await answerCallbackQuery(callbackQuery.id, 'Yeh option ab valid nahi hai');
+        await editMessageReplyMarkup(chatId, messageId);
+    };
+
+    switch (parsed.kind) {
+        case 'type': {
+            state.propertyType = parsed.value;
+            await answerCallbackQuery(callbackQuery.id);
+            await editMessageReplyMarkup(chatId, messageId);
+
+            if (!state.budget) {
+                await sendTelegramMessage(chatId, `${PROPERTY_TYPES[parsed.value]} - badhiya choice! 👌
+
+Aapka budget kya hai? Neeche se chunein ya likh kar bhejein 💰`, 'HTML', { reply_markup: budgetKeyboard() });
+                return;
+            }
+            await replyWithAI(chatId, `${PROPERTY_TYPES[parsed.value]} chahiye, budget ${state.budget}`, state);
+            return;
+        }
+
+        case 'budget': {
+            state.budget = BUDGET_BANDS[parsed.value];
+            await answerCallbackQuery(callbackQuery.id);
+            await editMessageReplyMarkup(chatId, messageId);
+            await replyWithAI(chatId, `${PROPERTY_TYPES[state.propertyType] || 'Property'} chahiye, budget ${state.budget}`, state);
+            return;
+        }
+
+        case 'date': {
+            if (!state.waitingForVisitDate) return expired();
+            await answerCallbackQuery(callbackQuery.id);
+
+            if (parsed.value === 'back') {
+                await sendTelegramMessage(chatId, `📅 Site visit ki date chunein:\n\n${VISIT_DATE_PROMPT}`, 'HTML', {
+                    editMessageId: messageId,
+                    reply_markup: visitDateKeyboard()
+                });
+                return;
+            }
+
+            const day = await getAvailability(state.project?.id, parsed.value);
+            if (!day.success) {
+                await sendTelegramMessage(chatId, `❌ Slots dekhne mein problem hui. Please dubara try karein.`);
+                return;
+            }
+
+            if (day.closed || day.slots.length === 0) {
+                await sendTelegramMessage(chatId, `😕 ${day.closed || 'Is din koi slot khali nahi hai'}.
+
+Doosri date chunein 👇`, 'HTML', { editMessageId: messageId, reply_markup: visitDateKeyboard() });
+                return;
+            }
+
+            await sendTelegramMessage(chatId, `📅 ${state.project ? `${state.project.name} - ` : ''}<b>${parsed.value}</b>
+
+Kaunsa time theek rahega? 🕐`, 'HTML', { editMessageId: messageId, reply_markup: visitSlotKeyboard(parsed.value, day.slots) });
+            return;
+        }
+
+        case 'slot': {
+            if (!state.waitingForVisitDate) return expired();
+            await answerCallbackQuery(callbackQuery.id);
+
+            const { text, replyMarkup } = await bookVisitSlot(chatId, parsed.value, state, userName);
+            await sendTelegramMessage(chatId, text, 'HTML', {
+                editMessageId: messageId,
+                ...(replyMarkup ? { reply_markup: replyMarkup } : {})
+            });
+            return;
+        }
+
+        case 'visit': {
+            const property = getProperty(parsed.value);
+            if (!property) return expired();
+            await answerCallbackQuery(callbackQuery.id);
+
+            // Visits are booked against the project (projects.property_id)
+            const project = await findProject(property.id).catch(() => null);
+            state.project = project;
+
+            const { text, replyMarkup } = startVisitBooking(state, `📅 <b>${escapeHtml(property.title)}</b> ki site visit book karein!`);
+            await sendTelegramMessage(chatId, text, 'HTML', replyMarkup ? { reply_markup: replyMarkup } : {});
+            return;
+        }
+
+        case 'brochure': {
+            const property = getProperty(parsed.value);
+            if (!property) return expired();
+            await answerCallbackQuery(callbackQuery.id, 'Brochure bhej rahi hoon...');
+
+            // Without a projects row there is no brochure to find - say so by name
+            const project = await findProject(property.id).catch(() => null);
+            await sendBrochureReply(chatId, project || { id: null, name: property.title });
+            return;
+        }
+
+        case 'lead': {
+            if (!state.waitingForLeadConfirm || !state.pendingLead) return expired();
+            await answerCallbackQuery(callbackQuery.id);
+            await editMessageReplyMarkup(chatId, messageId);
+
+            const reply = await confirmPendingLead(state, parsed.value === 'yes');
+            await sendTelegramMessage(chatId, reply);
+            return;
+        }
     }
 }
 
@@ -746,8 +1262,8 @@ Pehle, aapka shubh naam bataiye?`;
 Ab please apna WhatsApp number share karein 📱`;
 
         case 2:
-            const phoneClean = text.replace(/[^0-9+]/g, '');
-            if (phoneClean.length < 10) {
+            const phoneClean = normalizePhone(text);
+            if (!phoneClean) {
                 return `${state.name} ji, yeh phone number sahi nahi lag raha. Please 10-digit number enter karein 📱`;
             }
             state.phone = phoneClean;
@@ -762,10 +1278,11 @@ Jaise: "50 Lakh", "1 Crore", ya "2-3 Crore" 💰`;
             state.step = 4;
             state.isComplete = true;
 
-            await createCRMLead({
+            state.leadId = await createCRMLead({
                 name: state.name,
                 phone: state.phone,
-                budget: state.budget
+                budget: state.budget,
+                city: state.city || detectCity(text)
             });
 
             return `🎉 Shukriya ${state.name} ji!
@@ -784,142 +1301,416 @@ Ab main property search mein help kar sakta hoon. Kya dhundh rahe ho?
 }
 
 // ========================================
-// MAIN WEBHOOK HANDLER
+// TEXT MESSAGES
 // ========================================
 
-router.post('/webhook', async (req, res) => {
-    // CRITICAL: Always return 200 OK immediately to Telegram
-    res.status(200).json({ ok: true });
+/**
+ * A text message from a user, with their conversation state
+ */
+async function handleTextMessage(message, state) {
+    const chatId = message.chat.id;
+    const text = message.text.trim();
+    const userName = message.from?.first_name || 'User';
+
+    console.log(`📱 [CHAT ${chatId}] From: ${userName} | Message: ${text}`);
+
+    // ==========================================
+    // Typed feedback answers (after a visit) - /skip included
+    // ==========================================
+    if (state.feedbackStep && (!text.startsWith('/') || text === '/skip')) {
+        const step = state.feedbackStep;
+        state.feedbackStep = null;
+
+        const result = await answerTelegramFeedback(state.feedbackId, chatId, step, text === '/skip' ? null : text);
+        if (result.success && TEXT_STEPS.includes(result.next)) {
+            state.feedbackStep = result.next;
+        } else {
+            state.feedbackId = null;
+        }
 
-    console.log('🔔 WEBHOOK RECEIVED:', JSON.stringify(req.body).substring(0, 200));
+        if (!result.success && result.status !== 409) {
+            await sendTelegramMessage(chatId, `❌ Feedback save karne mein problem hui. Please dubara try karein.`);
+        }
+        return;
+    }
 
-    try {
-        const update = req.body;
+    // ==========================================
+    // STEP 1: Handle commands FIRST
+    // ==========================================
+    if (text.startsWith('/')) {
+        // Handle /start separately (resets user state)
+        if (text === '/start') {
+            state.name = userName; // Use Telegram username
+            state.waitingForVisitDate = false;
+            state.waitingForVisitPhone = false;
+            state.rescheduleVisitId = null;
+            state.waitingForLeadConfirm = false;
 
-        if (!update) {
-            console.log('❌ Empty update received');
-            return;
-        }
+            const reply = `🙏 Namaste ${userName}! Welcome to AIONUS Real Estate.
 
-        const message = update.message;
+Main aapki AI property advisor hoon 🏠
 
-        if (!message) {
-            console.log('⚠️ No message in update - might be callback/edit');
+India mein luxury properties dhundhne mein aapki madad karungi - Mumbai, Delhi, Bangalore, Hyderabad, Pune!
+
+Kya dhundh rahe hain? Neeche se chunein ya seedha poochiye 😊`;
+
+            // Log conversation
+            await logConversation(chatId, 'telegram', 'assistant', reply);
+            await sendTelegramMessage(chatId, reply, 'HTML', { reply_markup: propertyTypeKeyboard() });
             return;
         }
 
-        if (!message.text) {
-            console.log('⚠️ No text in message - might be media');
+        // Handle admin/help commands
+        const adminReply = await handleAdminCommands(chatId, text);
+        if (adminReply) {
+            await sendTelegramMessage(chatId, adminReply);
             return;
         }
+    }
 
-        const chatId = message.chat.id;
-        const text = message.text.trim();
-        const userName = message.from?.first_name || 'User';
+    // ==========================================
+    // STEP 2: Normal conversation flow
+    // ==========================================
+    let reply = '';
+    let replyMarkup = null;
 
-        console.log(`📱 [CHAT ${chatId}] From: ${userName} | Message: ${text}`);
+    // Remember the city they mention for agent routing
+    const mentionedCity = detectCity(text);
+    if (mentionedCity) state.city = mentionedCity;
 
-        // ==========================================
-        // STEP 1: Handle commands FIRST
-        // ==========================================
-        if (text.startsWith('/')) {
-            // Handle /start separately (resets user state)
-            if (text === '/start') {
-                const state = getUserState(chatId);
-                state.name = userName; // Use Telegram username
-                state.waitingForVisitDate = false;
-                state.waitingForLeadConfirm = false;
+    // ...and the project, so a site visit is booked for it
+    const mentionedProject = await detectProject(text);
+    if (mentionedProject) state.project = mentionedProject;
 
-                const reply = `🙏 Namaste ${userName}! Welcome to AIONUS Real Estate.
+    // Brochure for the project they mentioned (now or earlier) - also mid-booking
+    if (isBrochureRequest(text)) {
+        await sendBrochureReply(chatId, state.project);
+        return;
+    }
 
-Main aapki AI property advisor hoon 🏠
+    // Anything without digits is not the phone we asked for - carry on normally
+    if (state.waitingForVisitPhone && !/\d/.test(text)) {
+        state.waitingForVisitPhone = false;
+    }
 
-India mein luxury properties dhundhne mein aapki madad karungi - Mumbai, Delhi, Bangalore, Hyderabad, Pune!
+    // Handle the phone asked for before booking a visit
+    if (state.waitingForVisitPhone) {
+        ({ text: reply, replyMarkup } = saveVisitPhone(state, text));
+    }
+    // Handle site visit date input
+    else if (state.waitingForVisitDate) {
+        const dateRegex = /^\d{4}-\d{2}-\d{2}(\s\d{2}:\d{2})?$/;
+        if (dateRegex.test(text)) {
+            ({ text: reply, replyMarkup } = await bookVisitSlot(chatId, text, state, userName));
+        } else {
+            state.waitingForVisitDate = false;
+            state.rescheduleVisitId = null;
+            reply = `⚠️ Please date is format mein bhejein: 
+<code>2024-12-15 10:00</code>`;
+        }
+    }
+    // Handle lead confirmation
+    else if (state.waitingForLeadConfirm && state.pendingLead) {
+        const confirmWords = ['yes', 'haan', 'ha', 'right', 'correct', 'sahi', 'theek'];
+        reply = await confirmPendingLead(state, confirmWords.some(w => text.toLowerCase().includes(w)));
+    }
+    // Handle site visit request
+    else if (isSiteVisitRequest(text)) {
+        ({ text: reply, replyMarkup } = startVisitBooking(state,
+            `📅 ${state.project ? `${state.project.name} ki site visit` : 'Site visit'} book karna chahte hain? Great!`));
+    }
+    // Smart AI response for everything else
+    else {
+        await replyWithAI(chatId, text, state);
+        return;
+    }
 
-Kaise madad kar sakti hoon aaj? 😊`;
+    if (reply) {
+        await sendTelegramMessage(chatId, reply, 'HTML', replyMarkup ? { reply_markup: replyMarkup } : {});
+    }
+}
 
-                // Log conversation
-                await logConversation(chatId, 'telegram', 'assistant', reply);
-                await sendTelegramMessage(chatId, reply);
-                return;
-            }
+// ========================================
+// VOICE, PHOTOS & DOCUMENTS
+// ========================================
 
-            // Handle admin/help commands
-            const adminReply = await handleAdminCommands(chatId, text);
-            if (adminReply) {
-                await sendTelegramMessage(chatId, adminReply);
-                return;
+// Largest file downloaded from a chat (same limit as brochure uploads)
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024;
+
+const VOICE_TRANSCRIBE_PROMPT = `Transcribe this voice note exactly as spoken. It is usually Hindi, English or Hinglish.
+Write Hindi words in Roman script (Hinglish), not Devanagari. Reply with the transcription only.`;
+
+// lib/geminiClient.js is an ES module shared with the browser;
+// config/env.js is loaded into it on first use
+let geminiClientPromise = null;
+
+function loadGeminiClient() {
+    if (!geminiClientPromise) {
+        geminiClientPromise = Promise.all([import('../config/env.js'), import('../lib/geminiClient.js')])
+            .then(([env, gemini]) => {
+                env.initEnv();
+                return gemini;
+            })
+            .catch(error => {
+                geminiClientPromise = null;
+                throw error;
+            });
+    }
+    return geminiClientPromise;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Voice note or audio file: transcribe it, then answer it like typed text
+ */
+async function handleVoiceMessage(message, state) {
+    const chatId = message.chat.id;
+    const audio = message.voice || message.audio;
+
+    console.log(`🎙️ [CHAT ${chatId}] Voice message: ${audio.duration || '?'}s`);
+
+    const file = await downloadTelegramFile(audio.file_id, { maxBytes: MAX_MEDIA_BYTES });
+    if (!file) {
+        await sendTelegramMessage(chatId, `⚠️ Voice note download nahi ho paya. Chhota voice note bhejein ya type karein 🙏`);
+        return;
+    }
+
+    let transcript = '';
+    try {
+        const { speechToText } = await loadGeminiClient();
+        const result = await speechToText(
+            new Blob([file.buffer], { type: audio.mime_type || 'audio/ogg' }),
+            { prompt: VOICE_TRANSCRIBE_PROMPT }
+        );
+        transcript = (result.text || '').trim();
+    } catch (error) {
+        console.error('❌ Voice transcription error:', error.message);
+    }
+
+    if (!transcript) {
+        await sendTelegramMessage(chatId, `😕 Voice note samajh nahi aaya. Please dubara bolein ya type karke bhejein.`);
+        return;
+    }
+
+    // Show what we heard, so a wrong transcription is obvious
+    await sendTelegramMessage(chatId, `🎙️ <i>${escapeHtml(transcript)}</i>`);
+    await handleTextMessage({ ...message, text: transcript }, state);
+}
+
+/**
+ * Describe a property photo and suggest similar properties
+ */
+async function getSimilarPropertiesReply(imageBuffer, mimeType, caption, userState) {
+    if (!GEMINI_API_KEY) {
+        return "AI assistant is not configured.";
+    }
+
+    const prompt = `You are AIONUS DIVA – India Real Estate AI on Telegram.
+A buyer sent this photo of a property they like${caption ? ` with the note: "${caption}"` : ''}.
+
+## USER INFO:
+- Name: ${userState.name || 'User'}
+- Budget: ${userState.budget || 'Not specified'}
+- City: ${userState.city || 'Not specified'}
+- Looking for: ${PROPERTY_TYPES[userState.propertyType] || 'Not specified'}
+
+## TASK:
+1. In one line, say what you see - property type, style, standout features
+2. Suggest 2-3 SIMILAR properties in India: city, area, builder and price range (within their budget if known)
+3. End by offering a site visit
+
+If the photo is not of a property, politely ask for a property photo.
+
+## RULES:
+- Hinglish, 5-7 lines, tasteful emojis
+- ALL prices in ₹ Lakhs/Crores
+- INDIA ONLY - no Dubai/UAE`;
+
+    try {
+        const response = await fetch(
+            `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    contents: [{
+                        role: 'user',
+                        parts: [
+                            { inlineData: { mimeType, data: imageBuffer.toString('base64') } },
+                            { text: prompt }
+                        ]
+                    }],
+                    generationConfig: { temperature: 0.7, maxOutputTokens: 600 }
+                })
             }
+        );
+
+        if (!response.ok) {
+            console.error('Gemini API error');
+            return "Kuch technical issue hai. Please thodi der baad try karein.";
         }
 
-        // ==========================================
-        // STEP 2: Normal conversation flow
-        // ==========================================
-        const state = getUserState(chatId);
-        let reply = '';
+        const data = await response.json();
+        return data.candidates?.[0]?.content?.parts?.[0]?.text || "Photo samajh nahi aayi. Please doosri photo bhejein.";
+    } catch (error) {
+        console.error('AI error:', error);
+        return "Technical issue. Please try again.";
+    }
+}
 
-        // Handle site visit date input
-        if (state.waitingForVisitDate) {
-            state.waitingForVisitDate = false;
+/**
+ * Photo (or an image sent as a file): "similar properties" reply
+ */
+async function handlePhotoMessage(message, state) {
+    const chatId = message.chat.id;
+    const caption = (message.caption || '').trim();
+
+    // Photo sizes come smallest first - take the biggest under the limit
+    const image = message.photo
+        ? [...message.photo].reverse().find(size => !size.file_size || size.file_size <= MAX_MEDIA_BYTES)
+        : message.document;
+    const mimeType = message.photo ? 'image/jpeg' : message.document.mime_type;
+
+    console.log(`🖼️ [CHAT ${chatId}] Photo received${caption ? `: ${caption}` : ''}`);
+
+    const file = image ? await downloadTelegramFile(image.file_id, { maxBytes: MAX_MEDIA_BYTES }) : null;
+    if (!file) {
+        await sendTelegramMessage(chatId, `⚠️ Photo download nahi ho payi (max 10 MB). Please dubara bhejein.`);
+        return;
+    }
 
-            const dateRegex = /^\d{4}-\d{2}-\d{2}(\s\d{2}:\d{2})?$/;
-            if (dateRegex.test(text)) {
-                const success = await scheduleSiteVisit(state.name || userName, state.phone || 'N/A', text);
-                if (success) {
-                    reply = `✅ Site visit scheduled for ${text}!
-
-Hamari team aapse contact karegi. 📞`;
-                } else {
-                    reply = `❌ Visit schedule karne mein problem hui. Please dubara try karein.`;
-                }
-            } else {
-                reply = `⚠️ Please date is format mein bhejein: 
-<code>2024-12-15 10:00</code>`;
-            }
+    await logConversation(chatId, 'telegram', 'user', `[Photo]${caption ? ` ${caption}` : ''}`, state.leadId);
+
+    const reply = await getSimilarPropertiesReply(file.buffer, mimeType, caption, state);
+
+    await logConversation(chatId, 'telegram', 'assistant', reply, state.leadId);
+    await sendTelegramMessage(chatId, reply);
+}
+
+/**
+ * PDF / DOCX: stored as a buyer_upload tied to this chat and indexed
+ * (processDocument), so the bot can answer this buyer's questions about it.
+ * It never reaches the shared knowledge base other users are answered from.
+ */
+async function handleDocumentMessage(message, state) {
+    const chatId = message.chat.id;
+    const document = message.document;
+    const mimeType = document.mime_type || '';
+
+    if (mimeType.startsWith('image/')) {
+        return handlePhotoMessage(message, state);
+    }
+
+    if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+        await sendTelegramMessage(chatId, `📎 Abhi main PDF/DOCX documents, photos aur voice notes samajh sakti hoon. Please inme se kuch bhejein 🙏`);
+        return;
+    }
+
+    console.log(`📄 [CHAT ${chatId}] Document received: ${document.file_name}`);
+
+    const file = await downloadTelegramFile(document.file_id, { maxBytes: MAX_MEDIA_BYTES });
+    if (!file) {
+        await sendTelegramMessage(chatId, `⚠️ Document download nahi ho paya (max 10 MB). Please dubara bhejein.`);
+        return;
+    }
+
+    await sendTelegramMessage(chatId, `📄 Document mil gaya! Padh rahi hoon... ⏳`);
+
+    // No project_id - a buyer's file is never sent out as a project brochure
+    const upload = await uploadBrochure({
+        name: document.file_name || `telegram_${chatId}.pdf`,
+        type: mimeType,
+        buffer: file.buffer
+    }, null, BUYER_UPLOAD_TYPE, { telegramChatId: chatId });
+
+    if (!upload.success) {
+        console.error('❌ Telegram document upload failed:', upload.error);
+        await sendTelegramMessage(chatId, `❌ Document save karne mein problem hui. Please dubara try karein.`);
+        return;
+    }
+
+    const processed = await processDocument(file.buffer, upload.document_id, mimeType, BUYER_UPLOAD_TYPE);
+
+    await logConversation(chatId, 'telegram', 'user', `[Document] ${document.file_name || 'file'} - ${upload.file_url}`, state.leadId);
+
+    const reply = processed.success
+        ? `✅ "${escapeHtml(document.file_name || 'Document')}" padh liya! Ab iske baare mein kuch bhi poochiye - price, amenities, location... 😊`
+        : `⚠️ Document save ho gaya, par isme se text nahi nikal paya (scanned PDF?). Hamari team ise dekh legi. 📞`;
+
+    await logConversation(chatId, 'telegram', 'assistant', reply, state.leadId);
+    await sendTelegramMessage(chatId, reply);
+}
+
+// ========================================
+// MAIN WEBHOOK HANDLER
+// ========================================
+
+router.post('/webhook', async (req, res) => {
+    // Forged requests stop here, before any database or Gemini call
+    if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        console.log('🚫 Telegram webhook rejected: missing or wrong secret token from', req.ip);
+        return res.status(401).json({ ok: false });
+    }
+
+    // CRITICAL: Always return 200 OK immediately to Telegram
+    res.status(200).json({ ok: true });
+
+    console.log('🔔 WEBHOOK RECEIVED:', JSON.stringify(req.body).substring(0, 200));
+
+    try {
+        const update = req.body;
+
+        if (!update) {
+            console.log('❌ Empty update received');
+            return;
         }
-        // Handle lead confirmation
-        else if (state.waitingForLeadConfirm && state.pendingLead) {
-            const confirmWords = ['yes', 'haan', 'ha', 'right', 'correct', 'sahi', 'theek'];
-            if (confirmWords.some(w => text.toLowerCase().includes(w))) {
-                // Save lead to database
-                await createCRMLead(state.pendingLead);
-                state.waitingForLeadConfirm = false;
-                state.pendingLead = null;
-                reply = `🎉 Congratulations! Aapki details save ho gayi hain!
 
-Hamari team jaldi aapse contact karegi. 📞`;
-            } else {
-                state.waitingForLeadConfirm = false;
-                state.pendingLead = null;
-                reply = `Koi baat nahi! Agar details galat hain toh dubara bataiye. 😊`;
+        if (Number.isInteger(update.update_id)) {
+            let firstDelivery = true;
+            try {
+                firstDelivery = await getStateStore().claimUpdate(update.update_id);
+            } catch (error) {
+                // Better to risk a duplicate than to drop the message
+                console.error('❌ Update dedupe check failed:', error.message);
+            }
+            if (!firstDelivery) {
+                console.log(`🔁 Update ${update.update_id} already processed - skipping retry`);
+                return;
             }
         }
-        // Handle site visit request
-        else if (isSiteVisitRequest(text)) {
-            state.waitingForVisitDate = true;
-            reply = `📅 Site visit book karna chahte hain? Great!
 
-Please apni preferred date aur time bhejein:
-<code>YYYY-MM-DD HH:MM</code>
-
-Example: <code>2024-12-15 10:00</code>`;
+        if (update.callback_query) {
+            const callbackQuery = update.callback_query;
+            const handleCallback = parsePickCallback(callbackQuery.data) ? handlePickCallback
+                : parseFeedbackCallback(callbackQuery.data) ? handleFeedbackCallback
+                    : handleVisitCallback;
+            await withUserState(callbackQuery.message?.chat?.id, state => handleCallback(callbackQuery, state));
+            return;
         }
-        // Smart AI response for everything else
-        else {
-            // Log user message
-            await logConversation(chatId, 'telegram', 'user', text);
 
-            const ragContext = await getRagContext(text);
-            reply = await getSmartAIResponse(text, state, ragContext, chatId);
+        const message = update.message;
 
-            // Log bot response
-            await logConversation(chatId, 'telegram', 'assistant', reply);
+        if (!message) {
+            console.log('⚠️ No message in update - might be an edit');
+            return;
         }
 
-        if (reply) {
-            await sendTelegramMessage(chatId, reply);
+        const handleMessage = message.text ? handleTextMessage
+            : (message.voice || message.audio) ? handleVoiceMessage
+                : message.photo ? handlePhotoMessage
+                    : message.document ? handleDocumentMessage
+                        : null;
+
+        if (!handleMessage) {
+            console.log('⚠️ Unsupported message type - sticker/location/contact?');
+            return;
         }
 
+        await withUserState(message.chat.id, state => handleMessage(message, state));
+
     } catch (error) {
         console.error('❌ Telegram webhook error:', error);
     }
@@ -928,19 +1719,22 @@ Example: <code>2024-12-15 10:00</code>`;
 // ========================================
 // HEALTH CHECK
 // ========================================
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
+    const store = getStateStore();
     res.json({
         status: 'ok',
         bot_configured: !!TELEGRAM_BOT_TOKEN,
         admins_configured: TELEGRAM_ADMIN_CHAT_IDS.length,
-        active_users: userStates.size
+        state_store: store.name,
+        active_users: await store.count().catch(() => null)
     });
 });
 
 // ========================================
 // SET WEBHOOK
 // ========================================
-router.post('/set-webhook', async (req, res) => {
+// Admin only - whoever sets the webhook URL receives the secret
+router.post('/set-webhook', requireRole('admin'), async (req, res) => {
     const { webhook_url } = req.body;
 
     if (!webhook_url) {
@@ -952,13 +1746,7 @@ router.post('/set-webhook', async (req, res) => {
     }
 
     try {
-        const response = await fetch(`${TELEGRAM_API_URL}/setWebhook`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ url: webhook_url })
-        });
-
-        const data = await response.json();
+        const data = await setWebhook(webhook_url);
         console.log('📡 Webhook set result:', data);
         res.json(data);
     } catch (error) {
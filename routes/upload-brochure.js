@@ -8,6 +8,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { requireRole } = require('../lib/auth');
 const multer = require('multer');
 const { uploadBrochure } = require('../flows/upload_brochure');
 const { processDocument } = require('../flows/process_document');
@@ -40,7 +41,7 @@ const upload = multer({
  *   file: File (required) - PDF or DOCX
  *   project_id: string (optional) - UUID of associated project
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', requireRole('manager'), upload.single('file'), async (req, res) => {
     try {
         // Check if file was uploaded
         if (!req.file) {
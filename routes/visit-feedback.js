@@ -0,0 +1,72 @@
+/**
+ * ========================================
+ * POST-VISIT FEEDBACK - EXPRESS ROUTE
+ * ========================================
+ * Survey for buyers after a completed site visit (lib/visitFeedback.js)
+ *
+ * Endpoints:
+ * GET  /api/visit-feedback/summary?days=90   - Ratings, NPS, price & intent (admin-analytics.html)
+ * GET  /api/visit-feedback/:token            - Survey details (feedback.html)
+ * POST /api/visit-feedback/:token            - { rating, nps?, price_perception?, purchase_intent?, liked?, disliked? }
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../lib/auth');
+const { getSurvey, submitSurvey, getFeedbackSummary } = require('../lib/visitFeedback');
+
+/**
+ * GET /api/visit-feedback/summary
+ * Feedback summary for the analytics dashboard
+ *
+ * Query: days (default 90)
+ */
+router.get('/summary', requireRole('viewer'), async (req, res) => {
+    const days = parseInt(req.query.days, 10);
+    const result = await getFeedbackSummary({ days: days > 0 && days <= 365 ? days : 90 });
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /api/visit-feedback/:token
+ * Who the survey is for and whether it's already answered
+ */
+router.get('/:token', async (req, res) => {
+    const result = await getSurvey(req.params.token);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /api/visit-feedback/:token
+ * Save the buyer's answers
+ */
+router.post('/:token', async (req, res) => {
+    const result = await submitSurvey(req.params.token, req.body || {});
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    res.json(result);
+});
+
+module.exports = router;
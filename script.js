@@ -44,9 +44,16 @@ function initializeEnv() {
 
 let currentUser = null;
 let authSession = null;
+let tokenRefreshTimer = null;
+
+// Refresh this long before the access token expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
 
 // Initialize auth on page load
-function initAuth() {
+async function initAuth() {
+    // Setup auth event listeners
+    setupAuthListeners();
+
     // Check for saved session
     const savedSession = localStorage.getItem('aionus_session');
     const savedUser = localStorage.getItem('aionus_user');
@@ -56,9 +63,15 @@ function initAuth() {
             authSession = JSON.parse(savedSession);
             currentUser = JSON.parse(savedUser);
 
-            // Validate token is not expired
-            if (authSession.expires_at && new Date(authSession.expires_at * 1000) > new Date()) {
+            // Expired or about to: swap the refresh token for a new session first
+            // (a refused refresh clears the session; offline keeps it and retries)
+            if (isSessionExpiring()) {
+                await refreshAuthSession();
+            }
+
+            if (authSession) {
                 updateAuthUI(true);
+                scheduleTokenRefresh();
                 // Pre-fill chatbot with user data
                 if (currentUser.name) {
                     leadCapture.name = currentUser.name;
@@ -70,17 +83,92 @@ function initAuth() {
                     leadCapture.budget = currentUser.budget;
                 }
                 console.log('✅ User session restored:', currentUser.name);
-            } else {
-                // Token expired, clear session
-                clearAuthSession();
             }
         } catch (e) {
             clearAuthSession();
         }
     }
 
-    // Setup auth event listeners
-    setupAuthListeners();
+    // Timers sleep in background tabs; catch up when the tab is back
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && authSession && isSessionExpiring()) {
+            refreshAuthSession();
+        }
+    });
+}
+
+function isSessionExpiring() {
+    return !authSession?.expires_at || authSession.expires_at * 1000 - Date.now() < TOKEN_REFRESH_MARGIN_MS;
+}
+
+function scheduleTokenRefresh() {
+    clearTimeout(tokenRefreshTimer);
+    if (!authSession?.expires_at) return;
+
+    const delay = Math.max(0, authSession.expires_at * 1000 - Date.now() - TOKEN_REFRESH_MARGIN_MS);
+    tokenRefreshTimer = setTimeout(refreshAuthSession, delay);
+}
+
+// Get a new access token with the refresh token; logs out when Supabase refuses it
+async function refreshAuthSession() {
+    if (!authSession?.refresh_token) {
+        clearAuthSession();
+        updateAuthUI(false);
+        return false;
+    }
+
+    try {
+        const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: authSession.refresh_token })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            console.log('🔒 Session ended:', data.error);
+            clearAuthSession();
+            updateAuthUI(false);
+            return false;
+        }
+
+        authSession = data.session;
+        localStorage.setItem('aionus_session', JSON.stringify(authSession));
+        scheduleTokenRefresh();
+        console.log('🔄 Session refreshed');
+        return true;
+
+    } catch (error) {
+        // Offline: keep the session and try again shortly
+        console.log('Session refresh failed, retrying in 30s');
+        clearTimeout(tokenRefreshTimer);
+        tokenRefreshTimer = setTimeout(refreshAuthSession, 30 * 1000);
+        return false;
+    }
+}
+
+// fetch() with the user's token; refreshes once and retries on an expired token
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${authSession?.access_token}`
+        }
+    });
+
+    if (authSession && isSessionExpiring()) {
+        await refreshAuthSession();
+    }
+
+    let response = await send();
+    if (response.status === 401 && authSession) {
+        const body = await response.clone().json().catch(() => ({}));
+        if (body.code === 'token_expired' && await refreshAuthSession()) {
+            response = await send();
+        }
+    }
+    return response;
 }
 
 function setupAuthListeners() {
@@ -96,6 +184,16 @@ function setupAuthListeners() {
         logoutBtn.addEventListener('click', handleLogout);
     }
 
+    // Active sessions
+    const sessionsBtn = document.getElementById('navSessionsBtn');
+    if (sessionsBtn) {
+        sessionsBtn.addEventListener('click', openSessionsPage);
+    }
+    const logoutAllBtn = document.getElementById('logoutAllBtn');
+    if (logoutAllBtn) {
+        logoutAllBtn.addEventListener('click', handleLogoutAll);
+    }
+
     // Close button for full-screen auth page
     const authCloseBtn = document.getElementById('authCloseBtn');
     if (authCloseBtn) {
@@ -137,6 +235,10 @@ function closeAuthPage() {
     authPage.classList.remove('active');
     document.body.style.overflow = '';
 
+    // Back to login/register after the sessions view
+    document.querySelector('.auth-tabs')?.style.removeProperty('display');
+    document.getElementById('sessionsPanel')?.classList.remove('active');
+
     // Clear errors
     const loginError = document.getElementById('loginError');
     const registerError = document.getElementById('registerError');
@@ -144,6 +246,98 @@ function closeAuthPage() {
     if (registerError) registerError.classList.remove('show');
 }
 
+// ========================================
+// ACTIVE SESSIONS ("Your Devices")
+// ========================================
+
+function openSessionsPage() {
+    const authPage = document.getElementById('authPage');
+    authPage.classList.add('active');
+    document.body.style.overflow = 'hidden';
+
+    document.querySelector('.auth-tabs').style.display = 'none';
+    document.getElementById('loginForm').classList.remove('active');
+    document.getElementById('registerForm').classList.remove('active');
+    document.getElementById('sessionsPanel').classList.add('active');
+
+    loadSessions();
+}
+
+async function loadSessions() {
+    const list = document.getElementById('sessionsList');
+    const errorDiv = document.getElementById('sessionsError');
+
+    list.innerHTML = '<p class="auth-subtitle">Loading...</p>';
+    errorDiv.classList.remove('show');
+
+    try {
+        const response = await authFetch('/api/auth/sessions');
+        const data = await response.json();
+
+        if (!data.success) {
+            if (response.status === 401) {
+                clearAuthSession();
+                updateAuthUI(false);
+                openAuthPage('login');
+                return;
+            }
+            throw new Error(data.error || 'Could not load your devices');
+        }
+
+        list.innerHTML = data.sessions.length ? data.sessions.map(session => `
+            <div class="session-item">
+                <div>
+                    <strong>${escapeHtml(session.device)}</strong>
+                    <span>Active ${new Date(session.last_active_at).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}${session.ip_address ? ` • ${escapeHtml(session.ip_address)}` : ''}</span>
+                </div>
+                ${session.current
+                ? '<span class="session-current">This device</span>'
+                : `<button type="button" class="session-revoke" onclick="revokeDeviceSession('${session.id}')">Log out</button>`}
+            </div>
+        `).join('') : '<p class="auth-subtitle">No other devices.</p>';
+
+    } catch (error) {
+        list.innerHTML = '';
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+async function revokeDeviceSession(sessionId) {
+    try {
+        await authFetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    } catch (e) {
+        console.log('Could not sign out the device');
+    }
+    loadSessions();
+}
+
+async function handleLogoutAll() {
+    if (!confirm('Log out on all devices, including this one?')) return;
+
+    try {
+        await authFetch('/api/auth/logout-all', { method: 'POST' });
+    } catch (e) {
+        console.log('Logout-all API call failed, clearing local session');
+    }
+
+    clearAuthSession();
+    updateAuthUI(false);
+    closeAuthPage();
+
+    leadCapture.name = '';
+    leadCapture.phone = '';
+    leadCapture.budget = '';
+
+    console.log('✅ Logged out everywhere');
+}
+
 function switchAuthTab(tab) {
     const loginTab = document.getElementById('loginTab');
     const registerTab = document.getElementById('registerTab');
@@ -198,6 +392,7 @@ async function handleLogin(e) {
 
             localStorage.setItem('aionus_session', JSON.stringify(authSession));
             localStorage.setItem('aionus_user', JSON.stringify(currentUser));
+            scheduleTokenRefresh();
 
             // Update chatbot lead capture
             leadCapture.name = currentUser.name;
@@ -257,6 +452,7 @@ async function handleRegister(e) {
 
                 localStorage.setItem('aionus_session', JSON.stringify(authSession));
                 localStorage.setItem('aionus_user', JSON.stringify(currentUser));
+                scheduleTokenRefresh();
 
                 leadCapture.name = name;
                 leadCapture.phone = phone;
@@ -290,12 +486,7 @@ async function handleRegister(e) {
 async function handleLogout() {
     try {
         if (authSession?.access_token) {
-            await fetch('/api/auth/logout', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${authSession.access_token}`
-                }
-            });
+            await authFetch('/api/auth/logout', { method: 'POST' });
         }
     } catch (e) {
         console.log('Logout API call failed, clearing local session');
@@ -313,6 +504,7 @@ async function handleLogout() {
 }
 
 function clearAuthSession() {
+    clearTimeout(tokenRefreshTimer);
     currentUser = null;
     authSession = null;
     localStorage.removeItem('aionus_session');
@@ -706,7 +898,8 @@ const leadCapture = {
     phone: null,
     budget: null,
     isComplete: false,
-    leadId: null
+    leadId: null,
+    crmLeadId: null    // leads_crm id, used for the CRM timeline
 };
 
 // Chat Flow Control - Prevent multiple bot messages before user replies
@@ -733,7 +926,8 @@ function saveChatState() {
                 phone: leadCapture.phone,
                 budget: leadCapture.budget,
                 isComplete: leadCapture.isComplete,
-                leadId: leadCapture.leadId
+                leadId: leadCapture.leadId,
+                crmLeadId: leadCapture.crmLeadId
             },
             chatHistory: chatHistory,
             savedAt: Date.now(),
@@ -783,6 +977,7 @@ function loadChatState() {
             leadCapture.budget = chatState.leadCapture.budget;
             leadCapture.isComplete = chatState.leadCapture.isComplete || false;
             leadCapture.leadId = chatState.leadCapture.leadId;
+            leadCapture.crmLeadId = chatState.leadCapture.crmLeadId || null;
         }
 
         // Restore chat history
@@ -819,6 +1014,7 @@ function clearChatState() {
     leadCapture.budget = null;
     leadCapture.isComplete = false;
     leadCapture.leadId = null;
+    leadCapture.crmLeadId = null;
 
     // Clear chat history
     chatHistory = [];
@@ -1631,6 +1827,9 @@ function initChat() {
 
         loadingEl.remove();
         addChatMessage(response, 'bot');
+
+        logChatbotActivity('user', message);
+        logChatbotActivity('assistant', response);
     };
 
     chatSend?.addEventListener('click', sendMessage);
@@ -1755,20 +1954,19 @@ Jaise: "50 Lakh - 1 Crore" ya "1M - 2M AED" 💰`;
                     name: leadCapture.name,
                     phone: leadCapture.phone,
                     budget: leadCapture.budget,
-                    requirement: 'Website Chat Inquiry'
+                    requirement: 'Website Chat Inquiry',
+                    lead_source: 'chatbot'
                 });
 
                 if (leadResult.success) {
                     leadCapture.leadId = leadResult.lead_id;
                     leadCapture.isComplete = true;
 
-                    // Also create lead in CRM system
-                    createCRMLead({
-                        name: leadCapture.name,
-                        phone: leadCapture.phone,
-                        budget: leadCapture.budget,
-                        lead_source: 'chatbot'
-                    });
+                    // /api/create-lead also adds the CRM lead
+                    if (leadResult.crm_lead_id) {
+                        leadCapture.crmLeadId = leadResult.crm_lead_id;
+                        flushPropertyViews(leadResult.crm_lead_id);
+                    }
 
                     return `🎉 Bahut dhanyavaad, ${leadCapture.name} ji!
 
@@ -1846,60 +2044,70 @@ async function sendLeadToBackend(lead) {
 // ========================================
 
 /**
- * Create lead in CRM system
+ * Record that the visitor opened a property (a lead scoring signal).
+ * Views from before we know who the visitor is wait in localStorage
+ * and are sent once a CRM lead exists.
  */
-async function createCRMLead(leadData) {
-    try {
-        console.log('📊 Creating CRM lead:', leadData);
-
-        const response = await fetch('/api/crm/create-lead', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(leadData)
-        });
-
-        const data = await response.json();
+function trackPropertyView(property) {
+    const view = {
+        property_id: String(property.id),
+        title: property.title,
+        viewed_at: new Date().toISOString()
+    };
 
-        if (data.success) {
-            console.log('✅ CRM lead created:', data.lead_id);
-        } else {
-            console.error('❌ CRM lead creation failed:', data.error);
-        }
+    const crmLeadId = leadCapture.crmLeadId || localStorage.getItem('aionus_crm_lead_id');
+    if (crmLeadId) {
+        sendPropertyView(crmLeadId, view);
+        return;
+    }
 
-        return data;
-    } catch (error) {
-        console.error('❌ CRM API error:', error);
-        return { success: false, error: error.message };
+    const pending = JSON.parse(localStorage.getItem('aionus_pending_property_views') || '[]');
+    if (!pending.some(v => v.property_id === view.property_id)) {
+        pending.push(view);
+        localStorage.setItem('aionus_pending_property_views', JSON.stringify(pending.slice(-20)));
     }
 }
 
+function sendPropertyView(crmLeadId, view) {
+    fetch(`/api/crm/leads/${crmLeadId}/website-activity`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            type: 'property_view',
+            content: `Viewed ${view.title}`,
+            metadata: view
+        })
+    }).catch(error => console.error('❌ CRM property view error:', error));
+}
+
 /**
- * Update CRM lead stage by phone number
- * Called when site visit is scheduled
+ * Remember the visitor's CRM lead and send the views queued before it existed
  */
-async function updateCRMLeadStage(phone, newStage) {
-    try {
-        console.log('📊 Updating CRM lead stage:', phone, '→', newStage);
+function flushPropertyViews(crmLeadId) {
+    if (!crmLeadId) return;
+    localStorage.setItem('aionus_crm_lead_id', crmLeadId);
 
-        const response = await fetch('/api/crm/update-stage-by-phone', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ phone, new_stage: newStage })
-        });
-
-        const data = await response.json();
+    const pending = JSON.parse(localStorage.getItem('aionus_pending_property_views') || '[]');
+    localStorage.removeItem('aionus_pending_property_views');
+    pending.forEach(view => sendPropertyView(crmLeadId, view));
+}
 
-        if (data.success) {
-            console.log('✅ CRM lead stage updated');
-        } else {
-            console.error('❌ CRM stage update failed:', data.error);
-        }
+/**
+ * Add a chatbot message to the lead's CRM timeline
+ * Only runs once the chat has produced a CRM lead
+ */
+function logChatbotActivity(role, message) {
+    if (!leadCapture.crmLeadId || !message) return;
 
-        return data;
-    } catch (error) {
-        console.error('❌ CRM stage update error:', error);
-        return { success: false, error: error.message };
-    }
+    fetch(`/api/crm/leads/${leadCapture.crmLeadId}/website-activity`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            type: 'chatbot_message',
+            content: message,
+            metadata: { role }
+        })
+    }).catch(error => console.error('❌ CRM timeline error:', error));
 }
 
 function addChatMessage(content, type) {
@@ -2394,6 +2602,7 @@ function openPropertyModal(propertyId) {
     if (!property) return;
 
     selectedProperty = property;
+    trackPropertyView(property);
 
     const modalContent = document.getElementById('modalContent');
     modalContent.innerHTML = `
@@ -2485,10 +2694,12 @@ function openPropertyModal(propertyId) {
                         <h4 style="margin-bottom: 15px;">📅 Pick Date & Time</h4>
                         <div class="form-row">
                             <div class="form-group">
-                                <input type="date" id="visitDate" required style="padding: 12px; border-radius: 8px; border: 1px solid #ddd;">
+                                <input type="date" id="visitDate" required onchange="loadModalVisitSlots()" style="padding: 12px; border-radius: 8px; border: 1px solid #ddd;">
                             </div>
                             <div class="form-group">
-                                <input type="time" id="visitTime" value="10:00" required style="padding: 12px; border-radius: 8px; border: 1px solid #ddd;">
+                                <select id="visitTime" required style="padding: 12px; border-radius: 8px; border: 1px solid #ddd;">
+                                    <option value="">Pick a date</option>
+                                </select>
                             </div>
                         </div>
                         <button type="button" class="btn btn-success" onclick="submitSchedule()" style="width: 100%; margin-top: 10px;">✅ Confirm Schedule</button>
@@ -2511,16 +2722,54 @@ function showScheduleModal() {
         // Set minimum date to today
         const dateInput = document.getElementById('visitDate');
         if (dateInput) {
-            const today = new Date().toISOString().split('T')[0];
+            const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
             dateInput.min = today;
             dateInput.value = today;
         }
+        if (section.style.display === 'block') {
+            loadModalVisitSlots();
+        }
+    }
+}
+
+// Free slots for the property in the modal: its project's calendar,
+// or the default calendar when the listing has no project yet
+async function loadModalVisitSlots() {
+    const date = document.getElementById('visitDate')?.value;
+    const timeSelect = document.getElementById('visitTime');
+    if (!timeSelect) return;
+
+    timeSelect.dataset.project = '';
+    if (!date) {
+        timeSelect.innerHTML = '<option value="">Pick a date</option>';
+        return;
+    }
+
+    timeSelect.innerHTML = '<option value="">Checking free slots...</option>';
+
+    try {
+        let project = selectedProperty?.id ? String(selectedProperty.id) : '';
+        let response = await fetch(`/api/schedule-visit/availability?date=${date}${project ? `&project=${encodeURIComponent(project)}` : ''}`);
+        if (response.status === 404 && project) {
+            project = '';
+            response = await fetch(`/api/schedule-visit/availability?date=${date}`);
+        }
+
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        timeSelect.dataset.project = project;
+        renderVisitSlots(timeSelect, data);
+    } catch (error) {
+        console.error('Could not load visit slots:', error);
+        timeSelect.innerHTML = '<option value="">Could not load slots - please retry</option>';
     }
 }
 
 async function submitSchedule() {
     const date = document.getElementById('visitDate')?.value;
-    const time = document.getElementById('visitTime')?.value;
+    const timeSelect = document.getElementById('visitTime');
+    const time = timeSelect?.value;
     const form = document.getElementById('enquiryForm');
     const formData = new FormData(form);
 
@@ -2529,6 +2778,11 @@ async function submitSchedule() {
         return;
     }
 
+    if (!time) {
+        showNotification('Please select a free time slot', 'error');
+        return;
+    }
+
     const name = formData.get('name')?.trim();
     const phone = formData.get('phone')?.trim();
 
@@ -2550,7 +2804,9 @@ async function submitSchedule() {
                 name: name,
                 phone: phone,
                 date: date,
-                time: time || '10:00',
+                time: time,
+                project: timeSelect.dataset.project || undefined,
+                lead_id: leadCapture.crmLeadId || localStorage.getItem('aionus_crm_lead_id') || undefined,
                 message: `Interested in: ${selectedProperty?.title || 'Property'} - ${formData.get('message') || ''}`
             })
         });
@@ -2559,7 +2815,10 @@ async function submitSchedule() {
             showNotification('✅ Call scheduled! We will contact you soon.', 'success');
             document.getElementById('scheduleSection').style.display = 'none';
         } else {
-            showNotification('Failed to schedule. Please try again.', 'error');
+            // e.g. a time that has already passed today, or a slot taken meanwhile
+            const data = await response.json().catch(() => ({}));
+            showNotification(data.error || 'Failed to schedule. Please try again.', 'error');
+            loadModalVisitSlots();
         }
     } catch (error) {
         console.error('Schedule error:', error);
@@ -2615,7 +2874,8 @@ async function handleEnquiryForm(e) {
                 name: data.name,
                 phone: data.phone,
                 email: data.email,
-                budget: selectedProperty?.price || null,
+                budget: selectedProperty?.price ? String(selectedProperty.price) : null,
+                city: selectedProperty?.city || null,
                 property_interest: selectedProperty?.title || 'General Enquiry',
                 lead_source: 'website_property_modal',
                 message: data.message
@@ -2623,6 +2883,8 @@ async function handleEnquiryForm(e) {
         });
 
         if (response.ok) {
+            const result = await response.json();
+            flushPropertyViews(result.crm_lead_id);
             showNotification('✅ Enquiry sent! A property specialist will contact you shortly.', 'success');
         } else {
             showNotification('Enquiry sent! We will contact you soon.', 'success');
@@ -2841,23 +3103,21 @@ function createScheduleVisitPopup() {
                     <label for="visitPhone">Phone Number *</label>
                     <input type="tel" id="visitPhone" placeholder="+971 50 123 4567" required>
                 </div>
+                <div class="form-group">
+                    <label for="visitProject">Project *</label>
+                    <select id="visitProject" required>
+                        <option value="">Loading projects...</option>
+                    </select>
+                </div>
                 <div class="form-row">
                     <div class="form-group">
-                        <label for="visitDate">Preferred Date *</label>
-                        <input type="date" id="visitDate" required>
+                        <label for="popupVisitDate">Preferred Date *</label>
+                        <input type="date" id="popupVisitDate" required>
                     </div>
                     <div class="form-group">
-                        <label for="visitTime">Preferred Time *</label>
-                        <select id="visitTime" required>
-                            <option value="">Select time</option>
-                            <option value="09:00 AM">09:00 AM</option>
-                            <option value="10:00 AM">10:00 AM</option>
-                            <option value="11:00 AM">11:00 AM</option>
-                            <option value="12:00 PM">12:00 PM</option>
-                            <option value="02:00 PM">02:00 PM</option>
-                            <option value="03:00 PM">03:00 PM</option>
-                            <option value="04:00 PM">04:00 PM</option>
-                            <option value="05:00 PM">05:00 PM</option>
+                        <label for="popupVisitTime">Preferred Time *</label>
+                        <select id="popupVisitTime" required>
+                            <option value="">Pick a project and date</option>
                         </select>
                     </div>
                 </div>
@@ -2877,16 +3137,98 @@ function createScheduleVisitPopup() {
     form.addEventListener('submit', handleScheduleVisitSubmit);
 
     // Set minimum date to today
-    const dateInput = document.getElementById('visitDate');
+    const dateInput = document.getElementById('popupVisitDate');
     if (dateInput) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
         dateInput.min = today;
     }
 
+    // Only free slots of the chosen project and day are offered
+    dateInput?.addEventListener('change', loadVisitSlots);
+    document.getElementById('visitProject').addEventListener('change', loadVisitSlots);
+    loadVisitProjects();
+
     // Add popup styles
     addScheduleVisitStyles();
 }
 
+// Fill the project dropdown from the visit calendars
+async function loadVisitProjects() {
+    const select = document.getElementById('visitProject');
+    if (!select) return;
+
+    try {
+        const response = await fetch('/api/schedule-visit/projects');
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        select.innerHTML = '<option value="">Select a project</option>' + data.projects.map(project =>
+            `<option value="${project.slug}" data-property-id="${project.property_id || ''}">${project.name}${project.community ? ` - ${project.community}` : ''}</option>`
+        ).join('');
+
+        preselectVisitProject();
+    } catch (error) {
+        console.error('Could not load projects:', error);
+        select.innerHTML = '<option value="">Projects unavailable - please try again later</option>';
+    }
+}
+
+// Start from the property the visitor is looking at
+function preselectVisitProject() {
+    const select = document.getElementById('visitProject');
+    if (!select || !selectedProperty) return;
+
+    const option = [...select.options].find(o => o.dataset.propertyId === String(selectedProperty.id));
+    if (option) {
+        select.value = option.value;
+        loadVisitSlots();
+    }
+}
+
+// Free slots for the chosen project and date
+async function loadVisitSlots() {
+    const project = document.getElementById('visitProject')?.value;
+    const date = document.getElementById('popupVisitDate')?.value;
+    const timeSelect = document.getElementById('popupVisitTime');
+    if (!timeSelect) return;
+
+    if (!project || !date) {
+        timeSelect.innerHTML = '<option value="">Pick a project and date</option>';
+        return;
+    }
+
+    timeSelect.innerHTML = '<option value="">Checking free slots...</option>';
+
+    try {
+        const response = await fetch(`/api/schedule-visit/availability?project=${encodeURIComponent(project)}&date=${date}`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        renderVisitSlots(timeSelect, data);
+    } catch (error) {
+        console.error('Could not load visit slots:', error);
+        timeSelect.innerHTML = '<option value="">Could not load slots - please retry</option>';
+    }
+}
+
+// Fill a time <select> from an /availability response
+function renderVisitSlots(timeSelect, data) {
+    if (data.closed) {
+        timeSelect.innerHTML = `<option value="">${data.closed}</option>`;
+    } else if (data.slots.length === 0) {
+        timeSelect.innerHTML = '<option value="">No free slots - try another date</option>';
+    } else {
+        timeSelect.innerHTML = '<option value="">Select time</option>' + data.slots.map(slot => {
+            const label = new Date(slot.visit_at).toLocaleTimeString('en-IN', {
+                timeZone: 'Asia/Kolkata',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            return `<option value="${slot.time}">${label}</option>`;
+        }).join('');
+    }
+}
+
 function showScheduleVisitPopup() {
     const popup = document.getElementById('scheduleVisitPopup');
     if (!popup) {
@@ -2900,6 +3242,7 @@ function showScheduleVisitPopup() {
     if (leadCapture.phone) {
         document.getElementById('visitPhone').value = leadCapture.phone;
     }
+    preselectVisitProject();
 
     document.getElementById('scheduleVisitPopup').classList.remove('hidden');
     document.body.style.overflow = 'hidden';
@@ -2922,8 +3265,9 @@ async function handleScheduleVisitSubmit(e) {
 
     const name = document.getElementById('visitName').value.trim();
     const phone = document.getElementById('visitPhone').value.trim();
-    const date = document.getElementById('visitDate').value;
-    const time = document.getElementById('visitTime').value;
+    const date = document.getElementById('popupVisitDate').value;
+    const time = document.getElementById('popupVisitTime').value;
+    const project = document.getElementById('visitProject').value;
     const message = document.getElementById('visitMessage').value.trim();
     const msgContainer = document.getElementById('visitFormMessage');
 
@@ -2934,7 +3278,7 @@ async function handleScheduleVisitSubmit(e) {
     }
 
     // Validate
-    if (!name || !phone || !date || !time) {
+    if (!name || !phone || !project || !date || !time) {
         showVisitMessage('error', '❌ Please fill all required fields');
         return;
     }
@@ -2950,18 +3294,18 @@ async function handleScheduleVisitSubmit(e) {
         const response = await fetch('/api/schedule-visit', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, phone, date, time, message })
+            body: JSON.stringify({
+                name, phone, date, time, project, message,
+                lead_id: leadCapture.crmLeadId || localStorage.getItem('aionus_crm_lead_id') || undefined
+            })
         });
 
         const data = await response.json();
 
         if (data.success) {
-            showVisitMessage('success', '✅ Site visit scheduled successfully!');
-
-            // Update CRM lead stage to 'interested'
-            if (phone && typeof updateCRMLeadStage === 'function') {
-                updateCRMLeadStage(phone, 'interested');
-            }
+            showVisitMessage('success', `✅ Site visit scheduled successfully! ${data.ics_url
+                ? `<a href="${data.ics_url}" download>📅 Add to calendar</a>`
+                : ''}`);
 
             // Add confirmation to chatbot
             const formattedDate = new Date(date).toLocaleDateString('en-US', {
@@ -2986,13 +3330,17 @@ async function handleScheduleVisitSubmit(e) {
                 window.open(`https://wa.me/971412345678?text=${whatsappMsg}`, '_blank');
             }, 2000);
 
-            // Close popup after delay
+            // Close popup after delay (long enough to grab the calendar invite)
             setTimeout(() => {
                 hideScheduleVisitPopup();
                 document.getElementById('scheduleVisitForm').reset();
-            }, 3000);
+                loadVisitSlots();
+            }, 6000);
         } else {
             showVisitMessage('error', `❌ ${data.error || 'Failed to schedule visit'}`);
+
+            // Someone may have taken the slot - show what's still free
+            if (response.status === 409) loadVisitSlots();
         }
     } catch (error) {
         console.error('Schedule visit error:', error);
@@ -65,17 +65,30 @@ const uploadBrochureRoute = require('./routes/upload-brochure');
 const ragRoute = require('./routes/rag');
 const contactRoute = require('./routes/contact');
 const scheduleVisitRoute = require('./routes/schedule-visit');
+const visitFeedbackRoute = require('./routes/visit-feedback');
 const crmRoute = require('./routes/crm');
+const crmImportExportRoute = require('./routes/crm-import-export');
+const pipelineRoute = require('./routes/pipeline');
+const agentsRoute = require('./routes/agents');
+const tasksRoute = require('./routes/tasks');
 const documentsRoute = require('./routes/documents');
 const telegramRoute = require('./routes/telegram');
 const authRoute = require('./routes/auth');
 
-// Mount API routes
+// Background jobs
+const { startReminderScheduler } = require('./lib/visitReminders');
+
+// Mount API routes (admin endpoints check staff roles per route - lib/auth.js)
 app.use('/api/create-lead', createLeadRoute);
 app.use('/api/upload-brochure', uploadBrochureRoute);
 app.use('/api/rag', ragRoute);
 app.use('/api/contact', contactRoute);
 app.use('/api/schedule-visit', scheduleVisitRoute);
+app.use('/api/visit-feedback', visitFeedbackRoute);
+app.use('/api/crm/pipeline', pipelineRoute);
+app.use('/api/crm/agents', agentsRoute);
+app.use('/api/crm/tasks', tasksRoute);
+app.use('/api/crm', crmImportExportRoute);
 app.use('/api/crm', crmRoute);
 app.use('/api/documents', documentsRoute);
 app.use('/api/auth', authRoute);
@@ -177,6 +190,9 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`   POST /telegram/webhook`);
     console.log(`   GET  /api/health`);
     console.log('========================================');
+
+    // Telegram reminders 24h / 2h before site visits
+    startReminderScheduler();
 });
 
 module.exports = app;
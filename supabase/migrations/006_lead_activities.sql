@@ -0,0 +1,45 @@
+-- =============================================
+-- LEAD ACTIVITIES TABLE
+-- Per-lead timeline for the AIONUS CRM
+-- =============================================
+-- Stores notes, calls, stage changes, site visits and
+-- chatbot/Telegram messages against a leads_crm row
+
+CREATE TABLE IF NOT EXISTS lead_activities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lead_id UUID NOT NULL REFERENCES leads_crm(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN (
+        'lead_created', 'note', 'call', 'stage_change',
+        'site_visit', 'chatbot_message', 'telegram_message'
+    )),
+    content TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_by TEXT DEFAULT 'system',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Timeline lookups are always per lead, newest first
+CREATE INDEX IF NOT EXISTS idx_lead_activities_lead_created
+    ON lead_activities(lead_id, created_at DESC);
+
+-- Index on type for filtering (e.g. only calls)
+CREATE INDEX IF NOT EXISTS idx_lead_activities_type ON lead_activities(type);
+
+-- Enable Row Level Security
+ALTER TABLE lead_activities ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow anonymous select
+CREATE POLICY "Allow anonymous select on lead_activities"
+    ON lead_activities FOR SELECT
+    TO anon
+    USING (true);
+
+-- Policy: Allow anonymous insert
+CREATE POLICY "Allow anonymous insert on lead_activities"
+    ON lead_activities FOR INSERT
+    TO anon
+    WITH CHECK (true);
+
+-- Grant permissions
+GRANT SELECT, INSERT ON lead_activities TO anon;
+GRANT SELECT, INSERT ON lead_activities TO authenticated;
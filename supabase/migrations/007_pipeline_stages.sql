@@ -0,0 +1,116 @@
+-- =============================================
+-- PIPELINE STAGES
+-- Configurable sales pipeline per team
+-- =============================================
+-- Replaces the hard-coded stage CHECK on leads_crm.
+-- Each team owns an ordered list of stages; leads carry
+-- their team so stage validation uses the right pipeline.
+
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team TEXT NOT NULL DEFAULT 'default',
+    key TEXT NOT NULL CHECK (key ~ '^[a-z0-9_]+$'),
+    label TEXT NOT NULL,
+    emoji TEXT,
+    color TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_won BOOLEAN DEFAULT FALSE,
+    is_lost BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (team, key),
+    CHECK (NOT (is_won AND is_lost))
+);
+
+-- Stages are always read per team in order
+CREATE INDEX IF NOT EXISTS idx_pipeline_stages_team_position
+    ON pipeline_stages(team, position);
+
+-- Auto-update updated_at on row change
+CREATE OR REPLACE FUNCTION update_pipeline_stages_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_pipeline_stages_updated_at ON pipeline_stages;
+CREATE TRIGGER trigger_pipeline_stages_updated_at
+    BEFORE UPDATE ON pipeline_stages
+    FOR EACH ROW
+    EXECUTE FUNCTION update_pipeline_stages_updated_at();
+
+-- Default pipeline (keeps the original five stages)
+INSERT INTO pipeline_stages (team, key, label, emoji, color, position, is_won, is_lost) VALUES
+    ('default', 'new',             'New',             '🆕', '#8b95a7', 1, FALSE, FALSE),
+    ('default', 'contacted',       'Contacted',       '📞', '#4f7df3', 2, FALSE, FALSE),
+    ('default', 'interested',      'Interested',      '⭐', '#9945ff', 3, FALSE, FALSE),
+    ('default', 'site_visit_done', 'Site Visit Done', '🏠', '#00b8d9', 4, FALSE, FALSE),
+    ('default', 'hot',             'Hot',             '🔥', '#f93a8b', 5, FALSE, FALSE),
+    ('default', 'negotiation',     'Negotiation',     '🤝', '#ff9f43', 6, FALSE, FALSE),
+    ('default', 'booked',          'Booked',          '📝', '#00d984', 7, TRUE,  FALSE),
+    ('default', 'closed',          'Closed',          '✅', '#059669', 8, TRUE,  FALSE),
+    ('default', 'lost',            'Lost',            '❌', '#ef4444', 9, FALSE, TRUE)
+ON CONFLICT (team, key) DO NOTHING;
+
+-- Leads belong to a team and may carry a lost reason
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS team TEXT DEFAULT 'default';
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS lost_reason TEXT;
+CREATE INDEX IF NOT EXISTS idx_leads_crm_team ON leads_crm(team);
+
+-- Drop the hard-coded stage list
+ALTER TABLE leads_crm DROP CONSTRAINT IF EXISTS leads_crm_stage_check;
+
+-- Validate stage against the lead's team pipeline instead
+CREATE OR REPLACE FUNCTION validate_leads_crm_stage()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.stage IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM pipeline_stages
+        WHERE team = COALESCE(NEW.team, 'default')
+          AND key = NEW.stage
+          AND is_active
+    ) THEN
+        RAISE EXCEPTION 'Invalid stage "%" for team "%"', NEW.stage, COALESCE(NEW.team, 'default');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_validate_leads_crm_stage ON leads_crm;
+CREATE TRIGGER trigger_validate_leads_crm_stage
+    BEFORE INSERT OR UPDATE OF stage, team ON leads_crm
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_leads_crm_stage();
+
+-- Enable Row Level Security
+ALTER TABLE pipeline_stages ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow anonymous select
+CREATE POLICY "Allow anonymous select on pipeline_stages"
+    ON pipeline_stages FOR SELECT
+    TO anon
+    USING (true);
+
+-- Policy: Allow anonymous insert/update/delete (admin API)
+CREATE POLICY "Allow anonymous insert on pipeline_stages"
+    ON pipeline_stages FOR INSERT
+    TO anon
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update on pipeline_stages"
+    ON pipeline_stages FOR UPDATE
+    TO anon
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous delete on pipeline_stages"
+    ON pipeline_stages FOR DELETE
+    TO anon
+    USING (true);
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON pipeline_stages TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON pipeline_stages TO authenticated;
@@ -0,0 +1,105 @@
+-- =============================================
+-- SALES AGENTS & LEAD ASSIGNMENT
+-- Owners for CRM leads plus routing rules
+-- =============================================
+-- Every new leads_crm row is routed to an agent by the
+-- first matching assignment rule (city or budget band),
+-- falling back to round-robin across the team.
+
+CREATE TABLE IF NOT EXISTS agents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    email TEXT UNIQUE,
+    phone TEXT,
+    telegram_chat_id TEXT,
+    team TEXT NOT NULL DEFAULT 'default',
+    is_active BOOLEAN DEFAULT TRUE,
+    last_assigned_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Round-robin picks the active agent assigned longest ago
+CREATE INDEX IF NOT EXISTS idx_agents_team_rotation
+    ON agents(team, is_active, last_assigned_at NULLS FIRST);
+
+CREATE OR REPLACE FUNCTION update_agents_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_agents_updated_at ON agents;
+CREATE TRIGGER trigger_agents_updated_at
+    BEFORE UPDATE ON agents
+    FOR EACH ROW
+    EXECUTE FUNCTION update_agents_updated_at();
+
+-- Routing rules, checked in priority order (lowest first).
+-- A rule matches on city or budget band and hands the lead
+-- to the least recently assigned agent in its pool.
+CREATE TABLE IF NOT EXISTS assignment_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team TEXT NOT NULL DEFAULT 'default',
+    name TEXT NOT NULL,
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('city', 'budget_band', 'round_robin')),
+    city TEXT,
+    budget_min_inr BIGINT,
+    budget_max_inr BIGINT,
+    agent_ids UUID[] NOT NULL DEFAULT '{}',
+    priority INTEGER NOT NULL DEFAULT 100,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (rule_type <> 'city' OR city IS NOT NULL),
+    CHECK (rule_type <> 'budget_band' OR budget_min_inr IS NOT NULL OR budget_max_inr IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_rules_team_priority
+    ON assignment_rules(team, priority);
+
+-- Lead owner and the city used for routing
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS city TEXT;
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES agents(id) ON DELETE SET NULL;
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_leads_crm_assigned_to ON leads_crm(assigned_to);
+
+-- Assignments show up on the lead timeline
+ALTER TABLE lead_activities DROP CONSTRAINT IF EXISTS lead_activities_type_check;
+ALTER TABLE lead_activities ADD CONSTRAINT lead_activities_type_check CHECK (type IN (
+    'lead_created', 'note', 'call', 'stage_change', 'assignment',
+    'site_visit', 'chatbot_message', 'telegram_message'
+));
+
+-- Enable Row Level Security
+ALTER TABLE agents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assignment_rules ENABLE ROW LEVEL SECURITY;
+
+-- Policies: anonymous access for the admin API (same as leads_crm)
+CREATE POLICY "Allow anonymous select on agents"
+    ON agents FOR SELECT TO anon USING (true);
+
+CREATE POLICY "Allow anonymous insert on agents"
+    ON agents FOR INSERT TO anon WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update on agents"
+    ON agents FOR UPDATE TO anon USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous select on assignment_rules"
+    ON assignment_rules FOR SELECT TO anon USING (true);
+
+CREATE POLICY "Allow anonymous insert on assignment_rules"
+    ON assignment_rules FOR INSERT TO anon WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update on assignment_rules"
+    ON assignment_rules FOR UPDATE TO anon USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous delete on assignment_rules"
+    ON assignment_rules FOR DELETE TO anon USING (true);
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE ON agents TO anon;
+GRANT SELECT, INSERT, UPDATE ON agents TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON assignment_rules TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON assignment_rules TO authenticated;
@@ -0,0 +1,92 @@
+-- =============================================
+-- PHONE NORMALISATION & LEAD MERGING
+-- E.164 phones everywhere + links for merging
+-- =============================================
+-- The app now writes phones as E.164 (+919876543210).
+-- This migration rewrites existing rows the same way
+-- (mirrors lib/phone.js) so old and new rows match,
+-- and links conversations to CRM leads for merging.
+
+CREATE OR REPLACE FUNCTION normalize_phone_e164(raw TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    has_plus BOOLEAN;
+    digits TEXT;
+    national TEXT;
+BEGIN
+    IF raw IS NULL OR btrim(raw) = '' THEN
+        RETURN NULL;
+    END IF;
+
+    has_plus := left(btrim(raw), 1) = '+';
+    digits := regexp_replace(raw, '\D', '', 'g');
+
+    -- International dialling prefix (00971...)
+    IF NOT has_plus AND digits LIKE '00%' THEN
+        digits := substr(digits, 3);
+        RETURN CASE WHEN digits ~ '^[1-9]\d{7,14}$' THEN '+' || digits END;
+    END IF;
+
+    IF has_plus THEN
+        IF digits LIKE '91%' THEN
+            national := regexp_replace(substr(digits, 3), '^0', '');
+            RETURN CASE WHEN national ~ '^[2-9]\d{9}$' THEN '+91' || national END;
+        END IF;
+        RETURN CASE WHEN digits ~ '^[1-9]\d{7,14}$' THEN '+' || digits END;
+    END IF;
+
+    -- No country code: treat as Indian, drop trunk zeros
+    digits := regexp_replace(digits, '^0+', '');
+    IF length(digits) = 12 AND digits LIKE '91%' THEN
+        digits := substr(digits, 3);
+    END IF;
+
+    RETURN CASE WHEN digits ~ '^[2-9]\d{9}$' THEN '+91' || digits END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Backfill (rows that can't be parsed are left as they are)
+UPDATE leads_crm SET phone = normalize_phone_e164(phone)
+    WHERE normalize_phone_e164(phone) IS NOT NULL AND phone <> normalize_phone_e164(phone);
+
+UPDATE site_visits SET phone = normalize_phone_e164(phone)
+    WHERE normalize_phone_e164(phone) IS NOT NULL AND phone <> normalize_phone_e164(phone);
+
+-- leads and contact_messages were created outside these migrations
+DO $$
+BEGIN
+    IF to_regclass('public.leads') IS NOT NULL THEN
+        UPDATE leads SET phone = normalize_phone_e164(phone)
+            WHERE normalize_phone_e164(phone) IS NOT NULL AND phone <> normalize_phone_e164(phone);
+    END IF;
+
+    IF to_regclass('public.contact_messages') IS NOT NULL THEN
+        UPDATE contact_messages SET phone = normalize_phone_e164(phone)
+            WHERE normalize_phone_e164(phone) IS NOT NULL AND phone <> normalize_phone_e164(phone);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_site_visits_phone ON site_visits(phone);
+
+-- Telegram conversations point at the CRM lead once known
+ALTER TABLE IF EXISTS conversations
+    ADD COLUMN IF NOT EXISTS lead_id UUID REFERENCES leads_crm(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+    IF to_regclass('public.conversations') IS NOT NULL THEN
+        CREATE INDEX IF NOT EXISTS idx_conversations_lead_id ON conversations(lead_id);
+    END IF;
+END $$;
+
+-- Merges are recorded on the surviving lead's timeline
+ALTER TABLE lead_activities DROP CONSTRAINT IF EXISTS lead_activities_type_check;
+ALTER TABLE lead_activities ADD CONSTRAINT lead_activities_type_check CHECK (type IN (
+    'lead_created', 'note', 'call', 'stage_change', 'assignment', 'merge',
+    'site_visit', 'chatbot_message', 'telegram_message'
+));
+
+-- Merging deletes duplicates and moves their timelines; only the
+-- server does that, with the service key (lib/leadMerge.js)
+GRANT DELETE ON leads_crm TO service_role;
+GRANT UPDATE ON lead_activities TO service_role;
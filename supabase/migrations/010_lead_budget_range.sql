@@ -0,0 +1,16 @@
+-- =============================================
+-- LEAD BUDGET RANGE
+-- Numeric budget bounds for filtering/sorting
+-- =============================================
+-- leads_crm.budget stays as typed ("50 Lakh", "1-2 Cr");
+-- these columns hold the parsed range in rupees so
+-- get-leads can filter by budget band on the server.
+
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS budget_min_inr BIGINT;
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS budget_max_inr BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_leads_crm_budget_range ON leads_crm(budget_min_inr, budget_max_inr);
+
+-- Filters used by the paginated admin list
+CREATE INDEX IF NOT EXISTS idx_leads_crm_lead_source ON leads_crm(lead_source);
+CREATE INDEX IF NOT EXISTS idx_leads_crm_team_stage_created ON leads_crm(team, stage, created_at DESC);
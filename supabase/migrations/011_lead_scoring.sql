@@ -0,0 +1,24 @@
+-- =============================================
+-- LEAD SCORING
+-- 0-100 score per lead, computed by lib/leadScoring.js
+-- =============================================
+-- The score is recomputed whenever a timeline entry is written;
+-- score_breakdown keeps the points per signal (and the raw
+-- signals) so the CRM can show why a lead scored what it did.
+
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS score SMALLINT NOT NULL DEFAULT 0;
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS score_updated_at TIMESTAMPTZ;
+ALTER TABLE leads_crm ADD COLUMN IF NOT EXISTS last_contacted_at TIMESTAMPTZ;
+
+ALTER TABLE leads_crm DROP CONSTRAINT IF EXISTS leads_crm_score_check;
+ALTER TABLE leads_crm ADD CONSTRAINT leads_crm_score_check CHECK (score BETWEEN 0 AND 100);
+
+CREATE INDEX IF NOT EXISTS idx_leads_crm_score ON leads_crm(score DESC);
+
+-- Properties opened on the website are logged to the timeline
+ALTER TABLE lead_activities DROP CONSTRAINT IF EXISTS lead_activities_type_check;
+ALTER TABLE lead_activities ADD CONSTRAINT lead_activities_type_check CHECK (type IN (
+    'lead_created', 'note', 'call', 'stage_change', 'assignment', 'merge',
+    'site_visit', 'chatbot_message', 'telegram_message', 'property_view'
+));
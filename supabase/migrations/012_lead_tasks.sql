@@ -0,0 +1,72 @@
+-- =============================================
+-- LEAD FOLLOW-UP TASKS
+-- "Call back Friday 4pm" reminders linked to a lead
+-- =============================================
+-- Tasks are open until completed. Snoozing moves due_at
+-- forward and keeps the first due time in original_due_at.
+
+CREATE TABLE IF NOT EXISTS lead_tasks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lead_id UUID NOT NULL REFERENCES leads_crm(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    notes TEXT,
+    due_at TIMESTAMPTZ NOT NULL,
+    original_due_at TIMESTAMPTZ,
+    snooze_count INTEGER NOT NULL DEFAULT 0,
+    assigned_to UUID REFERENCES agents(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done')),
+    completed_at TIMESTAMPTZ,
+    completed_by TEXT,
+    created_by TEXT DEFAULT 'admin',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Due / overdue lists per agent
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_open_due
+    ON lead_tasks(status, due_at);
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_assignee_due
+    ON lead_tasks(assigned_to, status, due_at);
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_lead_id
+    ON lead_tasks(lead_id);
+
+CREATE OR REPLACE FUNCTION update_lead_tasks_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_lead_tasks_updated_at ON lead_tasks;
+CREATE TRIGGER trigger_lead_tasks_updated_at
+    BEFORE UPDATE ON lead_tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_lead_tasks_updated_at();
+
+-- Task changes show up on the lead timeline
+ALTER TABLE lead_activities DROP CONSTRAINT IF EXISTS lead_activities_type_check;
+ALTER TABLE lead_activities ADD CONSTRAINT lead_activities_type_check CHECK (type IN (
+    'lead_created', 'note', 'call', 'stage_change', 'assignment', 'merge',
+    'site_visit', 'chatbot_message', 'telegram_message', 'property_view', 'task'
+));
+
+-- Enable Row Level Security
+ALTER TABLE lead_tasks ENABLE ROW LEVEL SECURITY;
+
+-- Policies: anonymous access for the admin API (same as leads_crm)
+CREATE POLICY "Allow anonymous select on lead_tasks"
+    ON lead_tasks FOR SELECT TO anon USING (true);
+
+CREATE POLICY "Allow anonymous insert on lead_tasks"
+    ON lead_tasks FOR INSERT TO anon WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous update on lead_tasks"
+    ON lead_tasks FOR UPDATE TO anon USING (true) WITH CHECK (true);
+
+CREATE POLICY "Allow anonymous delete on lead_tasks"
+    ON lead_tasks FOR DELETE TO anon USING (true);
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON lead_tasks TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON lead_tasks TO authenticated;
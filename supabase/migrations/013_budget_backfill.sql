@@ -0,0 +1,22 @@
+-- =============================================
+-- BUDGET RANGES ON EVERY LEAD TABLE
+-- Parsed rupee bounds next to the typed budget
+-- =============================================
+-- leads_crm got budget_min_inr / budget_max_inr in 010.
+-- The website chat flow writes to `leads` (created outside
+-- these migrations), so it gets the same columns.
+--
+-- Existing rows are filled in by the app's parser
+-- (lib/budget.js understands lakh/crore/Hinglish phrasing
+-- that would be painful to mirror in SQL). After running
+-- this migration:
+--   POST /api/crm/budgets/backfill
+-- or
+--   node lib/budgetBackfill.js
+
+ALTER TABLE IF EXISTS leads ADD COLUMN IF NOT EXISTS budget_min_inr BIGINT;
+ALTER TABLE IF EXISTS leads ADD COLUMN IF NOT EXISTS budget_max_inr BIGINT;
+
+-- Rows the backfill still has to look at
+CREATE INDEX IF NOT EXISTS idx_leads_crm_budget_unparsed ON leads_crm(created_at)
+    WHERE budget IS NOT NULL AND budget_max_inr IS NULL;
@@ -0,0 +1,68 @@
+-- =============================================
+-- SITE VISIT LIFECYCLE
+-- pending → confirmed → completed / no_show,
+-- rescheduled or cancelled along the way
+-- =============================================
+-- site_visits.status was always 'pending'. The admin API now
+-- moves it through the lifecycle; every change (including each
+-- reschedule's old and new slot) is kept in site_visit_history.
+
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ;
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMPTZ;
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS outcome_notes TEXT;
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+UPDATE site_visits SET status = 'pending'
+    WHERE status IS NULL
+       OR status NOT IN ('pending', 'confirmed', 'rescheduled', 'cancelled', 'completed', 'no_show');
+
+ALTER TABLE site_visits ALTER COLUMN status SET NOT NULL;
+ALTER TABLE site_visits DROP CONSTRAINT IF EXISTS site_visits_status_check;
+ALTER TABLE site_visits ADD CONSTRAINT site_visits_status_check CHECK (status IN (
+    'pending', 'confirmed', 'rescheduled', 'cancelled', 'completed', 'no_show'
+));
+
+CREATE OR REPLACE FUNCTION update_site_visits_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_site_visits_updated_at ON site_visits;
+CREATE TRIGGER trigger_site_visits_updated_at
+    BEFORE UPDATE ON site_visits
+    FOR EACH ROW
+    EXECUTE FUNCTION update_site_visits_updated_at();
+
+-- One row per lifecycle change
+CREATE TABLE IF NOT EXISTS site_visit_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    visit_id UUID NOT NULL REFERENCES site_visits(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN (
+        'created', 'confirmed', 'rescheduled', 'cancelled', 'completed', 'no_show'
+    )),
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    -- Slot before and after a reschedule
+    previous_date TEXT,
+    previous_time TEXT,
+    new_date TEXT,
+    new_time TEXT,
+    reason TEXT,
+    changed_by TEXT DEFAULT 'admin',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_visit_history_visit
+    ON site_visit_history(visit_id, created_at);
+
+-- site_visits is written with the service role key; history follows it
+ALTER TABLE site_visit_history ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT ON site_visit_history TO service_role;
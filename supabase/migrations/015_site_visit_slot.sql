@@ -0,0 +1,68 @@
+-- =============================================
+-- SITE VISIT SLOT AS TIMESTAMPTZ
+-- visit_at = the booked slot, read as Asia/Kolkata
+-- =============================================
+-- visit_date / visit_time were free TEXT ("2024-12-15", "10:00 AM",
+-- "14:30"), so upcoming lists sorted as strings and could not be
+-- compared with now(). New bookings are validated in
+-- lib/siteVisits.js (parseVisitSlot); this fills visit_at for the
+-- existing rows and rewrites their text columns to the same slot
+-- (YYYY-MM-DD, HH:MM in IST).
+
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS visit_at TIMESTAMPTZ;
+
+-- Best-effort parse of the old text; NULL when it can't be read.
+-- A missing or unreadable time falls back to 10:00 IST.
+CREATE OR REPLACE FUNCTION parse_visit_slot(d TEXT, t TEXT)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+    visit_day DATE;
+    visit_time TIME;
+BEGIN
+    BEGIN
+        visit_day := NULLIF(TRIM(d), '')::DATE;
+    EXCEPTION WHEN OTHERS THEN
+        RETURN NULL;
+    END;
+    IF visit_day IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    BEGIN
+        -- TIME accepts both "14:30" and "2:30 PM"
+        visit_time := COALESCE(NULLIF(TRIM(t), '')::TIME, TIME '10:00');
+    EXCEPTION WHEN OTHERS THEN
+        visit_time := TIME '10:00';
+    END;
+
+    RETURN (visit_day + visit_time) AT TIME ZONE 'Asia/Kolkata';
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+UPDATE site_visits
+    SET visit_at = parse_visit_slot(visit_date, visit_time)
+    WHERE visit_at IS NULL;
+
+UPDATE site_visits
+    SET visit_date = to_char(visit_at AT TIME ZONE 'Asia/Kolkata', 'YYYY-MM-DD'),
+        visit_time = to_char(visit_at AT TIME ZONE 'Asia/Kolkata', 'HH24:MI')
+    WHERE visit_at IS NOT NULL;
+
+-- Rows that could not be parsed stay NULL for a manual fix;
+-- the column is only made required once there are none
+DO $$
+DECLARE
+    unparsed INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO unparsed FROM site_visits WHERE visit_at IS NULL;
+    IF unparsed = 0 THEN
+        ALTER TABLE site_visits ALTER COLUMN visit_at SET NOT NULL;
+    ELSE
+        RAISE NOTICE '% site visit(s) have an unreadable date; fix visit_date and re-run this migration', unparsed;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS site_visits_visit_at_idx ON site_visits(visit_at);
+
+-- Success message
+SELECT 'Site visit slots migrated to visit_at' AS status;
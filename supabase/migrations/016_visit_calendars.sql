@@ -0,0 +1,175 @@
+-- =============================================
+-- PROJECT VISIT CALENDARS
+-- Working hours, slot length, capacity per slot
+-- and blackout dates for each project
+-- =============================================
+-- A site visit for a project must start on one of its slots
+-- (Asia/Kolkata wall clock). lib/visitCalendar.js lists free
+-- slots and rejects conflicts with a friendly message; the
+-- trigger below is the last word when two buyers book the
+-- same slot at the same moment.
+
+-- One row per project in the website catalogue (script.js `properties`)
+CREATE TABLE IF NOT EXISTS projects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    slug TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    city TEXT,
+    community TEXT,
+    developer TEXT,
+    -- `id` of the property card on the website
+    property_id INTEGER UNIQUE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION update_projects_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_projects_updated_at ON projects;
+CREATE TRIGGER trigger_projects_updated_at
+    BEFORE UPDATE ON projects
+    FOR EACH ROW
+    EXECUTE FUNCTION update_projects_updated_at();
+
+-- Times are IST; working_days are ISO weekdays (1 = Monday ... 7 = Sunday)
+CREATE TABLE IF NOT EXISTS visit_calendars (
+    project_id UUID PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+    working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5,6}',
+    day_start TIME NOT NULL DEFAULT '10:00',
+    day_end TIME NOT NULL DEFAULT '18:00',
+    slot_minutes INTEGER NOT NULL DEFAULT 60 CHECK (slot_minutes BETWEEN 15 AND 240),
+    capacity INTEGER NOT NULL DEFAULT 2 CHECK (capacity BETWEEN 1 AND 50),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (day_end > day_start),
+    CHECK (working_days <@ '{1,2,3,4,5,6,7}'::SMALLINT[])
+);
+
+CREATE OR REPLACE FUNCTION update_visit_calendars_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_visit_calendars_updated_at ON visit_calendars;
+CREATE TRIGGER trigger_visit_calendars_updated_at
+    BEFORE UPDATE ON visit_calendars
+    FOR EACH ROW
+    EXECUTE FUNCTION update_visit_calendars_updated_at();
+
+-- Days a project takes no visits (festivals, site work)
+CREATE TABLE IF NOT EXISTS visit_blackout_dates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    blackout_date DATE NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (project_id, blackout_date)
+);
+
+-- Which project a visit is for (NULL = general enquiry, default hours only)
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS site_visits_project_slot_idx ON site_visits(project_id, visit_at);
+
+-- Catalogue seed
+INSERT INTO projects (slug, name, city, community, developer, property_id) VALUES
+    ('lodha-world-one-penthouse', 'Lodha World One Penthouse', 'mumbai', 'Worli', 'Lodha Group', 1),
+    ('oberoi-three-sixty-west', 'Oberoi Realty Three Sixty West', 'mumbai', 'Worli', 'Oberoi Realty', 2),
+    ('hiranandani-gardens-powai', 'Hiranandani Gardens Powai', 'mumbai', 'Powai', 'Hiranandani', 3),
+    ('godrej-platinum-vikhroli', 'Godrej Platinum Vikhroli', 'mumbai', 'Vikhroli', 'Godrej Properties', 4),
+    ('dlf-camellias-penthouse', 'DLF Camellias Penthouse', 'delhi', 'Golf Course Road, Gurgaon', 'DLF', 5),
+    ('central-park-flower-valley', 'Central Park Flower Valley', 'delhi', 'Sector 33, Gurgaon', 'Central Park', 6),
+    ('ats-pristine-noida', 'ATS Pristine Noida', 'delhi', 'Sector 150, Noida', 'ATS', 7),
+    ('prestige-lakeside-habitat', 'Prestige Lakeside Habitat', 'bangalore', 'Whitefield', 'Prestige Group', 8),
+    ('sobha-neopolis', 'Sobha Neopolis', 'bangalore', 'Panathur, Whitefield', 'Sobha Limited', 9),
+    ('brigade-utopia', 'Brigade Utopia', 'bangalore', 'Sarjapur Road', 'Brigade Group', 10),
+    ('rajapushpa-atria', 'Rajapushpa Atria', 'hyderabad', 'Gachibowli', 'Rajapushpa Properties', 11),
+    ('phoenix-kessaku', 'Phoenix Kessaku', 'hyderabad', 'Jubilee Hills', 'Phoenix Group', 12),
+    ('kolte-patil-24k-glitterati', 'Kolte Patil 24K Glitterati', 'pune', 'Hinjewadi', 'Kolte Patil', 13),
+    ('lodha-belmondo', 'Lodha Belmondo', 'pune', 'Pune-Mumbai Expressway', 'Lodha Group', 14),
+    ('casagrand-first-city', 'Casagrand First City', 'chennai', 'OMR (IT Corridor)', 'Casagrand', 15),
+    ('tata-avenida-kolkata', 'Tata Avenida Kolkata', 'kolkata', 'Rajarhat New Town', 'Tata Housing', 16)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Default calendar (Mon-Sat, 10:00-18:00, hourly, 2 buyers per slot)
+INSERT INTO visit_calendars (project_id)
+    SELECT id FROM projects
+ON CONFLICT (project_id) DO NOTHING;
+
+-- Capacity guard: serialises bookings per project slot and refuses
+-- the one that would go over the calendar's capacity
+CREATE OR REPLACE FUNCTION check_site_visit_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+    slot_capacity INTEGER;
+    booked INTEGER;
+BEGIN
+    IF NEW.project_id IS NULL OR NEW.visit_at IS NULL
+       OR NEW.status NOT IN ('pending', 'confirmed', 'rescheduled') THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+       AND NEW.project_id IS NOT DISTINCT FROM OLD.project_id
+       AND NEW.visit_at IS NOT DISTINCT FROM OLD.visit_at
+       AND OLD.status IN ('pending', 'confirmed', 'rescheduled') THEN
+        RETURN NEW;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext(NEW.project_id::TEXT || '@' || NEW.visit_at::TEXT));
+
+    SELECT capacity INTO slot_capacity FROM visit_calendars WHERE project_id = NEW.project_id;
+
+    SELECT COUNT(*) INTO booked
+        FROM site_visits
+        WHERE project_id = NEW.project_id
+          AND visit_at = NEW.visit_at
+          AND status IN ('pending', 'confirmed', 'rescheduled')
+          AND id <> NEW.id;
+
+    IF booked >= COALESCE(slot_capacity, 1) THEN
+        RAISE EXCEPTION 'This visit slot is fully booked'
+            USING ERRCODE = 'exclusion_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_site_visits_capacity ON site_visits;
+CREATE TRIGGER trigger_site_visits_capacity
+    BEFORE INSERT OR UPDATE ON site_visits
+    FOR EACH ROW
+    EXECUTE FUNCTION check_site_visit_capacity();
+
+-- Enable Row Level Security
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE visit_calendars ENABLE ROW LEVEL SECURITY;
+ALTER TABLE visit_blackout_dates ENABLE ROW LEVEL SECURITY;
+
+-- The website reads projects and calendars to offer free slots
+DROP POLICY IF EXISTS "Allow anonymous select on projects" ON projects;
+CREATE POLICY "Allow anonymous select on projects"
+    ON projects FOR SELECT TO anon USING (true);
+
+DROP POLICY IF EXISTS "Allow anonymous select on visit_calendars" ON visit_calendars;
+CREATE POLICY "Allow anonymous select on visit_calendars"
+    ON visit_calendars FOR SELECT TO anon USING (true);
+
+DROP POLICY IF EXISTS "Allow anonymous select on visit_blackout_dates" ON visit_blackout_dates;
+CREATE POLICY "Allow anonymous select on visit_blackout_dates"
+    ON visit_blackout_dates FOR SELECT TO anon USING (true);
+
+GRANT SELECT ON projects, visit_calendars, visit_blackout_dates TO anon;
+GRANT ALL ON projects, visit_calendars, visit_blackout_dates TO service_role;
+
+-- Success message
+SELECT 'Project visit calendars created' AS status;
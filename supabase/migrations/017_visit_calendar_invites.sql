@@ -0,0 +1,34 @@
+-- =============================================
+-- SITE VISIT CALENDAR INVITES
+-- .ics invites per visit and a feed per agent
+-- =============================================
+-- Each visit is one iCalendar event (UID site-visit-<id>@aionus).
+-- ics_sequence goes up on every change so calendar apps replace
+-- the old copy. Agents subscribe to
+-- /api/schedule-visit/calendar/<calendar_token>.ics, which lists
+-- the visits of the buyers they own.
+
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0;
+
+-- Agent handling the visit (owner of the buyer's CRM lead when booked)
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS agent_id UUID REFERENCES agents(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS site_visits_agent_slot_idx ON site_visits(agent_id, visit_at);
+
+UPDATE site_visits sv
+    SET agent_id = (
+        SELECT l.assigned_to
+        FROM leads_crm l
+        WHERE l.phone = sv.phone AND l.assigned_to IS NOT NULL
+        ORDER BY l.created_at DESC
+        LIMIT 1
+    )
+    WHERE sv.agent_id IS NULL;
+
+-- Secret part of the feed URL (calendar apps can't log in)
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS calendar_token TEXT
+    DEFAULT replace(gen_random_uuid()::TEXT, '-', '');
+UPDATE agents SET calendar_token = replace(gen_random_uuid()::TEXT, '-', '') WHERE calendar_token IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agents_calendar_token ON agents(calendar_token);
+
+-- Success message
+SELECT 'Site visit calendar invites ready' AS status;
@@ -0,0 +1,40 @@
+-- =============================================
+-- SITE VISIT REMINDERS
+-- Telegram reminders 24h and 2h before a visit
+-- =============================================
+-- One row per reminder, written when the visit is booked or
+-- rescheduled. The scheduler in the server (lib/visitReminders.js)
+-- sends due rows, so reminders survive restarts and are sent
+-- once even with more than one server running.
+
+-- Chat of a buyer who booked through the Telegram bot
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS telegram_chat_id TEXT;
+
+CREATE TABLE IF NOT EXISTS visit_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    visit_id UUID NOT NULL REFERENCES site_visits(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('24h', '2h')),
+    send_at TIMESTAMPTZ NOT NULL,
+    -- pending → sending → sent; skipped when the visit is cancelled
+    -- or the slot has passed; failed after repeated send errors
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'skipped', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    -- Backoff after a failed send (send_at stays tied to the slot)
+    next_attempt_at TIMESTAMPTZ,
+    claimed_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (visit_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_visit_reminders_due
+    ON visit_reminders(status, send_at);
+
+-- Written by the server with the service role key, like site_visits
+ALTER TABLE visit_reminders ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON visit_reminders TO service_role;
+
+-- Success message
+SELECT 'Visit reminders table created' AS status;
@@ -0,0 +1,36 @@
+-- =============================================
+-- SITE VISIT → PROPERTY & CRM LEAD
+-- Which project the buyer wants to see and
+-- which CRM lead the visit belongs to
+-- =============================================
+-- site_visits.project_id (016) already points at projects, which
+-- carries the website's property id; this adds the lead and links
+-- the rows booked before every path sent a project.
+
+ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS lead_id UUID REFERENCES leads_crm(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS site_visits_lead_idx ON site_visits(lead_id);
+
+-- Newest CRM lead with the visitor's phone
+UPDATE site_visits sv
+SET lead_id = (
+    SELECT l.id FROM leads_crm l
+    WHERE l.phone = sv.phone
+    ORDER BY l.created_at DESC
+    LIMIT 1
+)
+WHERE sv.lead_id IS NULL;
+
+-- The property modal used to send only "Interested in: <title> - ..."
+-- Old bookings are kept even where they overbook a slot.
+ALTER TABLE site_visits DISABLE TRIGGER trigger_site_visits_capacity;
+
+UPDATE site_visits sv
+SET project_id = p.id
+FROM projects p
+WHERE sv.project_id IS NULL
+  AND sv.message ILIKE 'Interested in: ' || p.name || '%';
+
+ALTER TABLE site_visits ENABLE TRIGGER trigger_site_visits_capacity;
+
+-- Success message
+SELECT 'Site visits linked to projects and CRM leads' AS status;
@@ -0,0 +1,55 @@
+-- =============================================
+-- POST-VISIT FEEDBACK & NPS
+-- What the buyer thought of a completed visit
+-- =============================================
+-- One row per visit, created when it is marked complete
+-- (lib/visitFeedback.js). Telegram buyers answer in the chat;
+-- everyone else gets /feedback.html?token=<token>, which the
+-- agent shares from admin-visits.html.
+
+CREATE TABLE IF NOT EXISTS visit_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    visit_id UUID NOT NULL UNIQUE REFERENCES site_visits(id) ON DELETE CASCADE,
+    lead_id UUID REFERENCES leads_crm(id) ON DELETE SET NULL,
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    -- Secret part of the survey link (buyers don't log in)
+    token TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::TEXT, '-', ''),
+    channel TEXT NOT NULL DEFAULT 'web' CHECK (channel IN ('web', 'telegram')),
+    status TEXT NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'completed')),
+    -- 1-5 stars for the visit, 0-10 "would you recommend us"
+    rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+    nps SMALLINT CHECK (nps BETWEEN 0 AND 10),
+    liked TEXT,
+    disliked TEXT,
+    price_perception TEXT CHECK (price_perception IN ('too_high', 'slightly_high', 'fair', 'good_value')),
+    purchase_intent TEXT CHECK (purchase_intent IN ('ready', 'within_3_months', 'exploring', 'not_interested')),
+    submitted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_visit_feedback_created ON visit_feedback(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_visit_feedback_project ON visit_feedback(project_id);
+CREATE INDEX IF NOT EXISTS idx_visit_feedback_lead ON visit_feedback(lead_id);
+
+CREATE OR REPLACE FUNCTION update_visit_feedback_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_visit_feedback_updated_at ON visit_feedback;
+CREATE TRIGGER trigger_visit_feedback_updated_at
+    BEFORE UPDATE ON visit_feedback
+    FOR EACH ROW
+    EXECUTE FUNCTION update_visit_feedback_updated_at();
+
+-- Read and written by the server with the service role key
+ALTER TABLE visit_feedback ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON visit_feedback TO service_role;
+
+-- Success message
+SELECT 'Visit feedback table created' AS status;
@@ -0,0 +1,37 @@
+-- =============================================
+-- PROJECT LOCATIONS
+-- Coordinates for agents' daily visit plans
+-- =============================================
+-- lib/visitItinerary.js orders an agent's visits by straight-line
+-- (haversine) distance between projects. Projects without
+-- coordinates are geocoded from admin-visits.html
+-- (lib/mapsClient.js geocodeAddress) and saved back.
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+-- Approximate site locations for the catalogue
+UPDATE projects p
+    SET latitude = c.latitude, longitude = c.longitude
+    FROM (VALUES
+        ('lodha-world-one-penthouse', 19.0006, 72.8259),
+        ('oberoi-three-sixty-west', 19.0057, 72.8186),
+        ('hiranandani-gardens-powai', 19.1176, 72.9060),
+        ('godrej-platinum-vikhroli', 19.1115, 72.9312),
+        ('dlf-camellias-penthouse', 28.4530, 77.0970),
+        ('central-park-flower-valley', 28.3320, 77.0560),
+        ('ats-pristine-noida', 28.4160, 77.4850),
+        ('prestige-lakeside-habitat', 12.9470, 77.7460),
+        ('sobha-neopolis', 12.9390, 77.7130),
+        ('brigade-utopia', 12.9250, 77.7350),
+        ('rajapushpa-atria', 17.4080, 78.3320),
+        ('phoenix-kessaku', 17.4180, 78.4350),
+        ('kolte-patil-24k-glitterati', 18.5900, 73.7850),
+        ('lodha-belmondo', 18.6800, 73.7050),
+        ('casagrand-first-city', 12.8230, 80.2200),
+        ('tata-avenida-kolkata', 22.5960, 88.4780)
+    ) AS c(slug, latitude, longitude)
+    WHERE p.slug = c.slug AND p.latitude IS NULL;
+
+-- Success message
+SELECT 'Project locations added' AS status;
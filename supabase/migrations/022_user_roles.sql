@@ -0,0 +1,56 @@
+-- =============================================
+-- STAFF ROLES
+-- Who may use the admin pages and APIs
+-- =============================================
+-- Roles sit on top of Supabase Auth logins (routes/auth.js).
+-- Website users have no row here and no admin access.
+--
+--   viewer  - read leads, visits, documents and analytics
+--   agent   - + work leads, tasks and site visits
+--   manager - + agents, pipeline, calendars, import/export, brochures
+--   admin   - + grant and revoke roles
+--
+-- Roles live in their own table rather than on user_profiles,
+-- which users may update themselves. Only the service role
+-- writes here (PUT /api/auth/users/:id/role).
+--
+-- First admin, once they have registered:
+--   INSERT INTO user_roles (user_id, role)
+--   SELECT id, 'admin' FROM auth.users WHERE email = 'owner@example.com';
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('viewer', 'agent', 'manager', 'admin')),
+    granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+CREATE OR REPLACE FUNCTION update_user_roles_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_user_roles_updated_at ON user_roles;
+CREATE TRIGGER trigger_user_roles_updated_at
+    BEFORE UPDATE ON user_roles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_user_roles_updated_at();
+
+-- Users can see their own role; nobody but the service role can change one
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own role" ON user_roles;
+CREATE POLICY "Users can read own role" ON user_roles
+    FOR SELECT USING (auth.uid() = user_id);
+
+GRANT SELECT ON user_roles TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON user_roles TO service_role;
+
+-- Success message
+SELECT 'User roles created' AS status;
@@ -0,0 +1,31 @@
+-- =============================================
+-- LOGIN SESSIONS
+-- Devices a user is signed in on
+-- =============================================
+-- One row per Supabase Auth session (the access token's
+-- session_id claim, which survives token refreshes).
+-- routes/auth.js records logins and refreshes here so users
+-- can see their sessions and sign out of one or all of them.
+-- A revoked session can no longer refresh or call the APIs.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_active_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active
+    ON user_sessions(user_id, last_active_at DESC)
+    WHERE revoked_at IS NULL;
+
+-- Written by the server only
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON user_sessions TO service_role;
+
+-- Success message
+SELECT 'User sessions table created' AS status;
@@ -0,0 +1,42 @@
+-- =============================================
+-- TELEGRAM CONVERSATION STATE
+-- Funnel progress per chat, kept across restarts
+-- =============================================
+-- routes/telegram.js loads a chat's state on every update and
+-- saves it afterwards (lib/telegramState.js), so a deploy or a
+-- second server instance picks the conversation up where it was.
+-- Each save pushes expires_at out; expired rows read as a new
+-- conversation and are purged by the bot.
+
+CREATE TABLE IF NOT EXISTS telegram_user_states (
+    chat_id TEXT PRIMARY KEY,
+    state JSONB NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_user_states_expires
+    ON telegram_user_states(expires_at);
+
+CREATE OR REPLACE FUNCTION update_telegram_user_states_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_telegram_user_states_updated_at ON telegram_user_states;
+CREATE TRIGGER trigger_telegram_user_states_updated_at
+    BEFORE UPDATE ON telegram_user_states
+    FOR EACH ROW
+    EXECUTE FUNCTION update_telegram_user_states_updated_at();
+
+-- Written by the server only
+ALTER TABLE telegram_user_states ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON telegram_user_states TO service_role;
+
+-- Success message
+SELECT 'Telegram user states table created' AS status;
@@ -0,0 +1,26 @@
+-- =============================================
+-- TELEGRAM PROCESSED UPDATES
+-- update_ids the bot has already handled
+-- =============================================
+-- Telegram re-sends an update when the webhook is slow or fails,
+-- which could create the same CRM lead twice. routes/telegram.js
+-- inserts each update_id before handling it (lib/telegramState.js
+-- claimUpdate); an insert that hits the primary key means the
+-- update is a retry and is skipped. Rows older than a day are
+-- purged by the bot - Telegram stops retrying long before that.
+
+CREATE TABLE IF NOT EXISTS telegram_processed_updates (
+    update_id BIGINT PRIMARY KEY,
+    processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_processed_updates_processed
+    ON telegram_processed_updates(processed_at);
+
+-- Written by the server only
+ALTER TABLE telegram_processed_updates ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT, INSERT, DELETE ON telegram_processed_updates TO service_role;
+
+-- Success message
+SELECT 'Telegram processed updates table created' AS status;
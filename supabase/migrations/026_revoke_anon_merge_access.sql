@@ -0,0 +1,21 @@
+-- =============================================
+-- REVOKE ANONYMOUS MERGE ACCESS
+-- Leads are deleted and timelines rewritten by the server only
+-- =============================================
+-- An earlier 009_phone_normalisation.sql let the anon key (which
+-- ships in the browser) delete leads_crm rows and update
+-- lead_activities so the merge endpoint could run with it.
+-- lib/leadMerge.js now uses the service key, so databases that
+-- ran that version lose the anonymous access here.
+
+DROP POLICY IF EXISTS "Allow anonymous delete on leads_crm" ON leads_crm;
+REVOKE DELETE ON leads_crm FROM anon;
+
+DROP POLICY IF EXISTS "Allow anonymous update on lead_activities" ON lead_activities;
+REVOKE UPDATE ON lead_activities FROM anon;
+
+GRANT DELETE ON leads_crm TO service_role;
+GRANT UPDATE ON lead_activities TO service_role;
+
+-- Success message
+SELECT 'Anonymous merge access revoked' AS status;
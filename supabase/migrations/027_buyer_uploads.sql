@@ -0,0 +1,123 @@
+-- =============================================
+-- BUYER UPLOADS
+-- Documents sent to the Telegram bot stay with their chat
+-- =============================================
+-- PDF/DOCX files a buyer sends the bot are stored as
+-- document_type 'buyer_upload' with the sender's chat id.
+-- match_documents (website chatbot, /api/rag, Telegram) skips them;
+-- match_chat_documents returns one chat's own uploads only and can
+-- only be called with the service key. The anon key (shipped in the
+-- browser) cannot read buyer uploads from documents or document_chunks.
+
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_document_type_check;
+ALTER TABLE documents
+ADD CONSTRAINT documents_document_type_check
+CHECK (document_type IN ('brochure', 'faq', 'pricing', 'buyer_upload'));
+
+ALTER TABLE document_chunks DROP CONSTRAINT IF EXISTS document_chunks_document_type_check;
+ALTER TABLE document_chunks
+ADD CONSTRAINT document_chunks_document_type_check
+CHECK (document_type IN ('brochure', 'faq', 'pricing', 'buyer_upload'));
+
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS telegram_chat_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_documents_telegram_chat_id
+ON documents(telegram_chat_id) WHERE telegram_chat_id IS NOT NULL;
+
+-- Shared knowledge base: staff uploads only
+CREATE OR REPLACE FUNCTION match_documents(
+    query_embedding vector(768),
+    match_threshold float DEFAULT 0.5,
+    match_count int DEFAULT 5
+)
+RETURNS TABLE (
+    id UUID,
+    document_id UUID,
+    content TEXT,
+    similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        document_chunks.id,
+        document_chunks.document_id,
+        document_chunks.content,
+        1 - (document_chunks.embedding <=> query_embedding) AS similarity
+    FROM document_chunks
+    WHERE document_chunks.document_type IS DISTINCT FROM 'buyer_upload'
+      AND 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+    ORDER BY document_chunks.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$;
+
+-- One Telegram chat's own uploads
+CREATE OR REPLACE FUNCTION match_chat_documents(
+    query_embedding vector(768),
+    chat_id TEXT,
+    match_threshold float DEFAULT 0.5,
+    match_count int DEFAULT 5
+)
+RETURNS TABLE (
+    id UUID,
+    document_id UUID,
+    content TEXT,
+    similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        document_chunks.id,
+        document_chunks.document_id,
+        document_chunks.content,
+        1 - (document_chunks.embedding <=> query_embedding) AS similarity
+    FROM document_chunks
+    JOIN documents ON documents.id = document_chunks.document_id
+    WHERE documents.document_type = 'buyer_upload'
+      AND documents.telegram_chat_id = chat_id
+      AND 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+    ORDER BY document_chunks.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION match_chat_documents(vector, TEXT, float, int) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION match_chat_documents(vector, TEXT, float, int) TO service_role;
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- 001_rag_setup.sql grants SELECT on document_chunks to anon and
+-- authenticated; from here they only see staff uploads.
+-- The server uses the service key, which bypasses RLS.
+-- =============================================
+ALTER TABLE document_chunks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow select on shared document_chunks" ON document_chunks;
+CREATE POLICY "Allow select on shared document_chunks"
+ON document_chunks FOR SELECT
+TO anon, authenticated
+USING (document_type IS DISTINCT FROM 'buyer_upload');
+
+-- documents: browser reads and inserts (lib/supabaseClient.js) keep
+-- working for staff uploads only
+ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow select on shared documents" ON documents;
+CREATE POLICY "Allow select on shared documents"
+ON documents FOR SELECT
+TO anon, authenticated
+USING (document_type IS DISTINCT FROM 'buyer_upload');
+
+DROP POLICY IF EXISTS "Allow insert on shared documents" ON documents;
+CREATE POLICY "Allow insert on shared documents"
+ON documents FOR INSERT
+TO anon, authenticated
+WITH CHECK (document_type IS DISTINCT FROM 'buyer_upload' AND telegram_chat_id IS NULL);
+
+-- Success message
+SELECT 'Buyer uploads scoped to their chat' AS status;
@@ -0,0 +1,23 @@
+/**
+ * lib/budget.js - run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBudgetINR, extractBudget } = require('../lib/budget');
+
+test('ranges borrow the unit from the upper bound', () => {
+    assert.deepStrictEqual(parseBudgetINR('1-2 Cr'), { min_inr: 10000000, max_inr: 20000000 });
+    assert.deepStrictEqual(parseBudgetINR('50 lakh to 1 crore'), { min_inr: 5000000, max_inr: 10000000 });
+});
+
+test('compound amounts are one amount, not a range', () => {
+    assert.deepStrictEqual(parseBudgetINR('1 crore 20 lakh'), { min_inr: 12000000, max_inr: 12000000 });
+    assert.deepStrictEqual(parseBudgetINR('2 cr aur 50 lakh'), { min_inr: 25000000, max_inr: 25000000 });
+    assert.deepStrictEqual(parseBudgetINR('1 crore 20 lakh tak'), { min_inr: 0, max_inr: 12000000 });
+    assert.deepStrictEqual(parseBudgetINR('1 cr 20 lakh - 1 cr 50 lakh'), { min_inr: 12000000, max_inr: 15000000 });
+});
+
+test('compound amounts are picked out of chat text whole', () => {
+    assert.strictEqual(extractBudget('Rahul, 9876543210, budget 1 crore 20 lakh hai'), '1 crore 20 lakh');
+});
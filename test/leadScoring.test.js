@@ -0,0 +1,78 @@
+/**
+ * lib/leadScoring.js computeScore - run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeScore } = require('../lib/leadScoring');
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+const DAY_MS = 86400000;
+
+const NO_SIGNALS = { budget_inr: null, site_visits: 0, messages: 0, properties_viewed: 0, last_contacted_at: null };
+
+const score = (signals, now = NOW) => computeScore({ ...NO_SIGNALS, ...signals }, now);
+const daysAgo = days => new Date(NOW - days * DAY_MS).toISOString();
+
+test('a lead with no signals scores 0', () => {
+    assert.deepStrictEqual(score({}), {
+        score: 0,
+        breakdown: { budget: 0, site_visit: 0, messages: 0, properties: 0, recency: 0 }
+    });
+});
+
+test('budget bands start at each threshold', () => {
+    [
+        [null, 0],
+        [0, 0],
+        [1, 5],
+        [4999999, 5],
+        [5000000, 10],      // 50 L
+        [9999999, 10],
+        [10000000, 15],     // 1 Cr
+        [20000000, 20],     // 2 Cr
+        [49999999, 20],
+        [50000000, 25],     // 5 Cr
+        [500000000, 25]
+    ].forEach(([budget, points]) => {
+        assert.strictEqual(score({ budget_inr: budget }).breakdown.budget, points, `budget ${budget}`);
+    });
+});
+
+test('recency bands include their upper day', () => {
+    [
+        [0, 15],
+        [1, 15],
+        [1.5, 12],
+        [3, 12],
+        [7, 8],
+        [14, 4],
+        [30, 2],
+        [31, 0]
+    ].forEach(([days, points]) => {
+        assert.strictEqual(score({ last_contacted_at: daysAgo(days) }).breakdown.recency, points, `${days} days`);
+    });
+});
+
+test('messages and property views are capped', () => {
+    assert.strictEqual(score({ messages: 3 }).breakdown.messages, 6);
+    assert.strictEqual(score({ messages: 50 }).breakdown.messages, 20);
+    assert.strictEqual(score({ properties_viewed: 2 }).breakdown.properties, 10);
+    assert.strictEqual(score({ properties_viewed: 9 }).breakdown.properties, 15);
+});
+
+test('one booked visit earns the full visit points', () => {
+    assert.strictEqual(score({ site_visits: 1 }).breakdown.site_visit, 25);
+    assert.strictEqual(score({ site_visits: 4 }).breakdown.site_visit, 25);
+});
+
+test('the strongest lead scores exactly 100', () => {
+    const result = score({
+        budget_inr: 60000000,
+        site_visits: 2,
+        messages: 40,
+        properties_viewed: 10,
+        last_contacted_at: NOW
+    });
+    assert.strictEqual(result.score, 100);
+});
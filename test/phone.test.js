@@ -0,0 +1,57 @@
+/**
+ * lib/phone.js - run with `npm test`
+ * Cases follow the branches of normalize_phone_e164 in
+ * 009_phone_normalisation.sql, which must agree with it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePhone, normalizePhoneOrRaw } = require('../lib/phone');
+
+test('Indian numbers in any spelling become one E.164 value', () => {
+    [
+        '9876543210',
+        '98765 43210',
+        '+91 98765 43210',
+        '+91-98765-43210',
+        '+91 098765 43210',
+        '919876543210',
+        '09876543210',
+        '0091 98765 43210',
+        9876543210
+    ].forEach(raw => assert.strictEqual(normalizePhone(raw), '+919876543210', String(raw)));
+});
+
+test('landlines with an STD code are Indian numbers too', () => {
+    assert.strictEqual(normalizePhone('022 2345 6789'), '+912223456789');
+    assert.strictEqual(normalizePhone('+91 22 2345 6789'), '+912223456789');
+});
+
+test('other country codes are kept after + or 00', () => {
+    assert.strictEqual(normalizePhone('+971 50 123 4567'), '+971501234567');
+    assert.strictEqual(normalizePhone('00971501234567'), '+971501234567');
+    assert.strictEqual(normalizePhone('+1 (415) 555-2671'), '+14155552671');
+});
+
+test('numbers that cannot be valid are null', () => {
+    [
+        null,
+        undefined,
+        '',
+        '   ',
+        'call me',
+        '12345',
+        '1234567890',          // Indian numbers start 2-9
+        '+91 12345 67890',
+        '98765432101',         // 11 digits, no country code
+        '+0123456789',
+        '00123',
+        '+1234567890123456'    // over 15 digits
+    ].forEach(raw => assert.strictEqual(normalizePhone(raw), null, String(raw)));
+});
+
+test('normalizePhoneOrRaw keeps what it cannot parse', () => {
+    assert.strictEqual(normalizePhoneOrRaw(' 98765 43210 '), '+919876543210');
+    assert.strictEqual(normalizePhoneOrRaw(' ext 42 '), 'ext 42');
+    assert.strictEqual(normalizePhoneOrRaw(null), '');
+});
@@ -0,0 +1,80 @@
+/**
+ * lib/telegramApi.js webhook secret - run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { isValidWebhookSecret, setWebhook } = require('../lib/telegramApi');
+
+const BOT_TOKEN = '123456:test-token';
+const DERIVED_SECRET = crypto.createHmac('sha256', BOT_TOKEN).update('aionus-telegram-webhook').digest('hex');
+
+async function withEnv(env, fn) {
+    const saved = {};
+    Object.keys(env).forEach(key => {
+        saved[key] = process.env[key];
+        if (env[key] === undefined) delete process.env[key];
+        else process.env[key] = env[key];
+    });
+    try {
+        return await fn();
+    } finally {
+        Object.keys(saved).forEach(key => {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        });
+    }
+}
+
+test('secret is derived from the bot token when none is configured', async () => {
+    await withEnv({ TELEGRAM_BOT_TOKEN: BOT_TOKEN, TELEGRAM_WEBHOOK_SECRET: undefined }, () => {
+        assert.strictEqual(isValidWebhookSecret(DERIVED_SECRET), true);
+        assert.strictEqual(isValidWebhookSecret(DERIVED_SECRET.toUpperCase()), false);
+    });
+});
+
+test('TELEGRAM_WEBHOOK_SECRET wins over the derived secret', async () => {
+    await withEnv({ TELEGRAM_BOT_TOKEN: BOT_TOKEN, TELEGRAM_WEBHOOK_SECRET: 'my_own-secret' }, () => {
+        assert.strictEqual(isValidWebhookSecret('my_own-secret'), true);
+        assert.strictEqual(isValidWebhookSecret(DERIVED_SECRET), false);
+    });
+});
+
+test('missing, shorter and longer headers are rejected without throwing', async () => {
+    await withEnv({ TELEGRAM_BOT_TOKEN: BOT_TOKEN, TELEGRAM_WEBHOOK_SECRET: undefined }, () => {
+        assert.strictEqual(isValidWebhookSecret(undefined), false);
+        assert.strictEqual(isValidWebhookSecret(''), false);
+        assert.strictEqual(isValidWebhookSecret(DERIVED_SECRET.slice(0, -1)), false);
+        assert.strictEqual(isValidWebhookSecret(`${DERIVED_SECRET}0`), false);
+        assert.strictEqual(isValidWebhookSecret(['x']), false);
+    });
+});
+
+test('nothing is valid when the bot is not configured', async () => {
+    await withEnv({ TELEGRAM_BOT_TOKEN: undefined, TELEGRAM_WEBHOOK_SECRET: undefined }, () => {
+        assert.strictEqual(isValidWebhookSecret(DERIVED_SECRET), false);
+        assert.strictEqual(isValidWebhookSecret(''), false);
+    });
+});
+
+test('setWebhook registers a secret Telegram accepts', async () => {
+    const originalFetch = global.fetch;
+    let body = null;
+    global.fetch = async (url, options) => {
+        body = JSON.parse(options.body);
+        return { json: async () => ({ ok: true }) };
+    };
+
+    try {
+        await withEnv({ TELEGRAM_BOT_TOKEN: BOT_TOKEN, TELEGRAM_WEBHOOK_SECRET: undefined }, async () => {
+            await setWebhook('https://example.com/api/telegram/webhook');
+        });
+    } finally {
+        global.fetch = originalFetch;
+    }
+
+    assert.strictEqual(body.secret_token, DERIVED_SECRET);
+    // Telegram allows 1-256 characters: A-Z, a-z, 0-9, _ and -
+    assert.match(body.secret_token, /^[A-Za-z0-9_-]{1,256}$/);
+});
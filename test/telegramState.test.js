@@ -0,0 +1,95 @@
+/**
+ * lib/telegramState.js - run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createUserState,
+    createMemoryStateStore,
+    setStateStore,
+    withUserState
+} = require('../lib/telegramState');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('memory store returns a copy of what was saved', async () => {
+    const store = createMemoryStateStore();
+    const state = { ...createUserState(), name: 'Ravi' };
+
+    await store.set(42, state);
+    state.name = 'changed after save';
+
+    assert.deepStrictEqual(await store.get('42'), { ...createUserState(), name: 'Ravi' });
+    assert.strictEqual(await store.get(43), null);
+    assert.strictEqual(await store.count(), 1);
+
+    await store.delete(42);
+    assert.strictEqual(await store.get(42), null);
+});
+
+test('memory store states expire after the TTL', async () => {
+    const store = createMemoryStateStore({ ttlMs: 20 });
+    await store.set(1, createUserState());
+
+    assert.notStrictEqual(await store.get(1), null);
+    await sleep(40);
+    assert.strictEqual(await store.get(1), null);
+    assert.strictEqual(await store.count(), 0);
+});
+
+test('memory store claims each update_id once', async () => {
+    const store = createMemoryStateStore();
+    assert.strictEqual(await store.claimUpdate(100), true);
+    assert.strictEqual(await store.claimUpdate(100), false);
+    assert.strictEqual(await store.claimUpdate(101), true);
+});
+
+test('withUserState gives old saved states the new fields', async () => {
+    const store = createMemoryStateStore();
+    setStateStore(store);
+
+    // Saved before waitingForVisitPhone / feedbackStep existed
+    await store.set(7, { name: 'Asha', phone: '+919876543210', waitingForVisitDate: true });
+
+    await withUserState(7, async state => {
+        assert.strictEqual(state.name, 'Asha');
+        assert.strictEqual(state.waitingForVisitDate, true);
+        assert.strictEqual(state.waitingForVisitPhone, false);
+        assert.strictEqual(state.feedbackStep, null);
+        state.city = 'pune';
+    });
+
+    assert.deepStrictEqual(await store.get(7), {
+        ...createUserState(),
+        name: 'Asha',
+        phone: '+919876543210',
+        waitingForVisitDate: true,
+        city: 'pune'
+    });
+});
+
+test('overlapping updates for one chat keep each other\'s changes', async () => {
+    const store = createMemoryStateStore();
+    setStateStore(store);
+
+    await Promise.all([
+        withUserState(9, async state => {
+            await sleep(30);
+            state.waitingForLeadConfirm = true;
+            state.pendingLead = { name: 'Ravi' };
+        }),
+        withUserState(9, async state => {
+            state.project = 'skyline-towers';
+        })
+    ]);
+
+    const saved = await store.get(9);
+    assert.strictEqual(saved.project, 'skyline-towers');
+    assert.strictEqual(saved.waitingForLeadConfirm, true);
+    assert.deepStrictEqual(saved.pendingLead, { name: 'Ravi' });
+});
+
+test('withUserState without a chat id runs the handler statelessly', async () => {
+    assert.strictEqual(await withUserState(undefined, async state => state), null);
+});
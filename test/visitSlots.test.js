@@ -0,0 +1,63 @@
+/**
+ * Visit slot math (lib/siteVisits.js parseVisitSlot,
+ * lib/visitCalendar.js generateSlots) - run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseVisitSlot } = require('../lib/siteVisits');
+const { DEFAULT_CALENDAR, generateSlots } = require('../lib/visitCalendar');
+
+const NOW = new Date('2025-06-15T12:00:00Z'); // 17:30 IST
+
+test('date and time are read as IST', () => {
+    assert.deepStrictEqual(parseVisitSlot({ date: '2025-06-20', time: '14:30' }, NOW), {
+        visit_at: '2025-06-20T09:00:00.000Z',
+        visit_date: '2025-06-20',
+        visit_time: '14:30'
+    });
+});
+
+test('12-hour times and the 10:00 default', () => {
+    assert.strictEqual(parseVisitSlot({ date: '2025-06-20', time: '2:30 PM' }, NOW).visit_time, '14:30');
+    assert.strictEqual(parseVisitSlot({ date: '2025-06-20', time: '12:15 am' }, NOW).visit_time, '00:15');
+    assert.strictEqual(parseVisitSlot({ date: '2025-06-20', time: '12:00 PM' }, NOW).visit_time, '12:00');
+    assert.strictEqual(parseVisitSlot({ date: '2025-06-20' }, NOW).visit_time, '10:00');
+});
+
+test('visit_at in another offset lands on the IST date and time', () => {
+    // 20:00 UTC is 01:30 the next day in IST
+    assert.deepStrictEqual(parseVisitSlot({ visit_at: '2025-06-20T20:00:00Z' }, NOW), {
+        visit_at: '2025-06-20T20:00:00.000Z',
+        visit_date: '2025-06-21',
+        visit_time: '01:30'
+    });
+    assert.strictEqual(parseVisitSlot({ visit_at: '2025-06-20T10:00:00+05:30' }, NOW).visit_time, '10:00');
+});
+
+test('malformed, impossible and past slots are errors', () => {
+    [
+        { date: '20-06-2025', time: '10:00' },
+        { date: '2025-02-30', time: '10:00' },
+        { date: '2025-06-20', time: '25:00' },
+        { date: '2025-06-20', time: '13:00 pm' },
+        { date: '2025-06-20', time: 'morning' },
+        { visit_at: '2025-06-20T10:00:00' },          // no offset
+        { date: '2025-06-15', time: '17:00' },        // earlier today in IST
+        { date: '2025-06-14', time: '10:00' }
+    ].forEach(slot => {
+        assert.ok(parseVisitSlot(slot, NOW).error, JSON.stringify(slot));
+    });
+
+    assert.ok(!parseVisitSlot({ date: '2025-06-15', time: '18:00' }, NOW).error);
+});
+
+test('slots fill the working day and the last one ends by day_end', () => {
+    assert.deepStrictEqual(generateSlots(DEFAULT_CALENDAR),
+        ['10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00']);
+
+    assert.deepStrictEqual(generateSlots({ day_start: '09:30', day_end: '11:15', slot_minutes: 30 }),
+        ['09:30', '10:00', '10:30']);
+
+    assert.deepStrictEqual(generateSlots({ day_start: '10:00', day_end: '10:30', slot_minutes: 45 }), []);
+});